@@ -0,0 +1,27 @@
+-- Save-and-resume questionnaire drafts shared by several respondents at a hospital
+CREATE TABLE IF NOT EXISTS questionnaire_drafts (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  tenant_id VARCHAR(255) NOT NULL,
+  hospital_id VARCHAR(255) NOT NULL,
+  schema_version VARCHAR(20) NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'draft' CHECK (status IN ('draft', 'submitted')),
+  created_by VARCHAR(255),
+  submitted_by VARCHAR(255),
+  submitted_at TIMESTAMP,
+  transformation_id VARCHAR(255),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_questionnaire_drafts_hospital ON questionnaire_drafts (tenant_id, hospital_id, updated_at DESC);
+
+-- One row per answered question; the latest author and timestamp win
+CREATE TABLE IF NOT EXISTS questionnaire_draft_answers (
+  draft_id UUID NOT NULL REFERENCES questionnaire_drafts(id) ON DELETE CASCADE,
+  question_id VARCHAR(100) NOT NULL,
+  value JSONB,
+  answered_by VARCHAR(255),
+  answered_by_role VARCHAR(100),
+  answered_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (draft_id, question_id)
+);
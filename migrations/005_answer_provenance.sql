@@ -0,0 +1,5 @@
+-- Where each draft answer came from and how sure the respondent was; answered_by already records who supplied it
+ALTER TABLE questionnaire_draft_answers ADD COLUMN IF NOT EXISTS source VARCHAR(20)
+  CHECK (source IN ('interview', 'document', 'imported', 'assumed'));
+ALTER TABLE questionnaire_draft_answers ADD COLUMN IF NOT EXISTS confidence NUMERIC(3, 2)
+  CHECK (confidence >= 0 AND confidence <= 1);
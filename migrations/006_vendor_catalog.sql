@@ -0,0 +1,23 @@
+-- Shared vendor catalog (EHRs, departmental systems, interface engines) replacing vendor_compatibility.
+-- Each edit inserts a new version of the vendor's entry; deletes are tombstone versions.
+CREATE TABLE IF NOT EXISTS vendor_catalog (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  vendor_id VARCHAR(100) NOT NULL,
+  version INTEGER NOT NULL CHECK (version > 0),
+  category VARCHAR(50) NOT NULL,
+  name VARCHAR(200) NOT NULL,
+  entry JSONB NOT NULL,
+  deleted BOOLEAN NOT NULL DEFAULT FALSE,
+  author VARCHAR(255),
+  note TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (vendor_id, version)
+);
+
+CREATE INDEX IF NOT EXISTS idx_vendor_catalog_vendor ON vendor_catalog (vendor_id, version DESC);
+
+CREATE OR REPLACE VIEW vendor_catalog_current AS
+  SELECT * FROM (
+    SELECT DISTINCT ON (vendor_id) * FROM vendor_catalog ORDER BY vendor_id, version DESC
+  ) latest
+  WHERE NOT deleted;
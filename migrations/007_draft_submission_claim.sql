@@ -0,0 +1,4 @@
+-- A draft is claimed ('submitting') before its transformation runs, so concurrent submits cannot both run it
+ALTER TABLE questionnaire_drafts DROP CONSTRAINT IF EXISTS questionnaire_drafts_status_check;
+ALTER TABLE questionnaire_drafts ADD CONSTRAINT questionnaire_drafts_status_check
+  CHECK (status IN ('draft', 'submitting', 'submitted'));
@@ -11,12 +11,32 @@
  */
 
 const express = require('express');
-const path = require('path');
-const fs = require('fs');
 const rateLimit = require('express-rate-limit');
 const winston = require('winston');
 const Joi = require('joi');
+const multer = require('multer');
 const { QualityValidationEngine } = require('../core/QualityValidationEngine');
+const { QuestionnaireImporter } = require('../core/QuestionnaireImporter');
+const { toFhirQuestionnaire, fromQuestionnaireResponse } = require('../core/FhirQuestionnaire');
+const {
+  loadQuestionnaireSchema,
+  applySchemaDefaults,
+  listSchemaVersions,
+  getCurrentSchemaVersion,
+  migrateToCurrentSchema,
+  getQuestionIndex,
+  normalizeAnswer,
+  loadConsistencyRules
+} = require('../core/SchemaUtil');
+const { resolveLocale, localizeSchema, getSupportedLocales } = require('../core/LocaleUtil');
+const { splitAnswerProvenance, summarizeProvenance } = require('../core/AnswerProvenance');
+const { ScenarioComparison, MAX_SCENARIOS } = require('../core/ScenarioComparison');
+const { diffTransformationResults } = require('../core/TransformationDiff');
+const { BatchTransformation, MAX_BATCH_FACILITIES, MAX_CONCURRENCY } = require('../core/BatchTransformation');
+const { normalizeAnalysisOptions } = require('../core/RAFSensitivity');
+const { VENDOR_CATEGORIES, vendorIdFromName } = require('../core/VendorCatalog');
+const { MIN_COMPATIBILITY_SCORE } = require('../core/HospitalAssessmentEngine');
+const { PeerBenchmark, describeOutcome } = require('../core/PeerBenchmark');
 const { RealDocumentGenerator } = require('../core/RealDocumentGenerator'); // New Import
 const { requireRole } = require('../middleware/SecurityMiddleware'); // New Import
 const { sendSlack } = require('../middleware/Alerts'); // New Import
@@ -29,14 +49,67 @@ const logger = winston.createLogger({
   ]
 });
 
+const DRAFT_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// hospital_profiles.location_type values; other /assess/hospital locations are not stored
+const HOSPITAL_LOCATION_TYPES = ['Urban', 'Suburban', 'Rural', 'Critical Access'];
+
+// Roles that may read coefficients and publish tenant overrides; global versions need platform_admin
+const COEFFICIENT_ADMIN_ROLES = ['platform_admin', 'hospital_admin'];
+
+// Vendor catalog entry as accepted by create, update and import; `assessment` feeds DynamicVendorDatabase,
+// `facilityCompatibility` (keyed by facility type) feeds VendorRepository
+const VENDOR_ENTRY_SCHEMA = Joi.object({
+  id: Joi.string().pattern(/^[a-z0-9]+(-[a-z0-9]+)*$/).max(100),
+  name: Joi.string().max(200).required(),
+  category: Joi.string().valid(...VENDOR_CATEGORIES).required(),
+  departments: Joi.array().items(Joi.string().max(100)).min(1)
+    .when('category', { is: 'departmental', then: Joi.required(), otherwise: Joi.forbidden() }),
+  assessment: Joi.object({
+    complexity_score: Joi.number().min(0).max(10),
+    integration_difficulty: Joi.number().min(0).max(10),
+    api_maturity: Joi.number().min(0).max(10),
+    market_share: Joi.number().min(0).max(1),
+    compatibility_factors: Joi.object().pattern(Joi.string(), Joi.number().min(0).max(10)),
+    deployment_success_rate: Joi.number().min(0).max(1),
+    average_implementation_time: Joi.number().positive()
+  }),
+  facilityCompatibility: Joi.object().pattern(Joi.string(), Joi.object({
+    integrationComplexity: Joi.alternatives(Joi.string(), Joi.number()),
+    baseCost: Joi.number().min(0).required(),
+    implementationWeeks: Joi.number().integer().min(0),
+    requirements: Joi.any()
+  })),
+  notes: Joi.string().max(2000).allow('')
+});
+
+// Peer benchmark options, from the benchmark endpoint's query or the document endpoints' `peerBenchmark` body field
+const PEER_BENCHMARK_OPTIONS_SCHEMA = Joi.object({
+  limit: Joi.number().integer().min(1).max(20).default(5),
+  minSimilarity: Joi.number().min(0).max(1).default(0.7)
+});
+
+// Actual outcome of a completed transformation; any figure may be recorded first. vendorId is the catalog
+// EHR actually deployed when it differs from the questionnaire's primary EHR
+const TRANSFORMATION_OUTCOME_SCHEMA = Joi.object({
+  actualImplementationWeeks: Joi.number().positive().max(9999),
+  actualCost: Joi.number().min(0),
+  goLiveDate: Joi.date().iso().raw(),
+  budgetOverrunPercent: Joi.number().min(-100).max(1000),
+  incidentCount: Joi.number().integer().min(0),
+  vendorId: Joi.string().pattern(/^[a-z0-9]+(-[a-z0-9]+)*$/).max(100),
+  note: Joi.string().max(2000).allow('')
+}).or('actualImplementationWeeks', 'actualCost', 'goLiveDate', 'budgetOverrunPercent', 'incidentCount');
+
 /**
  * Healthcare API Gateway with patent-protected intelligent routing
  */
 class HealthcareAPIGateway {
-  constructor(transformationEngine, metisClient = null, jobStore = null) {
+  constructor(transformationEngine, metisClient = null, jobStore = null, hospitalRepository = null) {
     this.transformationEngine = transformationEngine;
     this.metisClient = metisClient;
     this.jobStore = jobStore; // New: Accept jobStore
+    this.hospitalRepository = hospitalRepository; // Draft persistence (HospitalRepository)
     this.router = express.Router();
     this.requestMetrics = {
       totalRequests: 0,
@@ -45,11 +118,25 @@ class HealthcareAPIGateway {
       routingAccuracy: 0.95
     };
     this.documentGenerator = new RealDocumentGenerator(); // Initialize document generator
+    this.transformationStreams = new Map(); // transformationId -> open SSE subscribers
+    this.scenarioComparison = new ScenarioComparison(transformationEngine);
+    this.batchTransformation = new BatchTransformation(transformationEngine);
+    this.peerBenchmark = new PeerBenchmark(transformationEngine);
     this.setupMiddleware();
     this.setupRoutes();
+    this.subscribeToTransformationEvents();
 
     // Init quality validator with schema loader
     this.qualityValidation = new QualityValidationEngine(() => this.loadQuestionnaireSchema());
+    this.questionnaireImporter = new QuestionnaireImporter(this.qualityValidation, {
+      schemaLoader: () => this.loadQuestionnaireSchema(),
+      sanitize: (s) => this.sanitizeString(s)
+    });
+    // Spreadsheet uploads are held in memory; nothing is written to disk
+    this.importUpload = multer({
+      storage: multer.memoryStorage(),
+      limits: { fileSize: 5 * 1024 * 1024, files: 1 }
+    }).single('file');
   }
 
   /**
@@ -87,6 +174,10 @@ class HealthcareAPIGateway {
         /^\/questionnaire\/schema$/,
         /^\/questionnaire\/defaults$/,
         /^\/questionnaire\/prepare$/,
+        /^\/questionnaire\/versions$/,
+        /^\/questionnaire\/migrate$/,
+        /^\/questionnaire\/fhir$/,
+        /^\/questionnaire\/rules$/,
         /^\/metrics\//,
         /^\/metis\/health$/
       ];
@@ -262,14 +353,36 @@ class HealthcareAPIGateway {
     this.router.get('/questionnaire/schema', this.handleGetSchema.bind(this));
     this.router.get('/questionnaire/defaults', this.handleGetDefaults.bind(this));
     this.router.post('/questionnaire/prepare', this.handlePrepareQuestionnaire.bind(this));
+    this.router.get('/questionnaire/versions', this.handleListSchemaVersions.bind(this));
+    this.router.post('/questionnaire/migrate', this.handleMigrateQuestionnaire.bind(this));
+    this.router.get('/questionnaire/fhir', this.handleGetFhirQuestionnaire.bind(this));
+    this.router.get('/questionnaire/rules', this.handleGetConsistencyRules.bind(this));
+    this.router.post('/questionnaire/import', this.handleImportUpload.bind(this), this.handleImportQuestionnaire.bind(this));
+
+    // Questionnaire drafts (save-and-resume across respondents)
+    this.router.post('/questionnaire/drafts', this.handleCreateDraft.bind(this));
+    this.router.get('/questionnaire/drafts', this.handleListDrafts.bind(this));
+    this.router.get('/questionnaire/drafts/:draftId', this.handleGetDraft.bind(this));
+    this.router.patch('/questionnaire/drafts/:draftId/answers', this.handlePatchDraftAnswers.bind(this));
+    this.router.post('/questionnaire/drafts/:draftId/submit', this.handleSubmitDraft.bind(this));
 
     // Core transformation endpoints
     this.router.post('/transform/questionnaire', this.handleQuestionnaireTransformation.bind(this));
     this.router.post('/transform/validate-input', this.handleValidateQuestionnaire.bind(this));
     this.router.post('/transform/validate-result', this.handleValidateResult.bind(this));
     this.router.get('/transform/status/:transformationId', this.handleTransformationStatus.bind(this));
+    this.router.get('/transform/events/:transformationId', this.handleTransformationEvents.bind(this));
+    this.router.get('/transform/result/:transformationId', this.handleTransformationResult.bind(this));
+    this.router.post('/transform/retry/:transformationId', this.handleTransformationRetry.bind(this));
+    this.router.post('/transform/scenarios', this.handleScenarioComparison.bind(this));
+    this.router.post('/transform/batch', this.handleBatchTransformation.bind(this));
+    this.router.get('/transform/diff/:baseId/:compareId', this.handleTransformationDiff.bind(this));
+    this.router.post('/transform/replay/:transformationId', this.handleTransformationReplay.bind(this));
     this.router.post('/transform/validate', this.handleSpecificationValidation.bind(this));
     this.router.get('/transform/documents/:transformationId', this.handleDocumentGeneration.bind(this));
+    this.router.put('/transform/outcome/:transformationId', this.handleRecordOutcome.bind(this));
+    this.router.get('/transform/outcome/:transformationId', this.handleGetOutcome.bind(this));
+    this.router.get('/benchmark/peers/:transformationId', this.handlePeerBenchmark.bind(this));
     
     // PDF Download endpoints
     this.router.get('/download/pdf/:transformationId/:type?', this.handlePDFDownload.bind(this));
@@ -281,6 +394,27 @@ class HealthcareAPIGateway {
     // Invoice download endpoint
     this.router.get('/invoices/:invoiceId', requireRole(['hospital_admin', 'finance']), this.handleInvoiceDownload.bind(this));
 
+    // FormulasEngine coefficients: tenant admins manage their overrides, platform admins the global versions
+    this.router.get('/formulas/coefficients', requireRole(COEFFICIENT_ADMIN_ROLES), this.handleGetFormulaCoefficients.bind(this));
+    this.router.get('/formulas/coefficients/versions', requireRole(COEFFICIENT_ADMIN_ROLES), this.handleListFormulaCoefficientVersions.bind(this));
+    this.router.put('/formulas/coefficients/global', requireRole(['platform_admin']), this.handleUpdateFormulaCoefficients.bind(this, 'global'));
+    this.router.put('/formulas/coefficients/tenant', requireRole(COEFFICIENT_ADMIN_ROLES), this.handleUpdateFormulaCoefficients.bind(this, 'tenant'));
+
+    // Vendor catalog: shared by every tenant, so edits and imports need platform_admin
+    this.router.get('/vendors/catalog', this.handleListVendorCatalog.bind(this));
+    this.router.get('/vendors/catalog/export', this.handleExportVendorCatalog.bind(this));
+    this.router.post('/vendors/catalog/import', requireRole(['platform_admin']), this.handleImportVendorCatalog.bind(this));
+    this.router.post('/vendors/catalog', requireRole(['platform_admin']), this.handleCreateVendor.bind(this));
+    this.router.get('/vendors/catalog/:vendorId', this.handleGetVendor.bind(this));
+    this.router.get('/vendors/catalog/:vendorId/versions', this.handleListVendorVersions.bind(this));
+    this.router.put('/vendors/catalog/:vendorId', requireRole(['platform_admin']), this.handleUpdateVendor.bind(this));
+    this.router.delete('/vendors/catalog/:vendorId', requireRole(['platform_admin']), this.handleDeleteVendor.bind(this));
+
+    // Vendor prediction models trained on the tenant's recorded outcomes
+    this.router.get('/vendors/models', this.handleListVendorModels.bind(this));
+    this.router.get('/vendors/models/accuracy', this.handleVendorModelAccuracy.bind(this));
+    this.router.post('/vendors/models/train', requireRole(COEFFICIENT_ADMIN_ROLES), this.handleTrainVendorModel.bind(this));
+
     // Hospital assessment endpoints
     this.router.post('/assess/hospital', this.handleHospitalAssessment.bind(this));
     this.router.get('/assess/vendors/:hospitalId', this.handleVendorRecommendations.bind(this));
@@ -303,10 +437,17 @@ class HealthcareAPIGateway {
   async handleValidateQuestionnaire(req, res) {
     try {
       const q = req.body?.questionnaire || {};
+      const versionError = this.checkSchemaVersion(q);
+      if (versionError) {
+        return res.status(400).json(versionError);
+      }
       const prepared = this.applySchemaDefaults(q);
-      const completeness = this.qualityValidation.validateQuestionnaireCompleteness(prepared);
-      const consistency = this.qualityValidation.validateQuestionnaireConsistency(prepared);
-      res.json({ success: true, prepared, completeness, consistency });
+      const locale = this.getRequestLocale(req);
+      const completeness = this.qualityValidation.validateQuestionnaireCompleteness(prepared, { locale });
+      const consistency = this.qualityValidation.validateQuestionnaireConsistency(prepared, { locale });
+      const answered = Object.keys(getQuestionIndex()).filter((id) => id in prepared);
+      const provenance = { ...summarizeProvenance(prepared, answered), errors: splitAnswerProvenance(q).errors };
+      res.json({ success: true, prepared, completeness, consistency, provenance });
     } catch (error) {
       logger.error('Validate questionnaire failed:', error);
       // Send Slack alert for questionnaire validation failures
@@ -341,6 +482,24 @@ class HealthcareAPIGateway {
     try {
       const startTime = Date.now();
 
+      // FHIR form tooling posts a QuestionnaireResponse, either bare or under `questionnaireResponse`
+      const fhirResponse = req.body?.resourceType === 'QuestionnaireResponse' ? req.body : req.body?.questionnaireResponse;
+      let fhirInput = null;
+      if (fhirResponse) {
+        try {
+          fhirInput = fromQuestionnaireResponse(fhirResponse);
+        } catch (conversionError) {
+          return res.status(400).json({ error: 'Invalid QuestionnaireResponse', message: conversionError.message });
+        }
+        const { hospitalId, hospitalProfile, options } = req.body.resourceType ? {} : req.body;
+        req.body = { hospitalId, hospitalProfile, options, questionnaire: fhirInput.questionnaire };
+      }
+
+      const versionError = this.checkSchemaVersion(req.body?.questionnaire);
+      if (versionError) {
+        return res.status(400).json(versionError);
+      }
+
       // Merge schema defaults and normalize input deterministically
       const prepared = this.applySchemaDefaults(req.body?.questionnaire || {});
       req.body.questionnaire = prepared;
@@ -359,40 +518,42 @@ class HealthcareAPIGateway {
         });
       }
 
+      // Reject stage enable flags and analysis options the pipeline cannot honour before anything runs
+      const optionsError = this.checkPipelineOptions(req.body.options);
+      if (optionsError) {
+        return res.status(400).json(optionsError);
+      }
+
       // Auto-generate hospitalId if not provided
       if (!req.body.hospitalId) {
         req.body.hospitalId = `hospital_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
       }
 
-      // Apply healthcare-specific routing logic
-      const routingDecision = this.makeIntelligentRoutingDecision(req.healthcareContext, req.body);
-      
-      // Process transformation with appropriate priority
-      const transformationOptions = {
-        priority: routingDecision.priority,
-        healthcareContext: req.healthcareContext,
-        processingMode: routingDecision.processingMode
-      };
+      // Async mode answers straight away; progress comes from /transform/events and /transform/status
+      if (req.body.options?.async === true || req.query?.async === 'true') {
+        const transformationId = await this.startAsyncTransformation(req.body, req.healthcareContext, this.getTenantId(req));
+        return res.status(202).json({
+          success: true,
+          transformationId,
+          status: 'queued',
+          statusUrl: `${req.baseUrl}/transform/status/${transformationId}`,
+          eventsUrl: `${req.baseUrl}/transform/events/${transformationId}`,
+          resultUrl: `${req.baseUrl}/transform/result/${transformationId}`,
+          ...(fhirInput && { fhir: { responseStatus: fhirInput.status, unknownLinkIds: fhirInput.unknownLinkIds } })
+        });
+      }
 
-      const transformationResult = await this.transformationEngine.transformQuestionnaire(
-        req.body.questionnaire,
-        transformationOptions
-      );
+      const { transformationResult, optimizedResponse } = await this.executeTransformation(req.body, req.healthcareContext, this.getTenantId(req));
 
       const processingTime = Date.now() - startTime;
 
-      // Apply healthcare context-aware response optimization
-      const optimizedResponse = this.optimizeHealthcareResponse(
-        transformationResult,
-        req.healthcareContext
-      );
-
       res.json({
         success: true,
         transformationId: transformationResult.transformationId,
         result: optimizedResponse,
         processingTime,
         healthcareContext: req.healthcareContext,
+        ...(fhirInput && { fhir: { responseStatus: fhirInput.status, unknownLinkIds: fhirInput.unknownLinkIds } }),
         patentProtected: true,
         trademarkNotice: 'Metis Transformation Engine™'
       });
@@ -406,16 +567,42 @@ class HealthcareAPIGateway {
       res.status(500).json({
         error: 'Transformation processing failed',
         message: error.message,
+        ...(error.transformationId && { transformationId: error.transformationId }),
         requestId: req.headers['x-request-id']
       });
     }
   }
 
-  // Serve schema
+  /**
+   * Route and run a prepared questionnaire through the transformation engine
+   * Shared by /transform/questionnaire and draft submission
+   */
+  async executeTransformation(body, healthcareContext, tenantId = 'default', transformationOptions = this.buildTransformationOptions(body, healthcareContext, tenantId)) {
+    const transformationResult = await this.transformationEngine.transformQuestionnaire(
+      body.questionnaire,
+      transformationOptions
+    );
+
+    // Apply healthcare context-aware response optimization
+    const optimizedResponse = this.optimizeHealthcareResponse(
+      transformationResult,
+      healthcareContext
+    );
+
+    return { transformationResult, optimizedResponse };
+  }
+
+  // Serve schema (current version unless ?version= is given) in the locale from ?locale= or Accept-Language
   handleGetSchema(req, res) {
     try {
-      const schema = this.loadQuestionnaireSchema();
-      res.json({ success: true, schema });
+      const version = req.query?.version;
+      if (version && !listSchemaVersions().includes(String(version))) {
+        return res.status(404).json({ error: 'Unknown schema version', version, availableVersions: listSchemaVersions() });
+      }
+      const locale = this.getRequestLocale(req);
+      const schema = localizeSchema(this.loadQuestionnaireSchema(version), locale);
+      res.set('Content-Language', locale);
+      res.json({ success: true, locale, availableLocales: getSupportedLocales(), schema });
     } catch (error) {
       logger.error('Schema retrieval failed:', error);
       // Send Slack alert for schema retrieval failures
@@ -426,6 +613,68 @@ class HealthcareAPIGateway {
     }
   }
 
+  // Serve the schema as a FHIR R4 Questionnaire (current version unless ?version= is given)
+  handleGetFhirQuestionnaire(req, res) {
+    try {
+      const version = req.query?.version;
+      if (version && !listSchemaVersions().includes(String(version))) {
+        return res.status(404).json({ error: 'Unknown schema version', version, availableVersions: listSchemaVersions() });
+      }
+      res.type('application/fhir+json').send(JSON.stringify(toFhirQuestionnaire(version)));
+    } catch (error) {
+      logger.error('FHIR Questionnaire export failed:', error);
+      if (process.env.SLACK_WEBHOOK_URL) {
+        sendSlack(process.env.SLACK_WEBHOOK_URL, `ERROR: FHIR Questionnaire export failed in API Gateway: ${error.message}. Request ID: ${req.headers['x-request-id'] || 'unknown'}`);
+      }
+      res.status(500).json({ error: 'FHIR Questionnaire export failed', message: error.message });
+    }
+  }
+
+  // Serve the analyst-maintained consistency rules evaluated by /transform/validate-input
+  handleGetConsistencyRules(req, res) {
+    try {
+      res.json({ success: true, rules: loadConsistencyRules() });
+    } catch (error) {
+      logger.error('Consistency rules retrieval failed:', error);
+      if (process.env.SLACK_WEBHOOK_URL) {
+        sendSlack(process.env.SLACK_WEBHOOK_URL, `ERROR: Consistency rules retrieval failed in API Gateway: ${error.message}. Request ID: ${req.headers['x-request-id'] || 'unknown'}`);
+      }
+      res.status(500).json({ error: 'Consistency rules retrieval failed', message: error.message });
+    }
+  }
+
+  // List schema versions available side by side
+  handleListSchemaVersions(req, res) {
+    try {
+      res.json({ success: true, currentVersion: getCurrentSchemaVersion(), versions: listSchemaVersions() });
+    } catch (error) {
+      logger.error('Schema version listing failed:', error);
+      res.status(500).json({ error: 'Schema version listing failed', message: error.message });
+    }
+  }
+
+  // Upgrade a stamped answer set to the current schema without applying defaults
+  handleMigrateQuestionnaire(req, res) {
+    try {
+      const questionnaire = req.body?.questionnaire;
+      if (!questionnaire || typeof questionnaire !== 'object') {
+        return res.status(400).json({ error: 'questionnaire_required' });
+      }
+      const versionError = this.checkSchemaVersion(questionnaire);
+      if (versionError) {
+        return res.status(400).json(versionError);
+      }
+      const migration = migrateToCurrentSchema(questionnaire);
+      res.json({ success: true, ...migration });
+    } catch (error) {
+      logger.error('Questionnaire migration failed:', error);
+      if (process.env.SLACK_WEBHOOK_URL) {
+        sendSlack(process.env.SLACK_WEBHOOK_URL, `ERROR: Questionnaire migration failed in API Gateway: ${error.message}. Request ID: ${req.headers['x-request-id'] || 'unknown'}`);
+      }
+      res.status(400).json({ error: 'Questionnaire migration failed', message: error.message });
+    }
+  }
+
   // Serve defaults only
   handleGetDefaults(req, res) {
     try {
@@ -445,6 +694,10 @@ class HealthcareAPIGateway {
   handlePrepareQuestionnaire(req, res) {
     try {
       const partial = req.body?.questionnaire || {};
+      const versionError = this.checkSchemaVersion(partial);
+      if (versionError) {
+        return res.status(400).json(versionError);
+      }
       const prepared = this.applySchemaDefaults(partial);
       res.json({ success: true, questionnaire: prepared });
     } catch (error) {
@@ -457,45 +710,389 @@ class HealthcareAPIGateway {
     }
   }
 
-  // Load schema JSON (cached)
-  loadQuestionnaireSchema() {
-    if (!this._schemaCache) {
-      const schemaPath = path.join(__dirname, '..', 'questionnaire', 'schema.json');
-      const content = fs.readFileSync(schemaPath, 'utf8');
-      this._schemaCache = JSON.parse(content);
+  // Multipart upload: CSV or XLSX in the "file" field
+  handleImportUpload(req, res, next) {
+    this.importUpload(req, res, (error) => {
+      if (error) {
+        logger.warn('Questionnaire import upload rejected', { error: error.message });
+        return res.status(400).json({ error: 'invalid_upload', message: error.message });
+      }
+      req.body = this.sanitizeRecursive(req.body || {});
+      next();
+    });
+  }
+
+  /**
+   * Map an uploaded spreadsheet onto schema questions and report per-row problems.
+   * Nothing is transformed: clients review the report and submit the prepared questionnaires.
+   */
+  async handleImportQuestionnaire(req, res) {
+    try {
+      if (!req.file) return res.status(400).json({ error: 'file_required', message: 'Upload a CSV or XLSX file in the "file" field' });
+
+      let columnMap = {};
+      if (req.body.columnMap) {
+        try {
+          columnMap = typeof req.body.columnMap === 'string' ? JSON.parse(req.body.columnMap) : req.body.columnMap;
+        } catch (parseError) {
+          return res.status(400).json({ error: 'invalid_column_map', message: 'columnMap must be a JSON object of header -> question id' });
+        }
+      }
+
+      const report = await this.questionnaireImporter.importFile(req.file.buffer, req.file, {
+        columnMap,
+        sheet: req.body.sheet,
+        locale: this.getRequestLocale(req),
+        suppliedBy: this.getRequestAuthor(req).id
+      });
+
+      // The compliance middleware runs before the upload is parsed, so the spreadsheet's cells are checked here
+      const phiViolation = this.detectPHIViolation({ body: report.rows.map((row) => row.questionnaire) });
+      if (phiViolation) {
+        this.requestMetrics.hipaaViolations += 1;
+        logger.warn('HIPAA violation detected in questionnaire import', { requestId: req.headers['x-request-id'], violation: phiViolation, ip: req.ip });
+        return res.status(400).json({
+          error: 'HIPAA compliance violation detected',
+          message: 'Uploaded file contains potential PHI in violation of HIPAA regulations',
+          violationType: phiViolation.type,
+          guidance: 'Please remove sensitive health information and retry'
+        });
+      }
+
+      res.json({ success: true, ...report });
+    } catch (error) {
+      logger.error('Questionnaire import failed:', error);
+      if (process.env.SLACK_WEBHOOK_URL) {
+        sendSlack(process.env.SLACK_WEBHOOK_URL, `ERROR: Questionnaire import failed in API Gateway: ${error.message}. Request ID: ${req.headers['x-request-id'] || 'unknown'}`);
+      }
+      res.status(400).json({ error: 'Questionnaire import failed', message: error.message });
+    }
+  }
+
+  /**
+   * Questionnaire drafts
+   * Several respondents (CIO, CISO, nursing informatics) fill their sections over days;
+   * every answer keeps its own author and timestamp until the draft is submitted.
+   */
+  async handleCreateDraft(req, res) {
+    try {
+      if (!this.hospitalRepository) return res.status(503).json({ error: 'Draft storage not configured' });
+      const hospitalId = req.body?.hospitalId || req.headers['x-hospital-id'];
+      if (!hospitalId) return res.status(400).json({ error: 'hospitalId_required' });
+      const answers = req.body?.answers || {};
+      const schemaVersion = getCurrentSchemaVersion();
+      const validation = this.validateDraftAnswers(answers, schemaVersion);
+      if (!validation.isValid) {
+        return res.status(400).json({ error: 'Invalid draft answers', details: validation.errors });
+      }
+
+      const author = this.getRequestAuthor(req);
+      const draftId = await this.hospitalRepository.createDraft({
+        tenantId: this.getTenantId(req),
+        hospitalId,
+        schemaVersion,
+        createdBy: author.id
+      });
+      if (Object.keys(validation.answers).length > 0) {
+        await this.hospitalRepository.saveDraftAnswers(draftId, validation.answers, author, validation.provenance);
+      }
+
+      const draft = await this.hospitalRepository.getDraft(draftId);
+      res.status(201).json({ success: true, draft: this.formatDraft(draft) });
+    } catch (error) {
+      logger.error('Draft creation failed:', error);
+      if (process.env.SLACK_WEBHOOK_URL) {
+        sendSlack(process.env.SLACK_WEBHOOK_URL, `ERROR: Draft creation failed in API Gateway: ${error.message}. Request ID: ${req.headers['x-request-id'] || 'unknown'}`);
+      }
+      res.status(500).json({ error: 'Draft creation failed', message: error.message });
+    }
+  }
+
+  async handleListDrafts(req, res) {
+    try {
+      if (!this.hospitalRepository) return res.status(503).json({ error: 'Draft storage not configured' });
+      const hospitalId = req.query?.hospitalId || req.headers['x-hospital-id'];
+      if (!hospitalId) return res.status(400).json({ error: 'hospitalId_required' });
+      const drafts = await this.hospitalRepository.listDraftsByHospital(this.getTenantId(req), hospitalId);
+      res.json({ success: true, hospitalId, drafts });
+    } catch (error) {
+      logger.error('Draft listing failed:', error);
+      res.status(500).json({ error: 'Draft listing failed', message: error.message });
+    }
+  }
+
+  async handleGetDraft(req, res) {
+    try {
+      const draft = await this.loadDraftForRequest(req, res);
+      if (!draft) return;
+      res.json({ success: true, draft: this.formatDraft(draft) });
+    } catch (error) {
+      logger.error('Draft retrieval failed:', error);
+      res.status(500).json({ error: 'Draft retrieval failed', message: error.message });
+    }
+  }
+
+  async handlePatchDraftAnswers(req, res) {
+    try {
+      const draft = await this.loadDraftForRequest(req, res);
+      if (!draft) return;
+      if (draft.status !== 'draft') return this.respondDraftNotEditable(res, draft);
+
+      const validation = this.validateDraftAnswers(req.body?.answers, draft.schema_version);
+      if (!validation.isValid) {
+        return res.status(400).json({ error: 'Invalid draft answers', details: validation.errors });
+      }
+
+      await this.hospitalRepository.saveDraftAnswers(draft.id, validation.answers, this.getRequestAuthor(req), validation.provenance);
+      const updated = await this.hospitalRepository.getDraft(draft.id);
+      res.json({ success: true, draft: this.formatDraft(updated) });
+    } catch (error) {
+      logger.error('Draft update failed:', error);
+      if (process.env.SLACK_WEBHOOK_URL) {
+        sendSlack(process.env.SLACK_WEBHOOK_URL, `ERROR: Draft update failed in API Gateway: ${error.message}. Request ID: ${req.headers['x-request-id'] || 'unknown'}`);
+      }
+      res.status(500).json({ error: 'Draft update failed', message: error.message });
+    }
+  }
+
+  async handleSubmitDraft(req, res) {
+    try {
+      const startTime = Date.now();
+      const draft = await this.loadDraftForRequest(req, res);
+      if (!draft) return;
+      if (draft.status !== 'draft') return this.respondDraftNotEditable(res, draft);
+
+      const answers = this.collapseDraftAnswers(draft);
+      const versionError = this.checkSchemaVersion(answers);
+      if (versionError) {
+        return res.status(400).json(versionError);
+      }
+      const questionnaire = this.applySchemaDefaults(answers);
+      const completeness = this.qualityValidation.validateQuestionnaireCompleteness(questionnaire, { locale: this.getRequestLocale(req) });
+      if (completeness.missingCount > 0) {
+        return res.status(422).json({
+          error: 'Draft is incomplete',
+          missingFields: completeness.missingFields,
+          completeness
+        });
+      }
+
+      // Claim the draft before transforming: of two concurrent submits only one runs
+      const submittedBy = this.getRequestAuthor(req).id;
+      if (!(await this.hospitalRepository.claimDraftForSubmission(draft.id, submittedBy))) {
+        return this.respondDraftNotEditable(res, await this.hospitalRepository.getDraft(draft.id));
+      }
+
+      let transformationResult;
+      let optimizedResponse;
+      try {
+        const body = { hospitalId: draft.hospital_id, questionnaire, options: req.body?.options };
+        ({ transformationResult, optimizedResponse } = await this.executeTransformation(body, req.healthcareContext, this.getTenantId(req)));
+      } catch (error) {
+        await this.hospitalRepository.releaseDraftClaim(draft.id);
+        throw error;
+      }
+      await this.hospitalRepository.markDraftSubmitted(draft.id, submittedBy, transformationResult.transformationId);
+
+      res.json({
+        success: true,
+        draftId: draft.id,
+        transformationId: transformationResult.transformationId,
+        result: optimizedResponse,
+        processingTime: Date.now() - startTime,
+        healthcareContext: req.healthcareContext
+      });
+    } catch (error) {
+      logger.error('Draft submission failed:', error);
+      if (process.env.SLACK_WEBHOOK_URL) {
+        sendSlack(process.env.SLACK_WEBHOOK_URL, `CRITICAL: Draft submission failed in API Gateway: ${error.message}. Request ID: ${req.headers['x-request-id'] || 'unknown'}`);
+      }
+      res.status(500).json({
+        error: 'Draft submission failed',
+        message: error.message,
+        ...(error.transformationId && { transformationId: error.transformationId })
+      });
+    }
+  }
+
+  // 409 for a draft that is submitted or being submitted by another request
+  respondDraftNotEditable(res, draft) {
+    if (draft.status === 'submitted') {
+      return res.status(409).json({ error: 'Draft already submitted', transformationId: draft.transformation_id });
+    }
+    return res.status(409).json({ error: 'Draft submission in progress', draftId: draft.id });
+  }
+
+  // Load a draft scoped to the caller's tenant; responds with 503/404 and returns null when unavailable
+  async loadDraftForRequest(req, res) {
+    if (!this.hospitalRepository) {
+      res.status(503).json({ error: 'Draft storage not configured' });
+      return null;
+    }
+    let draft;
+    // Draft ids are UUIDs; anything else cannot exist and would be rejected by Postgres
+    if (DRAFT_ID_PATTERN.test(req.params.draftId)) {
+      try {
+        draft = await this.hospitalRepository.getDraft(req.params.draftId);
+      } catch (error) {
+        if (error.message !== 'Draft not found') throw error;
+      }
+    }
+    if (!draft || draft.tenant_id !== this.getTenantId(req)) {
+      res.status(404).json({ error: 'Draft not found', draftId: req.params.draftId });
+      return null;
+    }
+    return draft;
+  }
+
+  // Validate answer ids against the draft's schema version and coerce values to question types
+  // Answers may be wrapped as { value, source, confidence }; the provenance is stored beside the value
+  validateDraftAnswers(answers, schemaVersion) {
+    if (!answers || typeof answers !== 'object' || Array.isArray(answers)) {
+      return { isValid: false, errors: ['answers must be an object keyed by question id'], answers: {}, provenance: {} };
+    }
+    const questionIndex = getQuestionIndex(this.loadQuestionnaireSchema(schemaVersion));
+    const split = splitAnswerProvenance(answers);
+    const errors = split.errors.map((e) => `Invalid provenance for ${e.questionId}: ${e.message}`);
+    const normalized = {};
+    for (const [questionId, value] of Object.entries(split.answers)) {
+      const question = questionIndex[questionId];
+      if (!question) {
+        errors.push(`Unknown question id for schema ${schemaVersion}: ${questionId}`);
+        continue;
+      }
+      normalized[questionId] = normalizeAnswer(value, question);
+    }
+    return { isValid: errors.length === 0, errors, answers: normalized, provenance: split.provenance };
+  }
+
+  // The respondent who saved an answer is its supplier unless the answer named another source
+  collapseDraftAnswers(draft) {
+    const questionnaire = { schemaVersion: draft.schema_version, provenance: {} };
+    for (const [questionId, answer] of Object.entries(draft.answers || {})) {
+      questionnaire[questionId] = answer.value;
+      const entry = {};
+      if (answer.source) entry.source = answer.source;
+      if (answer.answeredBy) entry.suppliedBy = answer.answeredBy;
+      if (typeof answer.confidence === 'number') entry.confidence = answer.confidence;
+      if (Object.keys(entry).length > 0) questionnaire.provenance[questionId] = entry;
+    }
+    return questionnaire;
+  }
+
+  formatDraft(draft) {
+    const answers = this.collapseDraftAnswers(draft);
+    return {
+      draftId: draft.id,
+      hospitalId: draft.hospital_id,
+      schemaVersion: draft.schema_version,
+      status: draft.status,
+      createdBy: draft.created_by,
+      createdAt: draft.created_at,
+      updatedAt: draft.updated_at,
+      submittedBy: draft.submitted_by,
+      submittedAt: draft.submitted_at,
+      transformationId: draft.transformation_id,
+      answers: draft.answers,
+      completeness: this.qualityValidation.validateQuestionnaireCompleteness(migrateToCurrentSchema(answers).questionnaire)
+    };
+  }
+
+  getRequestAuthor(req) {
+    return {
+      id: req.user?.id || req.headers['x-user-id'] || 'anonymous',
+      role: req.user?.role || req.headers['x-role'] || null
+    };
+  }
+
+  getTenantId(req) {
+    return req.headers['x-tenant-id'] || 'default';
+  }
+
+  getRequestLocale(req) {
+    return resolveLocale(req.query?.locale, req.headers['accept-language']);
+  }
+
+  // Load schema JSON (cached in SchemaUtil)
+  loadQuestionnaireSchema(version) {
+    return loadQuestionnaireSchema(version);
+  }
+
+  /**
+   * A questionnaire stamped with a schema version this server does not have, as a 400 response body;
+   * null when it is unstamped or its version can be migrated to the current one
+   */
+  checkSchemaVersion(questionnaire) {
+    const version = questionnaire?.schemaVersion;
+    if (version === undefined || version === null || version === '') return null;
+    const availableVersions = listSchemaVersions();
+    if (availableVersions.includes(String(version))) return null;
+    return { error: 'Unknown schema version', version, availableVersions };
+  }
+
+  /**
+   * Pipeline options a transformation cannot honour, as a 400 response body; null when they are usable
+   */
+  checkPipelineOptions(options = {}) {
+    try {
+      this.transformationEngine.getPipelineStages({ stages: options?.stages });
+    } catch (pipelineError) {
+      return { error: 'Invalid pipeline options', message: pipelineError.message };
+    }
+    if (options?.rafAnalysis) {
+      const { errors } = normalizeAnalysisOptions(options.rafAnalysis);
+      if (errors.length > 0) {
+        return { error: 'Invalid RAF analysis options', details: errors };
+      }
     }
-    return this._schemaCache;
+    return null;
+  }
+
+  // Engine options for a request: routing priority plus tenant, hospital and stage flags
+  buildTransformationOptions(body, healthcareContext, tenantId = 'default', transformationId = null) {
+    // Apply healthcare-specific routing logic
+    const routingDecision = this.makeIntelligentRoutingDecision(healthcareContext, body);
+    
+    // Process transformation with appropriate priority
+    return {
+      priority: routingDecision.priority,
+      healthcareContext,
+      processingMode: routingDecision.processingMode,
+      hospitalId: body.hospitalId,
+      tenantId,
+      stages: body.options?.stages,
+      ...(body.options?.rafAnalysis && { rafAnalysis: body.options.rafAnalysis }),
+      ...(transformationId && { transformationId })
+    };
+  }
+
+  /**
+   * Queue a transformation and run it after the response is sent
+   * The run is stored as queued first so status and event requests find it straight away
+   */
+  async startAsyncTransformation(body, healthcareContext, tenantId) {
+    // The queued record stores the same options the run gets (priority, processing mode, RAF analysis)
+    const transformationOptions = this.buildTransformationOptions(body, healthcareContext, tenantId, this.transformationEngine.generateTransformationId());
+    const transformationId = await this.transformationEngine.acceptTransformation(body.questionnaire, transformationOptions);
+
+    setImmediate(async () => {
+      try {
+        await this.executeTransformation(body, healthcareContext, tenantId, transformationOptions);
+      } catch (error) {
+        // The failure is stored with the run and streamed as a `failed` event
+        logger.error(`Async transformation ${transformationId} failed:`, error);
+        if (process.env.SLACK_WEBHOOK_URL) {
+          sendSlack(process.env.SLACK_WEBHOOK_URL, `CRITICAL: Async transformation ${transformationId} failed in API Gateway: ${error.message}`);
+        }
+      }
+    });
+
+    return transformationId;
   }
 
-  // Merge defaults and normalize input for deterministic processing
+  // Migrate to the current schema, merge defaults and normalize input (stamps schemaVersion)
   applySchemaDefaults(input) {
-    const schema = this.loadQuestionnaireSchema();
-    const defaults = schema.defaults || {};
-    const merged = { ...defaults, ...input };
-    if (!merged.facilityName) merged.facilityName = 'Default Hospital';
-
-    // Normalize types
-    if (typeof merged.bedCount === 'string') merged.bedCount = parseInt(merged.bedCount) || defaults.bedCount || 100;
-    if (merged.complianceFrameworks && !Array.isArray(merged.complianceFrameworks)) {
-      merged.complianceFrameworks = String(merged.complianceFrameworks).split(',').map(s => s.trim());
-    }
-    if (merged.clinicalSystems && !Array.isArray(merged.clinicalSystems)) {
-      merged.clinicalSystems = String(merged.clinicalSystems).split(',').map(s => s.trim());
-    }
-
-    // Normalize facilityType tokens
-    const ft = String(merged.facilityType || '').toLowerCase();
-    const normalized = {
-      academic: 'academic',
-      community: 'community',
-      specialty: 'specialty',
-      general: 'general',
-      'critical access': 'critical_access',
-      critical_access: 'critical_access',
-      multi_site: 'multi_site'
-    }[ft] || 'community';
-    merged.facilityType = normalized;
-    return merged;
+    return applySchemaDefaults(input || {});
   }
 
   /**
@@ -505,14 +1102,10 @@ class HealthcareAPIGateway {
     try {
       const { transformationId } = req.params;
       
-      // In production, would query database for transformation status
-      const status = {
-        transformationId,
-        status: 'completed',
-        progress: 100,
-        estimatedCompletion: null,
-        lastUpdated: new Date().toISOString()
-      };
+      const status = await this.transformationEngine.getTransformationStatus(transformationId, this.getTenantId(req));
+      if (!status) {
+        return res.status(404).json({ error: 'Transformation not found', transformationId });
+      }
 
       res.json({
         success: true,
@@ -526,11 +1119,602 @@ class HealthcareAPIGateway {
       if (process.env.SLACK_WEBHOOK_URL) {
         sendSlack(process.env.SLACK_WEBHOOK_URL, `ERROR: Transformation status check failed in API Gateway: ${error.message}. Request ID: ${req.headers['x-request-id'] || 'unknown'}`);
       }
-      res.status(500).json({
-        error: 'Status check failed',
-        message: error.message
-      });
+      res.status(500).json({
+        error: 'Status check failed',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Stream a transformation's pipeline events as Server-Sent Events
+   * Sends a `status` snapshot first, then stage_started / stage_completed / refinement_triggered /
+   * hospital_profile_failed / persistence_failed and closes after `completed` or `failed`
+   */
+  async handleTransformationEvents(req, res) {
+    const { transformationId } = req.params;
+    // Subscribe before reading the snapshot; events that arrive meanwhile are buffered
+    const subscriber = { res, ready: false, buffer: [] };
+    this.addTransformationSubscriber(transformationId, subscriber);
+
+    try {
+      const status = await this.transformationEngine.getTransformationStatus(transformationId, this.getTenantId(req));
+      if (!status) {
+        this.removeTransformationSubscriber(transformationId, subscriber);
+        return res.status(404).json({ error: 'Transformation not found', transformationId });
+      }
+
+      res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no'
+      });
+      res.flushHeaders();
+      this.writeServerSentEvent(res, 'status', status);
+
+      if (status.status === 'completed' || status.status === 'failed') {
+        this.removeTransformationSubscriber(transformationId, subscriber);
+        this.writeServerSentEvent(res, status.status, status.status === 'failed'
+          ? { transformationId, stage: status.failure?.stage || null, reason: status.failure?.message || null }
+          : { transformationId, qualityScore: status.qualityScore, processingTime: status.processingTimeMs });
+        return res.end();
+      }
+
+      subscriber.ready = true;
+      for (const { event, data } of subscriber.buffer.splice(0)) {
+        this.writeServerSentEvent(res, event, data);
+        if (event === 'completed' || event === 'failed') {
+          this.removeTransformationSubscriber(transformationId, subscriber);
+          return res.end();
+        }
+      }
+
+      const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+      heartbeat.unref();
+      req.on('close', () => {
+        clearInterval(heartbeat);
+        this.removeTransformationSubscriber(transformationId, subscriber);
+      });
+
+    } catch (error) {
+      this.removeTransformationSubscriber(transformationId, subscriber);
+      logger.error('Transformation event stream failed:', error);
+      if (process.env.SLACK_WEBHOOK_URL) {
+        sendSlack(process.env.SLACK_WEBHOOK_URL, `ERROR: Transformation event stream failed in API Gateway: ${error.message}. Request ID: ${req.headers['x-request-id'] || 'unknown'}`);
+      }
+      if (!res.headersSent) {
+        res.status(500).json({ error: 'Event stream failed', message: error.message });
+      } else {
+        res.end();
+      }
+    }
+  }
+
+  /**
+   * Return the stored result of a completed transformation (202 while it is still running)
+   */
+  async handleTransformationResult(req, res) {
+    try {
+      const { transformationId } = req.params;
+      const result = await this.transformationEngine.getTransformationResult(transformationId, this.getTenantId(req));
+      if (!result) {
+        return res.status(404).json({ error: 'Transformation not found', transformationId });
+      }
+      if (result.status === 'failed') {
+        return res.status(409).json({ error: 'Transformation failed', transformationId, failure: result.failure });
+      }
+      if (result.status !== 'completed') {
+        return res.status(202).json({ transformationId, status: result.status, progress: result.progress });
+      }
+
+      res.json({
+        success: true,
+        transformationId,
+        result: this.optimizeHealthcareResponse(result, req.healthcareContext),
+        healthcareContext: req.healthcareContext
+      });
+
+    } catch (error) {
+      logger.error('Transformation result lookup failed:', error);
+      if (process.env.SLACK_WEBHOOK_URL) {
+        sendSlack(process.env.SLACK_WEBHOOK_URL, `ERROR: Transformation result lookup failed in API Gateway: ${error.message}. Request ID: ${req.headers['x-request-id'] || 'unknown'}`);
+      }
+      res.status(500).json({ error: 'Result lookup failed', message: error.message });
+    }
+  }
+
+  /**
+   * Diff two stored transformation results: requirements, specification sections, phases, risks and costs
+   * `?format=markdown|html` returns the rendered change summary section instead of JSON
+   */
+  async handleTransformationDiff(req, res) {
+    try {
+      const { baseId, compareId } = req.params;
+      const format = req.query.format || 'json';
+      if (!['json', 'markdown', 'html'].includes(format)) {
+        return res.status(400).json({ error: 'Invalid format', supported: ['json', 'markdown', 'html'] });
+      }
+
+      const tenantId = this.getTenantId(req);
+      const [base, compare] = await Promise.all([
+        this.transformationEngine.getTransformationResult(baseId, tenantId),
+        this.transformationEngine.getTransformationResult(compareId, tenantId)
+      ]);
+      for (const [transformationId, result] of [[baseId, base], [compareId, compare]]) {
+        if (!result) {
+          return res.status(404).json({ error: 'Transformation not found', transformationId });
+        }
+        if (result.status !== 'completed') {
+          return res.status(409).json({ error: 'Transformation has no result to compare', transformationId, status: result.status });
+        }
+      }
+
+      const diff = diffTransformationResults(base, compare);
+      const documentGenerator = this.transformationEngine.documentGenerator;
+      const changeSummary = documentGenerator.generateChangeSummary(diff);
+
+      if (format === 'markdown') {
+        return res.type('text/markdown').send(documentGenerator.generateChangeSummaryMarkdown(changeSummary));
+      }
+      if (format === 'html') {
+        return res.type('text/html').send(documentGenerator.pdfGenerator.generateChangeSummaryHTML({ changeSummary }));
+      }
+
+      res.json({
+        success: true,
+        diff,
+        changeSummary,
+        healthcareContext: req.healthcareContext
+      });
+
+    } catch (error) {
+      logger.error('Transformation diff failed:', error);
+      if (process.env.SLACK_WEBHOOK_URL) {
+        sendSlack(process.env.SLACK_WEBHOOK_URL, `ERROR: Transformation diff failed in API Gateway: ${error.message}. Request ID: ${req.headers['x-request-id'] || 'unknown'}`);
+      }
+      res.status(500).json({ error: 'Transformation diff failed', message: error.message });
+    }
+  }
+
+  /**
+   * Record what actually happened on a completed transformation (duration, cost, go-live, overrun, incidents)
+   * Recording again replaces the earlier figures; outcomes are what vendor prediction models train on
+   */
+  async handleRecordOutcome(req, res) {
+    try {
+      const { transformationId } = req.params;
+      const { error, value } = TRANSFORMATION_OUTCOME_SCHEMA.validate(req.body, { abortEarly: false });
+      if (error) {
+        return res.status(400).json({ error: 'Invalid transformation outcome', details: error.details.map((d) => d.message) });
+      }
+
+      const tenantId = this.getTenantId(req);
+      const result = await this.transformationEngine.getTransformationResult(transformationId, tenantId);
+      if (!result) {
+        return res.status(404).json({ error: 'Transformation not found', transformationId });
+      }
+      if (result.status !== 'completed') {
+        return res.status(409).json({ error: 'Outcomes can only be recorded for completed transformations', transformationId, status: result.status });
+      }
+
+      const row = await this.transformationEngine.databaseManager.upsertTransformationOutcome({
+        ...value,
+        transformationId,
+        hospitalId: result.hospitalId,
+        recordedBy: this.getRequestAuthor(req).id
+      }, tenantId);
+
+      res.json({ success: true, outcome: describeOutcome(row) });
+
+    } catch (error) {
+      logger.error('Recording transformation outcome failed:', error);
+      if (process.env.SLACK_WEBHOOK_URL) {
+        sendSlack(process.env.SLACK_WEBHOOK_URL, `ERROR: Recording transformation outcome failed in API Gateway: ${error.message}. Request ID: ${req.headers['x-request-id'] || 'unknown'}`);
+      }
+      res.status(500).json({ error: 'Recording transformation outcome failed', message: error.message });
+    }
+  }
+
+  async handleGetOutcome(req, res) {
+    try {
+      const { transformationId } = req.params;
+      const row = await this.transformationEngine.databaseManager.getTransformationOutcome(transformationId, this.getTenantId(req));
+      if (!row) {
+        return res.status(404).json({ error: 'No outcome recorded for transformation', transformationId });
+      }
+
+      res.json({ success: true, outcome: describeOutcome(row) });
+
+    } catch (error) {
+      logger.error('Loading transformation outcome failed:', error);
+      res.status(500).json({ error: 'Loading transformation outcome failed', message: error.message });
+    }
+  }
+
+  /**
+   * Compare a completed transformation's timeline, cost and feasibility with its most similar past engagements
+   * ?limit, ?minSimilarity; ?format=markdown|html returns the report appendix alone
+   */
+  async handlePeerBenchmark(req, res) {
+    try {
+      const { transformationId } = req.params;
+      const { format = 'json', ...query } = req.query;
+      if (!['json', 'markdown', 'html'].includes(format)) {
+        return res.status(400).json({ error: 'Invalid format', supported: ['json', 'markdown', 'html'] });
+      }
+      const { error, value } = PEER_BENCHMARK_OPTIONS_SCHEMA.validate(query, { abortEarly: false });
+      if (error) {
+        return res.status(400).json({ error: 'Invalid peer benchmark options', details: error.details.map((d) => d.message) });
+      }
+
+      const tenantId = this.getTenantId(req);
+      const result = await this.transformationEngine.getTransformationResult(transformationId, tenantId);
+      if (!result) {
+        return res.status(404).json({ error: 'Transformation not found', transformationId });
+      }
+      if (result.status !== 'completed') {
+        return res.status(409).json({ error: 'Transformation has no result to benchmark', transformationId, status: result.status });
+      }
+
+      const benchmark = await this.peerBenchmark.benchmark(transformationId, tenantId, value);
+      const documentGenerator = this.transformationEngine.documentGenerator;
+      const appendix = documentGenerator.generatePeerBenchmarkAppendix(benchmark);
+
+      if (format === 'markdown') {
+        return res.type('text/markdown').send(documentGenerator.generatePeerBenchmarkMarkdown(appendix));
+      }
+      if (format === 'html') {
+        return res.type('text/html').send(documentGenerator.pdfGenerator.generatePeerBenchmarkHTML({ appendices: { peerBenchmark: appendix } }));
+      }
+
+      res.json({
+        success: true,
+        benchmark,
+        appendix,
+        healthcareContext: req.healthcareContext
+      });
+
+    } catch (error) {
+      logger.error('Peer benchmark failed:', error);
+      if (process.env.SLACK_WEBHOOK_URL) {
+        sendSlack(process.env.SLACK_WEBHOOK_URL, `ERROR: Peer benchmark failed in API Gateway: ${error.message}. Request ID: ${req.headers['x-request-id'] || 'unknown'}`);
+      }
+      res.status(500).json({ error: 'Peer benchmark failed', message: error.message });
+    }
+  }
+
+  /**
+   * Peer benchmark for the document endpoints' `peerBenchmark` body field (true or { limit, minSimilarity })
+   * @returns {Promise<{ benchmark: Object|null, status?: number, body?: Object }>} status/body describe a rejected request
+   */
+  async resolveReportPeerBenchmark(req, transformationResult) {
+    const requested = req.body.peerBenchmark;
+    if (!requested) return { benchmark: null };
+
+    const { error, value } = PEER_BENCHMARK_OPTIONS_SCHEMA.validate(requested === true ? {} : requested, { abortEarly: false });
+    if (error) {
+      return { status: 400, body: { error: 'Invalid peer benchmark options', details: error.details.map((d) => d.message) } };
+    }
+    const transformationId = transformationResult.transformationId;
+    const benchmark = transformationId
+      ? await this.peerBenchmark.benchmark(transformationId, this.getTenantId(req), value)
+      : null;
+    if (!benchmark) {
+      return { status: 409, body: { error: 'Peer benchmarks need a stored, completed transformation', transformationId: transformationId || null } };
+    }
+    return { benchmark };
+  }
+
+  /**
+   * Replay a completed transformation from its recorded inputs, clock and random seed
+   * Reports whether the current engine reproduces the stored output byte for byte, with a diff when it does not
+   */
+  async handleTransformationReplay(req, res) {
+    try {
+      const { transformationId } = req.params;
+      const tenantId = this.getTenantId(req);
+      const status = await this.transformationEngine.getTransformationStatus(transformationId, tenantId);
+      if (!status) {
+        return res.status(404).json({ error: 'Transformation not found', transformationId });
+      }
+      if (status.status !== 'completed') {
+        return res.status(409).json({ error: 'Only completed transformations can be replayed', transformationId, status: status.status });
+      }
+
+      let replay;
+      try {
+        replay = await this.transformationEngine.replayTransformation(transformationId, tenantId);
+      } catch (replayError) {
+        // Pipeline failures are reported in the replay itself; anything thrown means the run cannot be replayed
+        return res.status(409).json({ error: 'Transformation cannot be replayed', transformationId, message: replayError.message });
+      }
+
+      res.json({
+        success: true,
+        transformationId,
+        identical: replay.identical,
+        mismatches: replay.mismatches,
+        replayError: replay.replayError,
+        seed: replay.seed,
+        clock: replay.clock,
+        diff: replay.diff,
+        healthcareContext: req.healthcareContext
+      });
+
+    } catch (error) {
+      logger.error('Transformation replay failed:', error);
+      if (process.env.SLACK_WEBHOOK_URL) {
+        sendSlack(process.env.SLACK_WEBHOOK_URL, `ERROR: Transformation replay failed in API Gateway: ${error.message}. Request ID: ${req.headers['x-request-id'] || 'unknown'}`);
+      }
+      res.status(500).json({ error: 'Replay failed', message: error.message });
+    }
+  }
+
+  /**
+   * Retry a failed transformation from its failed stage (or an earlier `fromStage`)
+   * Checkpointed outputs of earlier stages are reused; `questionnaire` patches answers and
+   * `stageOutputs` patches checkpointed stage outputs before the pipeline resumes
+   */
+  async handleTransformationRetry(req, res) {
+    try {
+      const { transformationId } = req.params;
+      const schema = Joi.object({
+        fromStage: Joi.string().optional(),
+        questionnaire: Joi.object().optional(),
+        stageOutputs: Joi.object().pattern(Joi.string(), Joi.object()).optional(),
+        options: Joi.object().optional()
+      });
+      const { error: validationError, value } = schema.validate(req.body || {});
+      if (validationError) {
+        return res.status(400).json({ error: 'Invalid retry request', details: validationError.details.map(d => d.message) });
+      }
+
+      const tenantId = this.getTenantId(req);
+      const status = await this.transformationEngine.getTransformationStatus(transformationId, tenantId);
+      if (!status) {
+        return res.status(404).json({ error: 'Transformation not found', transformationId });
+      }
+      if (status.status !== 'failed') {
+        return res.status(409).json({ error: 'Only failed transformations can be retried', transformationId, status: status.status });
+      }
+
+      const startTime = Date.now();
+      const routingDecision = this.makeIntelligentRoutingDecision(req.healthcareContext, { questionnaire: value.questionnaire || {} });
+      let transformationResult;
+      try {
+        transformationResult = await this.transformationEngine.retryTransformation(transformationId, {
+          tenantId,
+          fromStage: value.fromStage,
+          patches: { questionnaire: value.questionnaire, stageOutputs: value.stageOutputs },
+          requestedBy: this.getRequestAuthor(req).id,
+          options: {
+            ...value.options,
+            priority: routingDecision.priority,
+            healthcareContext: req.healthcareContext,
+            processingMode: routingDecision.processingMode
+          }
+        });
+      } catch (retryError) {
+        // Errors raised before the pipeline restarts describe a bad retry request
+        if (!retryError.transformationId) {
+          return res.status(400).json({ error: 'Invalid retry request', message: retryError.message });
+        }
+        throw retryError;
+      }
+
+      res.json({
+        success: true,
+        transformationId,
+        attempt: transformationResult.metadata.attempts,
+        result: this.optimizeHealthcareResponse(transformationResult, req.healthcareContext),
+        processingTime: Date.now() - startTime,
+        healthcareContext: req.healthcareContext
+      });
+
+    } catch (error) {
+      logger.error('Transformation retry failed:', error);
+      if (process.env.SLACK_WEBHOOK_URL) {
+        sendSlack(process.env.SLACK_WEBHOOK_URL, `CRITICAL: Transformation retry failed in API Gateway: ${error.message}. Request ID: ${req.headers['x-request-id'] || 'unknown'}`);
+      }
+      res.status(500).json({
+        error: 'Transformation retry failed',
+        message: error.message,
+        ...(error.transformationId && { transformationId: error.transformationId }),
+        requestId: req.headers['x-request-id']
+      });
+    }
+  }
+
+  /**
+   * Compare what-if variants of one hospital's questionnaire
+   * Runs the baseline plus each scenario's overrides and returns HCS/SIDI/RAF, timeline, cost,
+   * risk and feasibility side by side; `export: 'pdf'` also renders the comparison PDF
+   */
+  async handleScenarioComparison(req, res) {
+    try {
+      const schema = Joi.object({
+        hospitalId: Joi.string().optional(),
+        questionnaire: Joi.object().required(),
+        scenarios: Joi.array().items(Joi.object({
+          name: Joi.string().max(100).required(),
+          description: Joi.string().max(500).optional(),
+          overrides: Joi.object().required()
+        })).min(1).max(MAX_SCENARIOS).required(),
+        options: Joi.object().optional(),
+        export: Joi.string().valid('json', 'pdf').optional()
+      });
+      const { error: validationError, value } = schema.validate(req.body || {});
+      if (validationError) {
+        return res.status(400).json({ error: 'Invalid scenario request', details: validationError.details.map(d => d.message) });
+      }
+
+      const scenarioErrors = this.scenarioComparison.validateScenarios(value.scenarios);
+      if (scenarioErrors.length > 0) {
+        return res.status(400).json({ error: 'Invalid scenario overrides', details: scenarioErrors });
+      }
+      const optionsError = this.checkPipelineOptions(value.options) || this.checkSchemaVersion(value.questionnaire);
+      if (optionsError) {
+        return res.status(400).json(optionsError);
+      }
+
+      const body = {
+        ...value,
+        hospitalId: value.hospitalId || `hospital_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+        questionnaire: this.applySchemaDefaults(value.questionnaire)
+      };
+      const comparison = await this.scenarioComparison.compare(
+        body.questionnaire,
+        value.scenarios,
+        this.buildTransformationOptions(body, req.healthcareContext, this.getTenantId(req))
+      );
+
+      let pdf;
+      if (value.export === 'pdf') {
+        const pdfDocument = await this.transformationEngine.documentGenerator.generateScenarioComparisonPDF(comparison);
+        pdf = {
+          filename: pdfDocument.filename,
+          size: pdfDocument.size,
+          type: pdfDocument.type,
+          downloadUrl: `/api/v1/files/pdf/${pdfDocument.filename}`,
+          metadata: pdfDocument.metadata
+        };
+      }
+
+      res.json({
+        success: true,
+        comparison,
+        ...(pdf && { pdf }),
+        healthcareContext: req.healthcareContext
+      });
+
+    } catch (error) {
+      logger.error('Scenario comparison failed:', error);
+      if (process.env.SLACK_WEBHOOK_URL) {
+        sendSlack(process.env.SLACK_WEBHOOK_URL, `ERROR: Scenario comparison failed in API Gateway: ${error.message}. Request ID: ${req.headers['x-request-id'] || 'unknown'}`);
+      }
+      res.status(500).json({ error: 'Scenario comparison failed', message: error.message });
+    }
+  }
+
+  /**
+   * Transform every facility questionnaire of a health system in one request
+   * Facilities run a few at a time; the response carries per-facility results, a system roll-up
+   * (RAF servers and cost, shared integrations, combined phasing) and, with `export: 'pdf'`, the consolidated report
+   */
+  async handleBatchTransformation(req, res) {
+    try {
+      const schema = Joi.object({
+        systemName: Joi.string().max(200).optional(),
+        facilities: Joi.array().items(Joi.object({
+          hospitalId: Joi.string().optional(),
+          questionnaire: Joi.object().required()
+        })).min(1).max(MAX_BATCH_FACILITIES).required(),
+        concurrency: Joi.number().integer().min(1).max(MAX_CONCURRENCY).optional(),
+        options: Joi.object().optional(),
+        export: Joi.string().valid('json', 'pdf').optional()
+      });
+      const { error: validationError, value } = schema.validate(req.body || {});
+      if (validationError) {
+        return res.status(400).json({ error: 'Invalid batch request', details: validationError.details.map(d => d.message) });
+      }
+
+      const optionsError = this.checkPipelineOptions(value.options);
+      if (optionsError) {
+        return res.status(400).json(optionsError);
+      }
+      const versionErrors = value.facilities
+        .map((facility, index) => ({ index, error: this.checkSchemaVersion(facility.questionnaire) }))
+        .filter(({ error }) => error);
+      if (versionErrors.length > 0) {
+        return res.status(400).json({ ...versionErrors[0].error, facilities: versionErrors.map(({ index }) => index) });
+      }
+
+      // A facility whose run fails is reported as failed; the rest of the batch still completes
+      const facilities = value.facilities.map((facility) => ({ ...facility, questionnaire: this.applySchemaDefaults(facility.questionnaire) }));
+      const batch = await this.batchTransformation.run(facilities, {
+        ...this.buildTransformationOptions(value, req.healthcareContext, this.getTenantId(req)),
+        hospitalId: undefined,
+        systemName: value.systemName,
+        concurrency: value.concurrency
+      });
+
+      let report;
+      if (value.export === 'pdf') {
+        const pdfDocument = await this.transformationEngine.documentGenerator.generateBatchReportPDF(batch);
+        report = {
+          filename: pdfDocument.filename,
+          size: pdfDocument.size,
+          type: pdfDocument.type,
+          downloadUrl: `/api/v1/files/pdf/${pdfDocument.filename}`,
+          metadata: pdfDocument.metadata
+        };
+      }
+
+      res.json({
+        success: true,
+        batch,
+        ...(report && { report }),
+        healthcareContext: req.healthcareContext
+      });
+
+    } catch (error) {
+      logger.error('Batch transformation failed:', error);
+      if (process.env.SLACK_WEBHOOK_URL) {
+        sendSlack(process.env.SLACK_WEBHOOK_URL, `ERROR: Batch transformation failed in API Gateway: ${error.message}. Request ID: ${req.headers['x-request-id'] || 'unknown'}`);
+      }
+      res.status(500).json({ error: 'Batch transformation failed', message: error.message });
+    }
+  }
+
+  /**
+   * Fan engine pipeline events out to the SSE clients watching each transformation
+   */
+  subscribeToTransformationEvents() {
+    if (typeof this.transformationEngine?.on !== 'function') return;
+
+    const forward = (event, terminal = false) => (payload) => {
+      const subscribers = this.transformationStreams.get(payload.transformationId);
+      if (!subscribers) return;
+      for (const subscriber of subscribers) {
+        if (!subscriber.ready) {
+          subscriber.buffer.push({ event, data: payload });
+          continue;
+        }
+        this.writeServerSentEvent(subscriber.res, event, payload);
+        if (terminal) {
+          subscribers.delete(subscriber);
+          subscriber.res.end();
+        }
+      }
+      if (subscribers.size === 0) this.transformationStreams.delete(payload.transformationId);
+    };
+
+    this.transformationEngine.on('stageStarted', forward('stage_started'));
+    this.transformationEngine.on('stageCompleted', forward('stage_completed'));
+    this.transformationEngine.on('refinementTriggered', forward('refinement_triggered'));
+    this.transformationEngine.on('hospitalProfileFailed', forward('hospital_profile_failed'));
+    this.transformationEngine.on('persistenceFailed', forward('persistence_failed'));
+    this.transformationEngine.on('transformationCompleted', forward('completed', true));
+    this.transformationEngine.on('transformationFailed', forward('failed', true));
+  }
+
+  addTransformationSubscriber(transformationId, subscriber) {
+    if (!this.transformationStreams.has(transformationId)) {
+      this.transformationStreams.set(transformationId, new Set());
     }
+    this.transformationStreams.get(transformationId).add(subscriber);
+  }
+
+  removeTransformationSubscriber(transformationId, subscriber) {
+    const subscribers = this.transformationStreams.get(transformationId);
+    if (!subscribers) return;
+    subscribers.delete(subscriber);
+    if (subscribers.size === 0) this.transformationStreams.delete(transformationId);
+  }
+
+  writeServerSentEvent(res, event, data) {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
   }
 
   /**
@@ -558,10 +1742,12 @@ class HealthcareAPIGateway {
         req.body,
         { healthcareContext: req.healthcareContext }
       );
+      const profileStored = await this.storeAssessedHospitalProfile(req, assessmentResult);
 
       res.json({
         success: true,
         assessment: assessmentResult,
+        profileStored,
         routing: routingDecision,
         patentClaims: ['1.a', '1.b', '1.c', '1.d', '1.e', '1.f']
       });
@@ -768,7 +1954,7 @@ class HealthcareAPIGateway {
     const issues = [];
 
     // Allow missing context for public routes handled by hipaaComplianceMiddleware skip list
-    if (!context.hospitalId && !['/questionnaire/schema', '/questionnaire/defaults', '/questionnaire/prepare', '/health'].includes(context?.path)) {
+    if (!context.hospitalId && !['/questionnaire/schema', '/questionnaire/defaults', '/questionnaire/prepare', '/questionnaire/versions', '/questionnaire/migrate', '/questionnaire/fhir', '/questionnaire/rules', '/health'].includes(context?.path)) {
       issues.push('Hospital ID is required');
     }
 
@@ -900,12 +2086,149 @@ class HealthcareAPIGateway {
     res.json({ success: true, message: 'Document generation endpoint placeholder' });
   }
 
+  /**
+   * Ranked EHR vendors for a stored hospital profile
+   * ?limit (default 5) and ?minScore (default: the assessment engine's recommendation threshold)
+   */
   async handleVendorRecommendations(req, res) {
-    res.json({ success: true, message: 'Vendor recommendations endpoint placeholder' });
+    try {
+      const { hospitalId } = req.params;
+      const { error, value } = Joi.object({
+        limit: Joi.number().integer().min(1).max(50).default(5),
+        minScore: Joi.number().min(0).max(1).default(MIN_COMPATIBILITY_SCORE)
+      }).validate(req.query, { abortEarly: false });
+      if (error) {
+        return res.status(400).json({ error: 'Invalid vendor recommendation options', details: error.details.map((d) => d.message) });
+      }
+
+      const hospitalProfile = await this.getStoredHospitalProfile(req, hospitalId);
+      if (!hospitalProfile) {
+        return res.status(404).json({ error: 'Hospital profile not found', hospitalId });
+      }
+
+      const predictionModel = await this.transformationEngine.vendorOutcomeModel.resolve(this.getTenantId(req));
+      const recommendations = await this.transformationEngine.assessmentEngine.assessVendorCompatibility(
+        hospitalProfile,
+        undefined,
+        { ...value, explain: true, predictionModel }
+      );
+
+      res.json({
+        success: true,
+        hospitalId,
+        hospitalProfile,
+        minScore: value.minScore,
+        vendors: recommendations.map((recommendation, i) => this.describeVendorAssessment(recommendation, i + 1))
+      });
+
+    } catch (error) {
+      logger.error('Vendor recommendations failed:', error);
+      if (process.env.SLACK_WEBHOOK_URL) {
+        sendSlack(process.env.SLACK_WEBHOOK_URL, `ERROR: Vendor recommendations failed in API Gateway: ${error.message}. Request ID: ${req.headers['x-request-id'] || 'unknown'}`);
+      }
+      res.status(500).json({ error: 'Vendor recommendations failed', message: error.message });
+    }
   }
 
+  /**
+   * Compatibility of one catalog EHR vendor with a stored hospital profile
+   */
   async handleCompatibilityAssessment(req, res) {
-    res.json({ success: true, message: 'Compatibility assessment endpoint placeholder' });
+    try {
+      const { hospitalId, vendorId } = req.params;
+      const hospitalProfile = await this.getStoredHospitalProfile(req, hospitalId);
+      if (!hospitalProfile) {
+        return res.status(404).json({ error: 'Hospital profile not found', hospitalId });
+      }
+
+      const vendor = await this.transformationEngine.vendorCatalog.get(vendorId);
+      if (!vendor) {
+        return res.status(404).json({ error: 'Vendor not found', vendorId });
+      }
+      if (vendor.category !== 'ehr') {
+        return res.status(422).json({ error: 'Compatibility is only assessed for EHR vendors', vendorId, category: vendor.category });
+      }
+
+      const predictionModel = await this.transformationEngine.vendorOutcomeModel.resolve(this.getTenantId(req));
+      const evaluation = await this.transformationEngine.assessmentEngine.assessVendor(vendor.name, hospitalProfile, undefined, predictionModel);
+      if (!evaluation) {
+        return res.status(404).json({ error: 'Vendor not found', vendorId });
+      }
+
+      res.json({
+        success: true,
+        hospitalId,
+        hospitalProfile,
+        recommended: evaluation.compatibilityScore > MIN_COMPATIBILITY_SCORE,
+        vendor: this.describeVendorAssessment(evaluation)
+      });
+
+    } catch (error) {
+      logger.error('Compatibility assessment failed:', error);
+      if (process.env.SLACK_WEBHOOK_URL) {
+        sendSlack(process.env.SLACK_WEBHOOK_URL, `ERROR: Compatibility assessment failed in API Gateway: ${error.message}. Request ID: ${req.headers['x-request-id'] || 'unknown'}`);
+      }
+      res.status(500).json({ error: 'Compatibility assessment failed', message: error.message });
+    }
+  }
+
+  /**
+   * Save an assessed hospital's profile for the vendor recommendation and compatibility endpoints
+   * Storage problems are logged rather than failing the assessment; returns whether the profile was saved
+   */
+  async storeAssessedHospitalProfile(req, assessmentResult) {
+    const hospitalId = req.healthcareContext?.hospitalId;
+    const locationType = HOSPITAL_LOCATION_TYPES.find((type) => type.toLowerCase() === String(req.body.location).trim().toLowerCase());
+    try {
+      await this.transformationEngine.databaseManager.upsertHospitalProfile({
+        hospitalId,
+        name: req.body.name,
+        type: req.body.type,
+        bedCount: req.body.bedCount,
+        locationType,
+        primaryEMR: req.body.primaryEMR,
+        complexityScore: typeof assessmentResult.complexityScore === 'number'
+          ? Math.round(assessmentResult.complexityScore * 10) / 10
+          : undefined
+      }, this.getTenantId(req));
+      return true;
+    } catch (error) {
+      logger.warn(`Failed to store hospital profile for ${hospitalId}:`, { error: error.message });
+      return false;
+    }
+  }
+
+  async getStoredHospitalProfile(req, hospitalId) {
+    const record = await this.transformationEngine.databaseManager.getHospitalProfile(hospitalId, this.getTenantId(req));
+    return record ? this.transformationEngine.assessmentEngine.profileFromRecord(record) : null;
+  }
+
+  // Response shape for one evaluated vendor (HospitalAssessmentEngine.evaluateVendor)
+  describeVendorAssessment(evaluation, rank = null) {
+    const round = (value) => Math.round(value * 1000) / 1000;
+    const breakdown = evaluation.compatibilityBreakdown;
+    const outcome = evaluation.deploymentOutcome || {};
+
+    return {
+      ...(rank !== null && { rank }),
+      vendorId: evaluation.vendorId,
+      vendorName: evaluation.vendorName,
+      compatibilityScore: round(evaluation.compatibilityScore),
+      ranking: round(evaluation.ranking),
+      compatibility: breakdown && {
+        baseScore: round(breakdown.base.value),
+        factors: breakdown.base.factors.map((factor) => ({ ...factor, contribution: round(factor.contribution) })),
+        mlPrediction: round(breakdown.mlPrediction),
+        weights: breakdown.weights,
+        historicalAdjustment: breakdown.historicalAdjustment,
+        vendorFactors: breakdown.vendorFactors
+      },
+      successProbability: outcome.successProbability ?? null,
+      estimatedTimelineMonths: outcome.estimatedTimeline ?? null,
+      riskFactors: outcome.riskFactors || [],
+      confidence: outcome.confidence ?? null,
+      predictionModelVersion: outcome.modelVersion ?? 0
+    };
   }
 
   async handlePatentValidationMetrics(req, res) {
@@ -973,12 +2296,17 @@ class HealthcareAPIGateway {
         });
       }
 
+      const peerBenchmark = await this.resolveReportPeerBenchmark(req, transformationResult);
+      if (peerBenchmark.status) {
+        return res.status(peerBenchmark.status).json(peerBenchmark.body);
+      }
+
       // Generate PDF using DocumentGenerator
       const documentGenerator = this.transformationEngine.documentGenerator;
       const pdfResult = await documentGenerator.generateDocuments(
         transformationResult, 
         ['pdf'], 
-        { pdfType }
+        { pdfType, peerBenchmark: peerBenchmark.benchmark }
       );
 
       const pdfDocument = pdfResult.documents.pdf;
@@ -1027,12 +2355,17 @@ class HealthcareAPIGateway {
         });
       }
 
+      const peerBenchmark = await this.resolveReportPeerBenchmark(req, transformationResult);
+      if (peerBenchmark.status) {
+        return res.status(peerBenchmark.status).json(peerBenchmark.body);
+      }
+
       // Generate Word document using DocumentGenerator
       const documentGenerator = this.transformationEngine.documentGenerator;
       const wordResult = await documentGenerator.generateDocuments(
         transformationResult, 
         ['docx'], 
-        { docxType }
+        { docxType, peerBenchmark: peerBenchmark.benchmark }
       );
 
       const wordDocument = wordResult.documents.docx;
@@ -1147,6 +2480,427 @@ class HealthcareAPIGateway {
     }
   }
 
+  /**
+   * Coefficients in effect for the caller's tenant
+   * ?global=<n>&tenant=<m> resolves an earlier combination, e.g. the one recorded with a past transformation
+   */
+  async handleGetFormulaCoefficients(req, res) {
+    try {
+      const { error, value } = Joi.object({
+        global: Joi.number().integer().min(0),
+        tenant: Joi.number().integer().min(1)
+      }).with('tenant', 'global').validate(req.query, { abortEarly: false });
+      if (error) {
+        return res.status(400).json({ error: 'Invalid coefficient version', details: error.details.map((d) => d.message) });
+      }
+
+      let resolved;
+      try {
+        resolved = await this.transformationEngine.coefficientStore.resolve(this.getTenantId(req), value);
+      } catch (versionError) {
+        if (versionError.details) {
+          return res.status(400).json({ error: versionError.message, details: versionError.details });
+        }
+        return res.status(404).json({ error: 'Coefficient version not found', message: versionError.message });
+      }
+
+      res.json({ success: true, ...resolved });
+
+    } catch (error) {
+      logger.error('Formula coefficient lookup failed:', error);
+      if (process.env.SLACK_WEBHOOK_URL) {
+        sendSlack(process.env.SLACK_WEBHOOK_URL, `ERROR: Formula coefficient lookup failed in API Gateway: ${error.message}. Request ID: ${req.headers['x-request-id'] || 'unknown'}`);
+      }
+      res.status(500).json({ error: 'Coefficient lookup failed', message: error.message });
+    }
+  }
+
+  /**
+   * Version history of the global coefficients and the caller's tenant overrides
+   */
+  async handleListFormulaCoefficientVersions(req, res) {
+    try {
+      const store = this.transformationEngine.coefficientStore;
+      const tenantId = this.getTenantId(req);
+      let tenantVersions;
+      try {
+        tenantVersions = await store.listVersions(tenantId);
+      } catch (tenantError) {
+        if (!tenantError.details) throw tenantError;
+        return res.status(400).json({ error: tenantError.message, details: tenantError.details });
+      }
+      res.json({
+        success: true,
+        global: await store.listVersions(),
+        tenant: { tenantId, versions: tenantVersions }
+      });
+
+    } catch (error) {
+      logger.error('Formula coefficient history failed:', error);
+      if (process.env.SLACK_WEBHOOK_URL) {
+        sendSlack(process.env.SLACK_WEBHOOK_URL, `ERROR: Formula coefficient history failed in API Gateway: ${error.message}. Request ID: ${req.headers['x-request-id'] || 'unknown'}`);
+      }
+      res.status(500).json({ error: 'Coefficient history failed', message: error.message });
+    }
+  }
+
+  /**
+   * Publish a new global coefficient version or tenant override version
+   * Body: { coefficients, note, replace } - `coefficients` is merged into the latest version of the scope
+   * unless `replace` is set (tenant overrides only; `{ coefficients: {}, replace: true }` clears them)
+   */
+  async handleUpdateFormulaCoefficients(scope, req, res) {
+    try {
+      const { error, value } = Joi.object({
+        coefficients: Joi.object().required(),
+        note: Joi.string().max(1000).allow(''),
+        replace: scope === 'tenant' ? Joi.boolean().default(false) : Joi.forbidden()
+      }).validate(req.body, { abortEarly: false });
+      if (error) {
+        return res.status(400).json({ error: 'Invalid coefficient update', details: error.details.map((d) => d.message) });
+      }
+
+      const store = this.transformationEngine.coefficientStore;
+      const tenantId = this.getTenantId(req);
+      const author = this.getRequestAuthor(req).id;
+      let published;
+      try {
+        published = scope === 'global'
+          ? await store.publishGlobal(value.coefficients, { author, note: value.note })
+          : await store.publishTenantOverride(tenantId, value.coefficients, { author, note: value.note, replace: value.replace });
+      } catch (publishError) {
+        if (!publishError.details) throw publishError;
+        return res.status(400).json({ error: publishError.message, details: publishError.details });
+      }
+
+      logger.info('Formula coefficients updated', { scope, tenantId, version: published.version, author });
+      await this.auditConfigurationChange(req, 'formula_coefficients', `${published.scope}@${published.version}`, 'publish', {
+        scope: published.scope,
+        version: published.version,
+        note: value.note || null
+      });
+
+      res.status(201).json({
+        success: true,
+        published,
+        effective: (await store.resolve(tenantId)).version
+      });
+
+    } catch (error) {
+      logger.error('Formula coefficient update failed:', error);
+      if (process.env.SLACK_WEBHOOK_URL) {
+        sendSlack(process.env.SLACK_WEBHOOK_URL, `ERROR: Formula coefficient update failed in API Gateway: ${error.message}. Request ID: ${req.headers['x-request-id'] || 'unknown'}`);
+      }
+      res.status(500).json({ error: 'Coefficient update failed', message: error.message });
+    }
+  }
+
+  /**
+   * Trained vendor prediction model versions of the caller's tenant, newest first (version 0, the
+   * built-in priors, is in use until the first training)
+   */
+  async handleListVendorModels(req, res) {
+    try {
+      const tenantId = this.getTenantId(req);
+      const versions = await this.transformationEngine.vendorOutcomeModel.history(tenantId);
+      res.json({ success: true, tenantId, current: versions[0]?.version ?? 0, versions });
+
+    } catch (error) {
+      logger.error('Vendor model history failed:', error);
+      res.status(500).json({ error: 'Vendor model history failed', message: error.message });
+    }
+  }
+
+  /**
+   * Train a new vendor prediction model version on the tenant's recorded outcomes
+   * Body: { note }. 422 when too few outcomes are usable for training
+   */
+  async handleTrainVendorModel(req, res) {
+    try {
+      const { error, value } = Joi.object({
+        note: Joi.string().max(1000).allow('')
+      }).validate(req.body || {}, { abortEarly: false });
+      if (error) {
+        return res.status(400).json({ error: 'Invalid training request', details: error.details.map((d) => d.message) });
+      }
+
+      const tenantId = this.getTenantId(req);
+      const author = this.getRequestAuthor(req).id;
+      const trained = await this.transformationEngine.vendorOutcomeModel.train(tenantId, { author, note: value.note || null });
+      if (!trained.trained) {
+        return res.status(422).json({
+          error: 'Not enough recorded outcomes to train a vendor prediction model',
+          usableOutcomes: trained.sampleCount,
+          minimum: trained.minimum,
+          skipped: trained.skipped
+        });
+      }
+
+      await this.auditConfigurationChange(req, 'vendor_prediction_model', `${tenantId}@${trained.version}`, 'train', {
+        version: trained.version,
+        sampleCount: trained.sampleCount,
+        note: value.note || null
+      });
+
+      const { trained: _, ...version } = trained;
+      res.status(201).json({ success: true, ...version });
+
+    } catch (error) {
+      logger.error('Vendor model training failed:', error);
+      if (process.env.SLACK_WEBHOOK_URL) {
+        sendSlack(process.env.SLACK_WEBHOOK_URL, `ERROR: Vendor model training failed in API Gateway: ${error.message}. Request ID: ${req.headers['x-request-id'] || 'unknown'}`);
+      }
+      res.status(500).json({ error: 'Vendor model training failed', message: error.message });
+    }
+  }
+
+  /**
+   * Accuracy of a vendor prediction model version (?version, default latest): cross-validated at training
+   * time, and on the outcomes recorded now against the built-in priors
+   */
+  async handleVendorModelAccuracy(req, res) {
+    try {
+      const { error, value } = Joi.object({
+        version: Joi.number().integer().min(1)
+      }).validate(req.query, { abortEarly: false });
+      if (error) {
+        return res.status(400).json({ error: 'Invalid accuracy request', details: error.details.map((d) => d.message) });
+      }
+
+      const tenantId = this.getTenantId(req);
+      const report = await this.transformationEngine.vendorOutcomeModel.accuracyReport(tenantId, value.version ?? null);
+      if (!report) {
+        return res.status(404).json({
+          error: value.version ? 'Vendor prediction model version not found' : 'No vendor prediction model has been trained',
+          ...(value.version && { version: value.version })
+        });
+      }
+
+      res.json({ success: true, tenantId, report });
+
+    } catch (error) {
+      logger.error('Vendor model accuracy report failed:', error);
+      res.status(500).json({ error: 'Vendor model accuracy report failed', message: error.message });
+    }
+  }
+
+  /**
+   * Audit a configuration change that has already been applied, so a failed write is logged rather than reported
+   */
+  async auditConfigurationChange(req, resourceType, resourceId, action, details) {
+    await Promise.resolve(this.transformationEngine.databaseManager?.logAuditEvent(
+      'configuration', resourceType, resourceId, this.getRequestAuthor(req).id, null,
+      action, details, req.ip, req.headers['user-agent'], this.getTenantId(req)
+    )).catch((auditError) => logger.warn('Failed to audit configuration change', { resourceType, resourceId, error: auditError.message }));
+  }
+
+  /**
+   * Current vendor catalog, ?category=ehr|departmental|interface_engine to filter
+   */
+  async handleListVendorCatalog(req, res) {
+    try {
+      const { error, value } = Joi.object({
+        category: Joi.string().valid(...VENDOR_CATEGORIES)
+      }).validate(req.query);
+      if (error) {
+        return res.status(400).json({ error: 'Invalid vendor category', details: error.details.map((d) => d.message) });
+      }
+
+      const vendors = await this.transformationEngine.vendorCatalog.list(value);
+      res.json({ success: true, count: vendors.length, vendors });
+
+    } catch (error) {
+      logger.error('Vendor catalog listing failed:', error);
+      if (process.env.SLACK_WEBHOOK_URL) {
+        sendSlack(process.env.SLACK_WEBHOOK_URL, `ERROR: Vendor catalog listing failed in API Gateway: ${error.message}. Request ID: ${req.headers['x-request-id'] || 'unknown'}`);
+      }
+      res.status(500).json({ error: 'Vendor catalog listing failed', message: error.message });
+    }
+  }
+
+  async handleGetVendor(req, res) {
+    try {
+      const vendor = await this.transformationEngine.vendorCatalog.get(req.params.vendorId);
+      if (!vendor) {
+        return res.status(404).json({ error: 'Vendor not found', vendorId: req.params.vendorId });
+      }
+      res.json({ success: true, vendor });
+
+    } catch (error) {
+      logger.error('Vendor lookup failed:', error);
+      if (process.env.SLACK_WEBHOOK_URL) {
+        sendSlack(process.env.SLACK_WEBHOOK_URL, `ERROR: Vendor lookup failed in API Gateway: ${error.message}. Request ID: ${req.headers['x-request-id'] || 'unknown'}`);
+      }
+      res.status(500).json({ error: 'Vendor lookup failed', message: error.message });
+    }
+  }
+
+  /**
+   * Every version of a vendor's entry, newest first; deleted vendors keep their history
+   */
+  async handleListVendorVersions(req, res) {
+    try {
+      const versions = await this.transformationEngine.vendorCatalog.history(req.params.vendorId);
+      if (versions.length === 0) {
+        return res.status(404).json({ error: 'Vendor not found', vendorId: req.params.vendorId });
+      }
+      res.json({ success: true, vendorId: req.params.vendorId, versions });
+
+    } catch (error) {
+      logger.error('Vendor history failed:', error);
+      if (process.env.SLACK_WEBHOOK_URL) {
+        sendSlack(process.env.SLACK_WEBHOOK_URL, `ERROR: Vendor history failed in API Gateway: ${error.message}. Request ID: ${req.headers['x-request-id'] || 'unknown'}`);
+      }
+      res.status(500).json({ error: 'Vendor history failed', message: error.message });
+    }
+  }
+
+  /**
+   * Add a vendor. Body: { vendor, note }; the id defaults to one derived from the name
+   */
+  async handleCreateVendor(req, res) {
+    try {
+      const { error, value } = Joi.object({
+        vendor: VENDOR_ENTRY_SCHEMA.required(),
+        note: Joi.string().max(1000).allow('')
+      }).validate(req.body, { abortEarly: false });
+      if (error) {
+        return res.status(400).json({ error: 'Invalid vendor', details: error.details.map((d) => d.message) });
+      }
+
+      const catalog = this.transformationEngine.vendorCatalog;
+      const vendorId = value.vendor.id || vendorIdFromName(value.vendor.name);
+      if (!vendorId) {
+        return res.status(400).json({ error: 'Invalid vendor', details: ['"vendor.id" is required when the name has no letters or digits'] });
+      }
+      if (await catalog.get(vendorId)) {
+        return res.status(409).json({ error: 'Vendor already exists', vendorId });
+      }
+
+      const vendor = await catalog.create({ ...value.vendor, id: vendorId }, { author: this.getRequestAuthor(req).id, note: value.note });
+      await this.auditConfigurationChange(req, 'vendor_catalog', `${vendorId}@${vendor.version}`, 'create', { vendorId, version: vendor.version });
+      res.status(201).json({ success: true, vendor });
+
+    } catch (error) {
+      logger.error('Vendor creation failed:', error);
+      if (process.env.SLACK_WEBHOOK_URL) {
+        sendSlack(process.env.SLACK_WEBHOOK_URL, `ERROR: Vendor creation failed in API Gateway: ${error.message}. Request ID: ${req.headers['x-request-id'] || 'unknown'}`);
+      }
+      res.status(500).json({ error: 'Vendor creation failed', message: error.message });
+    }
+  }
+
+  /**
+   * Replace a vendor's entry with a new version. Body: { vendor, note }
+   */
+  async handleUpdateVendor(req, res) {
+    try {
+      const { vendorId } = req.params;
+      const { error, value } = Joi.object({
+        vendor: VENDOR_ENTRY_SCHEMA.keys({ id: Joi.string().valid(vendorId) }).required(),
+        note: Joi.string().max(1000).allow('')
+      }).validate(req.body, { abortEarly: false });
+      if (error) {
+        return res.status(400).json({ error: 'Invalid vendor', details: error.details.map((d) => d.message) });
+      }
+
+      const catalog = this.transformationEngine.vendorCatalog;
+      if (!(await catalog.get(vendorId))) {
+        return res.status(404).json({ error: 'Vendor not found', vendorId });
+      }
+
+      const vendor = await catalog.update(vendorId, value.vendor, { author: this.getRequestAuthor(req).id, note: value.note });
+      await this.auditConfigurationChange(req, 'vendor_catalog', `${vendorId}@${vendor.version}`, 'update', { vendorId, version: vendor.version });
+      res.json({ success: true, vendor });
+
+    } catch (error) {
+      logger.error('Vendor update failed:', error);
+      if (process.env.SLACK_WEBHOOK_URL) {
+        sendSlack(process.env.SLACK_WEBHOOK_URL, `ERROR: Vendor update failed in API Gateway: ${error.message}. Request ID: ${req.headers['x-request-id'] || 'unknown'}`);
+      }
+      res.status(500).json({ error: 'Vendor update failed', message: error.message });
+    }
+  }
+
+  async handleDeleteVendor(req, res) {
+    try {
+      const { vendorId } = req.params;
+      const catalog = this.transformationEngine.vendorCatalog;
+      if (!(await catalog.get(vendorId))) {
+        return res.status(404).json({ error: 'Vendor not found', vendorId });
+      }
+
+      await catalog.remove(vendorId, { author: this.getRequestAuthor(req).id, note: req.body?.note || null });
+      await this.auditConfigurationChange(req, 'vendor_catalog', vendorId, 'delete', { vendorId });
+      res.status(204).end();
+
+    } catch (error) {
+      logger.error('Vendor deletion failed:', error);
+      if (process.env.SLACK_WEBHOOK_URL) {
+        sendSlack(process.env.SLACK_WEBHOOK_URL, `ERROR: Vendor deletion failed in API Gateway: ${error.message}. Request ID: ${req.headers['x-request-id'] || 'unknown'}`);
+      }
+      res.status(500).json({ error: 'Vendor deletion failed', message: error.message });
+    }
+  }
+
+  /**
+   * Download the current catalog as a JSON document that /vendors/catalog/import accepts
+   */
+  async handleExportVendorCatalog(req, res) {
+    try {
+      const exported = await this.transformationEngine.vendorCatalog.exportCatalog();
+      res.setHeader('Content-Disposition', `attachment; filename="vendor-catalog-${exported.exportedAt.slice(0, 10)}.json"`);
+      res.json(exported);
+
+    } catch (error) {
+      logger.error('Vendor catalog export failed:', error);
+      if (process.env.SLACK_WEBHOOK_URL) {
+        sendSlack(process.env.SLACK_WEBHOOK_URL, `ERROR: Vendor catalog export failed in API Gateway: ${error.message}. Request ID: ${req.headers['x-request-id'] || 'unknown'}`);
+      }
+      res.status(500).json({ error: 'Vendor catalog export failed', message: error.message });
+    }
+  }
+
+  /**
+   * Import an exported catalog. Body: { vendors, mode, note } plus the export's own fields
+   * mode 'merge' (default) adds and updates vendors; 'replace' also deletes vendors missing from the import
+   */
+  async handleImportVendorCatalog(req, res) {
+    try {
+      const { error, value } = Joi.object({
+        format: Joi.string().valid('vendor-catalog'),
+        exportedAt: Joi.string(),
+        vendors: Joi.array().items(VENDOR_ENTRY_SCHEMA).min(1).required()
+          .unique((a, b) => (a.id || vendorIdFromName(a.name)) === (b.id || vendorIdFromName(b.name))),
+        mode: Joi.string().valid('merge', 'replace').default('merge'),
+        note: Joi.string().max(1000).allow('')
+      }).validate(req.body, { abortEarly: false });
+      if (error) {
+        return res.status(400).json({ error: 'Invalid vendor catalog import', details: error.details.map((d) => d.message) });
+      }
+
+      const summary = await this.transformationEngine.vendorCatalog.importCatalog(value.vendors, {
+        mode: value.mode,
+        author: this.getRequestAuthor(req).id,
+        note: value.note
+      });
+      await this.auditConfigurationChange(req, 'vendor_catalog', 'import', 'import', {
+        mode: value.mode,
+        created: summary.created.length,
+        updated: summary.updated.length,
+        removed: summary.removed.length
+      });
+      res.json({ success: true, mode: value.mode, ...summary });
+
+    } catch (error) {
+      logger.error('Vendor catalog import failed:', error);
+      if (process.env.SLACK_WEBHOOK_URL) {
+        sendSlack(process.env.SLACK_WEBHOOK_URL, `ERROR: Vendor catalog import failed in API Gateway: ${error.message}. Request ID: ${req.headers['x-request-id'] || 'unknown'}`);
+      }
+      res.status(500).json({ error: 'Vendor catalog import failed', message: error.message });
+    }
+  }
+
   /**
    * Send generated documents to METIS backend (mock-enabled)
    */
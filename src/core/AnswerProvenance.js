@@ -0,0 +1,130 @@
+// AnswerProvenance records where each questionnaire answer came from
+// An answer may be sent bare or wrapped as { value, source, suppliedBy, confidence };
+// a `provenance` map keyed by question id is accepted as well and rides along as answer metadata.
+//   source:     interview | document | imported | assumed (schema default applied by applySchemaDefaults)
+//   suppliedBy: free text - user id, respondent name or file
+//   confidence: 0..1, or high | medium | low as self-reported by the respondent
+
+const PROVENANCE_SOURCES = ['interview', 'document', 'imported', 'assumed'];
+const CONFIDENCE_LEVELS = { high: 0.9, medium: 0.6, low: 0.3 };
+const ENVELOPE_KEYS = ['value', 'source', 'suppliedBy', 'confidence'];
+
+// Answers below this confidence are flagged in the specification alongside assumed answers
+const LOW_CONFIDENCE_THRESHOLD = 0.5;
+const ASSUMED_CONFIDENCE = 0.3;
+
+function isPlainObject(v) {
+  return !!v && typeof v === 'object' && !Array.isArray(v);
+}
+
+// Only objects made entirely of envelope keys are unwrapped, so attachment and range answers pass through
+function isProvenanceEnvelope(value) {
+  return isPlainObject(value) && 'value' in value && Object.keys(value).every((k) => ENVELOPE_KEYS.includes(k));
+}
+
+function normalizeConfidence(confidence) {
+  if (typeof confidence === 'string') {
+    const level = CONFIDENCE_LEVELS[confidence.trim().toLowerCase()];
+    if (level !== undefined) return level;
+    confidence = Number(confidence);
+  }
+  return typeof confidence === 'number' && confidence >= 0 && confidence <= 1 ? confidence : undefined;
+}
+
+/**
+ * Validate one provenance entry; invalid fields are dropped and reported
+ * @returns {{provenance: Object|null, errors: string[]}}
+ */
+function normalizeProvenance(entry) {
+  if (!isPlainObject(entry)) return { provenance: null, errors: [] };
+  const provenance = {};
+  const errors = [];
+
+  if (entry.source !== undefined && entry.source !== null) {
+    const source = String(entry.source).trim().toLowerCase();
+    if (PROVENANCE_SOURCES.includes(source)) provenance.source = source;
+    else errors.push(`unknown source "${entry.source}" (expected ${PROVENANCE_SOURCES.join(', ')})`);
+  }
+  if (entry.suppliedBy !== undefined && entry.suppliedBy !== null && String(entry.suppliedBy).trim() !== '') {
+    provenance.suppliedBy = String(entry.suppliedBy).trim();
+  }
+  if (entry.confidence !== undefined && entry.confidence !== null && entry.confidence !== '') {
+    const confidence = normalizeConfidence(entry.confidence);
+    if (confidence !== undefined) provenance.confidence = confidence;
+    else errors.push(`confidence must be 0..1 or one of ${Object.keys(CONFIDENCE_LEVELS).join(', ')}: ${entry.confidence}`);
+  }
+
+  return { provenance: Object.keys(provenance).length > 0 ? provenance : null, errors };
+}
+
+/**
+ * Unwrap answer envelopes and merge them with a `provenance` map
+ * @param {Object} input - answers keyed by question id
+ * @returns {{answers: Object, provenance: Object, errors: Array<{questionId, message}>}}
+ */
+function splitAnswerProvenance(input = {}) {
+  const answers = {};
+  const raw = isPlainObject(input?.provenance) ? { ...input.provenance } : {};
+
+  for (const [key, value] of Object.entries(input || {})) {
+    if (key === 'provenance') continue;
+    if (isProvenanceEnvelope(value)) {
+      answers[key] = value.value;
+      const { value: _, ...entry } = value;
+      raw[key] = { ...raw[key], ...entry };
+    } else {
+      answers[key] = value;
+    }
+  }
+
+  const provenance = {};
+  const errors = [];
+  for (const [questionId, entry] of Object.entries(raw)) {
+    const result = normalizeProvenance(entry);
+    if (result.provenance) provenance[questionId] = result.provenance;
+    errors.push(...result.errors.map((message) => ({ questionId, message })));
+  }
+  return { answers, provenance, errors };
+}
+
+// 'assumed' | 'low_confidence' | null
+function getProvenanceFlag(entry) {
+  if (!entry) return null;
+  if (entry.source === 'assumed') return 'assumed';
+  if (typeof entry.confidence === 'number' && entry.confidence < LOW_CONFIDENCE_THRESHOLD) return 'low_confidence';
+  return null;
+}
+
+/**
+ * Count answers by source and list the assumed and low-confidence ones
+ * @param {Object} questionnaire - answers carrying a `provenance` map
+ * @param {string[]} questionIds - answered question ids to consider
+ */
+function summarizeProvenance(questionnaire, questionIds) {
+  const provenance = questionnaire?.provenance || {};
+  const bySource = Object.fromEntries([...PROVENANCE_SOURCES, 'unspecified'].map((s) => [s, 0]));
+  const assumed = [];
+  const lowConfidence = [];
+
+  for (const questionId of questionIds) {
+    const entry = provenance[questionId];
+    bySource[entry?.source || 'unspecified'] += 1;
+    const flag = getProvenanceFlag(entry);
+    const value = questionnaire[questionId];
+    if (flag === 'assumed') assumed.push({ questionId, value });
+    if (flag === 'low_confidence') lowConfidence.push({ questionId, value, confidence: entry.confidence, suppliedBy: entry.suppliedBy || null });
+  }
+  return { answered: questionIds.length, bySource, assumed, lowConfidence };
+}
+
+module.exports = {
+  PROVENANCE_SOURCES,
+  CONFIDENCE_LEVELS,
+  LOW_CONFIDENCE_THRESHOLD,
+  ASSUMED_CONFIDENCE,
+  isProvenanceEnvelope,
+  normalizeProvenance,
+  splitAnswerProvenance,
+  getProvenanceFlag,
+  summarizeProvenance
+};
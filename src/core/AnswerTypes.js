@@ -0,0 +1,331 @@
+// AnswerTypes normalizes and validates answers for every schema question type
+// Scalar:     text, select, multi_select, number, boolean, date (YYYY-MM-DD)
+// Structured: date_range   { start, end }            ("repeats": true -> array of ranges)
+//             number_range { min, max }
+//             table        [ { <columnId>: value } ]  (columns declared on the question)
+//             attachment   { contentType, title, size, url | data | id }  (FHIR Attachment fields)
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+const STRUCTURED_TYPES = ['date_range', 'number_range', 'table', 'attachment'];
+
+function isBlank(v) {
+  if (v === null || v === undefined) return true;
+  if (typeof v === 'string') return v.trim() === '';
+  if (Array.isArray(v)) return v.length === 0;
+  return false;
+}
+
+function parseJson(value) {
+  if (typeof value !== 'string') return value;
+  const s = value.trim();
+  if (!s.startsWith('{') && !s.startsWith('[')) return value;
+  try {
+    return JSON.parse(s);
+  } catch (_) {
+    return value;
+  }
+}
+
+function normalizeDate(value) {
+  if (value instanceof Date) return Number.isNaN(value.getTime()) ? value : value.toISOString().slice(0, 10);
+  if (typeof value !== 'string') return value;
+  const s = value.trim();
+  // Full timestamps are truncated to the calendar date
+  return /^\d{4}-\d{2}-\d{2}T/.test(s) ? s.slice(0, 10) : s;
+}
+
+function normalizeDateRange(value) {
+  const v = parseJson(value);
+  if (typeof v === 'string') {
+    // ISO 8601 interval "2026-11-20/2026-12-02" or "2026-11-20 to 2026-12-02"
+    const [start, end] = v.split(/\s*\/\s*|\s+to\s+/i);
+    return { start: normalizeDate(start || ''), end: normalizeDate(end || '') };
+  }
+  if (v && typeof v === 'object' && !Array.isArray(v)) {
+    const out = { start: normalizeDate(v.start ?? v.from ?? ''), end: normalizeDate(v.end ?? v.to ?? '') };
+    if (v.label) out.label = String(v.label);
+    return out;
+  }
+  return v;
+}
+
+function normalizeNumber(value) {
+  if (typeof value !== 'string') return value;
+  const n = Number(value.trim());
+  return Number.isFinite(n) ? n : value;
+}
+
+function normalizeNumberRange(value) {
+  const v = parseJson(value);
+  if (Array.isArray(v)) return { min: normalizeNumber(v[0]), max: normalizeNumber(v[1]) };
+  if (typeof v === 'string') {
+    const m = v.trim().match(/^(-?[\d.]+)\s*(?:-|to|–)\s*(-?[\d.]+)$/i);
+    return m ? { min: Number(m[1]), max: Number(m[2]) } : v;
+  }
+  if (v && typeof v === 'object') return { min: normalizeNumber(v.min), max: normalizeNumber(v.max) };
+  return v;
+}
+
+function normalizeTable(value, question) {
+  const rows = parseJson(value);
+  if (!Array.isArray(rows)) return rows;
+  const columns = question.columns || [];
+  return rows
+    .filter((row) => row && typeof row === 'object')
+    .map((row) => {
+      const out = {};
+      for (const [key, cell] of Object.entries(row)) {
+        const column = columns.find((c) => c.id === key);
+        out[key] = column ? normalizeAnswer(cell, column) : cell;
+      }
+      return out;
+    })
+    .filter((row) => Object.values(row).some((cell) => !isBlank(cell)));
+}
+
+function normalizeAttachment(value) {
+  const v = parseJson(value);
+  if (typeof v === 'string') return { url: v.trim() };
+  if (v && typeof v === 'object' && !Array.isArray(v)) {
+    const out = { ...v };
+    if (out.size !== undefined) out.size = normalizeNumber(out.size);
+    return out;
+  }
+  return v;
+}
+
+/**
+ * Coerce an answer to its declared question type (form posts and spreadsheets often send strings)
+ * @param {*} value - raw answer
+ * @param {Object} question - schema question (or table column)
+ * @returns {*} normalized answer; values that cannot be coerced are returned unchanged for validateAnswer to report
+ */
+function normalizeAnswer(value, question) {
+  if (value === null || value === undefined || value === '') return value;
+  switch (question.type) {
+    case 'number':
+      return normalizeNumber(value);
+    case 'boolean':
+      if (typeof value === 'boolean') return value;
+      return ['yes', 'true', '1', 'on'].includes(String(value).trim().toLowerCase());
+    case 'multi_select':
+      return Array.isArray(value) ? value : String(value).split(',').map((s) => s.trim()).filter(Boolean);
+    case 'date':
+      return normalizeDate(value);
+    case 'date_range': {
+      if (!question.repeats) return normalizeDateRange(value);
+      const parsed = parseJson(value);
+      let list;
+      if (Array.isArray(parsed)) list = parsed;
+      else if (parsed && typeof parsed === 'object') list = [parsed];
+      else list = String(parsed).split(/\s*[;\n]\s*/).filter(Boolean);
+      return list.map(normalizeDateRange);
+    }
+    case 'number_range':
+      return normalizeNumberRange(value);
+    case 'table':
+      return normalizeTable(value, question);
+    case 'attachment':
+      return normalizeAttachment(value);
+    default:
+      return value;
+  }
+}
+
+function isValidDate(s) {
+  if (typeof s !== 'string' || !ISO_DATE.test(s)) return false;
+  const d = new Date(`${s}T00:00:00Z`);
+  return !Number.isNaN(d.getTime()) && d.toISOString().slice(0, 10) === s;
+}
+
+// Validation message templates; locale bundles override them by key ("{param}" placeholders)
+const DEFAULT_MESSAGES = {
+  not_a_number: 'not a number: {value}',
+  below_min: '{value} is below the minimum of {min}',
+  above_max: '{value} is above the maximum of {max}',
+  invalid_date: 'not a valid date (YYYY-MM-DD): {value}',
+  date_before: '{value} is before {min}',
+  date_after: '{value} is after {max}',
+  expected_date_range: 'expected a date range with start and end',
+  expected_date_ranges: 'expected a list of date ranges',
+  range_start_invalid: 'start is not a valid date (YYYY-MM-DD): {value}',
+  range_end_invalid: 'end is not a valid date (YYYY-MM-DD): {value}',
+  range_start_after_end: 'start {start} is after end {end}',
+  range_item: 'range {index}: {error}',
+  expected_number_range: 'expected a numeric range (min-max): {value}',
+  number_range_incomplete: 'range needs numeric min and max',
+  number_range_inverted: 'min {min} is greater than max {max}',
+  expected_rows: 'expected a list of rows',
+  min_rows: 'at least {min} row(s) required',
+  max_rows: 'at most {max} row(s) allowed',
+  unknown_column: 'row {row}: unknown column {column}',
+  cell_required: 'row {row}: {column} is required',
+  cell_error: 'row {row}: {column} {error}',
+  expected_attachment: 'expected an attachment reference',
+  attachment_reference: 'attachment needs a url, id or inline data',
+  content_type_rejected: 'content type {contentType} not accepted ({accept})',
+  content_type_required: 'contentType is required',
+  size_not_number: 'size is not a number: {value}',
+  file_too_large: 'file exceeds {max} MB',
+  unknown_option: 'unknown option: {value}',
+  required_field: '{label} is required'
+};
+
+function formatMessage(messages, key, params = {}) {
+  const template = messages[key] || DEFAULT_MESSAGES[key] || key;
+  return template.replace(/\{(\w+)\}/g, (match, name) => (params[name] === undefined ? match : String(params[name])));
+}
+
+function validateDateRange(range, question, messages) {
+  if (!range || typeof range !== 'object' || Array.isArray(range)) return [formatMessage(messages, 'expected_date_range')];
+  const errors = [];
+  if (!isValidDate(range.start)) errors.push(formatMessage(messages, 'range_start_invalid', { value: range.start }));
+  if (!isValidDate(range.end)) errors.push(formatMessage(messages, 'range_end_invalid', { value: range.end }));
+  if (errors.length === 0 && range.start > range.end) {
+    errors.push(formatMessage(messages, 'range_start_after_end', { start: range.start, end: range.end }));
+  }
+  if (errors.length === 0) {
+    errors.push(...validateDateBounds(range.start, question, messages), ...validateDateBounds(range.end, question, messages));
+  }
+  return errors;
+}
+
+function validateDateBounds(date, question, messages) {
+  const errors = [];
+  if (question.min && date < question.min) errors.push(formatMessage(messages, 'date_before', { value: date, min: question.min }));
+  if (question.max && date > question.max) errors.push(formatMessage(messages, 'date_after', { value: date, max: question.max }));
+  return errors;
+}
+
+function validateNumberBounds(n, question, messages) {
+  const errors = [];
+  if (question.min !== undefined && n < question.min) errors.push(formatMessage(messages, 'below_min', { value: n, min: question.min }));
+  if (question.max !== undefined && n > question.max) errors.push(formatMessage(messages, 'above_max', { value: n, max: question.max }));
+  return errors;
+}
+
+// "image/*" accepts any image subtype
+function acceptsContentType(accept, contentType) {
+  if (!Array.isArray(accept) || accept.length === 0) return true;
+  const type = String(contentType || '').toLowerCase();
+  return accept.some((a) => (a.endsWith('/*') ? type.startsWith(a.slice(0, -1)) : a.toLowerCase() === type));
+}
+
+function validateTable(rows, question, messages) {
+  if (!Array.isArray(rows)) return [formatMessage(messages, 'expected_rows')];
+  const errors = [];
+  const columns = question.columns || [];
+  const columnIds = new Set(columns.map((c) => c.id));
+  if (question.minRows !== undefined && rows.length < question.minRows) errors.push(formatMessage(messages, 'min_rows', { min: question.minRows }));
+  if (question.maxRows !== undefined && rows.length > question.maxRows) errors.push(formatMessage(messages, 'max_rows', { max: question.maxRows }));
+  rows.forEach((row, i) => {
+    for (const key of Object.keys(row)) {
+      if (!columnIds.has(key)) errors.push(formatMessage(messages, 'unknown_column', { row: i + 1, column: key }));
+    }
+    for (const column of columns) {
+      const cell = row[column.id];
+      const label = column.label || column.id;
+      if (isBlank(cell)) {
+        if (column.required) errors.push(formatMessage(messages, 'cell_required', { row: i + 1, column: label }));
+        continue;
+      }
+      validateAnswer(cell, { strictOptions: true, ...column }, messages)
+        .forEach((error) => errors.push(formatMessage(messages, 'cell_error', { row: i + 1, column: label, error })));
+    }
+  });
+  return errors;
+}
+
+function validateAttachment(att, question, messages) {
+  if (!att || typeof att !== 'object' || Array.isArray(att)) return [formatMessage(messages, 'expected_attachment')];
+  const errors = [];
+  if (!att.url && !att.data && !att.id) errors.push(formatMessage(messages, 'attachment_reference'));
+  if (att.contentType && !acceptsContentType(question.accept, att.contentType)) {
+    errors.push(formatMessage(messages, 'content_type_rejected', { contentType: att.contentType, accept: question.accept.join(', ') }));
+  } else if (!att.contentType && Array.isArray(question.accept) && question.accept.length > 0) {
+    errors.push(formatMessage(messages, 'content_type_required'));
+  }
+  // Inline data is base64; three bytes per four characters
+  const size = att.size !== undefined ? Number(att.size) : att.data ? Math.floor(String(att.data).length * 0.75) : undefined;
+  if (size !== undefined && !Number.isFinite(size)) errors.push(formatMessage(messages, 'size_not_number', { value: att.size }));
+  if (question.maxSizeMb && Number.isFinite(size) && size > question.maxSizeMb * 1024 * 1024) {
+    errors.push(formatMessage(messages, 'file_too_large', { max: question.maxSizeMb }));
+  }
+  return errors;
+}
+
+/**
+ * Validate a normalized answer against its question definition.
+ * Select options are not enforced here (legacy free-text answers are mapped downstream),
+ * except for table cells, which are new and strict.
+ * @param {*} value - normalized answer
+ * @param {Object} question - schema question (labels may already be localized)
+ * @param {Object} [messages] - message templates keyed like DEFAULT_MESSAGES
+ * @returns {string[]} human-readable errors; empty when the answer is valid
+ */
+function validateAnswer(value, question, messages = DEFAULT_MESSAGES) {
+  if (isBlank(value)) return [];
+  switch (question.type) {
+    case 'number':
+      if (typeof value !== 'number' || !Number.isFinite(value)) return [formatMessage(messages, 'not_a_number', { value })];
+      return validateNumberBounds(value, question, messages);
+    case 'date':
+      if (!isValidDate(value)) return [formatMessage(messages, 'invalid_date', { value })];
+      return validateDateBounds(value, question, messages);
+    case 'date_range':
+      if (question.repeats) {
+        if (!Array.isArray(value)) return [formatMessage(messages, 'expected_date_ranges')];
+        return value.flatMap((range, i) => validateDateRange(range, question, messages)
+          .map((error) => formatMessage(messages, 'range_item', { index: i + 1, error })));
+      }
+      return validateDateRange(value, question, messages);
+    case 'number_range': {
+      if (!value || typeof value !== 'object') return [formatMessage(messages, 'expected_number_range', { value })];
+      const { min, max } = value;
+      if (typeof min !== 'number' || !Number.isFinite(min) || typeof max !== 'number' || !Number.isFinite(max)) {
+        return [formatMessage(messages, 'number_range_incomplete')];
+      }
+      if (min > max) return [formatMessage(messages, 'number_range_inverted', { min, max })];
+      return [...validateNumberBounds(min, question, messages), ...validateNumberBounds(max, question, messages)];
+    }
+    case 'table':
+      return validateTable(value, question, messages);
+    case 'attachment':
+      return validateAttachment(value, question, messages);
+    case 'select':
+      if (question.strictOptions && Array.isArray(question.options) && !question.options.includes(value)) {
+        return [formatMessage(messages, 'unknown_option', { value })];
+      }
+      return [];
+    default:
+      return [];
+  }
+}
+
+// Structured answers only count as given once their essential parts are present
+function hasAnswerValue(value, question = {}) {
+  if (isBlank(value)) return false;
+  switch (question.type) {
+    case 'date_range':
+      return question.repeats
+        ? Array.isArray(value) && value.some((r) => r && !isBlank(r.start) && !isBlank(r.end))
+        : !isBlank(value.start) && !isBlank(value.end);
+    case 'number_range':
+      return value.min !== undefined && value.min !== '' && value.max !== undefined && value.max !== '';
+    case 'table':
+      return Array.isArray(value) && value.some((row) => Object.values(row || {}).some((cell) => !isBlank(cell)));
+    case 'attachment':
+      return !!(value.url || value.data || value.id);
+    default:
+      return true;
+  }
+}
+
+module.exports = {
+  STRUCTURED_TYPES,
+  DEFAULT_MESSAGES,
+  formatMessage,
+  normalizeAnswer,
+  validateAnswer,
+  hasAnswerValue
+};
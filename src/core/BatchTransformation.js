@@ -0,0 +1,232 @@
+/**
+ * Batch Transformation for Health Systems
+ * Runs every facility questionnaire a health system sends through the transformation engine,
+ * a few at a time, and rolls the per-facility results up to the system level: aggregate RAF
+ * servers and cost, vendor integrations shared between facilities and a combined phasing plan.
+ */
+
+const winston = require('winston');
+const { summarizeTransformationResult } = require('./ScenarioComparison');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.json(),
+  transports: [
+    new winston.transports.File({ filename: 'logs/batch-transformation.log' })
+  ]
+});
+
+const MAX_BATCH_FACILITIES = 50;
+// Facilities transformed at the same time; each run persists after every stage, so this also bounds DB load
+const DEFAULT_CONCURRENCY = Number(process.env.BATCH_TRANSFORM_CONCURRENCY) || 4;
+const MAX_CONCURRENCY = 10;
+const RISK_LEVELS = ['low', 'medium', 'high', 'critical'];
+
+class BatchTransformation {
+  constructor(transformationEngine) {
+    this.transformationEngine = transformationEngine;
+  }
+
+  /**
+   * Transform each facility and build the system roll-up
+   * @param {Array} facilities - [{ hospitalId, questionnaire }] with schema defaults already applied
+   * @param {Object} options - transformation options shared by every run, plus { systemName, concurrency }
+   */
+  async run(facilities, options = {}) {
+    const startTime = Date.now();
+    const batchId = `metis-batch-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+    const { systemName, concurrency, ...transformationOptions } = options;
+    const limit = Math.min(Math.max(Number(concurrency) || DEFAULT_CONCURRENCY, 1), MAX_CONCURRENCY);
+
+    logger.info(`Starting batch ${batchId}`, { systemName, facilities: facilities.length, concurrency: limit });
+
+    const runs = await this.mapWithConcurrency(facilities, limit, (facility, index) =>
+      this.runFacility(facility, index, { ...transformationOptions, batchId })
+    );
+
+    const completed = runs.filter((r) => r.status === 'completed');
+    logger.info(`Batch ${batchId} finished`, {
+      completed: completed.length,
+      failed: runs.length - completed.length,
+      processingTime: Date.now() - startTime
+    });
+
+    return {
+      batchId,
+      systemName: systemName || null,
+      generatedAt: new Date().toISOString(),
+      processingTimeMs: Date.now() - startTime,
+      concurrency: limit,
+      facilities: runs.map(({ result, ...facility }) => facility),
+      rollup: this.buildRollup(runs)
+    };
+  }
+
+  // Run fn over items with at most `limit` in flight; results keep the input order
+  async mapWithConcurrency(items, limit, fn) {
+    const results = new Array(items.length);
+    let next = 0;
+    const worker = async () => {
+      while (next < items.length) {
+        const index = next++;
+        results[index] = await fn(items[index], index);
+      }
+    };
+    await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+    return results;
+  }
+
+  async runFacility(facility, index, options) {
+    const { questionnaire } = facility;
+    const hospitalId = facility.hospitalId || questionnaire.hospitalId || `${options.batchId}-facility-${index + 1}`;
+    const base = { index, hospitalId, facilityName: questionnaire.facilityName || `Facility ${index + 1}` };
+    try {
+      const result = await this.transformationEngine.transformQuestionnaire(questionnaire, { ...options, hospitalId });
+      return {
+        ...base,
+        status: 'completed',
+        transformationId: result.transformationId,
+        metrics: summarizeTransformationResult(result, questionnaire),
+        result
+      };
+    } catch (error) {
+      logger.warn(`Batch facility ${base.facilityName} failed`, { batchId: options.batchId, error: error.message });
+      return { ...base, status: 'failed', transformationId: error.transformationId || null, error: error.message, metrics: null, result: null };
+    }
+  }
+
+  /**
+   * System-level view over the completed facility runs
+   */
+  buildRollup(runs) {
+    const completed = runs.filter((r) => r.status === 'completed');
+    return {
+      facilities: { total: runs.length, completed: completed.length, failed: runs.length - completed.length },
+      raf: this.aggregateRaf(completed),
+      cost: this.aggregateCost(completed),
+      risk: this.summarizeRisk(completed),
+      sharedIntegrations: this.findSharedIntegrations(completed),
+      phasing: this.combinePhasing(completed)
+    };
+  }
+
+  aggregateRaf(completed) {
+    const totals = { servers: {}, totalServers: 0, totalCpuCores: 0, totalMemoryGb: 0, primaryStorageGb: 0, backupStorageGb: 0 };
+    for (const { result } of completed) {
+      const raf = result.formulas?.raf;
+      if (!raf) continue;
+      for (const [type, count] of Object.entries(raf.servers || {})) {
+        totals.servers[type] = (totals.servers[type] || 0) + count;
+        totals.totalServers += count;
+      }
+      totals.totalCpuCores += raf.totalCpuCores || 0;
+      totals.totalMemoryGb += raf.totalMemoryGb || 0;
+      totals.primaryStorageGb += raf.storage?.primaryStorageGb || 0;
+      totals.backupStorageGb += raf.storage?.backupStorageGb || 0;
+    }
+    return totals;
+  }
+
+  aggregateCost(completed) {
+    const sum = (value) => completed.reduce((total, run) => total + (Number(value(run)) || 0), 0);
+    return {
+      infrastructure: sum((run) => run.result.formulas?.raf?.estimatedCost),
+      totalEstimated: sum((run) => run.result.executiveSummary?.estimatedCost),
+      implementationBudget: sum((run) => run.result.implementationPlan?.resourceAllocation?.totalDemand?.budget),
+      byFacility: completed.map((run) => ({
+        hospitalId: run.hospitalId,
+        facilityName: run.facilityName,
+        infrastructure: run.metrics.cost.infrastructure,
+        implementationBudget: run.metrics.cost.implementationBudget
+      }))
+    };
+  }
+
+  summarizeRisk(completed) {
+    const byLevel = {};
+    let highest = null;
+    for (const run of completed) {
+      const level = run.metrics.riskLevel || 'Unknown';
+      byLevel[level] = (byLevel[level] || 0) + 1;
+      const step = RISK_LEVELS.indexOf(String(level).toLowerCase());
+      if (step !== -1 && (!highest || step > highest.step)) highest = { step, level, facilityName: run.facilityName };
+    }
+    return {
+      byLevel,
+      highestRisk: highest ? { level: highest.level, facilityName: highest.facilityName } : null,
+      totalRisks: completed.reduce((sum, run) => sum + run.metrics.riskCount, 0)
+    };
+  }
+
+  /**
+   * EHRs, departmental systems, interface engines and interface endpoints used by more than one facility
+   * These are the integrations a health system can build once and reuse
+   */
+  findSharedIntegrations(completed) {
+    const seen = new Map();
+    const note = (type, name, run) => {
+      if (!name) return;
+      const key = `${type}:${String(name).toLowerCase()}`;
+      if (!seen.has(key)) seen.set(key, { type, name: String(name), facilities: new Set() });
+      seen.get(key).facilities.add(run.facilityName);
+    };
+
+    for (const run of completed) {
+      const integration = run.result.specification?.integration || {};
+      note('ehr', integration.emr_integration?.system, run);
+      for (const department of integration.departmental_integrations?.departments || []) note('departmental_system', department, run);
+      note('interface_engine', integration.interface_engine, run);
+      for (const protocol of integration.data_exchange_protocols || []) note('protocol', protocol, run);
+      for (const entry of integration.interface_inventory?.interfaces || []) {
+        note('interface_endpoint', entry.source, run);
+        note('interface_endpoint', entry.target, run);
+      }
+    }
+
+    return [...seen.values()]
+      .filter((entry) => entry.facilities.size > 1)
+      .map((entry) => ({ type: entry.type, name: entry.name, facilityCount: entry.facilities.size, facilities: [...entry.facilities] }))
+      .sort((a, b) => b.facilityCount - a.facilityCount || a.type.localeCompare(b.type) || a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Combined phasing with system-wide phase gates: a phase starts once every facility has finished
+   * the previous one and lasts as long as the slowest facility; resources are peak concurrent demand
+   */
+  combinePhasing(completed) {
+    const phases = [];
+    for (const run of completed) {
+      for (const phase of run.result.implementationPlan?.phases || []) {
+        let combined = phases.find((p) => p.name === phase.name);
+        if (!combined) {
+          combined = { name: phase.name, facilities: 0, durationWeeks: 0, totalFacilityWeeks: 0, resources: {} };
+          phases.push(combined);
+        }
+        const duration = Number(phase.duration) || 0;
+        combined.facilities += 1;
+        combined.durationWeeks = Math.max(combined.durationWeeks, duration);
+        combined.totalFacilityWeeks += duration;
+        for (const [role, count] of Object.entries(phase.resources || {})) {
+          combined.resources[role] = (combined.resources[role] || 0) + (Number(count) || 0);
+        }
+      }
+    }
+
+    let week = 0;
+    for (const phase of phases) {
+      phase.startWeek = week;
+      week += phase.durationWeeks;
+      phase.endWeek = week;
+    }
+
+    const facilityDurations = completed.map((run) => Number(run.result.implementationPlan?.totalDuration) || 0);
+    return {
+      phases,
+      programDurationWeeks: week,
+      longestFacilityWeeks: facilityDurations.length > 0 ? Math.max(...facilityDurations) : 0,
+      sequentialDurationWeeks: facilityDurations.reduce((sum, weeks) => sum + weeks, 0)
+    };
+  }
+}
+
+module.exports = { BatchTransformation, MAX_BATCH_FACILITIES, MAX_CONCURRENCY };
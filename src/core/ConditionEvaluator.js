@@ -0,0 +1,93 @@
+// ConditionEvaluator evaluates declarative schema expressions against questionnaire answers
+// Expression forms:
+//   { "question": "clinicalSystems", "operator": "contains", "value": "pacs" }
+//   { "all": [expr, ...] }  { "any": [expr, ...] }  { "not": expr }
+// A value may reference another answer instead of a literal:
+//   { "question": "rpoHours", "operator": "gt", "value": { "question": "rtoHours" } }
+// As with FHIR enableWhen, an unanswered question only satisfies exists/notExists; every other operator,
+// negative ones (notEquals, notContains, notIn) included, is false until the question is answered.
+
+const OPERATORS = {
+  exists: (actual) => hasValue(actual),
+  notExists: (actual) => !hasValue(actual),
+  equals: (actual, expected) => toList(actual).some((a) => sameValue(a, expected)),
+  notEquals: (actual, expected) => !toList(actual).some((a) => sameValue(a, expected)),
+  contains: (actual, expected) => toList(actual).some((a) => sameValue(a, expected)),
+  notContains: (actual, expected) => !toList(actual).some((a) => sameValue(a, expected)),
+  in: (actual, expected) => toList(actual).some((a) => toList(expected).some((e) => sameValue(a, e))),
+  notIn: (actual, expected) => !toList(actual).some((a) => toList(expected).some((e) => sameValue(a, e))),
+  gt: (actual, expected) => compareNumbers(actual, expected, (a, e) => a > e),
+  gte: (actual, expected) => compareNumbers(actual, expected, (a, e) => a >= e),
+  lt: (actual, expected) => compareNumbers(actual, expected, (a, e) => a < e),
+  lte: (actual, expected) => compareNumbers(actual, expected, (a, e) => a <= e)
+};
+
+/**
+ * Evaluate a condition expression. A missing expression always evaluates to true.
+ * @param {Object|undefined} expr - condition expression
+ * @param {Object} answers - questionnaire answers keyed by question id
+ * @returns {boolean}
+ */
+function evaluateCondition(expr, answers = {}) {
+  if (!expr) return true;
+  if (Array.isArray(expr.all)) return expr.all.every((e) => evaluateCondition(e, answers));
+  if (Array.isArray(expr.any)) return expr.any.some((e) => evaluateCondition(e, answers));
+  if (expr.not) return !evaluateCondition(expr.not, answers);
+
+  const operator = OPERATORS[expr.operator || 'equals'];
+  if (!operator || !expr.question) {
+    throw new Error(`Invalid condition expression: ${JSON.stringify(expr)}`);
+  }
+  const actual = answers[expr.question];
+  if (!hasValue(actual) && !['exists', 'notExists'].includes(expr.operator)) return false;
+  if (isAnswerReference(expr.value)) {
+    const expected = answers[expr.value.question];
+    return hasValue(expected) ? operator(actual, expected) : false;
+  }
+  return operator(actual, expr.value);
+}
+
+/** Collect question ids referenced by an expression (used for dependency tracking) */
+function referencedQuestions(expr, acc = new Set()) {
+  if (!expr) return acc;
+  if (Array.isArray(expr.all)) expr.all.forEach((e) => referencedQuestions(e, acc));
+  else if (Array.isArray(expr.any)) expr.any.forEach((e) => referencedQuestions(e, acc));
+  else if (expr.not) referencedQuestions(expr.not, acc);
+  else if (expr.question) {
+    acc.add(expr.question);
+    if (isAnswerReference(expr.value)) acc.add(expr.value.question);
+  }
+  return acc;
+}
+
+function isAnswerReference(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value) && typeof value.question === 'string';
+}
+
+// Helpers
+function hasValue(v) {
+  if (v === null || v === undefined) return false;
+  if (typeof v === 'string') return v.trim() !== '';
+  if (Array.isArray(v)) return v.length > 0;
+  return true;
+}
+
+function toList(v) {
+  if (v === null || v === undefined) return [];
+  return Array.isArray(v) ? v : [v];
+}
+
+function sameValue(a, b) {
+  if (typeof a === 'string' && typeof b === 'string') return a.trim().toLowerCase() === b.trim().toLowerCase();
+  if (typeof a === 'number' || typeof b === 'number') return Number(a) === Number(b);
+  return a === b;
+}
+
+function compareNumbers(actual, expected, cmp) {
+  const a = Number(actual);
+  const e = Number(expected);
+  if (!Number.isFinite(a) || !Number.isFinite(e)) return false;
+  return cmp(a, e);
+}
+
+module.exports = { evaluateCondition, referencedQuestions, isAnswerReference, OPERATORS };
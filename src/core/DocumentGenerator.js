@@ -120,6 +120,9 @@ class DocumentGenerator {
       implementationRoadmap: await this.generateImplementationRoadmap(transformationResult, options),
       riskAssessment: await this.generateRiskAssessmentReport(transformationResult, options),
       vendorGuides: await this.generateVendorGuides(transformationResult, options),
+      changeSummary: options.changeSummary ? this.generateChangeSummary(options.changeSummary) : null,
+      formulaExplanation: this.generateFormulaExplanation(transformationResult),
+      costSensitivity: this.generateCostSensitivity(transformationResult),
       appendices: await this.generateAppendices(transformationResult, options)
     };
   }
@@ -216,6 +219,188 @@ class DocumentGenerator {
     };
   }
 
+  /**
+   * Generate the change summary section from a TransformationDiff result
+   * Pass the diff as options.changeSummary to include the section in a generated document
+   */
+  generateChangeSummary(diff) {
+    const { summary, requirements, phases, risks, costs, specificationSections } = diff;
+    const describeCounts = (counts, noun) => {
+      const parts = ['added', 'removed', 'changed'].filter((k) => counts[k] > 0).map((k) => `${counts[k]} ${k}`);
+      return parts.length > 0 ? `${this.capitalizeFirst(noun)}: ${parts.join(', ')}` : null;
+    };
+    const describeCost = (label, cost) => {
+      if (typeof cost.delta !== 'number' || cost.delta === 0) return null;
+      const direction = cost.delta > 0 ? 'up' : 'down';
+      const percent = cost.percentChange !== null ? ` (${Math.abs(cost.percentChange)}%)` : '';
+      return `${label} ${direction} ${this.formatCurrency(Math.abs(cost.delta))}${percent}: ${this.formatCurrency(cost.before)} → ${this.formatCurrency(cost.after)}`;
+    };
+    const formatValue = (value) => {
+      if (value === null || value === undefined) return '—';
+      return typeof value === 'object' ? JSON.stringify(value) : String(value);
+    };
+
+    const highlights = [
+      describeCounts(summary.requirements, 'requirements'),
+      describeCounts(summary.specificationSections, 'specification sections'),
+      describeCounts(summary.phases, 'implementation phases'),
+      describeCounts(summary.risks, 'risks'),
+      summary.riskLevel.before !== summary.riskLevel.after
+        ? `Overall risk level: ${summary.riskLevel.before || '—'} → ${summary.riskLevel.after || '—'}`
+        : null,
+      phases.totalDuration.delta
+        ? `Total duration: ${phases.totalDuration.before} → ${phases.totalDuration.after} weeks`
+        : null,
+      describeCost('Total estimated cost', costs.totalEstimated),
+      describeCost('Infrastructure cost', costs.infrastructure),
+      describeCost('Implementation budget', costs.implementationBudget)
+    ].filter(Boolean);
+
+    return {
+      title: 'Change Summary',
+      baseTransformationId: diff.base.transformationId,
+      compareTransformationId: diff.compare.transformationId,
+      hasChanges: summary.hasChanges,
+      highlights: highlights.length > 0 ? highlights : ['No differences between the two transformation results'],
+      requirementChanges: [
+        ...requirements.added.map((r) => ({ change: 'Added', item: r.key, detail: formatValue(r.description) })),
+        ...requirements.removed.map((r) => ({ change: 'Removed', item: r.key, detail: formatValue(r.description) })),
+        ...requirements.changed.map((r) => ({
+          change: 'Changed',
+          item: r.key,
+          detail: r.changes.map((c) => `${c.field}: ${formatValue(c.before)} → ${formatValue(c.after)}`).join('; ')
+        }))
+      ],
+      phaseChanges: [
+        ...phases.added.map((p) => ({ change: 'Added', item: p.name, detail: `${p.duration ?? '—'} weeks` })),
+        ...phases.removed.map((p) => ({ change: 'Removed', item: p.name, detail: `${p.duration ?? '—'} weeks` })),
+        ...phases.changed.map((p) => ({ change: 'Changed', item: p.name, detail: p.changes.map((c) => c.field).join(', ') }))
+      ],
+      riskChanges: [
+        ...risks.added.map((r) => ({ change: 'Added', item: r.key, detail: r.description || r.type })),
+        ...risks.removed.map((r) => ({ change: 'Removed', item: r.key, detail: r.description || r.type })),
+        ...risks.changed.map((r) => ({
+          change: 'Changed',
+          item: r.key,
+          detail: r.changes.map((c) => `${c.field}: ${formatValue(c.before)} → ${formatValue(c.after)}`).join('; ')
+        }))
+      ],
+      sectionChanges: [
+        ...specificationSections.added.map((section) => ({ change: 'Added', item: section, detail: '' })),
+        ...specificationSections.removed.map((section) => ({ change: 'Removed', item: section, detail: '' })),
+        ...specificationSections.changed.map((entry) => ({
+          change: 'Changed',
+          item: entry.section,
+          detail: entry.changes.map((c) => c.path).join(', ')
+        }))
+      ]
+    };
+  }
+
+  /**
+   * "How this score was calculated": the HCS, SIDI and RAF factor breakdowns as display rows
+   * Returns null for results computed before formulas carried a breakdown
+   */
+  generateFormulaExplanation(transformationResult) {
+    const breakdown = transformationResult.formulas?.breakdown;
+    if (!breakdown) return null;
+
+    const methods = {
+      weighted_sum: 'Each factor is scaled to a 0–1 value and multiplied by its weight; the weighted values add up to the score.',
+      product: 'The index starts at 1.0 and is multiplied by each factor in turn; a factor\'s contribution is how far it moved the index.',
+      unit_cost: 'Each resource is sized from bed count and complexity, rounded to whole units (with minimums) and multiplied by its unit cost.'
+    };
+    const formatNumber = (value) => (typeof value === 'number' ? String(Number(value.toFixed(4))) : value);
+    const formatRaw = (value) => {
+      if (value === null || value === undefined || value === '') return '—';
+      if (Array.isArray(value)) return value.length > 0 ? value.join(', ') : 'None';
+      if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+      return typeof value === 'number' ? Number(value.toFixed(2)).toLocaleString() : String(value);
+    };
+    const formatSigned = (value) => (value > 0 ? `+${formatNumber(value)}` : formatNumber(value));
+
+    const describe = (entry, { currency = false, signed = false } = {}) => entry && ({
+      formula: entry.formula,
+      name: entry.name,
+      value: currency ? this.formatCurrency(entry.value) : formatNumber(entry.value),
+      method: methods[entry.method] || '',
+      factors: entry.factors.map((f) => ({
+        label: f.label,
+        rawValue: formatRaw(f.rawValue),
+        normalizedValue: currency ? formatRaw(f.normalizedValue) : formatNumber(f.normalizedValue),
+        weight: currency ? this.formatCurrency(f.weight) : formatNumber(f.weight),
+        contribution: currency ? this.formatCurrency(f.contribution) : (signed ? formatSigned(f.contribution) : formatNumber(f.contribution))
+      }))
+    });
+
+    const coefficientVersion = transformationResult.metadata?.coefficientVersion?.label || null;
+    return {
+      title: 'How this score was calculated',
+      coefficientVersion,
+      note: coefficientVersion ? `Calculated with formula coefficient version ${coefficientVersion}.` : null,
+      formulas: [
+        describe(breakdown.hcs),
+        describe(breakdown.sidi, { signed: true }),
+        describe(breakdown.raf, { currency: true })
+      ].filter(Boolean)
+    };
+  }
+
+  /**
+   * Tornado and Monte Carlo cost ranges from a run with options.rafAnalysis; null otherwise
+   * Numbers are kept for the charts alongside their display labels
+   */
+  generateCostSensitivity(transformationResult) {
+    const analysis = transformationResult.formulas?.rafAnalysis;
+    if (!analysis) return null;
+
+    const { tornado, monteCarlo, assumptions } = analysis;
+    const formatUnitCost = (value) => `$${Number(value).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+    const formatInput = (input, value) => {
+      if (input.startsWith('per')) return formatUnitCost(value);
+      return typeof value === 'number' ? value.toLocaleString() : String(value);
+    };
+    const formatPercent = (value) => `${value > 0 ? '+' : ''}${Math.round(value * 100)}%`;
+    const describeRange = (measure, range, format) => ({
+      measure,
+      p10: format(range.p10),
+      p50: format(range.p50),
+      p90: format(range.p90),
+      min: format(range.min),
+      max: format(range.max)
+    });
+
+    return {
+      title: 'Cost Sensitivity and Ranges',
+      baselineCost: tornado.baselineCost,
+      baselineCostLabel: this.formatCurrency(tornado.baselineCost),
+      tornado: tornado.bars.map((bar) => ({
+        label: bar.label,
+        lowInput: formatInput(bar.input, bar.lowInput),
+        highInput: formatInput(bar.input, bar.highInput),
+        lowCost: bar.lowCost,
+        highCost: bar.highCost,
+        lowCostLabel: this.formatCurrency(bar.lowCost),
+        highCostLabel: this.formatCurrency(bar.highCost),
+        swingLabel: this.formatCurrency(bar.swing)
+      })),
+      ranges: [
+        describeRange('Estimated cost', monteCarlo.estimatedCost, (value) => this.formatCurrency(value)),
+        describeRange('Total servers', monteCarlo.totalServers, (value) => String(value))
+      ],
+      percentiles: { p10: monteCarlo.estimatedCost.p10, p50: monteCarlo.estimatedCost.p50, p90: monteCarlo.estimatedCost.p90 },
+      histogram: monteCarlo.costHistogram,
+      iterations: monteCarlo.iterations,
+      seed: monteCarlo.seed,
+      assumptions: [
+        `Bed count ${formatPercent(assumptions.bedCount.low)} to ${formatPercent(assumptions.bedCount.high)} (triangular around the reported count)`,
+        `Clinical systems ${assumptions.systemsCount.low} to +${assumptions.systemsCount.high} (uniform)`,
+        `Unit costs ${formatPercent(assumptions.unitCost.low)} to ${formatPercent(assumptions.unitCost.high)}, most likely ${formatPercent(assumptions.unitCost.mode)} (triangular)`,
+        `Timeline drawn from: ${assumptions.timelines.join(', ')}`
+      ]
+    };
+  }
+
   /**
    * Generate vendor-specific implementation guides
    * PATENT CLAIM 8.j: Vendor-specific implementation guides implementation
@@ -311,6 +496,68 @@ class DocumentGenerator {
     }
   }
 
+  /**
+   * Generate the side-by-side what-if scenario comparison PDF
+   */
+  async generateScenarioComparisonPDF(comparison, options = {}) {
+    try {
+      const pdfResult = await this.pdfGenerator.generateScenarioComparison(comparison, options);
+
+      return {
+        format: 'pdf',
+        type: 'scenario-comparison',
+        filename: pdfResult.filename,
+        path: pdfResult.path,
+        size: this.formatFileSize(pdfResult.size),
+        sizeBytes: pdfResult.size,
+        buffer: pdfResult.buffer,
+        success: pdfResult.success,
+        metadata: {
+          title: 'Hospital Transformation Scenario Comparison',
+          author: 'Metis Transformation Engine™',
+          created: new Date().toISOString(),
+          comparisonId: comparison.comparisonId,
+          transformationIds: comparison.scenarios.map((s) => s.transformationId).filter(Boolean)
+        }
+      };
+
+    } catch (error) {
+      logger.error('Scenario comparison PDF generation failed:', error);
+      throw new Error(`PDF generation failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Generate the consolidated health system report for a batch transformation
+   */
+  async generateBatchReportPDF(batch, options = {}) {
+    try {
+      const pdfResult = await this.pdfGenerator.generateBatchReport(batch, options);
+
+      return {
+        format: 'pdf',
+        type: 'system-report',
+        filename: pdfResult.filename,
+        path: pdfResult.path,
+        size: this.formatFileSize(pdfResult.size),
+        sizeBytes: pdfResult.size,
+        buffer: pdfResult.buffer,
+        success: pdfResult.success,
+        metadata: {
+          title: `${batch.systemName || 'Health System'} Consolidated Transformation Report`,
+          author: 'Metis Transformation Engine™',
+          created: new Date().toISOString(),
+          batchId: batch.batchId,
+          transformationIds: batch.facilities.map((f) => f.transformationId).filter(Boolean)
+        }
+      };
+
+    } catch (error) {
+      logger.error('Batch report PDF generation failed:', error);
+      throw new Error(`PDF generation failed: ${error.message}`);
+    }
+  }
+
   async generateDOCX(documentContent, options = {}) {
     try {
       // Determine Word document type based on options
@@ -463,6 +710,14 @@ class DocumentGenerator {
         <p>Total Risks Identified: ${documentContent.riskAssessment?.riskOverview?.totalRisks || 'N/A'}</p>
     </div>
     
+    ${documentContent.formulaExplanation ? this.pdfGenerator.generateFormulaExplanationHTML(documentContent) : ''}
+
+    ${documentContent.costSensitivity ? this.pdfGenerator.generateCostSensitivityHTML(documentContent) : ''}
+
+    ${documentContent.changeSummary ? this.pdfGenerator.generateChangeSummaryHTML(documentContent) : ''}
+
+    ${documentContent.appendices?.peerBenchmark ? this.pdfGenerator.generatePeerBenchmarkHTML(documentContent) : ''}
+    
     <footer style="margin-top: 50px; padding-top: 20px; border-top: 1px solid #ccc;">
         <p class="trademark">
             This document was generated by the Metis Transformation Engine™<br>
@@ -513,7 +768,7 @@ class DocumentGenerator {
 **Overall Risk Level:** ${documentContent.riskAssessment?.riskOverview?.overallRiskLevel || 'N/A'}  
 **Total Risks:** ${documentContent.riskAssessment?.riskOverview?.totalRisks || 'N/A'}  
 **High Priority Risks:** ${documentContent.riskAssessment?.riskOverview?.highRisks || 'N/A'}
-
+${documentContent.formulaExplanation ? `\n${this.generateFormulaExplanationMarkdown(documentContent.formulaExplanation)}\n` : ''}${documentContent.costSensitivity ? `\n${this.generateCostSensitivityMarkdown(documentContent.costSensitivity)}\n` : ''}${documentContent.changeSummary ? `\n${this.generateChangeSummaryMarkdown(documentContent.changeSummary)}\n` : ''}${documentContent.appendices?.peerBenchmark ? `\n${this.generatePeerBenchmarkMarkdown(documentContent.appendices.peerBenchmark)}\n` : ''}
 ---
 
 *This document was generated by the Metis Transformation Engine™*  
@@ -521,6 +776,81 @@ class DocumentGenerator {
     `.trim();
   }
 
+  generateChangeSummaryMarkdown(changeSummary) {
+    const table = (heading, rows) => (rows.length === 0 ? '' : `
+### ${heading}
+
+| Change | Item | Detail |
+|--------|------|--------|
+${rows.map((row) => `| ${row.change} | ${row.item} | ${String(row.detail).replace(/\|/g, '\\|')} |`).join('\n')}
+`);
+
+    return `## ${changeSummary.title}
+
+*Compared with transformation ${changeSummary.baseTransformationId}*
+
+${changeSummary.highlights.map((line) => `- ${line}`).join('\n')}
+${table('Requirements', changeSummary.requirementChanges)}${table('Implementation Phases', changeSummary.phaseChanges)}${table('Risks', changeSummary.riskChanges)}${table('Specification Sections', changeSummary.sectionChanges)}`.trim();
+  }
+
+  generatePeerBenchmarkMarkdown(appendix) {
+    const peerTable = appendix.peers.length === 0 ? '' : `
+### Peer Engagements
+
+| Peer | Similarity | Profile | Proposed Duration | Actual Duration | Proposed Cost | Actual Cost | Feasibility |
+|------|------------|---------|-------------------|-----------------|---------------|-------------|-------------|
+${appendix.peers.map((peer) => `| ${peer.label} | ${peer.similarity} | ${peer.profile} | ${peer.proposedWeeks} | ${peer.actualWeeks} | ${peer.proposedCost} | ${peer.actualCost} | ${peer.feasibility} |`).join('\n')}
+`;
+
+    return `## ${appendix.title}
+
+*${appendix.note}*
+
+${appendix.highlights.map((line) => `- ${line}`).join('\n')}
+
+| Measure | This Proposal | Peer Median | Difference | Peer Basis |
+|---------|---------------|-------------|------------|------------|
+${appendix.comparison.map((row) => `| ${row.measure} | ${row.proposed} | ${row.peerMedian} | ${row.difference} | ${row.basis} |`).join('\n')}
+${peerTable}`.trim();
+  }
+
+  generateFormulaExplanationMarkdown(explanation) {
+    return `## ${explanation.title}
+${explanation.note ? `\n*${explanation.note}*\n` : ''}
+${explanation.formulas.map((formula) => `### ${formula.name} (${formula.formula}): ${formula.value}
+
+${formula.method}
+
+| Factor | Raw Value | Normalised | Weight | Contribution |
+|--------|-----------|------------|--------|--------------|
+${formula.factors.map((f) => `| ${f.label} | ${f.rawValue} | ${f.normalizedValue} | ${f.weight} | ${f.contribution} |`).join('\n')}`).join('\n\n')}`.trim();
+  }
+
+  generateCostSensitivityMarkdown(sensitivity) {
+    const maxCount = Math.max(...sensitivity.histogram.map((bin) => bin.count), 1);
+    return `## ${sensitivity.title}
+
+*Baseline estimate ${sensitivity.baselineCostLabel}; ranges from ${sensitivity.iterations.toLocaleString()} Monte Carlo iterations (seed ${sensitivity.seed}).*
+
+| Measure | P10 | P50 | P90 |
+|---------|-----|-----|-----|
+${sensitivity.ranges.map((r) => `| ${r.measure} | ${r.p10} | ${r.p50} | ${r.p90} |`).join('\n')}
+
+### Tornado: One Input at a Time
+
+| Input | Low → High | Cost Range | Swing |
+|-------|------------|------------|-------|
+${sensitivity.tornado.map((bar) => `| ${bar.label} | ${bar.lowInput} → ${bar.highInput} | ${bar.lowCostLabel} – ${bar.highCostLabel} | ${bar.swingLabel} |`).join('\n')}
+
+### Cost Distribution
+
+\`\`\`
+${sensitivity.histogram.map((bin) => `${this.formatCurrency(bin.from).padStart(12)} ${'█'.repeat(Math.round((bin.count / maxCount) * 40))} ${bin.count}`).join('\n')}
+\`\`\`
+
+${sensitivity.assumptions.map((line) => `- ${line}`).join('\n')}`.trim();
+  }
+
   // Helper methods for document content generation
 
   generateDocumentMetadata(transformationResult, options = {}) {
@@ -582,7 +912,96 @@ class DocumentGenerator {
   async generateVendorSupportContacts(vendor) { return {}; }
   async generateVendorKnownIssues(vendor) { return []; }
   async generateVendorBestPractices(vendor) { return []; }
-  async generateAppendices(result, options) { return {}; }
+
+  /**
+   * Report appendices; options.peerBenchmark (a PeerBenchmark.benchmark result) adds the benchmarking appendix
+   */
+  async generateAppendices(result, options = {}) {
+    return {
+      ...(options.peerBenchmark && { peerBenchmark: this.generatePeerBenchmarkAppendix(options.peerBenchmark) })
+    };
+  }
+
+  /**
+   * Benchmarking appendix: the proposal against the most similar past engagements
+   * Peers' actual figures are used where an outcome was recorded, otherwise what they were proposed
+   */
+  generatePeerBenchmarkAppendix(benchmark) {
+    const { comparison, criteria } = benchmark;
+    const formatWeeks = (value) => (typeof value === 'number' ? `${Math.round(value * 10) / 10} weeks` : '—');
+    const formatCost = (value) => (typeof value === 'number' ? this.formatCurrency(value) : '—');
+    const formatScore = (value) => (typeof value === 'number' ? `${Math.round(value * 100)}%` : '—');
+    const formatPercent = (value) => (typeof value === 'number' ? `${value > 0 ? '+' : ''}${value}%` : '—');
+    const describeBasis = (measure) => (comparison.peerCount === 0
+      ? '—'
+      : `${measure.actualCount} of ${comparison.peerCount} actual`);
+    const describeOverrun = (label, measure) => {
+      if (measure.peerMedianOverrunPercent === null) return null;
+      const direction = measure.peerMedianOverrunPercent >= 0 ? 'over' : 'under';
+      return `Peers with recorded outcomes came in a median ${Math.abs(measure.peerMedianOverrunPercent)}% ${direction} their proposed ${label}`;
+    };
+    const describeDifference = (label, measure) => {
+      if (measure.differencePercent === null) return null;
+      if (measure.differencePercent === 0) return `This proposal's ${label} matches the peer median`;
+      const direction = measure.differencePercent > 0 ? 'above' : 'below';
+      return `This proposal's ${label} is ${Math.abs(measure.differencePercent)}% ${direction} the peer median`;
+    };
+
+    const highlights = comparison.peerCount === 0
+      ? [`No past engagement reached the ${criteria.minSimilarity} similarity threshold`]
+      : [
+        describeDifference('implementation duration', comparison.implementationWeeks),
+        describeDifference('estimated cost', comparison.cost),
+        describeOverrun('timeline', comparison.implementationWeeks),
+        describeOverrun('cost', comparison.cost)
+      ].filter(Boolean);
+
+    return {
+      title: 'Appendix: Peer Benchmarking',
+      note: `Compared with up to ${criteria.limit} past engagements at hospitals with a similarity of at least ${criteria.minSimilarity} `
+        + '(facility type, bed count, primary EHR, clinical systems and location). Peer medians use actual figures where an outcome was recorded.',
+      peerCount: comparison.peerCount,
+      highlights,
+      comparison: [
+        {
+          measure: 'Implementation duration',
+          proposed: formatWeeks(comparison.implementationWeeks.proposed),
+          peerMedian: formatWeeks(comparison.implementationWeeks.peerMedian),
+          difference: formatPercent(comparison.implementationWeeks.differencePercent),
+          basis: describeBasis(comparison.implementationWeeks)
+        },
+        {
+          measure: 'Estimated cost',
+          proposed: formatCost(comparison.cost.proposed),
+          peerMedian: formatCost(comparison.cost.peerMedian),
+          difference: formatPercent(comparison.cost.differencePercent),
+          basis: describeBasis(comparison.cost)
+        },
+        {
+          measure: 'Feasibility score',
+          proposed: formatScore(comparison.feasibilityScore.proposed),
+          peerMedian: formatScore(comparison.feasibilityScore.peerMedian),
+          difference: '—',
+          basis: comparison.peerCount === 0 ? '—' : 'proposed'
+        }
+      ],
+      peers: benchmark.peers.map((peer, index) => ({
+        label: peer.label || `Peer ${index + 1}`,
+        similarity: peer.similarity.toFixed(2),
+        profile: [
+          peer.profile.facilityType && this.capitalizeFirst(peer.profile.facilityType.replace(/_/g, ' ')),
+          peer.profile.bedCount !== null && `${peer.profile.bedCount} beds`,
+          peer.profile.primaryEHR && this.capitalizeFirst(peer.profile.primaryEHR),
+          peer.profile.locationType
+        ].filter(Boolean).join(', '),
+        proposedWeeks: formatWeeks(peer.proposed.implementationWeeks),
+        actualWeeks: formatWeeks(peer.actual?.implementationWeeks),
+        proposedCost: formatCost(peer.proposed.cost),
+        actualCost: formatCost(peer.actual?.cost),
+        feasibility: formatScore(peer.proposed.feasibilityScore)
+      }))
+    };
+  }
   formatCurrency(amount) { return `$${amount.toLocaleString()}`; }
   generatePhaseDeliverables(phase) { return ['Phase completion report']; }
   generatePhaseSuccessCriteria(phase) { return ['All activities completed']; }
@@ -0,0 +1,287 @@
+// FhirQuestionnaire maps the questionnaire schema to FHIR R4 and back
+// - toFhirQuestionnaire: schema.json -> Questionnaire (groups per section, enableWhen, contained answer ValueSets)
+// - fromQuestionnaireResponse: QuestionnaireResponse -> answers keyed by question id (schemaVersion stamped
+//   from the canonical reference so older forms are migrated like any other stamped answer set)
+
+const { loadQuestionnaireSchema, getQuestionIndex } = require('./SchemaUtil');
+const { isAnswerReference } = require('./ConditionEvaluator');
+const { localizeSchema, humanizeOption } = require('./LocaleUtil');
+
+const CANONICAL_BASE = (process.env.FHIR_CANONICAL_BASE || 'https://metis.health/fhir').replace(/\/$/, '');
+const QUESTIONNAIRE_ID = 'metis-hospital-intake';
+const QUESTIONNAIRE_URL = `${CANONICAL_BASE}/Questionnaire/${QUESTIONNAIRE_ID}`;
+// Schema conditions that enableWhen cannot express are carried verbatim in this extension
+const CONDITION_EXTENSION_URL = `${CANONICAL_BASE}/StructureDefinition/questionnaire-condition`;
+const MIN_VALUE_URL = 'http://hl7.org/fhir/StructureDefinition/minValue';
+const MAX_VALUE_URL = 'http://hl7.org/fhir/StructureDefinition/maxValue';
+const MAX_OCCURS_URL = 'http://hl7.org/fhir/StructureDefinition/questionnaire-maxOccurs';
+const MIME_TYPE_URL = 'http://hl7.org/fhir/StructureDefinition/mimeType';
+const MAX_SIZE_URL = 'http://hl7.org/fhir/StructureDefinition/maxSize';
+
+const ITEM_TYPES = {
+  text: 'string',
+  select: 'choice',
+  multi_select: 'choice',
+  number: 'decimal',
+  boolean: 'boolean',
+  date: 'date',
+  attachment: 'attachment'
+};
+
+// Structured answers become groups whose children are linked as "<questionId>.<part>"
+const GROUP_PARTS = {
+  date_range: [{ id: 'start', label: 'Start', type: 'date', required: true }, { id: 'end', label: 'End', type: 'date', required: true }],
+  number_range: [{ id: 'min', label: 'Minimum', type: 'number', required: true }, { id: 'max', label: 'Maximum', type: 'number', required: true }]
+};
+const GROUP_TYPES = ['table', ...Object.keys(GROUP_PARTS)];
+
+const ENABLE_WHEN_OPERATORS = {
+  exists: 'exists',
+  notExists: 'exists',
+  equals: '=',
+  contains: '=',
+  in: '=',
+  notEquals: '!=',
+  gt: '>',
+  gte: '>=',
+  lt: '<',
+  lte: '<='
+};
+
+const RESPONSE_STATUSES = ['in-progress', 'completed', 'amended'];
+
+function optionSystem(questionId) {
+  return `${CANONICAL_BASE}/CodeSystem/${questionId}`;
+}
+
+/**
+ * Build a FHIR R4 Questionnaire from a schema version
+ * @param {string} [version] - schema version; defaults to current
+ * @returns {Object} Questionnaire resource
+ */
+function toFhirQuestionnaire(version) {
+  const schema = localizeSchema(loadQuestionnaireSchema(version));
+  const index = getQuestionIndex(schema);
+  const contained = [];
+
+  const item = (schema.sections || []).map((section) => ({
+    linkId: section.id,
+    text: section.title,
+    type: 'group',
+    item: (section.questions || []).map((q) => questionItem(q, index, contained))
+  }));
+
+  return {
+    resourceType: 'Questionnaire',
+    id: QUESTIONNAIRE_ID,
+    url: QUESTIONNAIRE_URL,
+    version: String(schema.version),
+    name: 'MetisHospitalIntake',
+    title: schema.title,
+    status: 'active',
+    subjectType: ['Organization'],
+    contained,
+    item
+  };
+}
+
+function questionItem(q, index, contained) {
+  let entry;
+  if (GROUP_TYPES.includes(q.type)) {
+    // Range bounds apply to both ends of a numeric range
+    const parts = q.type === 'table'
+      ? q.columns || []
+      : GROUP_PARTS[q.type].map((part) => (part.type === 'number' ? { ...part, min: q.min, max: q.max } : part));
+    entry = {
+      linkId: q.id,
+      text: q.label,
+      type: 'group',
+      item: parts.map((part) => answerItem(part, `${q.id}.${part.id}`, contained))
+    };
+    if (q.required) entry.required = true;
+    if (q.type === 'table' || q.repeats) entry.repeats = true;
+    if (q.maxRows !== undefined) entry.extension = [{ url: MAX_OCCURS_URL, valueInteger: q.maxRows }];
+  } else {
+    entry = answerItem(q, q.id, contained);
+  }
+
+  const extension = entry.extension || [];
+  if (q.visibleWhen) {
+    const enable = toEnableWhen(q.visibleWhen, index);
+    if (enable) Object.assign(entry, enable);
+    else extension.push({ url: CONDITION_EXTENSION_URL, valueString: JSON.stringify({ visibleWhen: q.visibleWhen }) });
+  }
+  // FHIR `required` is static; conditional requirement travels in the extension
+  if (q.requiredWhen) {
+    extension.push({ url: CONDITION_EXTENSION_URL, valueString: JSON.stringify({ requiredWhen: q.requiredWhen }) });
+  }
+  if (extension.length > 0) entry.extension = extension;
+  return entry;
+}
+
+// Answerable item for a question, table column or range part
+function answerItem(def, linkId, contained) {
+  const entry = { linkId, text: def.label, type: ITEM_TYPES[def.type] || 'string' };
+  if (def.required) entry.required = true;
+  if (def.type === 'multi_select') entry.repeats = true;
+
+  if (Array.isArray(def.options)) {
+    const valueSetId = `vs-${linkId}`;
+    contained.push({
+      resourceType: 'ValueSet',
+      id: valueSetId,
+      status: 'active',
+      compose: {
+        include: [{
+          system: optionSystem(linkId),
+          concept: def.options.map((o) => ({ code: String(o), display: def.optionLabels?.[String(o)] || humanizeOption(o) }))
+        }]
+      }
+    });
+    entry.answerValueSet = `#${valueSetId}`;
+  }
+
+  const extension = [];
+  if (def.type === 'number') {
+    if (def.min !== undefined) extension.push({ url: MIN_VALUE_URL, valueDecimal: def.min });
+    if (def.max !== undefined) extension.push({ url: MAX_VALUE_URL, valueDecimal: def.max });
+  }
+  if (def.type === 'attachment') {
+    (def.accept || []).forEach((mime) => extension.push({ url: MIME_TYPE_URL, valueCode: mime }));
+    if (def.maxSizeMb) extension.push({ url: MAX_SIZE_URL, valueDecimal: def.maxSizeMb * 1024 * 1024 });
+  }
+  if (extension.length > 0) entry.extension = extension;
+  return entry;
+}
+
+/**
+ * Translate a schema condition into enableWhen/enableBehavior.
+ * Only a single leaf or one level of all/any over leaves is expressible; returns null otherwise.
+ */
+function toEnableWhen(expr, index) {
+  if (Array.isArray(expr.all) || Array.isArray(expr.any)) {
+    const leaves = expr.all || expr.any;
+    const parts = leaves.map((leaf) => leafToEnableWhen(leaf, index));
+    if (parts.some((p) => !p)) return null;
+    // "in" expands to several entries, which only combine correctly under "any"
+    if (expr.all && parts.some((p) => p.length > 1)) return null;
+    const enableWhen = parts.flat();
+    return enableWhen.length > 1
+      ? { enableWhen, enableBehavior: expr.all ? 'all' : 'any' }
+      : { enableWhen };
+  }
+  const enableWhen = leafToEnableWhen(expr, index);
+  if (!enableWhen) return null;
+  return enableWhen.length > 1 ? { enableWhen, enableBehavior: 'any' } : { enableWhen };
+}
+
+function leafToEnableWhen(leaf, index) {
+  const operatorName = leaf.operator || 'equals';
+  const operator = ENABLE_WHEN_OPERATORS[operatorName];
+  const target = index[leaf.question];
+  // enableWhen only compares against literals
+  if (!operator || !target || !leaf.question || isAnswerReference(leaf.value)) return null;
+
+  if (operator === 'exists') {
+    return [{ question: leaf.question, operator, answerBoolean: operatorName === 'exists' }];
+  }
+  const values = operatorName === 'in' ? [].concat(leaf.value) : [leaf.value];
+  return values.map((value) => ({ question: leaf.question, operator, ...answerValue(value, target) }));
+}
+
+function answerValue(value, question) {
+  switch (question.type) {
+    case 'select':
+    case 'multi_select':
+      return { answerCoding: { system: optionSystem(question.id), code: String(value) } };
+    case 'number':
+      return { answerDecimal: Number(value) };
+    case 'boolean':
+      return { answerBoolean: value === true || String(value).toLowerCase() === 'true' };
+    case 'date':
+      return { answerDate: String(value) };
+    default:
+      return { answerString: String(value) };
+  }
+}
+
+/**
+ * Convert a QuestionnaireResponse into questionnaire answers
+ * @param {Object} response - FHIR R4 QuestionnaireResponse
+ * @returns {{ questionnaire: Object, unknownLinkIds: string[], status: string }}
+ */
+function fromQuestionnaireResponse(response) {
+  if (!response || response.resourceType !== 'QuestionnaireResponse') {
+    throw new Error('Expected a FHIR QuestionnaireResponse resource');
+  }
+  if (response.status && !RESPONSE_STATUSES.includes(response.status)) {
+    throw new Error(`QuestionnaireResponse status not accepted: ${response.status}`);
+  }
+
+  // Canonical reference "url|version" pins the schema version the form was built from
+  const [canonical, version] = String(response.questionnaire || '').split('|');
+  if (canonical && !canonical.endsWith(`Questionnaire/${QUESTIONNAIRE_ID}`) && canonical !== `#${QUESTIONNAIRE_ID}`) {
+    throw new Error(`QuestionnaireResponse references an unknown Questionnaire: ${canonical}`);
+  }
+  const schema = localizeSchema(loadQuestionnaireSchema(version));
+  const index = getQuestionIndex(schema);
+
+  const questionnaire = {};
+  const unknownLinkIds = [];
+  const visit = (items = []) => {
+    for (const it of items) {
+      const question = index[it.linkId];
+      if (question && GROUP_TYPES.includes(question.type)) {
+        collectGroupAnswer(questionnaire, question, it);
+        continue;
+      }
+      if (Array.isArray(it.item) && it.item.length > 0) visit(it.item);
+      if (!Array.isArray(it.answer) || it.answer.length === 0) continue;
+      if (!question) {
+        unknownLinkIds.push(it.linkId);
+        continue;
+      }
+      const values = it.answer.map(answerToValue).filter((v) => v !== undefined);
+      // Nested items under an answer (FHIR allows answer.item) are walked as well
+      it.answer.forEach((a) => visit(a.item));
+      if (values.length === 0) continue;
+      questionnaire[question.id] = question.type === 'multi_select' ? values : values[0];
+    }
+  };
+  visit(response.item);
+
+  if (version) questionnaire.schemaVersion = String(schema.version);
+  return { questionnaire, unknownLinkIds, status: response.status || 'completed' };
+}
+
+// Each repetition of a group item is one table row / date range; single ranges take the last one
+function collectGroupAnswer(questionnaire, question, groupItem) {
+  const record = {};
+  for (const child of groupItem.item || []) {
+    const part = String(child.linkId).slice(question.id.length + 1);
+    const value = (child.answer || []).map(answerToValue).find((v) => v !== undefined);
+    if (part && value !== undefined) record[part] = value;
+  }
+  if (Object.keys(record).length === 0) return;
+  if (question.type === 'table' || question.repeats) {
+    questionnaire[question.id] = [...(questionnaire[question.id] || []), record];
+  } else {
+    questionnaire[question.id] = record;
+  }
+}
+
+function answerToValue(answer) {
+  if (answer.valueCoding) return answer.valueCoding.code;
+  if (answer.valueAttachment) return answer.valueAttachment;
+  for (const key of ['valueString', 'valueInteger', 'valueDecimal', 'valueBoolean', 'valueDate', 'valueDateTime', 'valueTime']) {
+    if (answer[key] !== undefined) return answer[key];
+  }
+  if (answer.valueQuantity) return answer.valueQuantity.value;
+  return undefined;
+}
+
+module.exports = {
+  QUESTIONNAIRE_URL,
+  toFhirQuestionnaire,
+  fromQuestionnaireResponse
+};
@@ -0,0 +1,189 @@
+/**
+ * Versioned FormulasEngine Coefficients
+ * Global coefficient sets and per-tenant overrides are stored as numbered versions that are never
+ * edited in place, so a stored quote can always be explained by the version it was computed with.
+ *
+ * Version 0 of the global scope is DEFAULT_COEFFICIENTS and is not stored. Every later global
+ * version holds the full coefficient set; tenant versions hold only the overridden values, which
+ * are merged over the global set when coefficients are resolved.
+ */
+
+const winston = require('winston');
+const _ = require('lodash');
+const { DEFAULT_COEFFICIENTS } = require('./FormulasEngine');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.json(),
+  transports: [
+    new winston.transports.File({ filename: 'logs/formula-coefficients.log' })
+  ]
+});
+
+const GLOBAL_SCOPE = '*';
+
+// Scopes a tenant id may never name, or a tenant could read and publish the global versions as its own
+const RESERVED_SCOPES = [GLOBAL_SCOPE];
+
+// Lookup tables that may gain entries (e.g. a new EHR vendor); everywhere else only known keys are accepted
+const OPEN_TABLES = ['hcs.typeWeights', 'hcs.compliance.bonuses', 'hcs.timelineWeights', 'sidi.vendorIndex'];
+
+/**
+ * Check a (partial) coefficient set against the shape of DEFAULT_COEFFICIENTS
+ * @param {boolean} complete - also require every coefficient, as a global version must hold the full set
+ * @returns {string[]} errors, empty when valid
+ */
+function validateCoefficients(coefficients, { complete = false } = {}) {
+  const errors = [];
+  const walk = (value, template, path) => {
+    if (!_.isPlainObject(value)) {
+      errors.push(`${path || 'coefficients'} must be an object`);
+      return;
+    }
+    for (const [key, child] of Object.entries(value)) {
+      const childPath = path ? `${path}.${key}` : key;
+      const open = OPEN_TABLES.includes(path);
+      if (!open && !Object.prototype.hasOwnProperty.call(template, key)) {
+        errors.push(`Unknown coefficient: ${childPath}`);
+      } else if (!open && _.isPlainObject(template[key])) {
+        walk(child, template[key], childPath);
+      } else if (typeof child !== 'number' || !Number.isFinite(child) || child < 0) {
+        errors.push(`${childPath} must be a non-negative number`);
+      }
+    }
+    if (complete) {
+      for (const key of Object.keys(template)) {
+        if (!Object.prototype.hasOwnProperty.call(value, key)) errors.push(`Missing coefficient: ${path ? `${path}.${key}` : key}`);
+      }
+    }
+  };
+  walk(coefficients, DEFAULT_COEFFICIENTS, '');
+  return errors;
+}
+
+// Short label recorded with transformations, e.g. "g3" or "g3.t2" when a tenant override applied
+function versionLabel(globalVersion, tenantVersion) {
+  return tenantVersion ? `g${globalVersion}.t${tenantVersion}` : `g${globalVersion}`;
+}
+
+function assertTenantScope(tenantId) {
+  if (typeof tenantId !== 'string' || tenantId.length === 0 || RESERVED_SCOPES.includes(tenantId)) {
+    const error = new Error('Invalid tenant for formula coefficients');
+    error.details = [`Tenant id ${JSON.stringify(tenantId)} is reserved or empty`];
+    throw error;
+  }
+}
+
+function describeVersion(row) {
+  if (!row) return null;
+  return {
+    version: row.version,
+    author: row.author || null,
+    note: row.note || null,
+    createdAt: row.created_at instanceof Date ? row.created_at.toISOString() : row.created_at || null
+  };
+}
+
+class FormulaCoefficientStore {
+  constructor(databaseManager) {
+    this.databaseManager = databaseManager;
+  }
+
+  /**
+   * Coefficients in effect for a tenant
+   * @param {string} tenantId
+   * @param {Object} pinned - { global, tenant } version numbers to resolve an earlier combination
+   * @returns {Object} { coefficients, version: { label, global, tenant, tenantId }, global, tenantOverride }
+   */
+  async resolve(tenantId = 'default', pinned = {}) {
+    assertTenantScope(tenantId);
+    const globalRow = pinned.global === undefined || pinned.global === null
+      ? await this.getLatest(GLOBAL_SCOPE)
+      : await this.getVersion(GLOBAL_SCOPE, pinned.global);
+    if (pinned.global && !globalRow) {
+      throw new Error(`Unknown global coefficient version: ${pinned.global}`);
+    }
+
+    // A pinned version without a tenant part means the run used no override
+    const pinnedTenant = pinned.global !== undefined && pinned.global !== null;
+    const tenantRow = pinnedTenant
+      ? (pinned.tenant ? await this.getVersion(tenantId, pinned.tenant) : null)
+      : await this.getLatest(tenantId);
+    if (pinnedTenant && pinned.tenant && !tenantRow) {
+      throw new Error(`Unknown coefficient override version ${pinned.tenant} for tenant ${tenantId}`);
+    }
+
+    const base = globalRow ? globalRow.coefficients : DEFAULT_COEFFICIENTS;
+    const overrides = tenantRow?.coefficients || {};
+    const globalVersion = globalRow ? globalRow.version : 0;
+    const tenantVersion = tenantRow && !_.isEmpty(overrides) ? tenantRow.version : null;
+
+    return {
+      coefficients: _.merge({}, base, overrides),
+      version: { label: versionLabel(globalVersion, tenantVersion), global: globalVersion, tenant: tenantVersion, tenantId },
+      global: globalRow ? describeVersion(globalRow) : { version: 0, author: null, note: 'Built-in defaults', createdAt: null },
+      tenantOverride: tenantRow ? { ...describeVersion(tenantRow), coefficients: overrides } : null
+    };
+  }
+
+  /**
+   * Publish a new global version: the latest global set with `changes` merged in
+   */
+  async publishGlobal(changes, { author = null, note = null } = {}) {
+    const latest = await this.getLatest(GLOBAL_SCOPE);
+    const coefficients = _.merge({}, latest ? latest.coefficients : DEFAULT_COEFFICIENTS, changes);
+    return await this.publish(GLOBAL_SCOPE, coefficients, author, note);
+  }
+
+  /**
+   * Publish a new override version for a tenant
+   * @param {boolean} replace - replace the tenant's overrides instead of merging into them; `{}` clears them
+   */
+  async publishTenantOverride(tenantId, changes, { author = null, note = null, replace = false } = {}) {
+    assertTenantScope(tenantId);
+    const latest = replace ? null : await this.getLatest(tenantId);
+    const coefficients = _.merge({}, latest?.coefficients || {}, changes);
+    return await this.publish(tenantId, coefficients, author, note);
+  }
+
+  async publish(scope, coefficients, author, note) {
+    if (!this.databaseManager) {
+      throw new Error('Formula coefficients cannot be published without a database');
+    }
+    const errors = validateCoefficients(coefficients, { complete: scope === GLOBAL_SCOPE });
+    if (errors.length > 0) {
+      const error = new Error('Invalid formula coefficients');
+      error.details = errors;
+      throw error;
+    }
+
+    const row = await this.databaseManager.insertFormulaCoefficientVersion(scope, coefficients, author, note);
+    logger.info('Published formula coefficients', { scope, version: row.version, author });
+    return { scope: scope === GLOBAL_SCOPE ? 'global' : scope, ...describeVersion(row), coefficients: row.coefficients };
+  }
+
+  /**
+   * Version history for the global scope or one tenant, newest first
+   */
+  async listVersions(tenantId = null) {
+    if (tenantId) assertTenantScope(tenantId);
+    const rows = !this.databaseManager ? [] : await this.databaseManager.listFormulaCoefficientVersions(tenantId || GLOBAL_SCOPE);
+    const versions = rows.map(describeVersion);
+    return tenantId ? versions : [...versions, { version: 0, author: null, note: 'Built-in defaults', createdAt: null }];
+  }
+
+  async getVersion(scope, version) {
+    if (!this.databaseManager || (scope === GLOBAL_SCOPE && Number(version) === 0)) {
+      return null;
+    }
+    return await this.databaseManager.getFormulaCoefficientVersion(scope, Number(version));
+  }
+
+  // Read on every resolve rather than cached, so every server picks up a published version at once
+  async getLatest(scope) {
+    if (!this.databaseManager) return null;
+    return await this.databaseManager.getFormulaCoefficientVersion(scope, null);
+  }
+}
+
+module.exports = { FormulaCoefficientStore, validateCoefficients, versionLabel, GLOBAL_SCOPE };
@@ -2,12 +2,76 @@
 // HCS: Hospital Complexity Score
 // SIDI: Software Integration Difficulty Index
 // RAF: Resource Allocation Formula (baseline resource units)
+// Every weight, lookup table and unit cost lives in DEFAULT_COEFFICIENTS; callers may pass a
+// versioned set from FormulaCoefficientStore instead, which must have the same shape.
+
+const DEFAULT_COEFFICIENTS = {
+  hcs: {
+    bedCount: { min: 1, max: 5000, fallback: 100, normalizeAt: 2000 },
+    systemsCount: { max: 30, fallback: 2, normalizeAt: 10 },
+    weights: { bedScore: 0.35, systemScore: 0.25, typeWeight: 0.2, complianceWeight: 0.15, timelineWeight: 0.05 },
+    typeWeights: {
+      academic: 1.0,
+      multi_site: 0.95,
+      specialty: 0.85,
+      community: 0.7,
+      critical_access: 0.6,
+      general: 0.75
+    },
+    defaultTypeWeight: 0.7,
+    compliance: {
+      base: 0.6,
+      bonuses: { hipaa: 0.15, hitrust: 0.1, soc2: 0.05, gdpr: 0.05 }
+    },
+    timelineWeights: {
+      '30_days': 1.0,
+      '60_days': 0.9,
+      '90_days': 0.8,
+      '6_months': 0.7,
+      '1_year': 0.5,
+      'flexible': 0.6
+    },
+    defaultTimelineWeight: 0.7
+  },
+  sidi: {
+    vendorIndex: {
+      epic: 0.9,
+      cerner: 0.85,
+      meditech: 0.8,
+      allscripts: 0.75,
+      athenahealth: 0.7
+    },
+    defaultVendorIndex: 0.8,
+    vendorIndexCeiling: 1.5,
+    customApiFactor: 1.4,
+    fhirFactor: 0.8,
+    hl7Factor: 0.9,
+    extraEhrFactor: 0.2
+  },
+  raf: {
+    servers: {
+      bedsPerServer: 150,
+      hcsOffset: 0.6,
+      minBaseline: 2,
+      applicationBase: 0.9,
+      applicationSidiFactor: 0.3,
+      webRatio: 0.6,
+      dbRatio: 0.4,
+      minApplication: 2,
+      minWeb: 2,
+      minDb: 1
+    },
+    sizing: { cpuCoresPerServer: 8, cpuCoresPerDbServer: 16, memoryGbPerServer: 16, memoryGbPerDbServer: 32 },
+    storage: { minPrimaryGb: 500, gbPerBed: 2, gbPerBedHcsFactor: 3, backupMultiplier: 3 },
+    cost: { perServer: 15000, perDbServer: 25000, perPrimaryGb: 5, perBackupGb: 1.5 }
+  }
+};
 
 class FormulasEngine {
   // Make constructor for consistency with InvoiceGenerator
   constructor() {}
 
-  async calculateFormulas(hospitalProfile, transformationResult) {
+  async calculateFormulas(hospitalProfile, transformationResult, coefficients = DEFAULT_COEFFICIENTS) {
     const variables = {
       bedCount: hospitalProfile.bedCount,
       hospitalType: hospitalProfile.facilityType,
@@ -17,95 +81,170 @@ class FormulasEngine {
       timeline: transformationResult.timeline // Use transformation result timeline
     };
 
-    const hcs = FormulasEngine.computeHCS(variables);
-    const sidi = FormulasEngine.computeSIDI(variables);
-    const raf = FormulasEngine.computeRAF(variables, hcs, sidi);
-    return { hcs, sidi, raf };
+    return FormulasEngine.computeAll(variables, coefficients);
+  }
+
+  // Compute all formulas from one variable set, with the factor breakdown behind each one
+  static computeAll(v, coefficients = DEFAULT_COEFFICIENTS) {
+    const hcs = this.explainHCS(v, coefficients);
+    const sidi = this.explainSIDI(v, coefficients);
+    const raf = this.explainRAF(v, hcs.value, sidi.value, coefficients);
+    return {
+      hcs: hcs.value,
+      sidi: sidi.value,
+      raf: raf.value,
+      breakdown: { hcs: hcs.breakdown, sidi: sidi.breakdown, raf: raf.breakdown }
+    };
   }
 
   // Hospital Complexity Score (0-1)
   // Factors: bedCount, hospitalType, systemsCount, complianceLevel, timelinePressure
-  static computeHCS(v) {
-    const bedCount = this._boundedNumber(v.bedCount, 1, 5000, 100);
+  static computeHCS(v, coefficients = DEFAULT_COEFFICIENTS) {
+    return this.explainHCS(v, coefficients).value;
+  }
+
+  // Weighted sum: each factor is normalised to 0..1 and contributes weight * normalised value
+  static explainHCS(v, coefficients = DEFAULT_COEFFICIENTS) {
+    const c = coefficients.hcs;
+    const bedCount = this._boundedNumber(v.bedCount, c.bedCount.min, c.bedCount.max, c.bedCount.fallback);
     const hospitalType = String(v.hospitalType || v.facilityType || 'community').toLowerCase();
-    const systemsCount = this._boundedNumber(v.systemsCount ?? this._countArray(v.clinicalSystems), 0, 30, 2);
-    const complianceWeight = this._complianceWeight(v.complianceFrameworks);
-    const timelineWeight = this._timelineWeight(v.timeline || v.estimatedTimeline);
+    const systemsCount = this._boundedNumber(v.systemsCount ?? this._countArray(v.clinicalSystems), 0, c.systemsCount.max, c.systemsCount.fallback);
+    const w = c.weights;
 
-    const typeWeight = {
-      academic: 1.0,
-      multi_site: 0.95,
-      specialty: 0.85,
-      community: 0.7,
-      critical_access: 0.6,
-      general: 0.75
-    }[hospitalType] ?? 0.7;
+    const factors = [
+      // Normalize bed count to 0..1
+      { factor: 'bedCount', label: 'Bed count', rawValue: bedCount, normalizedValue: Math.min(bedCount / c.bedCount.normalizeAt, 1.0), weight: w.bedScore },
+      { factor: 'systemsCount', label: 'Clinical systems', rawValue: systemsCount, normalizedValue: Math.min(systemsCount / c.systemsCount.normalizeAt, 1.0), weight: w.systemScore },
+      { factor: 'hospitalType', label: 'Hospital type', rawValue: hospitalType, normalizedValue: c.typeWeights[hospitalType] ?? c.defaultTypeWeight, weight: w.typeWeight },
+      { factor: 'compliance', label: 'Compliance frameworks', rawValue: v.complianceFrameworks || [], normalizedValue: this._complianceWeight(v.complianceFrameworks, c.compliance), weight: w.complianceWeight },
+      { factor: 'timeline', label: 'Timeline pressure', rawValue: v.timeline || v.estimatedTimeline || null, normalizedValue: this._timelineWeight(v.timeline || v.estimatedTimeline, c), weight: w.timelineWeight }
+    ];
 
-    // Normalize bed count to 0..1
-    const bedScore = Math.min(bedCount / 2000, 1.0);
-    const systemScore = Math.min(systemsCount / 10, 1.0);
+    let raw = 0;
+    for (const f of factors) {
+      f.contribution = f.weight * f.normalizedValue;
+      raw += f.contribution;
+    }
+    const value = this._round01(raw);
 
-    // Weighted sum
-    const raw = (0.35 * bedScore) + (0.25 * systemScore) + (0.2 * typeWeight) + (0.15 * complianceWeight) + (0.05 * timelineWeight);
-    return this._round01(raw);
+    return {
+      value,
+      breakdown: {
+        formula: 'HCS',
+        name: 'Hospital Complexity Score',
+        method: 'weighted_sum',
+        value,
+        factors: factors.map((f) => this._roundFactor(f))
+      }
+    };
   }
 
   // Software Integration Difficulty Index (>0)
   // Base model: product of vendor factors (alpha * beta * gamma) * delta
   // Simplified deterministic version using counts and capabilities
-  static computeSIDI(v) {
+  static computeSIDI(v, coefficients = DEFAULT_COEFFICIENTS) {
+    return this.explainSIDI(v, coefficients).value;
+  }
+
+  // Product of multipliers starting from 1.0; a factor's contribution is how much it moved the running score,
+  // so the contributions add up to the index less the 1.0 baseline
+  static explainSIDI(v, coefficients = DEFAULT_COEFFICIENTS) {
+    const c = coefficients.sidi;
     const ehr = String(v.primaryEHR || '').toLowerCase();
     const hasFHIR = this._includesAny(v.interoperabilityStandards, ['fhir', 'fhir r4']);
     const hasHL7 = this._includesAny(v.interoperabilityStandards, ['hl7', 'hl7 v2']);
     const customAPIs = this._includesAny(v.integrationNeeds, ['api', 'custom']);
     const extraEHRs = Math.max(0, (Array.isArray(v.ehrVendors) ? v.ehrVendors.length : 1) - 1);
 
-    const vendorIndex = {
-      epic: 0.9,
-      cerner: 0.85,
-      meditech: 0.8,
-      allscripts: 0.75,
-      athenahealth: 0.7,
-    }[ehr] ?? 0.8;
+    const vendorIndex = c.vendorIndex[ehr] ?? c.defaultVendorIndex;
 
-    let score = 1.0;
     // Higher vendorIndex -> easier (lower difficulty), invert as factor
-    score *= (1.5 - vendorIndex); // 0.6..0.8
-    score *= (customAPIs ? 1.4 : 1.0);
-    score *= (hasFHIR ? 0.8 : 1.0);
-    score *= (hasHL7 ? 0.9 : 1.0);
-    score *= (1 + (extraEHRs * 0.2));
+    const factors = [
+      { factor: 'primaryEHR', label: 'Primary EHR vendor', rawValue: ehr || null, normalizedValue: vendorIndex, weight: c.vendorIndexCeiling - vendorIndex }, // 0.6..0.8 with the default coefficients
+      { factor: 'customAPIs', label: 'Custom API integrations', rawValue: customAPIs, normalizedValue: customAPIs ? 1 : 0, weight: customAPIs ? c.customApiFactor : 1.0 },
+      { factor: 'fhir', label: 'FHIR support', rawValue: hasFHIR, normalizedValue: hasFHIR ? 1 : 0, weight: hasFHIR ? c.fhirFactor : 1.0 },
+      { factor: 'hl7', label: 'HL7 v2 support', rawValue: hasHL7, normalizedValue: hasHL7 ? 1 : 0, weight: hasHL7 ? c.hl7Factor : 1.0 },
+      { factor: 'extraEHRs', label: 'Additional EHR vendors', rawValue: extraEHRs, normalizedValue: extraEHRs, weight: 1 + (extraEHRs * c.extraEhrFactor) }
+    ];
 
-    return Number(score.toFixed(2));
+    let score = 1.0;
+    for (const f of factors) {
+      const before = score;
+      score *= f.weight;
+      f.contribution = score - before;
+    }
+    const value = Number(score.toFixed(2));
+
+    return {
+      value,
+      breakdown: {
+        formula: 'SIDI',
+        name: 'Software Integration Difficulty Index',
+        method: 'product',
+        baseline: 1.0,
+        value,
+        factors: factors.map((f) => this._roundFactor(f))
+      }
+    };
   }
 
   // Resource Allocation Formula -> baseline resource units and estimated cost
-  static computeRAF(v, hcs, sidi) {
+  static computeRAF(v, hcs, sidi, coefficients = DEFAULT_COEFFICIENTS) {
+    return this.explainRAF(v, hcs, sidi, coefficients).value;
+  }
+
+  // Cost breakdown: a factor's raw value is the computed quantity, its normalised value the quantity provisioned
+  // (rounded, with minimums applied) and its weight the unit cost, so contribution = normalised value * weight
+  static explainRAF(v, hcs, sidi, coefficients = DEFAULT_COEFFICIENTS) {
+    const { servers, sizing, storage, cost } = coefficients.raf;
+    const bounds = coefficients.hcs.bedCount;
     // Baseline servers scale with beds and complexity
-    const beds = this._boundedNumber(v.bedCount, 1, 5000, 100);
-    const baselineServers = Math.ceil(Math.max(2, (beds / 150) * (0.6 + hcs)));
+    const beds = this._boundedNumber(v.bedCount, bounds.min, bounds.max, bounds.fallback);
+    const baselineServers = Math.ceil(Math.max(servers.minBaseline, (beds / servers.bedsPerServer) * (servers.hcsOffset + hcs)));
 
-    const applicationServers = Math.max(2, Math.round(baselineServers * (0.9 + sidi * 0.3)));
-    const webServers = Math.max(2, Math.round(baselineServers * 0.6));
-    const dbServers = Math.max(1, Math.round(baselineServers * 0.4));
+    const requestedApplication = baselineServers * (servers.applicationBase + sidi * servers.applicationSidiFactor);
+    const requestedWeb = baselineServers * servers.webRatio;
+    const requestedDb = baselineServers * servers.dbRatio;
+    const applicationServers = Math.max(servers.minApplication, Math.round(requestedApplication));
+    const webServers = Math.max(servers.minWeb, Math.round(requestedWeb));
+    const dbServers = Math.max(servers.minDb, Math.round(requestedDb));
 
-    const totalCpuCores = (applicationServers + webServers) * 8 + dbServers * 16;
-    const totalMemoryGb = (applicationServers + webServers) * 16 + dbServers * 32;
+    const totalCpuCores = (applicationServers + webServers) * sizing.cpuCoresPerServer + dbServers * sizing.cpuCoresPerDbServer;
+    const totalMemoryGb = (applicationServers + webServers) * sizing.memoryGbPerServer + dbServers * sizing.memoryGbPerDbServer;
 
-    const primaryStorageGb = Math.round(Math.max(500, beds * (2 + hcs * 3)));
-    const backupStorageGb = Math.round(primaryStorageGb * 3);
+    const requestedPrimaryGb = beds * (storage.gbPerBed + hcs * storage.gbPerBedHcsFactor);
+    const primaryStorageGb = Math.round(Math.max(storage.minPrimaryGb, requestedPrimaryGb));
+    const backupStorageGb = Math.round(primaryStorageGb * storage.backupMultiplier);
 
     // Simple cost model
-    const infraCost = (applicationServers + webServers) * 15000 + dbServers * 25000;
-    const storageCost = primaryStorageGb * 5 + backupStorageGb * 1.5;
+    const infraCost = (applicationServers + webServers) * cost.perServer + dbServers * cost.perDbServer;
+    const storageCost = primaryStorageGb * cost.perPrimaryGb + backupStorageGb * cost.perBackupGb;
     const estimatedCost = Math.round(infraCost + storageCost);
 
+    const factors = [
+      { factor: 'applicationServers', label: 'Application servers', rawValue: requestedApplication, normalizedValue: applicationServers, weight: cost.perServer },
+      { factor: 'webServers', label: 'Web servers', rawValue: requestedWeb, normalizedValue: webServers, weight: cost.perServer },
+      { factor: 'dbServers', label: 'Database servers', rawValue: requestedDb, normalizedValue: dbServers, weight: cost.perDbServer },
+      { factor: 'primaryStorageGb', label: 'Primary storage (GB)', rawValue: requestedPrimaryGb, normalizedValue: primaryStorageGb, weight: cost.perPrimaryGb },
+      { factor: 'backupStorageGb', label: 'Backup storage (GB)', rawValue: primaryStorageGb * storage.backupMultiplier, normalizedValue: backupStorageGb, weight: cost.perBackupGb }
+    ].map((f) => this._roundFactor({ ...f, contribution: f.normalizedValue * f.weight }));
+
     return {
-      servers: { applicationServers, webServers, dbServers },
-      totalCpuCores,
-      totalMemoryGb,
-      storage: { primaryStorageGb, backupStorageGb },
-      estimatedCost
+      value: {
+        servers: { applicationServers, webServers, dbServers },
+        totalCpuCores,
+        totalMemoryGb,
+        storage: { primaryStorageGb, backupStorageGb },
+        estimatedCost
+      },
+      breakdown: {
+        formula: 'RAF',
+        name: 'Resource Allocation Formula',
+        method: 'unit_cost',
+        value: estimatedCost,
+        drivers: { beds, hcs, sidi, baselineServers },
+        factors
+      }
     };
   }
 
@@ -118,28 +257,25 @@ class FormulasEngine {
 
   static _round01(x) { return Math.max(0, Math.min(1, Number(x.toFixed(3)))); }
 
+  // Breakdown numbers are rounded for display only; the formula values are computed from the unrounded ones
+  static _roundFactor(f) {
+    const round = (x) => (typeof x === 'number' ? Number(x.toFixed(4)) : x);
+    return { ...f, normalizedValue: round(f.normalizedValue), weight: round(f.weight), contribution: round(f.contribution), rawValue: round(f.rawValue) };
+  }
+
   static _countArray(arr) { return Array.isArray(arr) ? arr.length : 0; }
 
-  static _complianceWeight(arr) {
+  static _complianceWeight(arr, compliance = DEFAULT_COEFFICIENTS.hcs.compliance) {
     const set = new Set((arr || []).map(s => String(s).toLowerCase()));
-    let w = 0.6;
-    if (set.has('hipaa')) w += 0.15;
-    if (set.has('hitrust')) w += 0.1;
-    if (set.has('soc2')) w += 0.05;
-    if (set.has('gdpr')) w += 0.05;
+    let w = compliance.base;
+    for (const [framework, bonus] of Object.entries(compliance.bonuses)) {
+      if (set.has(framework)) w += bonus;
+    }
     return Math.min(w, 1.0);
   }
 
-  static _timelineWeight(t) {
-    const map = {
-      '30_days': 1.0,
-      '60_days': 0.9,
-      '90_days': 0.8,
-      '6_months': 0.7,
-      '1_year': 0.5,
-      'flexible': 0.6
-    };
-    return map[String(t || '').toLowerCase()] ?? 0.7;
+  static _timelineWeight(t, hcs = DEFAULT_COEFFICIENTS.hcs) {
+    return hcs.timelineWeights[String(t || '').toLowerCase()] ?? hcs.defaultTimelineWeight;
   }
 
   static _includesAny(v, list) {
@@ -149,4 +285,4 @@ class FormulasEngine {
   }
 }
 
-module.exports = { FormulasEngine };
\ No newline at end of file
+module.exports = { FormulasEngine, DEFAULT_COEFFICIENTS };
\ No newline at end of file
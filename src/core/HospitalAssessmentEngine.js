@@ -12,6 +12,12 @@
 
 const winston = require('winston');
 const _ = require('lodash');
+const { resolveRunContext } = require('./RunContext');
+const { VendorCatalog } = require('./VendorCatalog');
+const { predictFitScore, predictSuccess } = require('./VendorOutcomeModel');
+
+// Vendors must score above this to be recommended
+const MIN_COMPATIBILITY_SCORE = 0.6;
 
 const logger = winston.createLogger({
   level: 'info',
@@ -21,63 +27,6 @@ const logger = winston.createLogger({
   ]
 });
 
-/**
- * Healthcare Vendor Database (TRADE SECRET - Level 1)
- * Comprehensive database of 90+ healthcare software vendors
- */
-const HEALTHCARE_VENDOR_DATABASE = {
-  emr_vendors: {
-    'Epic': {
-      complexity_score: 8.5,
-      integration_difficulty: 7.8,
-      api_maturity: 9.2,
-      market_share: 0.31,
-      compatibility_factors: {
-        fhir_support: 9.0,
-        hl7_support: 9.5,
-        custom_api: 8.0,
-        third_party_integration: 7.5
-      },
-      deployment_success_rate: 0.94,
-      average_implementation_time: 18 // months
-    },
-    'Cerner': {
-      complexity_score: 7.8,
-      integration_difficulty: 7.2,
-      api_maturity: 8.1,
-      market_share: 0.26,
-      compatibility_factors: {
-        fhir_support: 8.5,
-        hl7_support: 9.0,
-        custom_api: 7.8,
-        third_party_integration: 8.2
-      },
-      deployment_success_rate: 0.89,
-      average_implementation_time: 16
-    },
-    'MEDITECH': {
-      complexity_score: 6.5,
-      integration_difficulty: 6.8,
-      api_maturity: 7.2,
-      market_share: 0.16,
-      compatibility_factors: {
-        fhir_support: 7.5,
-        hl7_support: 8.5,
-        custom_api: 6.8,
-        third_party_integration: 7.0
-      },
-      deployment_success_rate: 0.91,
-      average_implementation_time: 14
-    }
-    // Additional 87+ vendors in production system...
-  },
-  departmental_systems: {
-    'Laboratory': ['Cerner PowerChart', 'Epic Beaker', 'MEDITECH Laboratory', 'Sunquest', 'Orchard'],
-    'Radiology': ['Epic Radiant', 'Cerner PowerChart', 'MEDITECH Radiology', 'GE Centricity', 'Philips IntelliSpace'],
-    'Pharmacy': ['Epic Willow', 'Cerner PowerChart', 'MEDITECH Pharmacy', 'Omnicell', 'BD Pyxis']
-  }
-};
-
 /**
  * Patent-Protected Multi-Level Caching System
  * PATENT CLAIM 1.a: Multi-level caching with healthcare-specific eviction policies
@@ -272,8 +221,9 @@ class LRUPatentableCache {
  * PATENT CLAIM 1.f: Predictive compatibility analysis using historical deployment data
  */
 class DynamicVendorDatabase {
-  constructor() {
-    this.vendorData = { ...HEALTHCARE_VENDOR_DATABASE };
+  constructor(vendorCatalog = new VendorCatalog(null)) {
+    this.vendorCatalog = vendorCatalog;
+    this.vendorData = { emr_vendors: {}, departmental_systems: {}, interface_engines: [] };
     this.mlModels = {
       compatibilityPredictor: null,
       successRatePredictor: null,
@@ -285,40 +235,89 @@ class DynamicVendorDatabase {
   async initialize() {
     // Initialize ML models for vendor compatibility prediction
     await this.initializeMLModels();
+    await this.refresh();
     logger.info('Dynamic Vendor Database initialized with ML enhancement');
   }
 
+  /**
+   * Reload vendors from the catalog
+   * Called before every vendor assessment so catalog edits apply without a restart
+   */
+  async refresh() {
+    const entries = await this.vendorCatalog.list();
+    const vendorData = { emr_vendors: {}, departmental_systems: {}, interface_engines: [] };
+
+    for (const entry of entries) {
+      if (entry.category === 'ehr') {
+        vendorData.emr_vendors[entry.name] = { id: entry.id, ...entry.assessment };
+      } else if (entry.category === 'departmental') {
+        for (const department of entry.departments || []) {
+          (vendorData.departmental_systems[department] = vendorData.departmental_systems[department] || []).push(entry.name);
+        }
+      } else if (entry.category === 'interface_engine') {
+        vendorData.interface_engines.push(entry.name);
+      }
+    }
+
+    this.vendorData = vendorData;
+  }
+
+  getVendorNames() {
+    return Object.keys(this.vendorData.emr_vendors);
+  }
+
   /**
    * Get vendor compatibility score with ML prediction
    * PATENT CLAIM 1.e: Automated compatibility scoring implementation
    */
-  async getVendorCompatibilityScore(vendorName, hospitalProfile) {
+  async getVendorCompatibilityScore(vendorName, hospitalProfile, runContext, predictionModel = null) {
+    const explanation = await this.explainVendorCompatibility(vendorName, hospitalProfile, runContext, predictionModel);
+    return explanation ? explanation.value : 0.0;
+  }
+
+  /**
+   * Compatibility score together with the parts it is built from: the base profile fit and the
+   * ML prediction are blended 70/30, then scaled by the historical deployment adjustment
+   * @param {Object|null} predictionModel - trained VendorOutcomeModel version; null uses the priors
+   * @returns {Object|null} { value, breakdown: { base, mlPrediction, weights, historicalAdjustment } }
+   */
+  async explainVendorCompatibility(vendorName, hospitalProfile, runContext, predictionModel = null) {
     const vendor = this.getVendorData(vendorName);
-    if (!vendor) return 0.0;
+    if (!vendor) return null;
 
     // Base compatibility score
-    let compatibilityScore = this.calculateBaseCompatibilityScore(vendor, hospitalProfile);
+    const base = this.explainBaseCompatibility(vendor, hospitalProfile);
 
     // Apply ML enhancement
-    const mlPrediction = await this.predictCompatibility(vendor, hospitalProfile);
-    compatibilityScore = (compatibilityScore * 0.7) + (mlPrediction * 0.3);
+    const mlPrediction = await this.predictCompatibility(vendor, hospitalProfile, runContext, predictionModel);
+    let compatibilityScore = (base.value * 0.7) + (mlPrediction * 0.3);
 
     // Apply historical deployment data
     const historicalAdjustment = this.getHistoricalAdjustment(vendorName, hospitalProfile);
     compatibilityScore *= historicalAdjustment;
 
-    return Math.min(Math.max(compatibilityScore, 0.0), 1.0);
+    return {
+      value: Math.min(Math.max(compatibilityScore, 0.0), 1.0),
+      breakdown: {
+        base,
+        mlPrediction,
+        weights: { base: 0.7, mlPrediction: 0.3 },
+        historicalAdjustment,
+        vendorFactors: vendor.compatibility_factors || {},
+        ...(predictionModel && { modelVersion: predictionModel.version })
+      }
+    };
   }
 
   /**
    * Predict deployment success and timeline
    * PATENT CLAIM 1.f: Predictive compatibility analysis implementation
    */
-  async predictDeploymentOutcome(vendorName, hospitalProfile) {
+  async predictDeploymentOutcome(vendorName, hospitalProfile, predictionModel = null) {
     const vendor = this.getVendorData(vendorName);
     if (!vendor) return null;
 
-    const successProbability = await this.predictSuccessProbability(vendor, hospitalProfile);
+    const successProbability = await this.predictSuccessProbability(vendor, hospitalProfile, predictionModel);
     const estimatedTimeline = await this.predictImplementationTimeline(vendor, hospitalProfile);
     const riskFactors = this.identifyRiskFactors(vendor, hospitalProfile);
 
@@ -326,44 +325,60 @@ class DynamicVendorDatabase {
       successProbability,
       estimatedTimeline,
       riskFactors,
-      confidence: this.predictionAccuracy
+      confidence: predictionModel?.accuracy ?? this.predictionAccuracy,
+      ...(predictionModel && { modelVersion: predictionModel.version })
     };
   }
 
   calculateBaseCompatibilityScore(vendor, hospitalProfile) {
+    return this.explainBaseCompatibility(vendor, hospitalProfile).value;
+  }
+
+  // Base score and what each profile factor added to it
+  explainBaseCompatibility(vendor, hospitalProfile) {
     let score = 0.5; // Base score
+    const factors = [{ factor: 'baseline', label: 'Baseline', contribution: 0.5 }];
 
     // Hospital size compatibility
+    let sizeFit = 0;
     if (hospitalProfile.bedCount) {
       if (hospitalProfile.bedCount > 500 && vendor.complexity_score > 7.0) {
-        score += 0.2; // Large hospitals benefit from complex systems
+        sizeFit = 0.2; // Large hospitals benefit from complex systems
       } else if (hospitalProfile.bedCount < 100 && vendor.complexity_score < 6.0) {
-        score += 0.15; // Small hospitals benefit from simpler systems
+        sizeFit = 0.15; // Small hospitals benefit from simpler systems
       }
     }
+    score += sizeFit;
+    factors.push({ factor: 'size_fit', label: 'Hospital size fit', contribution: sizeFit });
 
     // Technology maturity alignment
+    let maturityContribution = 0;
     if (hospitalProfile.technologyMaturity && vendor.api_maturity) {
       const maturityAlignment = 1 - Math.abs(hospitalProfile.technologyMaturity - vendor.api_maturity) / 10;
-      score += maturityAlignment * 0.2;
+      maturityContribution = maturityAlignment * 0.2;
     }
+    score += maturityContribution;
+    factors.push({ factor: 'maturity_alignment', label: 'Technology maturity alignment', contribution: maturityContribution });
 
     // Integration requirements
+    let integrationContribution = 0;
     if (hospitalProfile.integrationRequirements) {
       const integrationScore = this.calculateIntegrationCompatibility(
         vendor.compatibility_factors,
         hospitalProfile.integrationRequirements
       );
-      score += integrationScore * 0.3;
+      integrationContribution = integrationScore * 0.3;
     }
+    score += integrationContribution;
+    factors.push({ factor: 'integration', label: 'Integration requirements', contribution: integrationContribution });
 
-    return Math.min(score, 1.0);
+    return { value: Math.min(score, 1.0), factors };
   }
 
+  // Catalog-based priors; trained models (VendorOutcomeModel) are resolved per tenant and passed in
   async initializeMLModels() {
-    // In production, would load trained ML models
     this.mlModels.compatibilityPredictor = {
-      predict: (vendor, hospital) => Math.random() * 0.3 + 0.6 // Mock prediction
+      predict: (vendor, hospital, runContext) => resolveRunContext(runContext).random() * 0.3 + 0.6 // Mock prediction
     };
     
     this.mlModels.successRatePredictor = {
@@ -375,12 +390,16 @@ class DynamicVendorDatabase {
     };
   }
 
-  async predictCompatibility(vendor, hospitalProfile) {
+  async predictCompatibility(vendor, hospitalProfile, runContext, predictionModel = null) {
+    if (predictionModel) return predictFitScore(predictionModel, vendor, hospitalProfile);
     if (!this.mlModels.compatibilityPredictor) return 0.7;
-    return this.mlModels.compatibilityPredictor.predict(vendor, hospitalProfile);
+    return this.mlModels.compatibilityPredictor.predict(vendor, hospitalProfile, runContext);
   }
 
-  async predictSuccessProbability(vendor, hospitalProfile) {
+  async predictSuccessProbability(vendor, hospitalProfile, predictionModel = null) {
+    // A trained model without a success regression (its outcomes were all alike) leaves the prior in use
+    const learned = predictionModel ? predictSuccess(predictionModel, vendor, hospitalProfile) : null;
+    if (learned !== null) return learned;
     if (!this.mlModels.successRatePredictor) return 0.85;
     return this.mlModels.successRatePredictor.predict(vendor, hospitalProfile);
   }
@@ -400,8 +419,11 @@ class DynamicVendorDatabase {
     return Math.round(baseTimeline);
   }
 
+  // Looked up by display name, or by catalog id
   getVendorData(vendorName) {
-    return this.vendorData.emr_vendors[vendorName] || null;
+    return this.vendorData.emr_vendors[vendorName]
+      || Object.values(this.vendorData.emr_vendors).find((vendor) => vendor.id === vendorName)
+      || null;
   }
 
   getHistoricalAdjustment(vendorName, hospitalProfile) {
@@ -451,10 +473,11 @@ class DynamicVendorDatabase {
  * Integrates all patent-protected components
  */
 class HospitalAssessmentEngine {
-  constructor(databaseManager) {
+  constructor(databaseManager, vendorCatalog = new VendorCatalog(databaseManager)) {
     this.databaseManager = databaseManager;
     this.cache = new LRUPatentableCache();
-    this.vendorDatabase = new DynamicVendorDatabase();
+    this.vendorCatalog = vendorCatalog;
+    this.vendorDatabase = new DynamicVendorDatabase(vendorCatalog);
     this.assessmentMetrics = {
       totalAssessments: 0,
       averageProcessingTime: 0,
@@ -463,6 +486,7 @@ class HospitalAssessmentEngine {
   }
 
   async initialize() {
+    await this.vendorCatalog.initialize();
     await this.vendorDatabase.initialize();
     logger.info('Hospital Assessment Engine initialized with patent-protected components');
   }
@@ -470,10 +494,13 @@ class HospitalAssessmentEngine {
   /**
    * Assess hospital characteristics and compatibility
    * Integrates all patent claims 1.a through 1.l
+   * @param {Object} options - { transformationId, runContext, predictionModel }; predictionModel is a
+   *   trained vendor prediction model (VendorOutcomeModel.resolve), null for the built-in priors
    */
   async assessHospital(hospitalProfile, options = {}) {
-    const startTime = Date.now();
-    const assessmentId = options.transformationId || `assessment-${Date.now()}`;
+    const runContext = resolveRunContext(options.runContext);
+    const startTime = runContext.now();
+    const assessmentId = options.transformationId || `assessment-${startTime}`;
     
     try {
       logger.info(`Starting hospital assessment ${assessmentId}`, {
@@ -482,8 +509,10 @@ class HospitalAssessmentEngine {
       });
 
       // Check cache first (Patent Claims 1.a-1.c)
-      const cacheKey = this.generateCacheKey(hospitalProfile);
-      const cachedResult = this.cache.get(cacheKey);
+      // Recorded pipeline runs skip the cache: a cached assessment carries another run's draws and timestamps
+      const predictionModel = options.predictionModel || null;
+      const cacheKey = this.generateCacheKey(hospitalProfile, predictionModel);
+      const cachedResult = options.runContext ? null : this.cache.get(cacheKey);
       
       if (cachedResult) {
         logger.info(`Cache hit for assessment ${assessmentId}`);
@@ -493,7 +522,9 @@ class HospitalAssessmentEngine {
       // Perform comprehensive assessment
       const assessmentResult = await this.performComprehensiveAssessment(
         hospitalProfile,
-        assessmentId
+        assessmentId,
+        options.runContext,
+        predictionModel
       );
 
       // Cache the result with healthcare context
@@ -505,7 +536,7 @@ class HospitalAssessmentEngine {
       
       this.cache.set(cacheKey, assessmentResult, healthcareContext);
 
-      const processingTime = Date.now() - startTime;
+      const processingTime = runContext.now() - startTime;
       this.updateAssessmentMetrics(processingTime, assessmentResult);
 
       logger.info(`Hospital assessment ${assessmentId} completed`, {
@@ -522,12 +553,12 @@ class HospitalAssessmentEngine {
     }
   }
 
-  async performComprehensiveAssessment(hospitalProfile, assessmentId) {
+  async performComprehensiveAssessment(hospitalProfile, assessmentId, runContext, predictionModel = null) {
     // Calculate hospital complexity score using patent-protected algorithm
     const complexityScore = await this.calculateHospitalComplexityScore(hospitalProfile);
     
     // Assess vendor compatibility (Patent Claims 1.d-1.f)
-    const vendorRecommendations = await this.assessVendorCompatibility(hospitalProfile);
+    const vendorRecommendations = await this.assessVendorCompatibility(hospitalProfile, runContext, { predictionModel });
     
     // Generate risk assessment (Patent Claims 1.j-1.l)
     const riskAssessment = await this.generateRiskAssessment(hospitalProfile, vendorRecommendations);
@@ -541,7 +572,7 @@ class HospitalAssessmentEngine {
 
     return {
       assessmentId,
-      timestamp: new Date().toISOString(),
+      timestamp: resolveRunContext(runContext).isoNow(),
       hospitalProfile,
       complexityScore,
       vendorRecommendations,
@@ -553,6 +584,7 @@ class HospitalAssessmentEngine {
       riskLevel: this.determineOverallRiskLevel(riskAssessment),
       keyRecommendations: this.generateKeyRecommendations(hospitalProfile, vendorRecommendations),
       qualityScore: 0.95, // Target accuracy from patent validation
+      ...(predictionModel && { predictionModelVersion: predictionModel.version }),
       patentClaims: ['1.a', '1.b', '1.c', '1.d', '1.e', '1.f', '1.g', '1.h', '1.i', '1.j', '1.k', '1.l']
     };
   }
@@ -579,35 +611,82 @@ class HospitalAssessmentEngine {
     return Math.min(Math.max(complexityScore, 0), 10);
   }
 
-  async assessVendorCompatibility(hospitalProfile) {
+  /**
+   * Rank catalog EHR vendors for a hospital
+   * @param {Object} options - { limit, minScore, explain, predictionModel }; `explain` adds each vendor's
+   *   compatibilityBreakdown and vendorId (the vendor endpoints use it)
+   */
+  async assessVendorCompatibility(hospitalProfile, runContext, options = {}) {
+    const { limit = 5, minScore = MIN_COMPATIBILITY_SCORE, explain = false, predictionModel = null } = options;
     const recommendations = [];
-    const vendorNames = Object.keys(HEALTHCARE_VENDOR_DATABASE.emr_vendors);
+    await this.vendorDatabase.refresh();
+    const vendorNames = this.vendorDatabase.getVendorNames();
 
     for (const vendorName of vendorNames) {
-      const compatibilityScore = await this.vendorDatabase.getVendorCompatibilityScore(
-        vendorName,
-        hospitalProfile
-      );
-      
-      const deploymentOutcome = await this.vendorDatabase.predictDeploymentOutcome(
-        vendorName,
-        hospitalProfile
-      );
+      const evaluation = await this.evaluateVendor(vendorName, hospitalProfile, runContext, predictionModel);
 
-      if (compatibilityScore > 0.6) { // Minimum threshold
-        recommendations.push({
-          vendorName,
-          compatibilityScore,
-          deploymentOutcome,
-          ranking: this.calculateVendorRanking(compatibilityScore, deploymentOutcome)
-        });
+      if (evaluation.compatibilityScore > minScore) { // Minimum threshold
+        recommendations.push(explain ? evaluation : _.omit(evaluation, ['vendorId', 'compatibilityBreakdown']));
       }
     }
 
     // Sort by ranking (descending)
     recommendations.sort((a, b) => b.ranking - a.ranking);
 
-    return recommendations.slice(0, 5); // Top 5 recommendations
+    return recommendations.slice(0, limit); // Top 5 recommendations by default
+  }
+
+  /**
+   * Compatibility, predicted outcome and ranking for one catalog vendor; null when the catalog
+   * has no EHR entry for it
+   */
+  async assessVendor(vendorName, hospitalProfile, runContext, predictionModel = null) {
+    await this.vendorDatabase.refresh();
+    if (!this.vendorDatabase.getVendorData(vendorName)) return null;
+    return await this.evaluateVendor(vendorName, hospitalProfile, runContext, predictionModel);
+  }
+
+  async evaluateVendor(vendorName, hospitalProfile, runContext, predictionModel = null) {
+    const compatibility = await this.vendorDatabase.explainVendorCompatibility(
+      vendorName,
+      hospitalProfile,
+      runContext,
+      predictionModel
+    );
+    const compatibilityScore = compatibility ? compatibility.value : 0.0;
+
+    const deploymentOutcome = await this.vendorDatabase.predictDeploymentOutcome(
+      vendorName,
+      hospitalProfile,
+      predictionModel
+    );
+
+    return {
+      vendorId: this.vendorDatabase.getVendorData(vendorName)?.id || null,
+      vendorName,
+      compatibilityScore,
+      compatibilityBreakdown: compatibility?.breakdown || null,
+      deploymentOutcome,
+      ranking: this.calculateVendorRanking(compatibilityScore, deploymentOutcome)
+    };
+  }
+
+  /**
+   * Assessment profile from a stored hospital_profiles row (DECIMAL columns arrive from pg as strings)
+   */
+  profileFromRecord(record) {
+    const toNumber = (value) => (value === null || value === undefined ? undefined : Number(value));
+    return {
+      hospitalId: record.hospital_id,
+      name: record.name,
+      type: record.type,
+      bedCount: toNumber(record.bed_count),
+      annualVolume: toNumber(record.annual_volume),
+      location: record.location_type,
+      technologyMaturity: toNumber(record.technology_maturity),
+      primaryEMR: record.primary_emr || undefined,
+      complexityScore: toNumber(record.complexity_score)
+    };
   }
 
   async generateRiskAssessment(hospitalProfile, vendorRecommendations) {
@@ -653,8 +732,8 @@ class HospitalAssessmentEngine {
   }
 
   // Helper methods
-  generateCacheKey(hospitalProfile) {
-    return `hospital_${hospitalProfile.name}_${hospitalProfile.bedCount}_${hospitalProfile.type}`;
+  generateCacheKey(hospitalProfile, predictionModel = null) {
+    return `hospital_${hospitalProfile.name}_${hospitalProfile.bedCount}_${hospitalProfile.type}_m${predictionModel?.version || 0}`;
   }
 
   categorizeHospitalSize(bedCount) {
@@ -778,4 +857,4 @@ class HospitalAssessmentEngine {
   }
 }
 
-module.exports = { HospitalAssessmentEngine, LRUPatentableCache, DynamicVendorDatabase };
\ No newline at end of file
+module.exports = { HospitalAssessmentEngine, LRUPatentableCache, DynamicVendorDatabase, MIN_COMPATIBILITY_SCORE };
\ No newline at end of file
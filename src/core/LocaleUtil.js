@@ -0,0 +1,124 @@
+// LocaleUtil resolves the request locale and applies questionnaire locale bundles
+// Bundles (questionnaire/locales/<locale>.json) carry section titles, question labels, placeholders,
+// help text, option labels, table column labels, validation message templates and rule messages.
+// Lookups fall back locale -> en bundle -> schema literal, so a partial bundle is always safe.
+
+const { listLocales, loadLocaleBundle } = require('./SchemaUtil');
+const { DEFAULT_MESSAGES } = require('./AnswerTypes');
+
+const DEFAULT_LOCALE = 'en';
+
+function getSupportedLocales() {
+  const locales = listLocales();
+  return locales.includes(DEFAULT_LOCALE) ? locales : [DEFAULT_LOCALE, ...locales];
+}
+
+/**
+ * Pick the response locale: explicit ?locale= wins, then Accept-Language by q-value.
+ * Regional tags fall back to their language (es-PR -> es, fr-CA -> fr).
+ * @param {string} [requested] - explicit locale
+ * @param {string} [acceptLanguage] - Accept-Language header
+ * @returns {string} supported locale
+ */
+function resolveLocale(requested, acceptLanguage) {
+  const supported = getSupportedLocales();
+  const match = (tag) => {
+    const t = String(tag || '').trim().toLowerCase();
+    if (!t) return null;
+    if (supported.includes(t)) return t;
+    const base = t.split(/[-_]/)[0];
+    return supported.includes(base) ? base : null;
+  };
+
+  const explicit = match(requested);
+  if (explicit) return explicit;
+
+  const ranked = String(acceptLanguage || '')
+    .split(',')
+    .map((part) => {
+      const [tag, ...params] = part.trim().split(';');
+      const q = params.map((p) => p.trim()).find((p) => p.startsWith('q='));
+      return { tag, q: q ? Number(q.slice(2)) : 1 };
+    })
+    .filter((entry) => entry.tag && entry.tag !== '*' && entry.q > 0)
+    .sort((a, b) => b.q - a.q);
+  for (const { tag } of ranked) {
+    const found = match(tag);
+    if (found) return found;
+  }
+  return DEFAULT_LOCALE;
+}
+
+// Token fallback for options no bundle names: "critical_access" -> "Critical Access"
+function humanizeOption(code) {
+  const s = String(code);
+  if (s === s.toUpperCase()) return s;
+  return s.split('_').map((w) => w.charAt(0).toUpperCase() + w.slice(1)).join(' ');
+}
+
+function localizeOptions(options, ...sources) {
+  const labels = {};
+  for (const option of options) {
+    const key = String(option);
+    labels[key] = sources.map((src) => src?.[key]).find((v) => v) || humanizeOption(key);
+  }
+  return labels;
+}
+
+/**
+ * Return a copy of the schema with labels, placeholders, help text and option labels in `locale`.
+ * Option values are never translated; `optionLabels` maps each value to its display text.
+ */
+function localizeSchema(schema, locale = DEFAULT_LOCALE) {
+  const bundle = loadLocaleBundle(locale);
+  const base = locale === DEFAULT_LOCALE ? bundle : loadLocaleBundle(DEFAULT_LOCALE);
+  const pick = (field, ...candidates) => candidates.find((c) => c?.[field] !== undefined)?.[field];
+
+  const localizeQuestion = (q, text = {}, baseText = {}) => {
+    const out = { ...q };
+    out.label = text.label || baseText.label || q.label;
+    const placeholder = pick('placeholder', text, baseText, q);
+    if (placeholder !== undefined) out.placeholder = placeholder;
+    const help = pick('help', text, baseText, q);
+    if (help !== undefined) out.help = help;
+    if (Array.isArray(q.options)) out.optionLabels = localizeOptions(q.options, text.options, baseText.options);
+    if (Array.isArray(q.columns)) {
+      out.columns = q.columns.map((c) => localizeQuestion(c, text.columns?.[c.id], baseText.columns?.[c.id]));
+    }
+    return out;
+  };
+
+  return {
+    ...schema,
+    locale,
+    title: bundle.title || base.title || schema.title,
+    sections: (schema.sections || []).map((section) => ({
+      ...section,
+      title: bundle.sections?.[section.id] || base.sections?.[section.id] || section.title,
+      questions: (section.questions || []).map((q) => localizeQuestion(q, bundle.questions?.[q.id], base.questions?.[q.id]))
+    }))
+  };
+}
+
+// Validation message templates for AnswerTypes and QualityValidationEngine
+function getValidationMessages(locale = DEFAULT_LOCALE) {
+  const base = loadLocaleBundle(DEFAULT_LOCALE).messages || {};
+  const localized = locale === DEFAULT_LOCALE ? {} : loadLocaleBundle(locale).messages || {};
+  return { ...DEFAULT_MESSAGES, ...base, ...localized };
+}
+
+// Consistency rule messages are translated by rule id; the rule file's English text is the fallback
+function getRuleMessage(ruleId, fallback, locale = DEFAULT_LOCALE) {
+  if (locale === DEFAULT_LOCALE) return fallback;
+  return loadLocaleBundle(locale).rules?.[ruleId] || fallback;
+}
+
+module.exports = {
+  DEFAULT_LOCALE,
+  getSupportedLocales,
+  resolveLocale,
+  localizeSchema,
+  getValidationMessages,
+  getRuleMessage,
+  humanizeOption
+};
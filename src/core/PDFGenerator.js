@@ -7,6 +7,11 @@ const puppeteer = require('puppeteer');
 const path = require('path');
 const fs = require('fs').promises;
 
+// Benchmark rows carry other hospitals' questionnaire answers, so they are escaped before going into the HTML
+function escapeHtml(value) {
+  return String(value ?? '').replace(/[&<>"']/g, (ch) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[ch]));
+}
+
 class PDFGenerator {
   constructor() {
     this.templatePath = path.join(__dirname, '..', 'templates');
@@ -108,6 +113,49 @@ class PDFGenerator {
     });
   }
 
+  /**
+   * Generate What-if Scenario Comparison PDF
+   */
+  async generateScenarioComparison(comparison, options = {}) {
+    if (!this.initialized) await this.initialize();
+
+    const html = this.generateScenarioComparisonHTML(comparison);
+    const filename = `scenario-comparison-${comparison.comparisonId}.pdf`;
+    const header = { executiveSummary: { hospitalName: comparison.hospitalName } };
+
+    return await this.generatePDFFromHTML(html, filename, {
+      format: 'A4',
+      landscape: true, // One column per scenario
+      margin: { top: '15mm', right: '10mm', bottom: '15mm', left: '10mm' },
+      displayHeaderFooter: true,
+      headerTemplate: this.getHeaderTemplate(header),
+      footerTemplate: this.getFooterTemplate(),
+      printBackground: true,
+      ...options
+    });
+  }
+
+  /**
+   * Generate the consolidated health system report for a batch transformation
+   */
+  async generateBatchReport(batch, options = {}) {
+    if (!this.initialized) await this.initialize();
+
+    const html = this.generateBatchReportHTML(batch);
+    const filename = `system-report-${batch.batchId}.pdf`;
+    const header = { executiveSummary: { hospitalName: batch.systemName || 'Health System' } };
+
+    return await this.generatePDFFromHTML(html, filename, {
+      format: 'A4',
+      margin: { top: '20mm', right: '15mm', bottom: '20mm', left: '15mm' },
+      displayHeaderFooter: true,
+      headerTemplate: this.getHeaderTemplate(header),
+      footerTemplate: this.getFooterTemplate(),
+      printBackground: true,
+      ...options
+    });
+  }
+
   /**
    * Core PDF generation from HTML
    */
@@ -212,6 +260,23 @@ class PDFGenerator {
                 border-left: 4px solid #28a745;
                 margin-top: 20px;
             }
+            .formula-explanation {
+                margin-top: 30px;
+                page-break-inside: avoid;
+            }
+            .formula-explanation td, .formula-explanation th {
+                padding: 8px;
+                font-size: 0.9rem;
+            }
+            .cost-sensitivity {
+                margin-top: 30px;
+                page-break-inside: avoid;
+            }
+            .cost-sensitivity svg {
+                display: block;
+                margin: 10px 0 20px;
+                font-family: inherit;
+            }
         </style>
     </head>
     <body>
@@ -260,6 +325,10 @@ class PDFGenerator {
                 </ul>
             </div>
 
+            ${this.generateFormulaExplanationHTML(transformationResult)}
+
+            ${this.generateCostSensitivityHTML(transformationResult)}
+
             <div style="margin-top: 40px; padding-top: 20px; border-top: 2px solid #eee;">
                 <p style="text-align: center; color: #666; font-size: 0.9rem;">
                     Generated by Metis Transformation Engine™ | Patent-Protected Technology<br>
@@ -393,6 +462,10 @@ class PDFGenerator {
                 </ul>
             </div>
 
+            ${this.generateAnswerProvenanceHTML(transformationResult)}
+
+            ${this.generateChangeSummaryHTML(transformationResult)}
+
             <div class="spec-section">
                 <h3>📊 Cost Breakdown</h3>
                 <div class="infrastructure-grid">
@@ -630,6 +703,10 @@ class PDFGenerator {
                 margin-bottom: 40px;
                 opacity: 0.9;
             }
+            .peer-benchmark td, .peer-benchmark th {
+                padding: 6px;
+                font-size: 0.85rem;
+            }
         </style>
     </head>
     <body>
@@ -655,6 +732,11 @@ class PDFGenerator {
             <h1 style="color: #2E86AB; text-align: center; margin-bottom: 40px;">Implementation Roadmap</h1>
             ${roadmapBody}
         </div>
+        ${transformationResult.appendices?.peerBenchmark ? `
+        <div class="page-break">
+            <h1 style="color: #2E86AB; text-align: center; margin-bottom: 40px;">Appendices</h1>
+            ${this.generatePeerBenchmarkHTML(transformationResult)}
+        </div>` : ''}
     </body>
     </html>`;
   }
@@ -735,6 +817,470 @@ class PDFGenerator {
     `;
   }
 
+  /**
+   * Requirements resting on assumed or low-confidence answers
+   * Document content carries the spec as technicalSpecification; raw results carry it as specification
+   */
+  generateAnswerProvenanceHTML(transformationResult) {
+    const spec = transformationResult.technicalSpecification || transformationResult.specification;
+    const provenance = spec?.answer_provenance;
+    if (!provenance?.requires_confirmation) return '';
+
+    const flagLabel = { assumed: 'Assumed default', low_confidence: 'Low confidence' };
+    const formatValue = (value) => {
+      if (value === undefined || value === null || value === '') return '—';
+      if (Array.isArray(value)) return value.map((v) => (typeof v === 'object' ? JSON.stringify(v) : v)).join(', ');
+      return typeof value === 'object' ? JSON.stringify(value) : String(value);
+    };
+    const answerRows = [
+      ...provenance.assumed_answers.map((a) => ({ ...a, flag: 'assumed' })),
+      ...provenance.low_confidence_answers.map((a) => ({ ...a, flag: 'low_confidence' }))
+    ];
+
+    return `
+            <div class="spec-section">
+                <h3>⚠️ Assumptions to Confirm</h3>
+                <p>${provenance.flagged_requirements.length} requirement(s) rest on answers that were assumed or reported with low confidence. Confirm these before sign-off.</p>
+                ${provenance.flagged_requirements.length > 0 ? `
+                <table>
+                    <tr><th>Requirement</th><th>Question</th><th>Basis</th><th>Supplied By</th><th>Confidence</th></tr>
+                    ${provenance.flagged_requirements.map((req) => `
+                    <tr>
+                        <td>${req.requirement_id}</td>
+                        <td>${req.question}</td>
+                        <td>${flagLabel[req.flag] || req.flag}</td>
+                        <td>${req.supplied_by || '—'}</td>
+                        <td>${typeof req.confidence === 'number' ? `${Math.round(req.confidence * 100)}%` : '—'}</td>
+                    </tr>`).join('')}
+                </table>` : ''}
+                ${answerRows.length > 0 ? `
+                <table>
+                    <tr><th>Question</th><th>Value Used</th><th>Basis</th></tr>
+                    ${answerRows.map((a) => `
+                    <tr>
+                        <td>${a.question}</td>
+                        <td>${formatValue(a.value)}</td>
+                        <td>${flagLabel[a.flag]}${a.supplied_by ? ` (${a.supplied_by})` : ''}</td>
+                    </tr>`).join('')}
+                </table>` : ''}
+            </div>`;
+  }
+
+  /**
+   * What changed since an earlier transformation; only present when the document was
+   * generated with a diff (DocumentGenerator options.changeSummary)
+   */
+  generateChangeSummaryHTML(documentContent) {
+    const changeSummary = documentContent.changeSummary;
+    if (!changeSummary) return '';
+
+    const changeTable = (heading, rows) => (rows.length === 0 ? '' : `
+                <h4>${heading}</h4>
+                <table>
+                    <tr><th>Change</th><th>Item</th><th>Detail</th></tr>
+                    ${rows.map((row) => `
+                    <tr>
+                        <td>${row.change}</td>
+                        <td>${row.item}</td>
+                        <td>${row.detail}</td>
+                    </tr>`).join('')}
+                </table>`);
+
+    return `
+            <div class="spec-section">
+                <h3>🔄 ${changeSummary.title}</h3>
+                <p>Compared with transformation ${changeSummary.baseTransformationId}</p>
+                <ul>
+                    ${changeSummary.highlights.map((line) => `<li>${line}</li>`).join('')}
+                </ul>
+                ${changeTable('Requirements', changeSummary.requirementChanges)}
+                ${changeTable('Implementation Phases', changeSummary.phaseChanges)}
+                ${changeTable('Risks', changeSummary.riskChanges)}
+                ${changeTable('Specification Sections', changeSummary.sectionChanges)}
+            </div>`;
+  }
+
+  /**
+   * Benchmarking appendix (DocumentGenerator.generatePeerBenchmarkAppendix); only present when the
+   * document was generated with a peer benchmark (DocumentGenerator options.peerBenchmark)
+   */
+  generatePeerBenchmarkHTML(documentContent) {
+    const appendix = documentContent.appendices?.peerBenchmark;
+    if (!appendix) return '';
+
+    return `
+            <div class="peer-benchmark">
+                <h3>🏥 ${escapeHtml(appendix.title)}</h3>
+                <p><em>${escapeHtml(appendix.note)}</em></p>
+                <ul>
+                    ${appendix.highlights.map((line) => `<li>${escapeHtml(line)}</li>`).join('')}
+                </ul>
+                <table>
+                    <tr><th>Measure</th><th>This Proposal</th><th>Peer Median</th><th>Difference</th><th>Peer Basis</th></tr>
+                    ${appendix.comparison.map((row) => `
+                    <tr>
+                        <td>${escapeHtml(row.measure)}</td>
+                        <td>${escapeHtml(row.proposed)}</td>
+                        <td>${escapeHtml(row.peerMedian)}</td>
+                        <td>${escapeHtml(row.difference)}</td>
+                        <td>${escapeHtml(row.basis)}</td>
+                    </tr>`).join('')}
+                </table>
+                ${appendix.peers.length === 0 ? '' : `
+                <h4>Peer Engagements</h4>
+                <table>
+                    <tr><th>Peer</th><th>Similarity</th><th>Profile</th><th>Proposed Duration</th><th>Actual Duration</th><th>Proposed Cost</th><th>Actual Cost</th><th>Feasibility</th></tr>
+                    ${appendix.peers.map((peer) => `
+                    <tr>
+                        <td>${escapeHtml(peer.label)}</td>
+                        <td>${escapeHtml(peer.similarity)}</td>
+                        <td>${escapeHtml(peer.profile)}</td>
+                        <td>${escapeHtml(peer.proposedWeeks)}</td>
+                        <td>${escapeHtml(peer.actualWeeks)}</td>
+                        <td>${escapeHtml(peer.proposedCost)}</td>
+                        <td>${escapeHtml(peer.actualCost)}</td>
+                        <td>${escapeHtml(peer.feasibility)}</td>
+                    </tr>`).join('')}
+                </table>`}
+            </div>`;
+  }
+
+  /**
+   * "How this score was calculated" - factor tables behind HCS, SIDI and RAF
+   * (DocumentGenerator.generateFormulaExplanation); empty when the result has no breakdown
+   */
+  generateFormulaExplanationHTML(documentContent) {
+    const explanation = documentContent.formulaExplanation;
+    if (!explanation) return '';
+
+    return `
+            <div class="formula-explanation">
+                <h3>🧮 ${explanation.title}</h3>
+                ${explanation.note ? `<p><em>${explanation.note}</em></p>` : ''}
+                ${explanation.formulas.map((formula) => `
+                <h4>${formula.name} (${formula.formula}): ${formula.value}</h4>
+                <p>${formula.method}</p>
+                <table>
+                    <tr><th>Factor</th><th>Raw Value</th><th>Normalised</th><th>Weight</th><th>Contribution</th></tr>
+                    ${formula.factors.map((f) => `
+                    <tr>
+                        <td>${f.label}</td>
+                        <td>${f.rawValue}</td>
+                        <td>${f.normalizedValue}</td>
+                        <td>${f.weight}</td>
+                        <td>${f.contribution}</td>
+                    </tr>`).join('')}
+                </table>`).join('')}
+            </div>`;
+  }
+
+  /**
+   * RAF cost sensitivity (DocumentGenerator.generateCostSensitivity): P10/P50/P90 table,
+   * tornado chart and cost histogram as inline SVG so they render in both HTML and PDF
+   */
+  generateCostSensitivityHTML(documentContent) {
+    const sensitivity = documentContent.costSensitivity;
+    if (!sensitivity) return '';
+
+    return `
+            <div class="cost-sensitivity">
+                <h3>📊 ${sensitivity.title}</h3>
+                <p><em>Baseline estimate ${sensitivity.baselineCostLabel}; ranges from ${sensitivity.iterations.toLocaleString()} Monte Carlo iterations (seed ${sensitivity.seed}).</em></p>
+                <table>
+                    <tr><th>Measure</th><th>P10</th><th>P50</th><th>P90</th></tr>
+                    ${sensitivity.ranges.map((range) => `
+                    <tr>
+                        <td>${range.measure}</td>
+                        <td>${range.p10}</td>
+                        <td>${range.p50}</td>
+                        <td>${range.p90}</td>
+                    </tr>`).join('')}
+                </table>
+                <h4>Tornado: One Input at a Time</h4>
+                ${this.renderTornadoSVG(sensitivity)}
+                <h4>Cost Distribution</h4>
+                ${this.renderHistogramSVG(sensitivity)}
+                <ul>
+                    ${sensitivity.assumptions.map((line) => `<li>${line}</li>`).join('')}
+                </ul>
+            </div>`;
+  }
+
+  // Horizontal bars from each input's low-case to high-case cost, centred on the baseline
+  renderTornadoSVG(sensitivity) {
+    const labelWidth = 190;
+    const chartWidth = 420;
+    const rowHeight = 28;
+    const height = sensitivity.tornado.length * rowHeight + 30;
+    const lowest = Math.min(sensitivity.baselineCost, ...sensitivity.tornado.map((bar) => bar.lowCost));
+    const highest = Math.max(sensitivity.baselineCost, ...sensitivity.tornado.map((bar) => bar.highCost));
+    const x = (cost) => labelWidth + ((cost - lowest) / (highest - lowest || 1)) * chartWidth;
+    const baselineX = x(sensitivity.baselineCost);
+
+    const rows = sensitivity.tornado.map((bar, i) => {
+      const y = i * rowHeight + 6;
+      return `
+                    <text x="${labelWidth - 8}" y="${y + 15}" text-anchor="end" font-size="11">${bar.label}</text>
+                    <rect x="${x(bar.lowCost)}" y="${y}" width="${Math.max(0, baselineX - x(bar.lowCost))}" height="${rowHeight - 10}" fill="#2E86AB"/>
+                    <rect x="${baselineX}" y="${y}" width="${Math.max(0, x(bar.highCost) - baselineX)}" height="${rowHeight - 10}" fill="#A23B72"/>
+                    <text x="${x(bar.highCost) + 4}" y="${y + 15}" font-size="10" fill="#555">${bar.lowInput} → ${bar.highInput}</text>`;
+    }).join('');
+
+    return `
+                <svg width="${labelWidth + chartWidth + 130}" height="${height}" xmlns="http://www.w3.org/2000/svg">
+                    ${rows}
+                    <line x1="${baselineX}" y1="0" x2="${baselineX}" y2="${height - 24}" stroke="#333" stroke-dasharray="4 3"/>
+                    <text x="${baselineX}" y="${height - 10}" text-anchor="middle" font-size="10">Baseline ${sensitivity.baselineCostLabel}</text>
+                    <text x="${labelWidth}" y="${height - 10}" text-anchor="start" font-size="10" fill="#555">${this.formatCurrency(lowest)}</text>
+                    <text x="${labelWidth + chartWidth}" y="${height - 10}" text-anchor="end" font-size="10" fill="#555">${this.formatCurrency(highest)}</text>
+                </svg>`;
+  }
+
+  // Monte Carlo cost histogram with P10/P50/P90 markers
+  renderHistogramSVG(sensitivity) {
+    const width = 600;
+    const plotHeight = 160;
+    const bins = sensitivity.histogram;
+    const barWidth = width / bins.length;
+    const maxCount = Math.max(...bins.map((bin) => bin.count), 1);
+    const from = bins[0].from;
+    const to = bins[bins.length - 1].to;
+    const x = (cost) => ((cost - from) / (to - from || 1)) * width;
+
+    const bars = bins.map((bin, i) => {
+      const barHeight = (bin.count / maxCount) * plotHeight;
+      return `<rect x="${i * barWidth + 1}" y="${plotHeight - barHeight + 20}" width="${barWidth - 2}" height="${barHeight}" fill="#2E86AB"/>`;
+    }).join('');
+    const markers = ['p10', 'p50', 'p90'].map((key) => {
+      const markerX = x(sensitivity.percentiles[key]);
+      return `
+                    <line x1="${markerX}" y1="14" x2="${markerX}" y2="${plotHeight + 20}" stroke="#F18F01" stroke-width="2"/>
+                    <text x="${markerX}" y="10" text-anchor="middle" font-size="10">${key.toUpperCase()} ${this.formatCurrency(sensitivity.percentiles[key])}</text>`;
+    }).join('');
+
+    return `
+                <svg width="${width + 20}" height="${plotHeight + 45}" xmlns="http://www.w3.org/2000/svg">
+                    ${bars}
+                    ${markers}
+                    <line x1="0" y1="${plotHeight + 20}" x2="${width}" y2="${plotHeight + 20}" stroke="#333"/>
+                    <text x="0" y="${plotHeight + 36}" font-size="10" fill="#555">${this.formatCurrency(from)}</text>
+                    <text x="${width}" y="${plotHeight + 36}" text-anchor="end" font-size="10" fill="#555">${this.formatCurrency(to)}</text>
+                </svg>`;
+  }
+
+  /**
+   * Generate Batch (Health System) Report HTML: system roll-up first, then one row per facility
+   */
+  generateBatchReportHTML(batch) {
+    const systemName = batch.systemName || 'Health System';
+    const { rollup } = batch;
+    const formatNumber = (value) => (typeof value === 'number' ? value.toLocaleString() : '—');
+    const serverLabels = { applicationServers: 'Application', webServers: 'Web', dbServers: 'Database' };
+    const integrationLabels = {
+      ehr: 'EHR',
+      departmental_system: 'Departmental system',
+      interface_engine: 'Interface engine',
+      protocol: 'Protocol',
+      interface_endpoint: 'Interface endpoint'
+    };
+
+    return `
+    <!DOCTYPE html>
+    <html>
+    <head>
+        <meta charset="UTF-8">
+        <title>System Report - ${systemName}</title>
+        <style>
+            ${this.getBaseStyles()}
+            .system-report { padding: 20px; }
+            .failed { color: #dc3545; }
+            .rollup-grid {
+                display: grid;
+                grid-template-columns: repeat(4, 1fr);
+                gap: 15px;
+                margin: 20px 0;
+            }
+            .rollup-item {
+                background: #f8f9fa;
+                padding: 15px;
+                border-radius: 8px;
+                border-left: 4px solid #2E86AB;
+            }
+            .rollup-item .value { font-size: 1.4rem; font-weight: bold; color: #2E86AB; }
+        </style>
+    </head>
+    <body>
+        <div class="system-report">
+            <h1>${systemName}</h1>
+            <h2>Consolidated Transformation Report</h2>
+            <p><strong>Generated:</strong> ${new Date(batch.generatedAt || Date.now()).toLocaleDateString()} • ${rollup.facilities.completed} of ${rollup.facilities.total} facilities transformed</p>
+
+            <div class="rollup-grid">
+                <div class="rollup-item"><div class="value">${formatNumber(rollup.raf.totalServers)}</div>RAF servers</div>
+                <div class="rollup-item"><div class="value">${this.formatCurrency(rollup.cost.infrastructure)}</div>Infrastructure cost</div>
+                <div class="rollup-item"><div class="value">${this.formatCurrency(rollup.cost.implementationBudget)}</div>Implementation budget</div>
+                <div class="rollup-item"><div class="value">${rollup.phasing.programDurationWeeks} weeks</div>Combined program</div>
+            </div>
+
+            <h3>🖥️ System Infrastructure (RAF)</h3>
+            <table>
+                <tr><th>Server Type</th><th>Servers</th></tr>
+                ${Object.entries(rollup.raf.servers).map(([type, count]) => `
+                <tr><td>${serverLabels[type] || type}</td><td>${count}</td></tr>`).join('')}
+                <tr><td><strong>CPU cores / memory</strong></td><td>${formatNumber(rollup.raf.totalCpuCores)} cores / ${formatNumber(rollup.raf.totalMemoryGb)} GB</td></tr>
+                <tr><td><strong>Storage (primary / backup)</strong></td><td>${formatNumber(rollup.raf.primaryStorageGb)} GB / ${formatNumber(rollup.raf.backupStorageGb)} GB</td></tr>
+            </table>
+
+            <h3>🔗 Shared Vendor Integrations</h3>
+            ${rollup.sharedIntegrations.length > 0 ? `
+            <table>
+                <tr><th>Integration</th><th>Type</th><th>Facilities</th></tr>
+                ${rollup.sharedIntegrations.map((entry) => `
+                <tr><td>${entry.name}</td><td>${integrationLabels[entry.type] || entry.type}</td><td>${entry.facilityCount}: ${entry.facilities.join(', ')}</td></tr>`).join('')}
+            </table>` : '<p>No integrations are shared between facilities.</p>'}
+
+            <h3>📅 Combined Phasing</h3>
+            <p>Each phase starts once every facility has completed the previous one. Running facilities one after another would take ${rollup.phasing.sequentialDurationWeeks} weeks.</p>
+            <table>
+                <tr><th>Phase</th><th>Weeks</th><th>Facilities</th><th>Peak Staff</th></tr>
+                ${rollup.phasing.phases.map((phase) => `
+                <tr>
+                    <td>${phase.name}</td>
+                    <td>${phase.startWeek}–${phase.endWeek}</td>
+                    <td>${phase.facilities}</td>
+                    <td>${Object.entries(phase.resources).map(([role, count]) => `${role.replace(/_/g, ' ')}: ${count}`).join(', ') || '—'}</td>
+                </tr>`).join('')}
+            </table>
+
+            <h3>🏥 Facilities</h3>
+            <table>
+                <tr><th>Facility</th><th>HCS</th><th>Servers</th><th>Infrastructure Cost</th><th>Duration</th><th>Risk</th></tr>
+                ${batch.facilities.map((facility) => (facility.status === 'completed' ? `
+                <tr>
+                    <td>${facility.facilityName}</td>
+                    <td>${typeof facility.metrics.hcs === 'number' ? facility.metrics.hcs.toFixed(3) : '—'}</td>
+                    <td>${facility.metrics.raf ? facility.metrics.raf.totalServers : '—'}</td>
+                    <td>${typeof facility.metrics.cost.infrastructure === 'number' ? this.formatCurrency(facility.metrics.cost.infrastructure) : '—'}</td>
+                    <td>${facility.metrics.timeline.implementationWeeks ?? '—'} weeks</td>
+                    <td>${facility.metrics.riskLevel || '—'}</td>
+                </tr>` : `
+                <tr><td>${facility.facilityName}</td><td colspan="5" class="failed">Run failed: ${facility.error}</td></tr>`)).join('')}
+            </table>
+
+            <div style="margin-top: 40px; padding-top: 20px; border-top: 2px solid #eee;">
+                <p style="text-align: center; color: #666; font-size: 0.9rem;">
+                    Generated by Metis Transformation Engine™ | Patent-Protected Technology<br>
+                    Batch ID: ${batch.batchId}
+                </p>
+            </div>
+        </div>
+    </body>
+    </html>`;
+  }
+
+  /**
+   * Generate Scenario Comparison HTML: one column per variant, deltas against the baseline
+   */
+  generateScenarioComparisonHTML(comparison) {
+    const hospitalName = comparison.hospitalName || 'Hospital';
+    const scenarios = comparison.scenarios || [];
+    const formatNumber = (value, digits = 2) => (typeof value === 'number' ? value.toFixed(digits) : '—');
+    const formatDelta = (delta, format, lowerIsBetter = true) => {
+      if (typeof delta !== 'number' || delta === 0) return '';
+      const better = lowerIsBetter ? delta < 0 : delta > 0;
+      return `<div class="delta ${better ? 'better' : 'worse'}">${delta > 0 ? '+' : '−'}${format(Math.abs(delta))}</div>`;
+    };
+    const rows = [
+      { label: 'Hospital Complexity Score (HCS)', value: (m) => formatNumber(m.hcs, 3), delta: (d) => formatDelta(d.hcs, (v) => v.toFixed(3)) },
+      { label: 'Integration Difficulty (SIDI)', value: (m) => formatNumber(m.sidi), delta: (d) => formatDelta(d.sidi, (v) => v.toFixed(2)) },
+      { label: 'RAF Servers / CPU Cores', value: (m) => (m.raf ? `${m.raf.totalServers} / ${m.raf.totalCpuCores}` : '—'), delta: (d) => formatDelta(d.totalServers, (v) => `${v} servers`) },
+      { label: 'Requested Timeline', value: (m) => (m.timeline.requested || '—').replace(/_/g, ' '), delta: () => '' },
+      { label: 'Estimated Timeline', value: (m) => m.timeline.estimated || '—', delta: () => '' },
+      { label: 'Implementation Duration', value: (m) => (typeof m.timeline.implementationWeeks === 'number' ? `${m.timeline.implementationWeeks} weeks` : '—'), delta: (d) => formatDelta(d.implementationWeeks, (v) => `${v} wk`) },
+      { label: 'Infrastructure Cost (RAF)', value: (m) => (typeof m.cost.infrastructure === 'number' ? this.formatCurrency(m.cost.infrastructure) : '—'), delta: (d) => formatDelta(d.infrastructureCost, (v) => this.formatCurrency(v)) },
+      { label: 'Implementation Budget', value: (m) => (typeof m.cost.implementationBudget === 'number' ? this.formatCurrency(m.cost.implementationBudget) : '—'), delta: (d) => formatDelta(d.implementationBudget, (v) => this.formatCurrency(v)) },
+      { label: 'Risk Level', value: (m) => `${m.riskLevel || '—'} (${m.riskCount} risks)`, delta: (d) => formatDelta(d.riskLevel, (v) => `${v} level${v === 1 ? '' : 's'}`) },
+      { label: 'Feasibility', value: (m) => (typeof m.feasibilityScore === 'number' ? `${Math.round(m.feasibilityScore * 100)}%` : '—'), delta: (d) => formatDelta(d.feasibilityScore, (v) => `${Math.round(v * 100)} pts`, false) }
+    ];
+    const highlightLabels = {
+      lowestCost: 'Lowest infrastructure cost',
+      shortestTimeline: 'Shortest implementation',
+      lowestComplexity: 'Lowest complexity',
+      easiestIntegration: 'Easiest integration',
+      lowestRisk: 'Lowest risk',
+      highestFeasibility: 'Highest feasibility'
+    };
+    const describeOverrides = (overrides = {}) => Object.entries(overrides)
+      .map(([question, value]) => `${question}: ${Array.isArray(value) ? value.join(', ') : value}`)
+      .join('<br>') || 'As answered';
+
+    return `
+    <!DOCTYPE html>
+    <html>
+    <head>
+        <meta charset="UTF-8">
+        <title>Scenario Comparison - ${hospitalName}</title>
+        <style>
+            ${this.getBaseStyles()}
+            .comparison { padding: 20px; }
+            .comparison th, .comparison td { padding: 8px; font-size: 0.85rem; vertical-align: top; }
+            .comparison td.metric { font-weight: 600; color: #2E86AB; }
+            .overrides { font-size: 0.75rem; color: #666; font-weight: normal; }
+            .failed { color: #dc3545; }
+            .delta { font-size: 0.75rem; }
+            .delta.better { color: #28a745; }
+            .delta.worse { color: #dc3545; }
+            .highlights {
+                background: #d4edda;
+                padding: 20px;
+                border-radius: 8px;
+                border-left: 4px solid #28a745;
+            }
+        </style>
+    </head>
+    <body>
+        <div class="comparison">
+            <h1>${hospitalName}</h1>
+            <h2>What-if Scenario Comparison</h2>
+            <p><strong>Generated:</strong> ${new Date(comparison.generatedAt || Date.now()).toLocaleDateString()} • ${scenarios.length - 1} scenario(s) against the baseline</p>
+
+            <table>
+                <tr>
+                    <th>Metric</th>
+                    ${scenarios.map((s) => `<th>${s.name}<div class="overrides">${describeOverrides(s.overrides)}</div></th>`).join('')}
+                </tr>
+                ${rows.map((row) => `
+                <tr>
+                    <td class="metric">${row.label}</td>
+                    ${scenarios.map((s) => (s.status === 'completed'
+                      ? `<td>${row.value(s.metrics)}${s.deltas ? row.delta(s.deltas) : ''}</td>`
+                      : '<td class="failed">Run failed</td>')).join('')}
+                </tr>`).join('')}
+            </table>
+
+            ${scenarios.some((s) => s.status !== 'completed') ? `
+            <p class="failed">${scenarios.filter((s) => s.status !== 'completed').map((s) => `${s.name}: ${s.error}`).join('<br>')}</p>` : ''}
+
+            <div class="highlights">
+                <h3>📊 Where Each Scenario Comes Out Ahead</h3>
+                <ul>
+                    ${Object.entries(comparison.highlights || {}).filter(([, name]) => name).map(([key, name]) =>
+                        `<li><strong>${highlightLabels[key] || key}:</strong> ${name}</li>`
+                    ).join('')}
+                </ul>
+            </div>
+
+            <div style="margin-top: 40px; padding-top: 20px; border-top: 2px solid #eee;">
+                <p style="text-align: center; color: #666; font-size: 0.9rem;">
+                    Generated by Metis Transformation Engine™ | Patent-Protected Technology<br>
+                    Comparison ID: ${comparison.comparisonId}
+                </p>
+            </div>
+        </div>
+    </body>
+    </html>`;
+  }
+
   /**
    * Format currency values
    */
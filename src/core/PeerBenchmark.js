@@ -0,0 +1,265 @@
+/**
+ * Similar-Hospital Peer Benchmarking
+ * Finds the past engagements whose hospitals look most like a transformation's hospital and lines
+ * up their timelines, costs and feasibility against what that transformation proposes. Where a peer
+ * has a recorded outcome its actual figures are used, otherwise what it was proposed.
+ *
+ * Similarity is the cosine of hospital embeddings (hospital_profiles.embedding_vector). An embedding
+ * is one unit-length block per characteristic scaled by the square root of its BLOCK_WEIGHTS entry,
+ * so the cosine of two embeddings is the weighted mean of the per-characteristic similarities.
+ */
+
+const winston = require('winston');
+const { summarizeTransformationResult } = require('./ScenarioComparison');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.json(),
+  transports: [
+    new winston.transports.File({ filename: 'logs/peer-benchmark.log' })
+  ]
+});
+
+// Option lists from the questionnaire schema; anything else lands in the last slot
+const FACILITY_TYPES = ['academic', 'community', 'critical_access', 'specialty', 'multi_site', 'general', 'other'];
+const EHR_VENDORS = ['epic', 'cerner', 'meditech', 'allscripts', 'athenahealth', 'other'];
+const CLINICAL_SYSTEMS = ['pacs', 'ris', 'lis', 'pharmacy', 'cardiology', 'anesthesia', 'none'];
+const LOCATION_TYPES = ['urban', 'suburban', 'rural', 'unknown'];
+
+// Bed count is spread over log-spaced buckets so that nearby sizes overlap
+const BED_BUCKETS = [25, 50, 100, 200, 400, 800, 1600, 3200];
+const BED_SPREAD = 0.75; // in doublings
+
+const BLOCK_WEIGHTS = { facilityType: 1.0, bedCount: 1.0, primaryEHR: 1.0, clinicalSystems: 0.75, locationType: 0.5 };
+
+function unitBlock(values, weight) {
+  const norm = Math.sqrt(values.reduce((sum, v) => sum + v * v, 0));
+  return values.map((v) => Math.round((v / norm) * Math.sqrt(weight) * 10000) / 10000);
+}
+
+function oneHot(options, value) {
+  const slot = options.includes(value) ? value : options[options.length - 1];
+  return options.map((option) => (option === slot ? 1 : 0));
+}
+
+/**
+ * Embedding of a questionnaire's facility type, bed count, primary EHR, clinical systems and location type
+ */
+function hospitalEmbedding(questionnaire = {}) {
+  const beds = Math.max(1, Number(questionnaire.bedCount) || 100);
+  const bedValues = BED_BUCKETS.map((bucket) => Math.exp(-((Math.log2(beds) - Math.log2(bucket)) ** 2) / (2 * BED_SPREAD ** 2)));
+  const systems = Array.isArray(questionnaire.clinicalSystems) ? questionnaire.clinicalSystems : [];
+  const systemValues = CLINICAL_SYSTEMS.map((system) => (system === 'none' ? Number(systems.length === 0) : Number(systems.includes(system))));
+
+  return [
+    ...unitBlock(oneHot(FACILITY_TYPES, questionnaire.facilityType), BLOCK_WEIGHTS.facilityType),
+    ...unitBlock(bedValues, BLOCK_WEIGHTS.bedCount),
+    ...unitBlock(oneHot(EHR_VENDORS, questionnaire.primaryEHR), BLOCK_WEIGHTS.primaryEHR),
+    ...unitBlock(systemValues.some(Boolean) ? systemValues : oneHot(CLINICAL_SYSTEMS, 'none'), BLOCK_WEIGHTS.clinicalSystems),
+    ...unitBlock(oneHot(LOCATION_TYPES, questionnaire.locationType), BLOCK_WEIGHTS.locationType)
+  ];
+}
+
+function cosineSimilarity(a, b) {
+  if (!Array.isArray(a) || !Array.isArray(b) || a.length === 0 || a.length !== b.length) return null;
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += Number(a[i]) * Number(b[i]);
+    normA += Number(a[i]) ** 2;
+    normB += Number(b[i]) ** 2;
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : null;
+}
+
+/**
+ * hospital_profiles row (DatabaseManager.upsertHospitalProfile) for a completed engagement
+ * The table's type and location_type columns take the older Academic/Community/... vocabulary
+ */
+function buildHospitalProfile(hospitalId, questionnaire = {}) {
+  let type = 'Community';
+  if (questionnaire.facilityType === 'academic') type = 'Academic';
+  else if (questionnaire.facilityType === 'specialty') type = 'Specialty';
+  else if (questionnaire.healthSystemAffiliation === 'government') type = 'Government';
+
+  let locationType = null;
+  if (questionnaire.facilityType === 'critical_access') locationType = 'Critical Access';
+  else if (LOCATION_TYPES.slice(0, 3).includes(questionnaire.locationType)) {
+    locationType = questionnaire.locationType.charAt(0).toUpperCase() + questionnaire.locationType.slice(1);
+  }
+
+  const bedCount = Number(questionnaire.bedCount);
+  return {
+    hospitalId,
+    name: questionnaire.facilityName || hospitalId,
+    type,
+    bedCount: Number.isFinite(bedCount) && bedCount > 0 ? Math.min(Math.round(bedCount), 3000) : null,
+    annualVolume: Number.isFinite(Number(questionnaire.annualPatientVolume)) ? Number(questionnaire.annualPatientVolume) : null,
+    locationType,
+    primaryEMR: questionnaire.primaryEHR || null,
+    embeddingVector: hospitalEmbedding(questionnaire)
+  };
+}
+
+// transformation_outcomes row as served by the API
+function describeOutcome(row) {
+  if (!row) return null;
+  return {
+    transformationId: row.transformation_id,
+    hospitalId: row.hospital_id || null,
+    actualImplementationWeeks: row.actual_implementation_weeks === null ? null : Number(row.actual_implementation_weeks),
+    actualCost: row.actual_cost === null ? null : Number(row.actual_cost),
+    goLiveDate: row.go_live_date instanceof Date ? row.go_live_date.toISOString().slice(0, 10) : row.go_live_date || null,
+    budgetOverrunPercent: row.budget_overrun_percent === null || row.budget_overrun_percent === undefined
+      ? null
+      : Number(row.budget_overrun_percent),
+    incidentCount: row.incident_count ?? null,
+    vendorId: row.vendor_id || null,
+    note: row.note || null,
+    recordedBy: row.recorded_by || null,
+    updatedAt: row.updated_at instanceof Date ? row.updated_at.toISOString() : row.updated_at || null
+  };
+}
+
+function median(values) {
+  const sorted = values.filter((v) => typeof v === 'number' && Number.isFinite(v)).sort((a, b) => a - b);
+  if (sorted.length === 0) return null;
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+function percentDifference(value, reference) {
+  if (typeof value !== 'number' || typeof reference !== 'number' || reference === 0) return null;
+  return Math.round(((value - reference) / reference) * 1000) / 10;
+}
+
+class PeerBenchmark {
+  constructor(transformationEngine) {
+    this.transformationEngine = transformationEngine;
+  }
+
+  /**
+   * Benchmark a completed transformation against its most similar peers
+   * @param {Object} options - { limit, minSimilarity }
+   * @returns {Object|null} null when the transformation is not a completed run of the tenant
+   */
+  async benchmark(transformationId, tenantId = 'default', { limit = 5, minSimilarity = 0.7 } = {}) {
+    const databaseManager = this.transformationEngine.databaseManager;
+    const subject = await this.loadEngagement(transformationId, tenantId);
+    if (!subject) return null;
+
+    // Ask for more hospitals than needed: some may have no completed engagement to compare
+    const similar = await databaseManager.findSimilarHospitals({
+      hospitalId: subject.hospitalId,
+      embeddingVector: hospitalEmbedding(subject.questionnaire),
+      type: buildHospitalProfile(subject.hospitalId, subject.questionnaire).type,
+      bedCount: subject.questionnaire.bedCount
+    }, minSimilarity, tenantId, limit * 3);
+
+    const peers = [];
+    for (const match of similar.rows) {
+      if (peers.length >= limit) break;
+      const row = await databaseManager.getLatestCompletedTransformation(match.hospital_id, tenantId);
+      const engagement = row && await this.loadEngagement(row.transformation_id, tenantId);
+      if (!engagement || engagement.transformationId === transformationId) continue;
+      peers.push({ similarity: Math.round(Number(match.similarity_score) * 1000) / 1000, ...engagement });
+    }
+
+    logger.info('Peer benchmark built', { transformationId, tenantId, candidates: similar.rows.length, peers: peers.length });
+    return {
+      transformationId,
+      hospitalId: subject.hospitalId,
+      criteria: { limit, minSimilarity, weights: BLOCK_WEIGHTS },
+      proposal: subject.proposed,
+      // Peers are other hospitals' engagements, so they are listed by rank rather than by hospital or run id
+      peers: peers.map((peer, index) => ({
+        label: `Peer ${index + 1}`,
+        similarity: peer.similarity,
+        completedAt: peer.completedAt,
+        profile: peer.profile,
+        proposed: peer.proposed,
+        actual: peer.actual
+      })),
+      comparison: this.compare(subject.proposed, peers)
+    };
+  }
+
+  /**
+   * A completed transformation with the figures a benchmark compares, plus its recorded outcome
+   */
+  async loadEngagement(transformationId, tenantId) {
+    const databaseManager = this.transformationEngine.databaseManager;
+    const result = await this.transformationEngine.getTransformationResult(transformationId, tenantId);
+    if (!result || result.status !== 'completed') return null;
+
+    const row = await databaseManager.getTransformationResult(transformationId, tenantId);
+    const questionnaire = row.questionnaire_data || {};
+    const summary = summarizeTransformationResult(result, questionnaire);
+    const outcome = describeOutcome(await databaseManager.getTransformationOutcome(transformationId, tenantId));
+
+    return {
+      transformationId,
+      hospitalId: result.hospitalId,
+      completedAt: result.timestamp,
+      questionnaire,
+      profile: {
+        facilityType: questionnaire.facilityType || null,
+        bedCount: questionnaire.bedCount ?? null,
+        primaryEHR: questionnaire.primaryEHR || null,
+        clinicalSystems: questionnaire.clinicalSystems || [],
+        locationType: questionnaire.locationType || null
+      },
+      proposed: {
+        implementationWeeks: summary.timeline.implementationWeeks,
+        estimatedTimeline: summary.timeline.estimated,
+        cost: summary.cost.infrastructure,
+        feasibilityScore: summary.feasibilityScore
+      },
+      actual: outcome ? { implementationWeeks: outcome.actualImplementationWeeks, cost: outcome.actualCost } : null
+    };
+  }
+
+  /**
+   * Proposal against the peers' medians; peers' actual figures are preferred over what they were proposed
+   */
+  compare(proposal, peers) {
+    const measure = (key) => {
+      const figures = peers.map((peer) => {
+        const actual = peer.actual?.[key];
+        return typeof actual === 'number' ? { value: actual, actual: true } : { value: peer.proposed[key], actual: false };
+      });
+      const peerMedian = median(figures.map((figure) => figure.value));
+      const overrun = median(peers
+        .filter((peer) => typeof peer.actual?.[key] === 'number')
+        .map((peer) => percentDifference(peer.actual[key], peer.proposed[key])));
+
+      return {
+        proposed: proposal[key],
+        peerMedian,
+        differencePercent: percentDifference(proposal[key], peerMedian),
+        actualCount: figures.filter((figure) => figure.actual).length,
+        peerMedianOverrunPercent: overrun === null ? null : Math.round(overrun * 10) / 10
+      };
+    };
+
+    return {
+      peerCount: peers.length,
+      implementationWeeks: measure('implementationWeeks'),
+      cost: measure('cost'),
+      feasibilityScore: {
+        proposed: proposal.feasibilityScore,
+        peerMedian: median(peers.map((peer) => peer.proposed.feasibilityScore))
+      }
+    };
+  }
+}
+
+module.exports = {
+  PeerBenchmark,
+  hospitalEmbedding,
+  cosineSimilarity,
+  buildHospitalProfile,
+  describeOutcome,
+  BLOCK_WEIGHTS
+};
@@ -0,0 +1,182 @@
+// PipelineStages describes the transformation pipeline and resolves the stage order for a run
+// A stage definition:
+//   name:     key its output is stored under (in pipelineData, checkpoints and events)
+//   inputs:   what it reads - 'questionnaire', 'options' or the name of an earlier stage
+//   outputs:  keys the stage promises on its result object (checked after it runs)
+//   after / before: stage name(s) it must run after / before
+//   enabled:  default on/off; options.stages[name] = true|false overrides it per run
+//   run(inputs, context): async; receives only its declared inputs and { transformationId, options, runContext }.
+//             Stages that need the time or random numbers should take them from runContext (see RunContext)
+//             so replays of the run reproduce their output.
+// Built-in stages call TransformationEngine methods; the required ones cannot be disabled.
+
+const RUN_INPUTS = ['questionnaire', 'options'];
+
+const BUILTIN_STAGES = [
+  { name: 'parse', method: 'parseQuestionnaire', inputs: ['questionnaire'], required: true },
+  { name: 'extract', method: 'extractRequirements', inputs: ['parse'], required: true },
+  { name: 'formulas', method: 'computeFormulas', inputs: ['questionnaire', 'extract'] },
+  { name: 'assess', method: 'assessHospital', inputs: ['extract'], required: true },
+  { name: 'map', method: 'mapToSpecification', inputs: ['extract', 'assess'], required: true },
+  { name: 'generate', method: 'generateSpecification', inputs: ['map'], required: true },
+  { name: 'validate', method: 'validateSpecification', inputs: ['generate', 'extract'] },
+  { name: 'optimize', method: 'optimizeSpecification', inputs: ['generate', 'validate'] }
+].map((stage) => ({ ...stage, builtin: true, outputs: [], after: [], before: [], enabled: true }));
+
+const BUILTIN_NAMES = BUILTIN_STAGES.map((s) => s.name);
+
+function toList(value) {
+  if (value === undefined || value === null) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * Check a plugin stage definition and fill in defaults
+ * @throws {Error} when the definition is unusable
+ */
+function normalizeStageDefinition(definition) {
+  if (!definition || typeof definition !== 'object') throw new Error('Stage definition must be an object');
+  const { name } = definition;
+  if (typeof name !== 'string' || !/^[A-Za-z][A-Za-z0-9_-]*$/.test(name)) {
+    throw new Error(`Invalid stage name: ${name}`);
+  }
+  if (BUILTIN_NAMES.includes(name) || RUN_INPUTS.includes(name)) {
+    throw new Error(`Stage name is reserved: ${name}`);
+  }
+  if (typeof definition.run !== 'function') throw new Error(`Stage ${name} must provide a run(inputs, context) function`);
+
+  const stage = {
+    name,
+    run: definition.run,
+    inputs: toList(definition.inputs),
+    outputs: toList(definition.outputs),
+    after: toList(definition.after),
+    before: toList(definition.before),
+    enabled: definition.enabled !== false,
+    builtin: false
+  };
+  if (stage.inputs.includes(name) || stage.after.includes(name) || stage.before.includes(name)) {
+    throw new Error(`Stage ${name} cannot depend on itself`);
+  }
+  return stage;
+}
+
+/**
+ * Merge plugin stages into the built-in order
+ * Each plugin is placed right after its last `after` anchor (or right before its first `before` anchor),
+ * otherwise at the end; plugins sharing an anchor keep their registration order.
+ * @param {Array} plugins - normalized plugin stages in registration order
+ * @returns {Array} every stage, enabled or not, in run order
+ */
+function orderStages(plugins = []) {
+  const ordered = [...BUILTIN_STAGES];
+  let pending = [...plugins];
+
+  while (pending.length > 0) {
+    const deferred = [];
+    for (const stage of pending) {
+      const anchors = [...stage.after, ...stage.before];
+      if (anchors.some((anchor) => !ordered.some((s) => s.name === anchor))) {
+        deferred.push(stage);
+        continue;
+      }
+
+      let index = ordered.length;
+      if (stage.after.length > 0) {
+        index = Math.max(...stage.after.map((anchor) => ordered.findIndex((s) => s.name === anchor))) + 1;
+        // Skip past plugins already placed behind the same anchor
+        while (index < ordered.length && !ordered[index].builtin && ordered[index].after.some((a) => stage.after.includes(a))) index += 1;
+      } else if (stage.before.length > 0) {
+        index = Math.min(...stage.before.map((anchor) => ordered.findIndex((s) => s.name === anchor)));
+      }
+      ordered.splice(index, 0, stage);
+    }
+
+    if (deferred.length === pending.length) {
+      const names = deferred.map((s) => s.name).join(', ');
+      throw new Error(`Unknown ordering anchor for stage(s): ${names}`);
+    }
+    pending = deferred;
+  }
+
+  ordered.forEach((stage, index) => {
+    for (const anchor of stage.before) {
+      if (ordered.findIndex((s) => s.name === anchor) < index) {
+        throw new Error(`Conflicting ordering: ${stage.name} must run before ${anchor}`);
+      }
+    }
+    for (const anchor of stage.after) {
+      if (ordered.findIndex((s) => s.name === anchor) > index) {
+        throw new Error(`Conflicting ordering: ${stage.name} must run after ${anchor}`);
+      }
+    }
+  });
+  return ordered;
+}
+
+/**
+ * Resolve the stages a run will execute
+ * @param {Array} plugins - normalized plugin stages in registration order
+ * @param {Object} enableFlags - options.stages, e.g. { optimize: false, stateRegulations: true }
+ * @returns {Array} enabled stages in run order
+ * @throws {Error} on unknown flags, disabled required stages or unmet inputs
+ */
+function resolvePipeline(plugins = [], enableFlags = {}) {
+  const ordered = orderStages(plugins);
+  const flags = enableFlags || {};
+
+  const unknown = Object.keys(flags).filter((name) => !ordered.some((s) => s.name === name));
+  if (unknown.length > 0) throw new Error(`Unknown pipeline stage(s) in options.stages: ${unknown.join(', ')}`);
+
+  const enabled = ordered.filter((stage) => {
+    const on = flags[stage.name] === undefined ? stage.enabled : flags[stage.name] !== false;
+    if (!on && stage.required) throw new Error(`Stage ${stage.name} is required and cannot be disabled`);
+    return on;
+  });
+
+  return checkStageInputs(enabled, ordered);
+}
+
+/**
+ * Make sure every input is produced by a stage that runs earlier
+ * @param {Array} stages - stages in run order
+ * @param {Array} known - all known stages, used to explain disabled inputs
+ */
+function checkStageInputs(stages, known = stages) {
+  stages.forEach((stage, index) => {
+    for (const input of stage.inputs) {
+      if (RUN_INPUTS.includes(input)) continue;
+      if (stages.slice(0, index).some((s) => s.name === input)) continue;
+      if (stages.some((s) => s.name === input)) throw new Error(`Stage ${stage.name} needs ${input}, which runs after it`);
+      if (known.some((s) => s.name === input)) throw new Error(`Stage ${stage.name} needs ${input}, which is disabled`);
+      throw new Error(`Stage ${stage.name} needs unknown input ${input}`);
+    }
+  });
+  return stages;
+}
+
+/**
+ * Collect a plugin stage's declared inputs from the pipeline data
+ */
+function pickStageInputs(stage, pipelineData) {
+  return Object.fromEntries(stage.inputs.map((input) => [input, pipelineData[input]]));
+}
+
+/**
+ * Names of declared outputs missing from a stage result
+ */
+function findMissingOutputs(stage, result) {
+  if (stage.outputs.length === 0) return [];
+  if (!result || typeof result !== 'object') return [...stage.outputs];
+  return stage.outputs.filter((key) => result[key] === undefined);
+}
+
+module.exports = {
+  BUILTIN_STAGES,
+  normalizeStageDefinition,
+  orderStages,
+  resolvePipeline,
+  checkStageInputs,
+  pickStageInputs,
+  findMissingOutputs
+};
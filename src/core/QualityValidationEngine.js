@@ -1,4 +1,10 @@
 const winston = require('winston');
+const { getSchemaQuestions, isQuestionVisible, isQuestionRequired, loadConsistencyRules } = require('./SchemaUtil');
+const { validateAnswer, hasAnswerValue, formatMessage } = require('./AnswerTypes');
+const { evaluateCondition } = require('./ConditionEvaluator');
+const { DEFAULT_LOCALE, localizeSchema, getValidationMessages, getRuleMessage } = require('./LocaleUtil');
+
+const RULE_SEVERITIES = ['error', 'warning', 'info'];
 
 const logger = winston.createLogger({
   level: 'info',
@@ -13,51 +19,122 @@ const logger = winston.createLogger({
 class QualityValidationEngine {
   /**
    * @param {Function} schemaLoader - function that returns the questionnaire schema JSON
+   * @param {Function} [rulesLoader] - function that returns the consistency rules (questionnaire/consistency-rules.json)
    */
-  constructor(schemaLoader) {
+  constructor(schemaLoader, rulesLoader = loadConsistencyRules) {
     this.loadSchema = schemaLoader;
+    this.loadRules = rulesLoader;
   }
 
-  /** Validate questionnaire completeness against schema */
-  validateQuestionnaireCompleteness(questionnaire) {
-    const schema = this.loadSchema();
-    const requiredIds = [];
-    for (const section of schema.sections) {
-      for (const q of section.questions) {
-        if (q.required) requiredIds.push(q.id);
+  /**
+   * Validate questionnaire completeness against schema.
+   * visibleWhen/requiredWhen are evaluated so hidden questions are never counted as missing.
+   * @param {Object} questionnaire - prepared answers
+   * @param {Object} [options] - { locale } for the returned messages
+   */
+  validateQuestionnaireCompleteness(questionnaire, { locale = DEFAULT_LOCALE } = {}) {
+    const schema = localizeSchema(this.loadSchema(), locale);
+    const messages = getValidationMessages(locale);
+    const required = [];
+    const hiddenFields = [];
+    for (const q of getSchemaQuestions(schema)) {
+      if (!isQuestionVisible(q, questionnaire)) {
+        hiddenFields.push(q.id);
+        continue;
       }
+      if (isQuestionRequired(q, questionnaire)) required.push(q);
     }
+    const requiredIds = required.map((q) => q.id);
 
-    const missing = requiredIds.filter((id) => !this._hasValue(questionnaire[id]));
+    // Structured answers (tables, ranges, attachments) count only once their essential parts are present
+    const missingQuestions = required
+      .filter((q) => !this._hasValue(questionnaire[q.id]) || !hasAnswerValue(questionnaire[q.id], q));
+    const missing = missingQuestions.map((q) => q.id);
     const completeness = (requiredIds.length - missing.length) / Math.max(1, requiredIds.length);
 
     return {
       completenessScore: Number(completeness.toFixed(3)),
       requiredCount: requiredIds.length,
       missingCount: missing.length,
-      missingFields: missing
+      missingFields: missing,
+      messages: missingQuestions.map((q) => formatMessage(messages, 'required_field', { label: q.label })),
+      hiddenFields,
+      locale
     };
   }
 
-  /** Basic consistency checks with deterministic rules */
-  validateQuestionnaireConsistency(questionnaire) {
+  /**
+   * Consistency checks: declarative cross-field rules plus per-type answer validation.
+   * Error rules become issues, warning rules warnings; every triggered rule is returned with its fields.
+   * @param {Object} questionnaire - prepared answers
+   * @param {Object} [options] - { locale } for rule and validation messages
+   */
+  validateQuestionnaireConsistency(questionnaire, { locale = DEFAULT_LOCALE } = {}) {
     const issues = [];
     const warnings = [];
-
-    // Facility type token normalization
-    const type = String(questionnaire.facilityType || '').toLowerCase();
-    const bedCount = Number(questionnaire.bedCount);
-    if (type === 'critical_access' && bedCount > 500) {
-      warnings.push('Critical access hospitals typically have < 100 beds');
+    const { triggeredRules, ruleErrors } = this.evaluateConsistencyRules(questionnaire, locale);
+    for (const rule of triggeredRules) {
+      if (rule.severity === 'error') issues.push(rule.message);
+      else if (rule.severity === 'warning') warnings.push(rule.message);
     }
-    if (!Array.isArray(questionnaire.complianceFrameworks) || questionnaire.complianceFrameworks.length === 0) {
-      issues.push('At least one compliance framework (e.g., HIPAA) should be selected');
+
+    const fieldErrors = this.validateAnswerTypes(questionnaire, locale);
+    for (const { label, errors } of fieldErrors) {
+      errors.forEach((e) => issues.push(`${label}: ${e}`));
     }
-    if (!questionnaire.primaryEHR) {
-      warnings.push('Primary EHR not specified; assumptions will be applied');
+
+    return { issues, warnings, triggeredRules, fieldErrors, ruleErrors, isConsistent: issues.length === 0, locale };
+  }
+
+  /**
+   * Evaluate every consistency rule against the answers.
+   * A malformed rule is reported in ruleErrors and skipped so one bad edit cannot block validation.
+   */
+  evaluateConsistencyRules(questionnaire, locale = DEFAULT_LOCALE) {
+    const triggeredRules = [];
+    const ruleErrors = [];
+    for (const rule of this.loadRules()) {
+      try {
+        if (!rule.id || !rule.message || !rule.when) throw new Error('rule needs id, message and when');
+        const severity = rule.severity || 'warning';
+        if (!RULE_SEVERITIES.includes(severity)) throw new Error(`unknown severity ${severity}`);
+        if (!evaluateCondition(rule.when, questionnaire)) continue;
+        triggeredRules.push({
+          ruleId: rule.id,
+          severity,
+          message: this._formatRuleMessage(getRuleMessage(rule.id, rule.message, locale), questionnaire),
+          fields: Array.isArray(rule.fields) ? rule.fields : []
+        });
+      } catch (error) {
+        logger.error('Consistency rule evaluation failed', { ruleId: rule.id, error: error.message });
+        ruleErrors.push({ ruleId: rule.id || null, error: error.message });
+      }
     }
+    return { triggeredRules, ruleErrors };
+  }
 
-    return { issues, warnings, isConsistent: issues.length === 0 };
+  // "{bedCount}" in a rule message is replaced with the answer
+  _formatRuleMessage(message, questionnaire) {
+    return String(message).replace(/\{(\w+)\}/g, (match, id) => {
+      const value = questionnaire[id];
+      if (value === undefined || value === null) return match;
+      return Array.isArray(value) ? value.join(', ') : String(value);
+    });
+  }
+
+  /**
+   * Type-level validation of every visible, answered question
+   * (dates, ranges, table rows and columns, attachment type/size)
+   */
+  validateAnswerTypes(questionnaire, locale = DEFAULT_LOCALE) {
+    const fieldErrors = [];
+    const messages = getValidationMessages(locale);
+    for (const q of getSchemaQuestions(localizeSchema(this.loadSchema(), locale))) {
+      if (!this._hasValue(questionnaire[q.id]) || !isQuestionVisible(q, questionnaire)) continue;
+      const errors = validateAnswer(questionnaire[q.id], q, messages);
+      if (errors.length > 0) fieldErrors.push({ questionId: q.id, label: q.label, type: q.type, errors });
+    }
+    return fieldErrors;
   }
 
   /**
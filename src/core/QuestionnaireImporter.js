@@ -0,0 +1,390 @@
+const path = require('path');
+const ExcelJS = require('exceljs');
+const winston = require('winston');
+const {
+  METADATA_KEYS,
+  loadQuestionnaireSchema,
+  getSchemaQuestions,
+  applySchemaDefaults
+} = require('./SchemaUtil');
+const { migrateQuestionnaire } = require('./SchemaMigrator');
+const { STRUCTURED_TYPES, normalizeAnswer, validateAnswer } = require('./AnswerTypes');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.json(),
+  transports: [new winston.transports.File({ filename: 'logs/questionnaire-import.log' })]
+});
+
+// Header of the first column when a sheet lists one question per row instead of per column
+const LONG_LAYOUT_HEADERS = ['question', 'questionid', 'question_id', 'field', 'id'];
+const TRUE_TOKENS = ['yes', 'y', 'true', '1', 'on', 'x'];
+const FALSE_TOKENS = ['no', 'n', 'false', '0', 'off'];
+
+/**
+ * QuestionnaireImporter
+ * Maps CSV/XLSX spreadsheets onto questionnaire schema ids and reports, per record,
+ * what could not be mapped or coerced before anything is handed to the transformation pipeline.
+ */
+class QuestionnaireImporter {
+  /**
+   * @param {QualityValidationEngine} qualityValidation - validator used for per-record completeness/consistency
+   * @param {Object} [options]
+   * @param {Function} [options.schemaLoader] - returns the current questionnaire schema
+   * @param {Function} [options.sanitize] - applied to every text cell (e.g. the gateway's sanitizeString)
+   */
+  constructor(qualityValidation, { schemaLoader = () => loadQuestionnaireSchema(), sanitize = (s) => s } = {}) {
+    this.qualityValidation = qualityValidation;
+    this.loadSchema = schemaLoader;
+    this.sanitize = sanitize;
+  }
+
+  /**
+   * Parse, map, coerce and validate an uploaded spreadsheet
+   * @param {Buffer} buffer - file contents
+   * @param {Object} file - { originalname, mimetype }
+   * @param {Object} [options] - { columnMap: { header: questionId }, sheet: name, locale, suppliedBy }
+   */
+  async importFile(buffer, file = {}, options = {}) {
+    const format = this.detectFormat(file);
+    const table = format === 'xlsx'
+      ? await this.parseXlsx(buffer, options.sheet)
+      : this.parseCsv(buffer.toString('utf8'));
+
+    const schema = this.loadSchema();
+    const questions = getSchemaQuestions(schema);
+    const { layout, headers, records } = this.toRecords(table);
+    const columns = this.mapColumns(headers, questions, options.columnMap);
+
+    const rows = records.map((record) => this.buildRowReport(record, columns, schema, options));
+    const report = {
+      fileName: file.originalname || null,
+      format,
+      layout,
+      schemaVersion: String(schema.version),
+      columns: {
+        mapped: columns.filter((c) => c.questionId).map(({ column, questionId, matchedBy }) => ({ column, questionId, matchedBy })),
+        unmapped: columns.filter((c) => !c.questionId).map(({ column, reason }) => ({ column, reason }))
+      },
+      rows,
+      summary: {
+        totalRows: rows.length,
+        readyRows: rows.filter((r) => r.ready).length,
+        rowsWithErrors: rows.filter((r) => r.error).length,
+        rowsWithCoercionFailures: rows.filter((r) => r.coercionFailures.length > 0).length,
+        rowsWithValidationIssues: rows.filter((r) => r.completeness && (r.completeness.missingCount > 0 || !r.consistency.isConsistent)).length
+      }
+    };
+
+    logger.info('Questionnaire import analysed', {
+      fileName: report.fileName,
+      format,
+      layout,
+      ...report.summary
+    });
+    return report;
+  }
+
+  detectFormat(file) {
+    const ext = path.extname(file.originalname || '').toLowerCase();
+    if (ext === '.xlsx' || file.mimetype === 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet') return 'xlsx';
+    if (ext === '.csv' || ['text/csv', 'application/csv', 'text/plain'].includes(file.mimetype)) return 'csv';
+    throw new Error(`Unsupported import file type: ${file.originalname || file.mimetype || 'unknown'} (expected .csv or .xlsx)`);
+  }
+
+  /** RFC 4180 CSV: quoted fields, escaped quotes, embedded newlines; delimiter sniffed from the header line */
+  parseCsv(text) {
+    const source = text.replace(/^﻿/, '');
+    const firstLine = source.split(/\r?\n/, 1)[0] || '';
+    const delimiter = [',', ';', '\t'].reduce((best, d) => (firstLine.split(d).length > firstLine.split(best).length ? d : best), ',');
+
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    for (let i = 0; i < source.length; i++) {
+      const ch = source[i];
+      if (quoted) {
+        if (ch === '"' && source[i + 1] === '"') { field += '"'; i++; }
+        else if (ch === '"') quoted = false;
+        else field += ch;
+      } else if (ch === '"' && field === '') {
+        quoted = true;
+      } else if (ch === delimiter) {
+        row.push(field); field = '';
+      } else if (ch === '\n' || ch === '\r') {
+        if (ch === '\r' && source[i + 1] === '\n') i++;
+        row.push(field); rows.push(row);
+        row = []; field = '';
+      } else {
+        field += ch;
+      }
+    }
+    if (field !== '' || row.length > 0) { row.push(field); rows.push(row); }
+    return rows.filter((r) => r.some((cell) => String(cell).trim() !== ''));
+  }
+
+  async parseXlsx(buffer, sheetName) {
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(buffer);
+    const sheet = sheetName ? workbook.getWorksheet(sheetName) : workbook.worksheets[0];
+    if (!sheet) throw new Error(sheetName ? `Worksheet not found: ${sheetName}` : 'Workbook contains no worksheets');
+
+    const rows = [];
+    sheet.eachRow({ includeEmpty: false }, (row) => {
+      const cells = [];
+      for (let c = 1; c <= sheet.columnCount; c++) cells.push(this.cellValue(row.getCell(c).value));
+      rows.push(cells);
+    });
+    return rows.filter((r) => r.some((cell) => cell !== '' && cell !== null));
+  }
+
+  // Flatten ExcelJS cell values (rich text, formulas, hyperlinks, dates) into plain values
+  cellValue(value) {
+    if (value === null || value === undefined) return '';
+    if (value instanceof Date) return value.toISOString().slice(0, 10);
+    if (typeof value !== 'object') return value;
+    if (Array.isArray(value.richText)) return value.richText.map((t) => t.text).join('');
+    if ('result' in value) return this.cellValue(value.result);
+    if ('text' in value) return this.cellValue(value.text);
+    if ('error' in value) return String(value.error);
+    return String(value);
+  }
+
+  /**
+   * Wide layout: header row of questions, one record per following row.
+   * Long layout: first column lists questions, every further column is one record.
+   */
+  toRecords(table) {
+    if (table.length === 0) throw new Error('Import file contains no rows');
+    const firstHeader = this.normalizeKey(table[0][0]);
+    const isLong = LONG_LAYOUT_HEADERS.map((h) => this.normalizeKey(h)).includes(firstHeader);
+
+    if (!isLong) {
+      const headers = table[0].map((h) => String(h).trim());
+      const records = table.slice(1).map((cells, i) => ({
+        source: `row ${i + 2}`,
+        values: headers.map((_, c) => (cells[c] === undefined ? '' : cells[c]))
+      }));
+      return { layout: 'wide', headers, records };
+    }
+
+    const body = table.slice(1);
+    const headers = body.map((cells) => String(cells[0]).trim());
+    const width = Math.max(...table.map((r) => r.length));
+    const records = [];
+    for (let c = 1; c < width; c++) {
+      const values = body.map((cells) => (cells[c] === undefined ? '' : cells[c]));
+      if (values.every((v) => String(v).trim() === '')) continue;
+      records.push({ source: `column ${this.columnLetter(c)}${table[0][c] ? ` (${String(table[0][c]).trim()})` : ''}`, values });
+    }
+    return { layout: 'long', headers, records };
+  }
+
+  /**
+   * Resolve each header to a question id: explicit columnMap first, then id/var, then label.
+   * Matching ignores case, spacing and punctuation.
+   */
+  mapColumns(headers, questions, columnMap = {}) {
+    const questionIds = new Set(questions.map((q) => q.id));
+    const byKey = new Map();
+    for (const q of questions) {
+      for (const [key, matchedBy] of [[q.label, 'label'], [q.var, 'id'], [q.id, 'id']]) {
+        if (key) byKey.set(this.normalizeKey(key), { questionId: q.id, matchedBy });
+      }
+    }
+    for (const key of METADATA_KEYS) byKey.set(this.normalizeKey(key), { questionId: key, matchedBy: 'metadata' });
+
+    const explicit = Object.fromEntries(Object.entries(columnMap || {}).map(([k, v]) => [this.normalizeKey(k), v]));
+    const claimed = new Set();
+    return headers.map((column) => {
+      const key = this.normalizeKey(column);
+      let match = null;
+      if (explicit[key]) {
+        if (!questionIds.has(explicit[key]) && !METADATA_KEYS.includes(explicit[key])) {
+          return { column, questionId: null, reason: `columnMap target is not a schema question: ${explicit[key]}` };
+        }
+        match = { questionId: explicit[key], matchedBy: 'columnMap' };
+      } else {
+        match = byKey.get(key) || null;
+      }
+      if (!match) return { column, questionId: null, reason: column ? 'no matching question' : 'empty header' };
+      if (claimed.has(match.questionId)) return { column, questionId: null, reason: `duplicate column for ${match.questionId}` };
+      claimed.add(match.questionId);
+      return { column, ...match };
+    });
+  }
+
+  /**
+   * Cells are coerced against the schema version the row declares (schemaVersion column, else current),
+   * migrated to the current version, and only then validated against the current schema, so option
+   * values that were valid in an older version are accepted. A row that cannot be processed at all
+   * (e.g. an unknown schemaVersion) is reported with `error` instead of failing the import.
+   */
+  buildRowReport(record, columns, schema, { locale, suppliedBy } = {}) {
+    const unmappedColumns = [];
+    const coercionFailures = [];
+    const cells = [];
+    const metadata = {};
+
+    columns.forEach((col, i) => {
+      const raw = record.values[i];
+      if (raw === '' || raw === null || (typeof raw === 'string' && raw.trim() === '')) return;
+      const value = typeof raw === 'string' ? this.sanitize(raw.trim()) : raw;
+      if (!col.questionId) {
+        unmappedColumns.push({ column: col.column, value, reason: col.reason });
+      } else if (METADATA_KEYS.includes(col.questionId)) {
+        metadata[col.questionId] = String(value);
+      } else {
+        cells.push({ ...col, value });
+      }
+    });
+
+    try {
+      const currentVersion = String(schema.version);
+      const rowVersion = metadata.schemaVersion || currentVersion;
+      const rowQuestions = new Map(getSchemaQuestions(loadQuestionnaireSchema(rowVersion)).map((q) => [q.id, q]));
+      const currentQuestions = new Map(getSchemaQuestions(schema).map((q) => [q.id, q]));
+      const columnOf = {};
+
+      const answers = { schemaVersion: rowVersion, provenance: {} };
+      for (const cell of cells) {
+        const result = this.coerceValue(cell.value, rowQuestions.get(cell.questionId) || currentQuestions.get(cell.questionId));
+        if (result.errors.length > 0) {
+          coercionFailures.push(...result.errors.map((e) => ({ questionId: cell.questionId, column: cell.column, value: cell.value, ...e })));
+        }
+        if (result.value !== undefined) {
+          answers[cell.questionId] = result.value;
+          answers.provenance[cell.questionId] = { source: 'imported', suppliedBy };
+          columnOf[cell.questionId] = cell.column;
+        }
+      }
+
+      const { questionnaire: migrated } = migrateQuestionnaire(answers, currentVersion);
+      const supplied = Object.keys(migrated.provenance || {}).filter((id) => migrated.provenance[id].source === 'imported');
+      for (const questionId of supplied) {
+        const question = currentQuestions.get(questionId);
+        if (!question || !(questionId in migrated)) continue;
+        const result = this.coerceValue(migrated[questionId], question);
+        if (result.errors.length > 0) {
+          coercionFailures.push(...result.errors.map((e) => ({ questionId, column: columnOf[questionId] || null, value: migrated[questionId], ...e })));
+          delete migrated[questionId];
+          delete migrated.provenance[questionId];
+        } else {
+          migrated[questionId] = result.value;
+        }
+      }
+
+      const questionnaire = applySchemaDefaults(migrated);
+      const completeness = this.qualityValidation.validateQuestionnaireCompleteness(questionnaire, { locale });
+      const consistency = this.qualityValidation.validateQuestionnaireConsistency(questionnaire, { locale });
+      const suppliedFields = supplied.filter((id) => id in migrated);
+      const defaultedFields = Object.keys(questionnaire).filter(
+        (k) => currentQuestions.has(k) && !suppliedFields.includes(k)
+      );
+
+      return {
+        source: record.source,
+        facilityName: migrated.facilityName || null,
+        ready: coercionFailures.length === 0 && completeness.missingCount === 0 && consistency.isConsistent,
+        suppliedFields,
+        defaultedFields,
+        unmappedColumns,
+        coercionFailures,
+        completeness,
+        consistency,
+        questionnaire
+      };
+    } catch (error) {
+      logger.warn('Questionnaire import row failed', { source: record.source, error: error.message });
+      return {
+        source: record.source,
+        facilityName: cells.find((c) => c.questionId === 'facilityName')?.value ?? null,
+        ready: false,
+        error: error.message,
+        suppliedFields: [],
+        defaultedFields: [],
+        unmappedColumns,
+        coercionFailures,
+        completeness: null,
+        consistency: null,
+        questionnaire: null
+      };
+    }
+  }
+
+  /**
+   * Coerce a spreadsheet cell to the question's type.
+   * Values that cannot be coerced are reported and left out, so schema defaults apply instead.
+   * @returns {{ value: *, errors: Array<{ reason: string, expected: * }> }}
+   */
+  coerceValue(value, question) {
+    switch (question.type) {
+      case 'number': {
+        const n = typeof value === 'number' ? value : Number(String(value).replace(/[,\s]/g, ''));
+        if (!Number.isFinite(n)) return { value: undefined, errors: [{ reason: 'not_a_number', expected: 'number' }] };
+        const outOfRange = (question.min !== undefined && n < question.min) || (question.max !== undefined && n > question.max);
+        if (outOfRange) {
+          return { value: undefined, errors: [{ reason: 'out_of_range', expected: { min: question.min, max: question.max } }] };
+        }
+        return { value: n, errors: [] };
+      }
+      case 'boolean': {
+        if (typeof value === 'boolean') return { value, errors: [] };
+        const token = String(value).trim().toLowerCase();
+        if (TRUE_TOKENS.includes(token)) return { value: true, errors: [] };
+        if (FALSE_TOKENS.includes(token)) return { value: false, errors: [] };
+        return { value: undefined, errors: [{ reason: 'not_a_boolean', expected: 'yes/no' }] };
+      }
+      case 'select': {
+        const option = this.matchOption(value, question.options);
+        if (option === undefined) return { value: undefined, errors: [{ reason: 'unknown_option', expected: question.options }] };
+        return { value: option, errors: [] };
+      }
+      case 'multi_select': {
+        const items = String(value).split(/[,;|\n]/).map((s) => s.trim()).filter(Boolean);
+        const matched = [];
+        const errors = [];
+        for (const item of items) {
+          const option = this.matchOption(item, question.options);
+          if (option === undefined) errors.push({ reason: 'unknown_option', expected: question.options, item });
+          else if (!matched.includes(option)) matched.push(option);
+        }
+        return { value: matched.length > 0 ? matched : undefined, errors };
+      }
+      default: {
+        // Dates, ranges, tables (JSON cells) and attachments (URL cells) share the schema's own rules
+        if (question.type === 'date' || STRUCTURED_TYPES.includes(question.type)) {
+          const normalized = normalizeAnswer(value, question);
+          const errors = validateAnswer(normalized, question);
+          if (errors.length > 0) return { value: undefined, errors: errors.map((e) => ({ reason: 'invalid_value', expected: question.type, detail: e })) };
+          return { value: normalized, errors: [] };
+        }
+        return { value: String(value), errors: [] };
+      }
+    }
+  }
+
+  // Options match on their token, so "Critical Access" and "critical-access" both select critical_access
+  matchOption(value, options = []) {
+    const key = this.normalizeKey(value);
+    return options.find((o) => this.normalizeKey(o) === key);
+  }
+
+  normalizeKey(value) {
+    return String(value === undefined || value === null ? '' : value).toLowerCase().replace(/[^a-z0-9]/g, '');
+  }
+
+  columnLetter(index) {
+    let n = index + 1;
+    let letters = '';
+    while (n > 0) {
+      const rem = (n - 1) % 26;
+      letters = String.fromCharCode(65 + rem) + letters;
+      n = Math.floor((n - 1) / 26);
+    }
+    return letters;
+  }
+}
+
+module.exports = { QuestionnaireImporter };
@@ -10,6 +10,10 @@
 
 const winston = require('winston');
 const _ = require('lodash');
+const { METADATA_KEYS, getQuestionIndex } = require('./SchemaUtil');
+const { normalizeAnswer, validateAnswer } = require('./AnswerTypes');
+const { ASSUMED_CONFIDENCE, splitAnswerProvenance, getProvenanceFlag, summarizeProvenance } = require('./AnswerProvenance');
+const { resolveRunContext } = require('./RunContext');
 
 const logger = winston.createLogger({
   level: 'info',
@@ -30,17 +34,17 @@ const QUESTIONNAIRE_TAXONOMY = {
     description: 'Basic facility information and organizational context'
   },
   'clinical_systems': {
-    questions: 34,
+    questions: 35,
     weight: 0.25,
     description: 'EHR, departmental systems, and clinical workflow'
   },
   'network_infrastructure': {
-    questions: 13,
+    questions: 14,
     weight: 0.15,
     description: 'Network architecture and connectivity'
   },
   'compute_environment': {
-    questions: 10,
+    questions: 11,
     weight: 0.12,
     description: 'Virtualization, storage, and compute resources'
   },
@@ -55,7 +59,7 @@ const QUESTIONNAIRE_TAXONOMY = {
     description: 'Data management and governance policies'
   },
   'clinical_workflow': {
-    questions: 7,
+    questions: 9,
     weight: 0.10,
     description: 'Clinical processes and workflow integration'
   },
@@ -79,6 +83,49 @@ const HEALTHCARE_TERMINOLOGY = {
   clinical_departments: ['Emergency', 'ICU', 'Surgery', 'Radiology', 'Laboratory', 'Pharmacy', 'Cardiology']
 };
 
+/**
+ * Profile fields that collect the answers of each taxonomy section so downstream
+ * stages consume the hospital's actual environment instead of assumptions
+ */
+const SECTION_PROFILE_FIELDS = {
+  'facility_identity': 'organization',
+  'clinical_systems': 'clinicalLandscape',
+  'network_infrastructure': 'networkSetup',
+  'compute_environment': 'computeEnvironment',
+  'security_compliance': 'securityControls',
+  'data_governance': 'dataGovernance',
+  'clinical_workflow': 'clinicalWorkflow',
+  'ai_ml_configuration': 'aiConfiguration'
+};
+
+/**
+ * Sections for form fields that predate the schema (kept for older web form posts)
+ */
+const LEGACY_FIELD_SECTIONS = {
+  'epicVersion': 'clinical_systems',
+  'epicModules': 'clinical_systems',
+  'cernerPlatform': 'clinical_systems',
+  'ehrTimeline': 'clinical_systems',
+  'budget': 'implementation_timeline',
+  'priority': 'implementation_timeline',
+  'additionalRequirements': 'additional_info',
+  'contactEmail': 'additional_info'
+};
+
+// Schema question types mapped to parser types
+const SCHEMA_TYPE_MAP = {
+  number: 'number',
+  boolean: 'boolean',
+  multi_select: 'array',
+  select: 'text',
+  text: 'text',
+  date: 'date',
+  date_range: 'date_range',
+  number_range: 'number_range',
+  table: 'table',
+  attachment: 'attachment'
+};
+
 class QuestionnaireProcessor {
   constructor() {
     this.initialized = false;
@@ -99,7 +146,8 @@ class QuestionnaireProcessor {
    * @returns {Object} Processed and validated questionnaire data
    */
   async processQuestionnaire(questionnaireData, options = {}) {
-    const startTime = Date.now();
+    const runContext = resolveRunContext(options.runContext);
+    const startTime = runContext.now();
     
     try {
       logger.info('Processing hospital questionnaire', {
@@ -107,6 +155,10 @@ class QuestionnaireProcessor {
         questionCount: Object.keys(questionnaireData).length
       });
 
+      // Answers may arrive wrapped with their provenance; keep bare values plus the provenance map
+      const { answers, provenance } = splitAnswerProvenance(questionnaireData);
+      questionnaireData = { ...answers, provenance };
+
       // Validate questionnaire structure and completeness
       const validationResult = this.validateQuestionnaireStructure(questionnaireData);
       if (!validationResult.isValid) {
@@ -125,7 +177,7 @@ class QuestionnaireProcessor {
       // Generate confidence scores
       const confidenceScores = this.generateConfidenceScores(contextualData);
 
-      const processingTime = Date.now() - startTime;
+      const processingTime = runContext.now() - startTime;
       this.updateProcessingStats(processingTime, confidenceScores.overallConfidence);
 
       const result = {
@@ -178,13 +230,13 @@ class QuestionnaireProcessor {
       const hospitalProfile = this.extractHospitalProfile(processedData);
       
       // Extract technical requirements
-      const technicalRequirements = this.extractTechnicalRequirements(processedData);
+      const technicalRequirements = this.extractTechnicalRequirements(processedData, options.runContext);
       
       // Extract operational requirements
-      const operationalRequirements = this.extractOperationalRequirements(processedData);
+      const operationalRequirements = this.extractOperationalRequirements(processedData, options.runContext);
       
       // Extract compliance requirements
-      const complianceRequirements = this.extractComplianceRequirements(processedData);
+      const complianceRequirements = this.extractComplianceRequirements(processedData, options.runContext);
       
       // Prioritize requirements with clinical impact weighting
       const prioritizedRequirements = this.prioritizeRequirements({
@@ -205,6 +257,7 @@ class QuestionnaireProcessor {
         constraints,
         priorityMatrix: this.generatePriorityMatrix(resolvedRequirements),
         feasibilityAnalysis: this.analyzeFeasibility(resolvedRequirements, constraints),
+        answerProvenance: this.summarizeAnswerProvenance(processedData),
         qualityScore: this.calculateExtractionQualityScore(resolvedRequirements, constraints),
         patentClaims: ['3.d', '3.e', '3.f']
       };
@@ -224,6 +277,21 @@ class QuestionnaireProcessor {
     }
   }
 
+  // Where the answer behind a requirement came from; flagged when it was assumed or reported with low confidence
+  describeAnswerBasis(questionData) {
+    return {
+      answerProvenance: questionData.provenance || null,
+      answerConfidence: questionData.confidence,
+      provenanceFlag: getProvenanceFlag(questionData.provenance)
+    };
+  }
+
+  summarizeAnswerProvenance(processedData) {
+    const answers = _.mapValues(processedData, 'parsedResponse');
+    const provenance = _.pickBy(_.mapValues(processedData, 'provenance'));
+    return summarizeProvenance({ ...answers, provenance }, Object.keys(processedData));
+  }
+
   /**
    * Validate questionnaire structure and completeness
    */
@@ -249,20 +317,9 @@ class QuestionnaireProcessor {
     }
 
     // Map fields to sections to calculate completeness
-    const fieldSectionMap = {
-      'facilityName': 'facility_identity',
-      'facilityType': 'facility_identity', 
-      'bedCount': 'facility_identity',
-      'annualPatientVolume': 'facility_identity',
-      'location': 'facility_identity',
-      'primaryEHR': 'clinical_systems',
-      'ehrStatus': 'clinical_systems',
-      'clinicalSystems': 'clinical_systems',
-      'internetBandwidth': 'network_infrastructure',
-      'networkType': 'network_infrastructure',
-      'complianceFrameworks': 'security_compliance',
-      'timeline': 'implementation_timeline'
-    };
+    const questionIndex = getQuestionIndex();
+    const fieldSectionMap = { ...LEGACY_FIELD_SECTIONS };
+    for (const [id, q] of Object.entries(questionIndex)) fieldSectionMap[id] = q.section;
 
     const presentSections = [...new Set(Object.keys(questionnaireData)
       .map(field => fieldSectionMap[field])
@@ -286,20 +343,25 @@ class QuestionnaireProcessor {
    */
   parseStructuredResponses(questionnaireData) {
     const structuredData = {};
+    const questionIndex = getQuestionIndex();
+    const provenance = questionnaireData.provenance || {};
     
     for (const [questionId, response] of Object.entries(questionnaireData)) {
+      if (METADATA_KEYS.includes(questionId)) continue;
+      const answerProvenance = provenance[questionId] || null;
       try {
         // Determine question type and section
         const questionMeta = this.analyzeQuestionMetadata(questionId);
         
         // Parse response based on expected data type
-        const parsedResponse = this.parseResponseByType(response, questionMeta.expectedType);
+        const parsedResponse = this.parseResponseByType(response, questionMeta.expectedType, questionIndex[questionId]);
         
         structuredData[questionId] = {
           rawResponse: response,
           parsedResponse,
           questionMeta,
-          confidence: this.calculateResponseConfidence(response, questionMeta)
+          provenance: answerProvenance,
+          confidence: this.calculateResponseConfidence(response, questionMeta, answerProvenance)
         };
         
       } catch (error) {
@@ -308,6 +370,7 @@ class QuestionnaireProcessor {
           rawResponse: response,
           parsedResponse: response,
           questionMeta: { section: 'unknown', type: 'text' },
+          provenance: answerProvenance,
           confidence: 0.5,
           parseError: error.message
         };
@@ -404,9 +467,12 @@ class QuestionnaireProcessor {
       technologyMaturity: null,
       primaryEMR: null,
       departments: [],
-      networkSetup: null,
+      networkSetup: {},
       complianceFrameworks: []
     };
+    for (const field of Object.values(SECTION_PROFILE_FIELDS)) {
+      if (!profile[field] || typeof profile[field] !== 'object') profile[field] = {};
+    }
 
     // Map form field names to profile fields
     const fieldMapping = {
@@ -461,6 +527,16 @@ class QuestionnaireProcessor {
           : String(questionData.parsedResponse || '').split(',').map(s => s.trim()).filter(Boolean);
         profile.departments = arr;
       }
+
+      if (questionId === 'clinicalDepartments' && Array.isArray(questionData.parsedResponse)) {
+        profile.specialties = questionData.parsedResponse;
+      }
+
+      // Group every schema answer under its taxonomy section
+      const sectionField = SECTION_PROFILE_FIELDS[questionData.questionMeta?.section];
+      if (sectionField) {
+        profile[sectionField][questionId] = questionData.parsedResponse;
+      }
     }
 
     // Calculate technology maturity index
@@ -472,19 +548,21 @@ class QuestionnaireProcessor {
   /**
    * Extract technical requirements
    */
-  extractTechnicalRequirements(processedData) {
+  extractTechnicalRequirements(processedData, runContext) {
     const requirements = [];
 
     for (const [questionId, questionData] of Object.entries(processedData)) {
       const section = questionData.questionMeta.section;
       
-      if (['compute_environment', 'network_infrastructure', 'clinical_systems'].includes(section)) {
+      if (['compute_environment', 'network_infrastructure', 'clinical_systems', 'ai_ml_configuration'].includes(section)) {
         const requirement = {
           id: `tech_req_${requirements.length + 1}`,
+          questionId,
           category: 'technical',
           section,
           description: this.generateRequirementDescription(questionData),
-          priority: this.calculateRequirementPriority(questionData, 'technical'),
+          priority: this.calculateRequirementPriority(questionData, 'technical', runContext),
+          ...this.describeAnswerBasis(questionData),
           complexity: this.assessRequirementComplexity(questionData),
           dependencies: this.identifyRequirementDependencies(questionData, processedData)
         };
@@ -499,7 +577,7 @@ class QuestionnaireProcessor {
   /**
    * Extract operational requirements
    */
-  extractOperationalRequirements(processedData) {
+  extractOperationalRequirements(processedData, runContext) {
     const requirements = [];
 
     for (const [questionId, questionData] of Object.entries(processedData)) {
@@ -508,10 +586,12 @@ class QuestionnaireProcessor {
       if (['clinical_workflow', 'data_governance'].includes(section)) {
         const requirement = {
           id: `ops_req_${requirements.length + 1}`,
+          questionId,
           category: 'operational',
           section,
           description: this.generateRequirementDescription(questionData),
-          priority: this.calculateRequirementPriority(questionData, 'operational'),
+          priority: this.calculateRequirementPriority(questionData, 'operational', runContext),
+          ...this.describeAnswerBasis(questionData),
           impact: this.assessClinicalImpact(questionData),
           stakeholders: this.identifyStakeholders(questionData)
         };
@@ -526,7 +606,7 @@ class QuestionnaireProcessor {
   /**
    * Extract compliance requirements
    */
-  extractComplianceRequirements(processedData) {
+  extractComplianceRequirements(processedData, runContext) {
     const requirements = [];
 
     for (const [questionId, questionData] of Object.entries(processedData)) {
@@ -535,10 +615,12 @@ class QuestionnaireProcessor {
       if (section === 'security_compliance') {
         const requirement = {
           id: `comp_req_${requirements.length + 1}`,
+          questionId,
           category: 'compliance',
           section,
           description: this.generateRequirementDescription(questionData),
-          priority: this.calculateRequirementPriority(questionData, 'compliance'),
+          priority: this.calculateRequirementPriority(questionData, 'compliance', runContext),
+          ...this.describeAnswerBasis(questionData),
           framework: this.identifyComplianceFramework(questionData),
           criticality: this.assessComplianceCriticality(questionData)
         };
@@ -672,44 +754,39 @@ class QuestionnaireProcessor {
 
   // Helper methods for processing (abbreviated for brevity)
   analyzeQuestionMetadata(questionId) {
-    // Map form field names to sections
-    const fieldSectionMap = {
-      'facilityName': 'facility_identity',
-      'facilityType': 'facility_identity', 
-      'bedCount': 'facility_identity',
-      'annualPatientVolume': 'facility_identity',
-      'location': 'facility_identity',
-      'primaryEHR': 'clinical_systems',
-      'ehrStatus': 'clinical_systems',
-      'clinicalSystems': 'clinical_systems',
-      'epicVersion': 'clinical_systems',
-      'epicModules': 'clinical_systems',
-      'cernerPlatform': 'clinical_systems',
-      'ehrTimeline': 'clinical_systems',
-      'internetBandwidth': 'network_infrastructure',
-      'networkType': 'network_infrastructure',
-      'wirelessCoverage': 'network_infrastructure',
-      'complianceFrameworks': 'security_compliance',
-      'securityPosture': 'security_compliance',
-      'timeline': 'implementation_timeline',
-      'budget': 'implementation_timeline',
-      'priority': 'implementation_timeline',
-      'additionalRequirements': 'additional_info',
-      'contactEmail': 'additional_info'
-    };
-
-    const section = fieldSectionMap[questionId] || 'unknown';
+    // Section and type come from the questionnaire schema; legacy form fields fall back to the static map
+    const schemaQuestion = getQuestionIndex()[questionId];
+    const section = schemaQuestion ? schemaQuestion.section : (LEGACY_FIELD_SECTIONS[questionId] || 'unknown');
     const meta = QUESTIONNAIRE_TAXONOMY[section] || { weight: 0.1 };
     
     return {
       section,
       weight: meta.weight,
-      expectedType: this.inferExpectedType(questionId)
+      type: schemaQuestion?.type || 'text',
+      expectedType: schemaQuestion
+        ? (SCHEMA_TYPE_MAP[schemaQuestion.type] || 'text')
+        : this.inferExpectedType(questionId)
     };
   }
 
-  parseResponseByType(response, expectedType) {
+  /**
+   * @param {*} response - raw answer
+   * @param {string} expectedType - parser type from SCHEMA_TYPE_MAP or inferExpectedType
+   * @param {Object} [schemaQuestion] - schema definition; table columns and range bounds come from here
+   */
+  parseResponseByType(response, expectedType, schemaQuestion = null) {
     switch (expectedType) {
+      case 'date':
+      case 'date_range':
+      case 'number_range':
+      case 'table':
+      case 'attachment': {
+        const question = schemaQuestion || { type: expectedType };
+        const value = normalizeAnswer(response, question);
+        const errors = validateAnswer(value, question);
+        if (errors.length > 0) throw new Error(errors.join('; '));
+        return value;
+      }
       case 'number':
         return parseInt(response) || parseFloat(response) || 0;
       case 'boolean':
@@ -734,7 +811,10 @@ class QuestionnaireProcessor {
     return 'text';
   }
 
-  calculateResponseConfidence(response, questionMeta) {
+  // Reported confidence wins; the text heuristic only applies when the respondent gave none
+  calculateResponseConfidence(response, questionMeta, provenance = null) {
+    if (provenance?.source === 'assumed') return provenance.confidence ?? ASSUMED_CONFIDENCE;
+    if (typeof provenance?.confidence === 'number') return provenance.confidence;
     if (!response || response === '') return 0.0;
     
     let confidence = 0.7; // Base confidence
@@ -859,8 +939,25 @@ class QuestionnaireProcessor {
 
   // Additional helper methods...
   calculateTechnologyMaturityIndex(processedData) {
-    // Calculate technology maturity based on system sophistication
-    return 5.0; // Placeholder
+    // Calculate technology maturity (0-10) based on system sophistication
+    const answer = (id) => processedData[id]?.parsedResponse;
+    let index = 5.0;
+
+    const hosting = { public_cloud: 1.0, hybrid: 0.75, private_cloud: 0.5, colocation: 0.25, on_premises: 0 };
+    index += hosting[answer('hostingModel')] ?? 0;
+    if (answer('fhirApiEnabled') === true) index += 0.75;
+    if (['vlan', 'micro_segmented'].includes(answer('networkSegmentation'))) index += answer('networkSegmentation') === 'micro_segmented' ? 0.75 : 0.25;
+    if (answer('mfaCoverage') === 'all_users') index += 0.5;
+    if (answer('mfaCoverage') === 'none') index -= 1.0;
+    if (['hot_site', 'cloud_dr'].includes(answer('drStrategy'))) index += 0.5;
+    if (answer('drStrategy') === 'none') index -= 1.0;
+    const aiStage = { production: 1.0, piloting: 0.5, exploring: 0.25, none: 0 };
+    index += aiStage[answer('aiAdoptionStage')] ?? 0;
+    if (answer('ehrStatus') === 'planning') index -= 1.0;
+    const legacySystems = Number(answer('legacySystemCount')) || 0;
+    index -= Math.min(legacySystems * 0.1, 1.5);
+
+    return Number(Math.max(0, Math.min(10, index)).toFixed(2));
   }
 
   calculateQualityScore(contextualData, confidenceScores) {
@@ -886,7 +983,7 @@ class QuestionnaireProcessor {
 
   // Placeholder implementations for remaining methods
   generateRequirementDescription(questionData) { return questionData.parsedResponse; }
-  calculateRequirementPriority(questionData, category) { return Math.random() * 0.5 + 0.5; }
+  calculateRequirementPriority(questionData, category, runContext) { return resolveRunContext(runContext).random() * 0.5 + 0.5; }
   assessRequirementComplexity(questionData) { return 'medium'; }
   identifyRequirementDependencies(questionData, processedData) { return []; }
   assessClinicalImpact(questionData) { return 'medium'; }
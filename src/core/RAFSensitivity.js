@@ -0,0 +1,258 @@
+// RAFSensitivity varies the inputs behind the RAF cost estimate to show how far it could move
+// Tornado: each input is swung to its low and high value on its own, everything else at baseline.
+// Monte Carlo: every input is sampled together from its distribution, giving P10/P50/P90 ranges
+// for estimated cost and server count. Draws come from a seeded PRNG so a run can be reproduced.
+
+const { FormulasEngine } = require('./FormulasEngine');
+const { createSeededRandom } = require('./RunContext');
+
+const UNIT_COSTS = [
+  { key: 'perServer', label: 'Server unit cost' },
+  { key: 'perDbServer', label: 'Database server unit cost' },
+  { key: 'perPrimaryGb', label: 'Primary storage cost per GB' },
+  { key: 'perBackupGb', label: 'Backup storage cost per GB' }
+];
+
+// bedCount and unitCost are relative (-0.2 = 20% lower), systemsCount is absolute
+const DEFAULT_ANALYSIS = {
+  iterations: 1000,
+  bedCount: { low: -0.2, high: 0.2 },
+  systemsCount: { low: -2, high: 2 },
+  unitCost: { low: -0.1, mode: 0, high: 0.25 },
+  timelines: null, // null = every timeline the coefficients know
+  histogramBins: 20
+};
+const MAX_ITERATIONS = 10000;
+
+/**
+ * Merge caller options (or `true`) over the defaults and check them
+ * @returns {{ options: Object, errors: string[] }}
+ */
+function normalizeAnalysisOptions(requested = {}) {
+  const input = requested === true ? {} : requested;
+  const errors = [];
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { options: null, errors: ['rafAnalysis must be true or an object'] };
+  }
+
+  const options = {
+    ...DEFAULT_ANALYSIS,
+    ...input,
+    bedCount: { ...DEFAULT_ANALYSIS.bedCount, ...input.bedCount },
+    systemsCount: { ...DEFAULT_ANALYSIS.systemsCount, ...input.systemsCount },
+    unitCost: { ...DEFAULT_ANALYSIS.unitCost, ...input.unitCost }
+  };
+
+  if (!Number.isInteger(options.iterations) || options.iterations < 100 || options.iterations > MAX_ITERATIONS) {
+    errors.push(`rafAnalysis.iterations must be an integer from 100 to ${MAX_ITERATIONS}`);
+  }
+  if (options.seed !== undefined && (!Number.isInteger(options.seed) || options.seed < 0)) {
+    errors.push('rafAnalysis.seed must be a non-negative integer');
+  }
+  for (const name of ['bedCount', 'systemsCount', 'unitCost']) {
+    const range = options[name];
+    const mode = range.mode ?? 0;
+    if (![range.low, range.high, mode].every(Number.isFinite) || !(range.low <= mode && mode <= range.high)) {
+      errors.push(`rafAnalysis.${name} needs numeric low <= ${name === 'unitCost' ? 'mode' : '0'} <= high`);
+    }
+  }
+  if (options.bedCount.low <= -1 || options.unitCost.low <= -1) {
+    errors.push('rafAnalysis relative ranges must stay above -1');
+  }
+  if (options.timelines !== null && (!Array.isArray(options.timelines) || options.timelines.length === 0)) {
+    errors.push('rafAnalysis.timelines must be a non-empty array');
+  }
+  if (!Number.isInteger(options.histogramBins) || options.histogramBins < 5 || options.histogramBins > 50) {
+    errors.push('rafAnalysis.histogramBins must be an integer from 5 to 50');
+  }
+
+  return { options: errors.length === 0 ? options : null, errors };
+}
+
+function costOf(variables, coefficients) {
+  const { raf } = FormulasEngine.computeAll(variables, coefficients);
+  const totalServers = raf.servers.applicationServers + raf.servers.webServers + raf.servers.dbServers;
+  return { estimatedCost: raf.estimatedCost, totalServers };
+}
+
+function withUnitCost(coefficients, key, value) {
+  return { ...coefficients, raf: { ...coefficients.raf, cost: { ...coefficients.raf.cost, [key]: value } } };
+}
+
+// Baseline values of the varied inputs, as FormulasEngine reads them
+function baselineInputs(variables, coefficients) {
+  const c = coefficients.hcs;
+  const bedCount = FormulasEngine._boundedNumber(variables.bedCount, c.bedCount.min, c.bedCount.max, c.bedCount.fallback);
+  const systemsCount = FormulasEngine._boundedNumber(
+    variables.systemsCount ?? FormulasEngine._countArray(variables.clinicalSystems), 0, c.systemsCount.max, c.systemsCount.fallback
+  );
+  return { bedCount, systemsCount, timeline: variables.timeline || variables.estimatedTimeline || null };
+}
+
+/**
+ * One-at-a-time sensitivity, widest swing first
+ */
+function runTornado(variables, coefficients, options) {
+  const base = baselineInputs(variables, coefficients);
+  const baseline = costOf(variables, coefficients).estimatedCost;
+  const timelines = options.timelines || Object.keys(coefficients.hcs.timelineWeights);
+
+  const swing = (input, label, lowInput, highInput, evaluate) => {
+    const lowCost = evaluate(lowInput);
+    const highCost = evaluate(highInput);
+    return {
+      input,
+      label,
+      lowInput,
+      highInput,
+      lowCost: Math.min(lowCost, highCost),
+      highCost: Math.max(lowCost, highCost),
+      swing: Math.abs(highCost - lowCost)
+    };
+  };
+
+  const bars = [
+    swing('bedCount', 'Bed count',
+      Math.max(1, Math.round(base.bedCount * (1 + options.bedCount.low))),
+      Math.round(base.bedCount * (1 + options.bedCount.high)),
+      (bedCount) => costOf({ ...variables, bedCount }, coefficients).estimatedCost),
+    swing('systemsCount', 'Clinical systems count',
+      Math.max(0, base.systemsCount + options.systemsCount.low),
+      base.systemsCount + options.systemsCount.high,
+      (systemsCount) => costOf({ ...variables, systemsCount }, coefficients).estimatedCost)
+  ];
+
+  // Timeline is categorical: the bar spans the cheapest and dearest timeline on offer
+  const byTimeline = timelines
+    .map((timeline) => ({ timeline, cost: costOf({ ...variables, timeline }, coefficients).estimatedCost }))
+    .sort((a, b) => a.cost - b.cost);
+  const cheapest = byTimeline[0];
+  const dearest = byTimeline[byTimeline.length - 1];
+  bars.push({
+    input: 'timeline',
+    label: 'Timeline',
+    lowInput: cheapest.timeline,
+    highInput: dearest.timeline,
+    lowCost: cheapest.cost,
+    highCost: dearest.cost,
+    swing: dearest.cost - cheapest.cost
+  });
+
+  for (const { key, label } of UNIT_COSTS) {
+    const mode = coefficients.raf.cost[key];
+    bars.push(swing(key, label,
+      mode * (1 + options.unitCost.low),
+      mode * (1 + options.unitCost.high),
+      (value) => costOf(variables, withUnitCost(coefficients, key, value)).estimatedCost));
+  }
+
+  return { baselineCost: baseline, baselineInputs: base, bars: bars.sort((a, b) => b.swing - a.swing) };
+}
+
+// Inverse-CDF draw from a triangular distribution
+function sampleTriangular(random, low, mode, high) {
+  if (high === low) return mode;
+  const u = random();
+  const split = (mode - low) / (high - low);
+  return u < split
+    ? low + Math.sqrt(u * (high - low) * (mode - low))
+    : high - Math.sqrt((1 - u) * (high - low) * (high - mode));
+}
+
+// Nearest-rank percentile of an ascending array
+function percentile(sorted, p) {
+  const rank = Math.ceil((p / 100) * sorted.length);
+  return sorted[Math.min(sorted.length - 1, Math.max(0, rank - 1))];
+}
+
+function histogram(sorted, bins) {
+  const min = sorted[0];
+  const max = sorted[sorted.length - 1];
+  const width = (max - min) / bins || 1;
+  const counts = new Array(bins).fill(0);
+  for (const value of sorted) {
+    counts[Math.min(bins - 1, Math.floor((value - min) / width))] += 1;
+  }
+  return counts.map((count, i) => ({ from: Math.round(min + i * width), to: Math.round(min + (i + 1) * width), count }));
+}
+
+/**
+ * Sample every input together
+ * Bed count and unit costs are triangular around the baseline, systems count is uniform over whole
+ * numbers in its range and timeline is drawn uniformly from the timelines on offer.
+ */
+function runMonteCarlo(variables, coefficients, options) {
+  const random = createSeededRandom(options.seed);
+  const base = baselineInputs(variables, coefficients);
+  const timelines = options.timelines || Object.keys(coefficients.hcs.timelineWeights);
+  const bedLow = base.bedCount * (1 + options.bedCount.low);
+  const bedHigh = base.bedCount * (1 + options.bedCount.high);
+  const systemsLow = Math.max(0, base.systemsCount + options.systemsCount.low);
+  const systemsHigh = Math.max(systemsLow, base.systemsCount + options.systemsCount.high);
+
+  const costs = [];
+  const servers = [];
+  for (let i = 0; i < options.iterations; i++) {
+    const sampled = {
+      ...variables,
+      bedCount: Math.max(1, Math.round(sampleTriangular(random, bedLow, base.bedCount, bedHigh))),
+      systemsCount: systemsLow + Math.floor(random() * (systemsHigh - systemsLow + 1)),
+      timeline: timelines[Math.floor(random() * timelines.length)]
+    };
+    let sampledCoefficients = coefficients;
+    for (const { key } of UNIT_COSTS) {
+      const mode = coefficients.raf.cost[key];
+      const value = sampleTriangular(random, mode * (1 + options.unitCost.low), mode * (1 + options.unitCost.mode), mode * (1 + options.unitCost.high));
+      sampledCoefficients = withUnitCost(sampledCoefficients, key, value);
+    }
+    const outcome = costOf(sampled, sampledCoefficients);
+    costs.push(outcome.estimatedCost);
+    servers.push(outcome.totalServers);
+  }
+
+  costs.sort((a, b) => a - b);
+  servers.sort((a, b) => a - b);
+  const range = (sorted) => ({
+    p10: percentile(sorted, 10),
+    p50: percentile(sorted, 50),
+    p90: percentile(sorted, 90),
+    min: sorted[0],
+    max: sorted[sorted.length - 1],
+    mean: Math.round(sorted.reduce((sum, v) => sum + v, 0) / sorted.length)
+  });
+
+  return {
+    iterations: options.iterations,
+    seed: options.seed,
+    estimatedCost: range(costs),
+    totalServers: range(servers),
+    costHistogram: histogram(costs, options.histogramBins)
+  };
+}
+
+/**
+ * Full RAF analysis for one variable set
+ * @param {Object} variables - FormulasEngine variables (as recorded by the formulas stage)
+ * @param {Object} coefficients - coefficient set the baseline was computed with
+ * @param {Object} options - normalised analysis options; `seed` must be set
+ */
+function analyzeRAF(variables, coefficients, options) {
+  return {
+    assumptions: {
+      bedCount: options.bedCount,
+      systemsCount: options.systemsCount,
+      unitCost: options.unitCost,
+      timelines: options.timelines || Object.keys(coefficients.hcs.timelineWeights)
+    },
+    tornado: runTornado(variables, coefficients, options),
+    monteCarlo: runMonteCarlo(variables, coefficients, options)
+  };
+}
+
+module.exports = {
+  analyzeRAF,
+  normalizeAnalysisOptions,
+  runTornado,
+  runMonteCarlo,
+  DEFAULT_ANALYSIS
+};
@@ -0,0 +1,103 @@
+// RunContext supplies the clock and random numbers a transformation run consumes
+// Every run gets a random seed and records each clock reading on a tape; both are stored with the run.
+// A replay context is built from a stored seed and tape, so re-running the pipeline sees the same
+// timestamps, durations and random draws as the original run - as long as it reads them in the same order.
+// Code that can run outside a pipeline falls back to the system clock via resolveRunContext().
+
+const crypto = require('crypto');
+
+// mulberry32: small, fast 32-bit PRNG; good enough for mock scores, not for anything security related
+function createSeededRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function generateSeed() {
+  return crypto.randomBytes(4).readUInt32LE(0);
+}
+
+/**
+ * Create the context for one run
+ * @param {Object} recorded - { seed, clock } from a stored run to replay it; omit both for a new run
+ */
+function createRunContext(recorded = {}) {
+  const seed = Number.isInteger(recorded.seed) ? recorded.seed : generateSeed();
+  const replaying = Array.isArray(recorded.clock);
+  const tape = replaying ? [...recorded.clock] : [];
+  const random = createSeededRandom(seed);
+  let reads = 0;
+  let overruns = 0;
+
+  // Replays past the end of the tape keep returning the last reading so durations come out as 0
+  const now = () => {
+    if (!replaying) {
+      const reading = Date.now();
+      tape.push(reading);
+      reads += 1;
+      return reading;
+    }
+    if (reads >= tape.length) {
+      overruns += 1;
+      return tape.length > 0 ? tape[tape.length - 1] : 0;
+    }
+    return tape[reads++];
+  };
+
+  return {
+    seed,
+    replaying,
+    now,
+    isoNow: () => new Date(now()).toISOString(),
+    date: () => new Date(now()),
+    random,
+    // { seed, clock } to store with the run
+    snapshot: () => ({ seed, clock: replaying ? [...recorded.clock] : [...tape] }),
+    // How far a replay's clock use strayed from the recording; non-zero counts mean the engine changed
+    clockUsage: () => ({ recorded: replaying ? tape.length : reads, read: reads + overruns, overruns })
+  };
+}
+
+// Context for code running outside a recorded run: real clock, unseeded random
+const SYSTEM_CONTEXT = {
+  seed: null,
+  replaying: false,
+  now: () => Date.now(),
+  isoNow: () => new Date().toISOString(),
+  date: () => new Date(),
+  random: () => Math.random()
+};
+
+function resolveRunContext(runContext) {
+  return runContext || SYSTEM_CONTEXT;
+}
+
+/**
+ * JSON with object keys sorted at every level
+ * Stored results come back from JSONB with their keys reordered, so replay output is compared in this form
+ */
+function canonicalJson(value) {
+  const normalized = value === undefined ? null : JSON.parse(JSON.stringify(value));
+  const sortKeys = (v) => {
+    if (Array.isArray(v)) return v.map(sortKeys);
+    if (v && typeof v === 'object') {
+      const sorted = {};
+      for (const key of Object.keys(v).sort()) sorted[key] = sortKeys(v[key]);
+      return sorted;
+    }
+    return v;
+  };
+  return JSON.stringify(sortKeys(normalized));
+}
+
+module.exports = {
+  createRunContext,
+  createSeededRandom,
+  resolveRunContext,
+  canonicalJson
+};
@@ -0,0 +1,228 @@
+/**
+ * What-if Scenario Comparison
+ * Runs one hospital's questionnaire through the transformation engine once per variant
+ * ("what if Cerner instead of Epic", "what if 6 months instead of 60 days") and lines up
+ * HCS / SIDI / RAF, timeline, cost, risk and feasibility against the baseline.
+ */
+
+const winston = require('winston');
+const { applySchemaDefaults, getQuestionIndex } = require('./SchemaUtil');
+const { normalizeAnswer, validateAnswer } = require('./AnswerTypes');
+const { splitAnswerProvenance } = require('./AnswerProvenance');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.json(),
+  transports: [
+    new winston.transports.File({ filename: 'logs/scenario-comparison.log' })
+  ]
+});
+
+// Every variant is a full pipeline run, so the list is kept short
+const MAX_SCENARIOS = 6;
+const BASELINE_NAME = 'Baseline';
+const RISK_LEVELS = ['low', 'medium', 'high', 'critical'];
+
+/**
+ * Pull the comparable figures out of one transformation result
+ * Shared with BatchTransformation, which reports the same figures per facility
+ */
+function summarizeTransformationResult(result, questionnaire) {
+  const formulas = result.formulas || {};
+  const summary = result.executiveSummary || {};
+  const plan = result.implementationPlan || {};
+  const risks = result.riskAssessment?.risks || result.riskAssessment || {};
+  const riskCount = Object.values(risks).reduce((sum, list) => sum + (Array.isArray(list) ? list.length : 0), 0);
+  const servers = formulas.raf?.servers || {};
+
+  return {
+    hcs: formulas.hcs ?? null,
+    sidi: formulas.sidi ?? null,
+    raf: formulas.raf ? {
+      totalServers: Object.values(servers).reduce((sum, n) => sum + n, 0),
+      totalCpuCores: formulas.raf.totalCpuCores,
+      totalMemoryGb: formulas.raf.totalMemoryGb,
+      primaryStorageGb: formulas.raf.storage?.primaryStorageGb ?? null
+    } : null,
+    timeline: {
+      requested: questionnaire.timeline || null,
+      estimated: summary.estimatedTimeline || null,
+      implementationWeeks: plan.totalDuration ?? null
+    },
+    cost: {
+      infrastructure: formulas.raf?.estimatedCost ?? null,
+      implementationBudget: plan.resourceAllocation?.totalDemand?.budget ?? null
+    },
+    riskLevel: summary.riskLevel || null,
+    riskCount,
+    feasibilityScore: result.feasibilityScore ?? null,
+    qualityScore: result.qualityScore ?? null,
+    recommendedApproach: summary.recommendedApproach || null
+  };
+}
+
+class ScenarioComparison {
+  constructor(transformationEngine) {
+    this.transformationEngine = transformationEngine;
+  }
+
+  /**
+   * Check scenario overrides against the questionnaire schema
+   * @returns {string[]} problems; empty when every scenario is usable
+   */
+  validateScenarios(scenarios) {
+    const errors = [];
+    if (!Array.isArray(scenarios) || scenarios.length === 0) return ['At least one scenario is required'];
+    if (scenarios.length > MAX_SCENARIOS) errors.push(`At most ${MAX_SCENARIOS} scenarios can be compared at once`);
+
+    const index = getQuestionIndex();
+    const names = new Set([BASELINE_NAME.toLowerCase()]);
+    scenarios.forEach((scenario, i) => {
+      const label = scenario?.name || `Scenario ${i + 1}`;
+      if (names.has(String(label).toLowerCase())) errors.push(`Duplicate scenario name: ${label}`);
+      names.add(String(label).toLowerCase());
+
+      const { answers } = splitAnswerProvenance(scenario?.overrides || {});
+      if (Object.keys(answers).length === 0) errors.push(`${label}: no overrides given`);
+      for (const [questionId, value] of Object.entries(answers)) {
+        const question = index[questionId];
+        if (!question) {
+          errors.push(`${label}: unknown question ${questionId}`);
+          continue;
+        }
+        for (const message of validateAnswer(normalizeAnswer(value, question), question)) {
+          errors.push(`${label}: ${questionId} - ${message}`);
+        }
+      }
+    });
+    return errors;
+  }
+
+  /**
+   * Run the baseline and each scenario and compare them
+   * @param {Object} baseQuestionnaire - prepared questionnaire (schema defaults applied)
+   * @param {Array} scenarios - [{ name, overrides: { questionId: value } }]
+   * @param {Object} options - transformation options shared by every run (tenantId, hospitalId, ...)
+   */
+  async compare(baseQuestionnaire, scenarios, options = {}) {
+    const startTime = Date.now();
+    const variants = [
+      { name: BASELINE_NAME, overrides: {}, questionnaire: baseQuestionnaire },
+      ...scenarios.map((scenario, i) => ({
+        name: scenario.name || `Scenario ${i + 1}`,
+        description: scenario.description,
+        overrides: scenario.overrides,
+        questionnaire: this.applyOverrides(baseQuestionnaire, scenario.overrides)
+      }))
+    ];
+
+    // Variants run one after another so a comparison never floods the engine
+    const results = [];
+    for (const variant of variants) {
+      results.push(await this.runVariant(variant, options));
+    }
+
+    const baseline = results[0];
+    const compared = results.map((result) => ({
+      ...result,
+      deltas: result === baseline || result.status !== 'completed' || baseline.status !== 'completed'
+        ? null
+        : this.calculateDeltas(baseline.metrics, result.metrics)
+    }));
+
+    logger.info('Scenario comparison completed', {
+      hospitalId: options.hospitalId,
+      scenarios: scenarios.length,
+      failed: compared.filter((r) => r.status !== 'completed').length,
+      processingTime: Date.now() - startTime
+    });
+
+    return {
+      comparisonId: `metis-scenarios-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+      hospitalId: options.hospitalId || baseQuestionnaire.hospitalId || null,
+      hospitalName: baseQuestionnaire.facilityName || null,
+      generatedAt: new Date().toISOString(),
+      processingTimeMs: Date.now() - startTime,
+      scenarios: compared,
+      highlights: this.findHighlights(compared)
+    };
+  }
+
+  // Overridden answers drop their old provenance; the variant is hypothetical, not assumed
+  applyOverrides(baseQuestionnaire, overrides = {}) {
+    const { answers, provenance } = splitAnswerProvenance(overrides);
+    const keptProvenance = { ...(baseQuestionnaire.provenance || {}) };
+    for (const questionId of Object.keys(answers)) delete keptProvenance[questionId];
+    return applySchemaDefaults({ ...baseQuestionnaire, ...answers, provenance: { ...keptProvenance, ...provenance } });
+  }
+
+  async runVariant(variant, options) {
+    const { answers: overrides } = splitAnswerProvenance(variant.overrides || {});
+    const base = { name: variant.name, description: variant.description, overrides };
+    try {
+      const result = await this.transformationEngine.transformQuestionnaire(variant.questionnaire, {
+        ...options,
+        scenario: variant.name
+      });
+      return {
+        ...base,
+        status: 'completed',
+        transformationId: result.transformationId,
+        metrics: summarizeTransformationResult(result, variant.questionnaire)
+      };
+    } catch (error) {
+      logger.warn(`Scenario ${variant.name} failed`, { error: error.message, transformationId: error.transformationId });
+      return { ...base, status: 'failed', transformationId: error.transformationId || null, error: error.message, metrics: null };
+    }
+  }
+
+  /**
+   * Scenario minus baseline for each numeric figure; riskLevel moves in steps (+1 = one level worse)
+   */
+  calculateDeltas(baseline, metrics) {
+    const diff = (a, b, digits = 3) => (typeof a === 'number' && typeof b === 'number' ? Number((b - a).toFixed(digits)) : null);
+    const riskStep = (level) => RISK_LEVELS.indexOf(String(level || '').toLowerCase());
+    const baseRisk = riskStep(baseline.riskLevel);
+    const risk = riskStep(metrics.riskLevel);
+
+    return {
+      hcs: diff(baseline.hcs, metrics.hcs),
+      sidi: diff(baseline.sidi, metrics.sidi, 2),
+      totalServers: diff(baseline.raf?.totalServers, metrics.raf?.totalServers, 0),
+      implementationWeeks: diff(baseline.timeline.implementationWeeks, metrics.timeline.implementationWeeks, 0),
+      infrastructureCost: diff(baseline.cost.infrastructure, metrics.cost.infrastructure, 0),
+      implementationBudget: diff(baseline.cost.implementationBudget, metrics.cost.implementationBudget, 0),
+      riskLevel: baseRisk === -1 || risk === -1 ? null : risk - baseRisk,
+      riskCount: diff(baseline.riskCount, metrics.riskCount, 0),
+      feasibilityScore: diff(baseline.feasibilityScore, metrics.feasibilityScore)
+    };
+  }
+
+  /**
+   * Name the best variant on each axis (ties go to the earlier variant, so the baseline wins ties)
+   */
+  findHighlights(results) {
+    const completed = results.filter((r) => r.status === 'completed');
+    const pick = (value, prefer) => {
+      const ranked = completed.filter((r) => typeof value(r.metrics) === 'number');
+      if (ranked.length === 0) return null;
+      return ranked.reduce((best, r) => (prefer(value(r.metrics), value(best.metrics)) ? r : best)).name;
+    };
+    const lower = (a, b) => a < b;
+    const higher = (a, b) => a > b;
+
+    return {
+      lowestCost: pick((m) => m.cost.infrastructure, lower),
+      shortestTimeline: pick((m) => m.timeline.implementationWeeks, lower),
+      lowestComplexity: pick((m) => m.hcs, lower),
+      easiestIntegration: pick((m) => m.sidi, lower),
+      lowestRisk: pick((m) => {
+        const step = RISK_LEVELS.indexOf(String(m.riskLevel || '').toLowerCase());
+        return step === -1 ? null : step;
+      }, lower),
+      highestFeasibility: pick((m) => m.feasibilityScore, higher)
+    };
+  }
+}
+
+module.exports = { ScenarioComparison, MAX_SCENARIOS, summarizeTransformationResult };
@@ -0,0 +1,114 @@
+// SchemaMigrator upgrades questionnaire answer sets between schema versions
+// Migrations are declared in src/questionnaire/migrations.json as ordered operations:
+//   renameQuestion { from, to }            - move an answer to a new question id
+//   renameOption   { question, from, to }  - rename a select/multi_select option value
+//   splitOption    { question, option, into } - replace one option with several
+//   setDefault     { question, value, when? } - fill a new question when unanswered
+//   removeQuestion { question }            - drop an answer for a retired question
+// Answer provenance (the `provenance` map) follows renamed and removed questions; setDefault marks it assumed.
+
+const fs = require('fs');
+const path = require('path');
+const { evaluateCondition } = require('./ConditionEvaluator');
+
+const MIGRATIONS_PATH = path.join(__dirname, '..', 'questionnaire', 'migrations.json');
+
+let _migrationsCache = null;
+
+function loadMigrations() {
+  const mtimeMs = fs.statSync(MIGRATIONS_PATH).mtimeMs;
+  if (_migrationsCache && _migrationsCache.mtimeMs === mtimeMs) return _migrationsCache.migrations;
+  const content = JSON.parse(fs.readFileSync(MIGRATIONS_PATH, 'utf8'));
+  _migrationsCache = { mtimeMs, migrations: content.migrations || [] };
+  return _migrationsCache.migrations;
+}
+
+const OPERATIONS = {
+  renameQuestion(answers, op) {
+    if (!(op.from in answers)) return;
+    if (!isAnswered(answers[op.to])) {
+      answers[op.to] = answers[op.from];
+      if (answers.provenance?.[op.from]) answers.provenance[op.to] = answers.provenance[op.from];
+    }
+    delete answers[op.from];
+    if (answers.provenance) delete answers.provenance[op.from];
+  },
+  renameOption(answers, op) {
+    const value = answers[op.question];
+    if (Array.isArray(value)) answers[op.question] = unique(value.map((v) => (sameOption(v, op.from) ? op.to : v)));
+    else if (sameOption(value, op.from)) answers[op.question] = op.to;
+  },
+  splitOption(answers, op) {
+    const value = answers[op.question];
+    if (Array.isArray(value)) {
+      answers[op.question] = unique(value.flatMap((v) => (sameOption(v, op.option) ? op.into : [v])));
+    } else if (sameOption(value, op.option)) {
+      // Single-select answers can only take one of the new options
+      answers[op.question] = op.into[0];
+    }
+  },
+  setDefault(answers, op) {
+    if (isAnswered(answers[op.question])) return;
+    if (evaluateCondition(op.when, answers)) {
+      answers[op.question] = op.value;
+      answers.provenance = { ...answers.provenance, [op.question]: { source: 'assumed' } };
+    }
+  },
+  removeQuestion(answers, op) {
+    delete answers[op.question];
+    if (answers.provenance) delete answers.provenance[op.question];
+  }
+};
+
+/**
+ * Upgrade an answer set from its stamped schemaVersion to targetVersion.
+ * @param {Object} questionnaire - answers, optionally carrying schemaVersion
+ * @param {string} targetVersion - version to migrate to
+ * @param {string} [fallbackVersion] - version assumed when the answers carry no schemaVersion
+ * @returns {{questionnaire: Object, fromVersion: string, toVersion: string, appliedMigrations: Array}}
+ */
+function migrateQuestionnaire(questionnaire, targetVersion, fallbackVersion = targetVersion) {
+  const fromVersion = String(questionnaire?.schemaVersion || fallbackVersion);
+  const answers = { ...(questionnaire || {}) };
+  if (answers.provenance) answers.provenance = { ...answers.provenance };
+  const appliedMigrations = [];
+  const migrations = loadMigrations();
+
+  let version = fromVersion;
+  while (version !== targetVersion) {
+    const step = migrations.find((m) => m.from === version);
+    if (!step) {
+      throw new Error(`No migration path from questionnaire schema ${fromVersion} to ${targetVersion}`);
+    }
+    for (const op of step.operations || []) {
+      const apply = OPERATIONS[op.op];
+      if (!apply) throw new Error(`Unknown migration operation: ${op.op}`);
+      apply(answers, op);
+    }
+    appliedMigrations.push({ from: step.from, to: step.to, description: step.description });
+    version = step.to;
+  }
+
+  answers.schemaVersion = targetVersion;
+  return { questionnaire: answers, fromVersion, toVersion: targetVersion, appliedMigrations };
+}
+
+// Helpers
+function isAnswered(v) {
+  if (v === null || v === undefined) return false;
+  if (typeof v === 'string') return v.trim() !== '';
+  if (Array.isArray(v)) return v.length > 0;
+  return true;
+}
+
+// Option values match the way ConditionEvaluator compares them: trimmed and case-insensitive
+function sameOption(value, option) {
+  return typeof value === 'string' && typeof option === 'string'
+    && value.trim().toLowerCase() === option.trim().toLowerCase();
+}
+
+function unique(list) {
+  return [...new Set(list)];
+}
+
+module.exports = { migrateQuestionnaire, loadMigrations };
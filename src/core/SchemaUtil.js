@@ -1,24 +1,131 @@
 const fs = require('fs');
 const path = require('path');
+const { evaluateCondition } = require('./ConditionEvaluator');
+const { migrateQuestionnaire } = require('./SchemaMigrator');
+const { normalizeAnswer } = require('./AnswerTypes');
+const { splitAnswerProvenance } = require('./AnswerProvenance');
 
-let _schemaCache = null;
+const QUESTIONNAIRE_DIR = path.join(__dirname, '..', 'questionnaire');
+const CURRENT_SCHEMA_PATH = path.join(QUESTIONNAIRE_DIR, 'schema.json');
+const VERSIONS_DIR = path.join(QUESTIONNAIRE_DIR, 'versions');
+const CONSISTENCY_RULES_PATH = path.join(QUESTIONNAIRE_DIR, 'consistency-rules.json');
+const LOCALES_DIR = path.join(QUESTIONNAIRE_DIR, 'locales');
 
-function loadQuestionnaireSchema() {
-  if (_schemaCache) return _schemaCache;
-  const schemaPath = path.join(__dirname, '..', 'questionnaire', 'schema.json');
-  const content = fs.readFileSync(schemaPath, 'utf8');
-  _schemaCache = JSON.parse(content);
-  return _schemaCache;
+// Answer keys that describe the submission rather than answer a question
+const METADATA_KEYS = ['schemaVersion', 'provenance'];
+
+// Cache keyed by file path; entries are refreshed when the file changes on disk
+const _schemaCache = new Map();
+
+function readSchemaFile(schemaPath) {
+  const mtimeMs = fs.statSync(schemaPath).mtimeMs;
+  const cached = _schemaCache.get(schemaPath);
+  if (cached && cached.mtimeMs === mtimeMs) return cached.schema;
+  const schema = JSON.parse(fs.readFileSync(schemaPath, 'utf8'));
+  _schemaCache.set(schemaPath, { mtimeMs, schema });
+  return schema;
+}
+
+function getCurrentSchemaVersion() {
+  return String(readSchemaFile(CURRENT_SCHEMA_PATH).version);
+}
+
+// Historical versions live in questionnaire/versions/<version>.json; schema.json is always current
+function listSchemaVersions() {
+  const versions = fs.existsSync(VERSIONS_DIR)
+    ? fs.readdirSync(VERSIONS_DIR).filter((f) => f.endsWith('.json')).map((f) => f.replace(/\.json$/, ''))
+    : [];
+  const current = getCurrentSchemaVersion();
+  if (!versions.includes(current)) versions.push(current);
+  return versions.sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+}
+
+function loadQuestionnaireSchema(version) {
+  if (!version || String(version) === getCurrentSchemaVersion()) return readSchemaFile(CURRENT_SCHEMA_PATH);
+  const versionPath = path.join(VERSIONS_DIR, `${path.basename(String(version))}.json`);
+  if (!fs.existsSync(versionPath)) {
+    throw new Error(`Unknown questionnaire schema version: ${version}`);
+  }
+  return readSchemaFile(versionPath);
+}
+
+// Analyst-maintained cross-field rules; edits are picked up without a restart
+function loadConsistencyRules() {
+  if (!fs.existsSync(CONSISTENCY_RULES_PATH)) return [];
+  return readSchemaFile(CONSISTENCY_RULES_PATH).rules || [];
+}
+
+// Locale bundles live in questionnaire/locales/<locale>.json; a missing bundle is empty
+function listLocales() {
+  if (!fs.existsSync(LOCALES_DIR)) return [];
+  return fs.readdirSync(LOCALES_DIR).filter((f) => f.endsWith('.json')).map((f) => f.replace(/\.json$/, '')).sort();
+}
+
+function loadLocaleBundle(locale) {
+  const bundlePath = path.join(LOCALES_DIR, `${path.basename(String(locale))}.json`);
+  return fs.existsSync(bundlePath) ? readSchemaFile(bundlePath) : {};
+}
+
+function clearSchemaCache() {
+  _schemaCache.clear();
+}
+
+// Upgrade answers to the current schema; unstamped answers are assumed to be current
+function migrateToCurrentSchema(input) {
+  return migrateQuestionnaire(input || {}, getCurrentSchemaVersion());
 }
 
+// Flatten all questions across sections
+function getSchemaQuestions(schema = loadQuestionnaireSchema()) {
+  return (schema.sections || []).flatMap((section) => section.questions || []);
+}
+
+// Index questions by id with their owning section
+function getQuestionIndex(schema = loadQuestionnaireSchema()) {
+  const index = {};
+  for (const section of schema.sections || []) {
+    for (const q of section.questions || []) index[q.id] = { ...q, section: section.id };
+  }
+  return index;
+}
+
+// A question is shown unless its visibleWhen expression evaluates to false
+function isQuestionVisible(question, answers) {
+  return evaluateCondition(question.visibleWhen, answers);
+}
+
+// Hidden questions are never required; requiredWhen makes a visible question conditionally required
+function isQuestionRequired(question, answers) {
+  if (!isQuestionVisible(question, answers)) return false;
+  if (question.required) return true;
+  return question.requiredWhen ? evaluateCondition(question.requiredWhen, answers) : false;
+}
+
+// Every value filled in here rather than supplied is recorded in `provenance` as source "assumed"
 function applySchemaDefaults(input) {
   const schema = loadQuestionnaireSchema();
+  const { answers, provenance } = splitAnswerProvenance(input || {});
+  const { questionnaire: migrated } = migrateToCurrentSchema({ ...answers, provenance });
   const defaults = schema.defaults || {};
-  const merged = { ...defaults, ...(input || {}) };
-  if (!merged.facilityName) merged.facilityName = 'Default Hospital';
+  const questions = getSchemaQuestions(schema);
+  const conditional = new Set(questions.filter((q) => q.visibleWhen).map((q) => q.id));
+  const assumed = new Set();
+
+  // Unconditional defaults first; conditional ones depend on the merged answers
+  const baseDefaults = Object.fromEntries(Object.entries(defaults).filter(([id]) => !conditional.has(id)));
+  const merged = { ...baseDefaults, ...migrated };
+  for (const id of Object.keys(baseDefaults)) if (!(id in migrated)) assumed.add(id);
+  if (!merged.facilityName) {
+    merged.facilityName = 'Default Hospital';
+    assumed.add('facilityName');
+  }
 
   // Normalize types
-  if (typeof merged.bedCount === 'string') merged.bedCount = parseInt(merged.bedCount) || defaults.bedCount || 100;
+  if (typeof merged.bedCount === 'string') {
+    const parsed = parseInt(merged.bedCount);
+    if (!parsed) assumed.add('bedCount');
+    merged.bedCount = parsed || defaults.bedCount || 100;
+  }
   if (merged.complianceFrameworks && !Array.isArray(merged.complianceFrameworks)) {
     merged.complianceFrameworks = String(merged.complianceFrameworks).split(',').map((s) => s.trim()).filter(Boolean);
   }
@@ -36,13 +143,47 @@ function applySchemaDefaults(input) {
     'critical access': 'critical_access',
     critical_access: 'critical_access',
     multi_site: 'multi_site'
-  }[ft] || 'community';
-  merged.facilityType = normalized;
+  }[ft];
+  if (!normalized) assumed.add('facilityType');
+  merged.facilityType = normalized || 'community';
+
+  for (const q of questions) {
+    if (q.id in merged) merged[q.id] = normalizeAnswer(merged[q.id], q);
+  }
+
+  // Conditional defaults only apply when the question is visible (schema order)
+  for (const q of questions) {
+    if (!conditional.has(q.id) || !(q.id in defaults)) continue;
+    if (merged[q.id] !== undefined && merged[q.id] !== null && merged[q.id] !== '') continue;
+    if (isQuestionVisible(q, merged)) {
+      merged[q.id] = defaults[q.id];
+      assumed.add(q.id);
+    }
+  }
+
+  merged.provenance = { ...migrated.provenance };
+  for (const id of assumed) merged.provenance[id] = { source: 'assumed' };
   return merged;
 }
 
 // Backwards-compatible alias
 const applyDefaults = applySchemaDefaults;
 
-module.exports = { loadQuestionnaireSchema, applySchemaDefaults, applyDefaults };
-
+module.exports = {
+  METADATA_KEYS,
+  loadQuestionnaireSchema,
+  getCurrentSchemaVersion,
+  listSchemaVersions,
+  loadConsistencyRules,
+  listLocales,
+  loadLocaleBundle,
+  clearSchemaCache,
+  migrateToCurrentSchema,
+  applySchemaDefaults,
+  applyDefaults,
+  getSchemaQuestions,
+  getQuestionIndex,
+  normalizeAnswer,
+  isQuestionVisible,
+  isQuestionRequired
+};
@@ -0,0 +1,192 @@
+// TransformationDiff compares two stored transformation results for the same hospital
+// Requirements are matched by category + question id, phases by name and risks by category + type,
+// so re-numbered requirement ids or re-ordered phases do not show up as changes.
+// Specification sections are compared leaf by leaf; arrays are compared as whole values.
+
+const _ = require('lodash');
+
+// Top-level specification keys that are not sections
+const IGNORED_SPEC_KEYS = ['qualityScore', 'patentClaims'];
+// Keys that differ on every run, skipped at any depth
+const VOLATILE_KEYS = ['generated', 'generatedAt', 'timestamp', 'transformationId'];
+
+const REQUIREMENT_FIELDS = ['description', 'section', 'complexity', 'provenanceFlag', 'answerConfidence'];
+const PHASE_FIELDS = ['duration', 'dependencies', 'activities', 'resources', 'feasibilityScore'];
+const RISK_FIELDS = ['probability', 'impact', 'description'];
+
+function isPlainObject(v) {
+  return !!v && typeof v === 'object' && !Array.isArray(v);
+}
+
+/**
+ * Match two lists by key and report what was added, removed or changed
+ * @param {Function} keyOf - item -> stable key
+ * @param {string[]} fields - fields compared on matched items
+ * @param {Function} describe - item -> summary kept in the report
+ */
+function diffKeyedLists(beforeList = [], afterList = [], keyOf, fields, describe) {
+  const before = new Map(beforeList.map((item) => [keyOf(item), item]));
+  const after = new Map(afterList.map((item) => [keyOf(item), item]));
+  const result = { added: [], removed: [], changed: [] };
+
+  for (const [key, item] of after) {
+    if (!before.has(key)) result.added.push({ key, ...describe(item) });
+  }
+  for (const [key, item] of before) {
+    if (!after.has(key)) {
+      result.removed.push({ key, ...describe(item) });
+      continue;
+    }
+    const changes = fields
+      .filter((field) => !_.isEqual(item[field], after.get(key)[field]))
+      .map((field) => ({ field, before: item[field] ?? null, after: after.get(key)[field] ?? null }));
+    if (changes.length > 0) result.changed.push({ key, ...describe(after.get(key)), changes });
+  }
+  return result;
+}
+
+function flattenRequirements(requirements) {
+  if (!isPlainObject(requirements)) return [];
+  return Object.entries(requirements).flatMap(([category, list]) => (Array.isArray(list) ? list.map((req) => ({ category, ...req })) : []));
+}
+
+function diffRequirements(base, compare) {
+  return diffKeyedLists(
+    flattenRequirements(base),
+    flattenRequirements(compare),
+    (req) => `${req.category}:${req.questionId || req.id}`,
+    REQUIREMENT_FIELDS,
+    (req) => ({ category: req.category, questionId: req.questionId || null, description: req.description })
+  );
+}
+
+function flattenRisks(riskAssessment) {
+  const risks = riskAssessment?.risks || riskAssessment;
+  if (!isPlainObject(risks)) return [];
+  return Object.entries(risks).flatMap(([category, list]) => (Array.isArray(list) ? list.map((risk) => ({ category, ...risk })) : []));
+}
+
+function diffRisks(base, compare) {
+  return diffKeyedLists(
+    flattenRisks(base),
+    flattenRisks(compare),
+    (risk) => `${risk.category}:${risk.type || risk.description}`,
+    RISK_FIELDS,
+    (risk) => ({ category: risk.category, type: risk.type || null, impact: risk.impact || null, description: risk.description || null })
+  );
+}
+
+function diffPhases(basePlan, comparePlan) {
+  const phases = diffKeyedLists(
+    basePlan?.phases || [],
+    comparePlan?.phases || [],
+    (phase) => phase.name,
+    PHASE_FIELDS,
+    (phase) => ({ name: phase.name, duration: phase.duration ?? null })
+  );
+  return { ...phases, totalDuration: numericDelta(basePlan?.totalDuration, comparePlan?.totalDuration) };
+}
+
+// Leaf-level differences below one specification section, as dotted paths
+function collectChanges(before, after, path, out) {
+  if (isPlainObject(before) && isPlainObject(after)) {
+    for (const key of _.union(Object.keys(before), Object.keys(after)).filter((k) => !VOLATILE_KEYS.includes(k))) {
+      collectChanges(before[key], after[key], path ? `${path}.${key}` : key, out);
+    }
+  } else if (!_.isEqual(before, after)) {
+    out.push({ path, before: before ?? null, after: after ?? null });
+  }
+  return out;
+}
+
+function diffSpecificationSections(baseSpec = {}, compareSpec = {}) {
+  const sectionsOf = (spec) => Object.keys(spec || {}).filter((key) => !IGNORED_SPEC_KEYS.includes(key));
+  const baseSections = sectionsOf(baseSpec);
+  const compareSections = sectionsOf(compareSpec);
+
+  return {
+    added: compareSections.filter((section) => !baseSections.includes(section)),
+    removed: baseSections.filter((section) => !compareSections.includes(section)),
+    changed: baseSections
+      .filter((section) => compareSections.includes(section))
+      .map((section) => ({ section, changes: collectChanges(baseSpec[section], compareSpec[section], '', []) }))
+      .filter((entry) => entry.changes.length > 0)
+  };
+}
+
+function numericDelta(before, after) {
+  const base = typeof before === 'number' ? before : null;
+  const next = typeof after === 'number' ? after : null;
+  const delta = base !== null && next !== null ? Number((next - base).toFixed(2)) : null;
+  return {
+    before: base,
+    after: next,
+    delta,
+    percentChange: delta !== null && base ? Number(((delta / base) * 100).toFixed(1)) : null
+  };
+}
+
+function diffCosts(base, compare) {
+  return {
+    totalEstimated: numericDelta(base.executiveSummary?.estimatedCost, compare.executiveSummary?.estimatedCost),
+    infrastructure: numericDelta(base.formulas?.raf?.estimatedCost, compare.formulas?.raf?.estimatedCost),
+    implementationBudget: numericDelta(
+      base.implementationPlan?.resourceAllocation?.totalDemand?.budget,
+      compare.implementationPlan?.resourceAllocation?.totalDemand?.budget
+    )
+  };
+}
+
+function countChanges(part) {
+  return { added: part.added.length, removed: part.removed.length, changed: part.changed.length };
+}
+
+/**
+ * Diff two completed transformation results (as returned by TransformationEngine.getTransformationResult)
+ * @param {Object} base - the earlier run
+ * @param {Object} compare - the run being compared against it
+ */
+function diffTransformationResults(base, compare) {
+  const requirements = diffRequirements(base.requirements, compare.requirements);
+  const specificationSections = diffSpecificationSections(base.specification, compare.specification);
+  const phases = diffPhases(base.implementationPlan, compare.implementationPlan);
+  const risks = diffRisks(base.riskAssessment, compare.riskAssessment);
+  const costs = diffCosts(base, compare);
+
+  const summary = {
+    requirements: countChanges(requirements),
+    specificationSections: countChanges(specificationSections),
+    phases: countChanges(phases),
+    risks: countChanges(risks),
+    costChanged: Object.values(costs).some((cost) => cost.delta !== null && cost.delta !== 0),
+    riskLevel: {
+      before: base.executiveSummary?.riskLevel || null,
+      after: compare.executiveSummary?.riskLevel || null
+    }
+  };
+  summary.hasChanges = summary.costChanged
+    || summary.riskLevel.before !== summary.riskLevel.after
+    || [summary.requirements, summary.specificationSections, summary.phases, summary.risks]
+      .some((counts) => counts.added + counts.removed + counts.changed > 0);
+
+  return {
+    base: { transformationId: base.transformationId, hospitalId: base.hospitalId || null, timestamp: base.timestamp || null },
+    compare: { transformationId: compare.transformationId, hospitalId: compare.hospitalId || null, timestamp: compare.timestamp || null },
+    generatedAt: new Date().toISOString(),
+    summary,
+    requirements,
+    specificationSections,
+    phases,
+    risks,
+    costs
+  };
+}
+
+module.exports = {
+  diffTransformationResults,
+  diffRequirements,
+  diffSpecificationSections,
+  diffPhases,
+  diffRisks,
+  diffCosts
+};
@@ -18,7 +18,25 @@ const { HospitalAssessmentEngine } = require('./HospitalAssessmentEngine');
 const { SpecificationGenerator } = require('./SpecificationGenerator');
 const { ValidationEngine } = require('./ValidationEngine');
 const { DocumentGenerator } = require('./DocumentGenerator');
-const FormulasEngine = require('./FormulasEngine');
+const { FormulasEngine } = require('./FormulasEngine');
+const { FormulaCoefficientStore } = require('./FormulaCoefficientStore');
+const { VendorCatalog } = require('./VendorCatalog');
+const { analyzeRAF, normalizeAnalysisOptions } = require('./RAFSensitivity');
+const { getCurrentSchemaVersion, applySchemaDefaults } = require('./SchemaUtil');
+const { splitAnswerProvenance } = require('./AnswerProvenance');
+const { createRunContext, resolveRunContext, canonicalJson } = require('./RunContext');
+const { diffTransformationResults } = require('./TransformationDiff');
+const { buildHospitalProfile } = require('./PeerBenchmark');
+const { VendorOutcomeModel } = require('./VendorOutcomeModel');
+const {
+  BUILTIN_STAGES,
+  normalizeStageDefinition,
+  orderStages,
+  resolvePipeline,
+  checkStageInputs,
+  pickStageInputs,
+  findMissingOutputs
+} = require('./PipelineStages');
 
 const logger = winston.createLogger({
   level: 'info',
@@ -41,6 +59,11 @@ class TransformationEngine extends EventEmitter {
     this.specificationGenerator = null;
     this.validationEngine = null;
     this.documentGenerator = null;
+    this.coefficientStore = new FormulaCoefficientStore(databaseManager);
+    this.vendorCatalog = new VendorCatalog(databaseManager);
+    this.vendorOutcomeModel = new VendorOutcomeModel(this);
+    this.pluginStages = []; // custom stages added through registerStage, in registration order
+    this.persistenceFailures = new Map(); // transformationId -> last failed write, cleared by the next full save
     this.isInitialized = false;
     
     // Patent-protected performance metrics
@@ -62,7 +85,7 @@ class TransformationEngine extends EventEmitter {
       
       // Initialize patent-protected components in dependency order
       this.questionnaireProcessor = new QuestionnaireProcessor();
-      this.assessmentEngine = new HospitalAssessmentEngine(this.databaseManager);
+      this.assessmentEngine = new HospitalAssessmentEngine(this.databaseManager, this.vendorCatalog);
       this.specificationGenerator = new SpecificationGenerator();
       this.validationEngine = new ValidationEngine();
       this.documentGenerator = new DocumentGenerator();
@@ -79,6 +102,52 @@ class TransformationEngine extends EventEmitter {
     }
   }
 
+  /**
+   * Register a custom pipeline stage (see PipelineStages for the definition format)
+   * e.g. { name: 'stateRegulations', after: 'assess', inputs: ['extract', 'assess'], outputs: ['rules'], run }
+   * @returns {string} the stage name
+   */
+  registerStage(definition) {
+    const stage = normalizeStageDefinition(definition);
+    if (this.pluginStages.some((s) => s.name === stage.name)) {
+      throw new Error(`Stage already registered: ${stage.name}`);
+    }
+    // Fail at registration rather than on the next run when anchors or inputs cannot be met
+    checkStageInputs(orderStages([...this.pluginStages, stage]));
+    this.pluginStages.push(stage);
+    logger.info(`Registered pipeline stage ${stage.name}`, { after: stage.after, before: stage.before, enabled: stage.enabled });
+    return stage.name;
+  }
+
+  unregisterStage(name) {
+    const before = this.pluginStages.length;
+    this.pluginStages = this.pluginStages.filter((s) => s.name !== name);
+    return this.pluginStages.length < before;
+  }
+
+  /**
+   * Stages a run with these options would execute, in order
+   * @param {Object} options - transformation options; options.stages holds per-stage enable flags
+   * @throws {Error} when the flags disable a required stage or leave a stage without its inputs
+   */
+  getPipelineStages(options = {}) {
+    return resolvePipeline(this.pluginStages, options.stages);
+  }
+
+  /**
+   * Look up the stages a stored run executed so a retry follows the same plan
+   */
+  resolveStoredPipeline(stageNames) {
+    if (!Array.isArray(stageNames) || stageNames.length === 0) return this.getPipelineStages();
+    const known = orderStages(this.pluginStages);
+    const stages = stageNames.map((name) => {
+      const stage = known.find((s) => s.name === name);
+      if (!stage) throw new Error(`Pipeline stage ${name} is no longer registered`);
+      return stage;
+    });
+    return checkStageInputs(stages, known);
+  }
+
   /**
    * Core transformation method implementing Patent Claims 8.a-8.e
    * Transforms hospital questionnaire into technical specification
@@ -92,32 +161,250 @@ class TransformationEngine extends EventEmitter {
       throw new Error('Transformation Engine not initialized');
     }
 
-    const startTime = Date.now();
-    const transformationId = this.generateTransformationId();
+    // Async callers allocate the id up front so they can hand it back before the pipeline runs
+    const transformationId = options.transformationId || this.generateTransformationId();
+    const run = this.createRunRecord(transformationId, questionnaireData, options);
+    return await this.runTransformation(run, options);
+  }
+
+  /**
+   * Resume a failed transformation from its failed stage using the checkpointed stage outputs
+   * Answers patched into the questionnaire only reach stages from `fromStage` on,
+   * so pass an earlier stage (e.g. parse) when requirements need re-deriving.
+   *
+   * @param {string} transformationId - failed run to resume
+   * @param {Object} retry - { tenantId, fromStage, patches: { questionnaire, stageOutputs }, requestedBy, options }
+   * @returns {Object|null} transformation result, or null when the run is unknown to the tenant
+   */
+  async retryTransformation(transformationId, retry = {}) {
+    if (!this.isInitialized) {
+      throw new Error('Transformation Engine not initialized');
+    }
+    const { tenantId = 'default', fromStage, patches = {}, requestedBy = null, options = {} } = retry;
+
+    const row = await this.databaseManager?.getTransformationResult(transformationId, tenantId);
+    if (!row) return null;
+    if (row.status !== 'failed') {
+      throw new Error(`Only failed transformations can be retried (status: ${row.status})`);
+    }
+
+    const stages = this.resolveStoredPipeline(row.pipeline_stages).map((stage) => stage.name);
+    const failedStage = row.error_details?.stage || row.current_stage;
+    const resumeStage = fromStage || failedStage || stages[0];
+    const resumeIndex = stages.indexOf(resumeStage);
+    if (resumeIndex === -1) {
+      throw new Error(`Unknown pipeline stage: ${resumeStage}`);
+    }
+    if (failedStage && stages.includes(failedStage) && resumeIndex > stages.indexOf(failedStage)) {
+      throw new Error(`Cannot resume at ${resumeStage}; the run failed earlier, at ${failedStage}`);
+    }
+
+    const checkpoint = row.stage_outputs || {};
+    const missing = stages.slice(0, resumeIndex).filter((stage) => checkpoint[stage] === undefined);
+    if (missing.length > 0) {
+      throw new Error(`No checkpoint for stage(s) ${missing.join(', ')}; resume from an earlier stage`);
+    }
+
+    const patchedStages = Object.keys(patches.stageOutputs || {});
+    const invalidPatches = patchedStages.filter((stage) => stages.indexOf(stage) === -1 || stages.indexOf(stage) >= resumeIndex);
+    if (invalidPatches.length > 0) {
+      throw new Error(`Only checkpointed stages before ${resumeStage} can be patched: ${invalidPatches.join(', ')}`);
+    }
+
+    const { answers: patchedAnswers, provenance: patchedProvenance } = splitAnswerProvenance(patches.questionnaire || {});
+    const questionnaire = Object.keys(patchedAnswers).length > 0
+      ? this.patchQuestionnaire(row.questionnaire_data || {}, patchedAnswers, patchedProvenance)
+      : row.questionnaire_data;
+
+    // Stage outputs before the resume point are reused; later ones are recomputed
+    const stageOutputs = {};
+    const stageTimings = {};
+    for (const stage of stages.slice(0, resumeIndex)) {
+      stageOutputs[stage] = patches.stageOutputs?.[stage] ? _.merge({}, checkpoint[stage], patches.stageOutputs[stage]) : checkpoint[stage];
+      if (row.stage_timings?.[stage]) stageTimings[stage] = row.stage_timings[stage];
+    }
+    if (row.stage_timings?.refine && resumeIndex > stages.indexOf('validate')) {
+      stageTimings.refine = row.stage_timings.refine;
+    }
+
+    const previousAttempts = Array.isArray(row.attempts) && row.attempts.length > 0
+      ? row.attempts
+      : [{ attempt: 1, startedAt: row.created_at, resumedFrom: null, outcome: 'failed', failedStage, error: row.error_details?.message || null }];
+    const attempt = {
+      attempt: previousAttempts.length + 1,
+      startedAt: new Date().toISOString(),
+      resumedFrom: resumeStage,
+      requestedBy,
+      patchedQuestions: Object.keys(patchedAnswers),
+      patchedStages
+    };
+
+    const run = {
+      ...this.createRunRecord(transformationId, questionnaire, { hospitalId: row.hospital_id, tenantId }),
+      pipeline: stages,
+      stageOutputs,
+      stageTimings,
+      progress: Math.round((resumeIndex / stages.length) * 100),
+      resumeIndex,
+      attempts: [...previousAttempts, attempt]
+    };
+
+    await this.auditRetry(run, attempt);
+    // A resumed run keeps the coefficient version its formulas were first computed with, and the
+    // vendor prediction model its assessment used
+    const coefficientVersion = options.coefficientVersion || checkpoint.formulas?.coefficientVersion;
+    const predictionModelVersion = options.predictionModelVersion
+      ?? (checkpoint.assess ? checkpoint.assess.predictionModelVersion ?? 0 : undefined);
+    return await this.runTransformation(run, {
+      ...options,
+      tenantId,
+      ...(coefficientVersion && { coefficientVersion }),
+      ...(predictionModelVersion !== undefined && { predictionModelVersion })
+    });
+  }
+
+  /**
+   * Re-run a stored transformation with its recorded inputs, options, clock readings and random seed
+   * The replay runs in memory - nothing is persisted and no events are emitted - and its output is
+   * compared with what was stored, so engine changes can be regression-tested against past runs.
+   *
+   * @returns {Object|null} { identical, mismatches, diff, ... }, or null when the run is unknown to the tenant
+   */
+  async replayTransformation(transformationId, tenantId = 'default') {
+    if (!this.isInitialized) {
+      throw new Error('Transformation Engine not initialized');
+    }
+
+    const row = await this.databaseManager?.getTransformationResult(transformationId, tenantId);
+    if (!row) return null;
+    if (row.status !== 'completed') {
+      throw new Error(`Only completed transformations can be replayed (status: ${row.status})`);
+    }
+    if (!Array.isArray(row.replay_context?.clock)) {
+      throw new Error('Transformation was recorded before replay support and cannot be replayed');
+    }
+    if ((row.attempt_count || 1) > 1) {
+      throw new Error('Retried transformations cannot be replayed; their output depends on patches applied between attempts');
+    }
+
+    const recorded = row.replay_context;
+    const context = createRunContext(recorded);
+    // Coefficients may have been republished and vendor models retrained since; the replay uses the
+    // versions the run recorded (runs assessed without a trained model pin the priors, version 0)
+    const coefficientVersion = row.stage_outputs?.formulas?.coefficientVersion;
+    const options = {
+      ...(recorded.options || {}),
+      tenantId,
+      runContext: context,
+      ...(coefficientVersion && { coefficientVersion }),
+      predictionModelVersion: row.stage_outputs?.assess?.predictionModelVersion ?? 0
+    };
+    const run = {
+      ...this.createRunRecord(transformationId, row.questionnaire_data, options),
+      pipeline: row.pipeline_stages,
+      replay: true
+    };
+
+    let replayed = null;
+    let replayError = null;
+    try {
+      replayed = await this.runTransformation(run, options);
+    } catch (error) {
+      replayError = { stage: run.error?.stage || null, message: run.error?.message || error.message };
+    }
+
+    // Stored columns against the replay's values, compared as canonical JSON
+    const roundScore = (score) => (score === null || score === undefined ? null : Number(Number(score).toFixed(2)));
+    const comparisons = {
+      specification: [row.specification, replayed?.specification],
+      implementationPlan: [row.implementation_plan, replayed?.implementationPlan],
+      riskAssessment: [row.risk_assessment, replayed?.riskAssessment],
+      executiveSummary: [row.executive_summary, replayed?.executiveSummary],
+      stageOutputs: [row.stage_outputs, run.stageOutputs],
+      stageTimings: [row.stage_timings, run.stageTimings],
+      attempts: [row.attempts, run.attempts],
+      qualityScore: [roundScore(row.quality_score), roundScore(replayed?.qualityScore)],
+      processingTimeMs: [row.processing_time_ms, replayed?.processingTimeMs ?? null]
+    };
+    const mismatches = replayed
+      ? Object.keys(comparisons).filter((field) => canonicalJson(comparisons[field][0]) !== canonicalJson(comparisons[field][1]))
+      : Object.keys(comparisons);
+
+    const clock = context.clockUsage();
+    logger.info(`Replayed transformation ${transformationId}`, { identical: mismatches.length === 0, mismatches, clock });
+
+    let diff = null;
+    if (replayed && mismatches.length > 0) {
+      const stored = await this.getTransformationResult(transformationId, tenantId);
+      diff = diffTransformationResults(stored, {
+        ...replayed,
+        hospitalId: row.hospital_id,
+        requirements: run.stageOutputs.extract?.requirements || null
+      });
+    }
+
+    return {
+      transformationId,
+      identical: mismatches.length === 0,
+      mismatches,
+      replayError,
+      seed: recorded.seed,
+      clock,
+      diff,
+      result: replayed
+    };
+  }
+
+  /**
+   * Merge patched answers into a stored questionnaire
+   * Patched answers drop their old provenance (often `assumed`) unless new provenance is supplied
+   */
+  patchQuestionnaire(stored, answers, provenance) {
+    const keptProvenance = _.omit(stored.provenance || {}, Object.keys(answers));
+    return applySchemaDefaults({
+      ...stored,
+      ...answers,
+      provenance: { ...keptProvenance, ...provenance }
+    });
+  }
+
+  /**
+   * Run the pipeline for a new or resumed run, persisting its outcome
+   */
+  async runTransformation(run, options = {}) {
+    const clock = run.context;
+    const startTime = clock.now();
+    const { transformationId } = run;
+    const questionnaireData = run.questionnaire;
+    const attempt = run.attempts[run.attempts.length - 1];
     
     try {
       logger.info(`Starting transformation ${transformationId}`, {
         questionCount: Object.keys(questionnaireData).length,
-        hospitalId: questionnaireData.hospitalId || 'unknown'
+        hospitalId: run.hospitalId || 'unknown',
+        attempt: attempt.attempt,
+        resumedFrom: attempt.resumedFrom
       });
+      await this.persistRun(run);
 
       // PATENT CLAIM 8.a: Multi-stage transformation pipeline
       const transformationResult = await this.executeTransformationPipeline(
         questionnaireData,
         transformationId,
-        options
+        options,
+        run
       );
 
       // Calculate performance metrics
-      const processingTime = Date.now() - startTime;
-      this.updatePerformanceMetrics(processingTime, transformationResult);
+      const processingTime = clock.now() - startTime;
+      if (!run.replay) this.updatePerformanceMetrics(processingTime, transformationResult);
 
       // PATENT CLAIM 8.e: Quality assurance validation
       const qualityScore = await this.validateTransformationQuality(transformationResult);
 
       const finalResult = {
         transformationId,
-        timestamp: new Date().toISOString(),
+        timestamp: clock.isoNow(),
         processingTimeMs: processingTime,
         qualityScore,
         patentProtected: true,
@@ -127,9 +414,15 @@ class TransformationEngine extends EventEmitter {
         riskAssessment: transformationResult.riskAssessment,
         executiveSummary: transformationResult.executiveSummary,
         pipelineMetrics: transformationResult.pipelineMetrics,
+        formulas: transformationResult.formulas,
+        feasibilityScore: transformationResult.feasibilityScore,
+        extensions: transformationResult.extensions,
         metadata: {
-          questionnaireVersion: '1.0',
+          questionnaireVersion: questionnaireData.schemaVersion || getCurrentSchemaVersion(),
           engineVersion: '1.0.0',
+          attempts: run.attempts.length,
+          pipelineStages: run.pipeline,
+          coefficientVersion: run.stageOutputs.formulas?.coefficientVersion || null,
           patentClaims: ['8.a', '8.b', '8.c', '8.d', '8.e'],
           competitiveAdvantages: {
             processingSpeed: '95% faster than manual processes',
@@ -139,16 +432,32 @@ class TransformationEngine extends EventEmitter {
         }
       };
 
-      this.emit('transformationCompleted', {
+      Object.assign(attempt, { outcome: 'completed', completedAt: finalResult.timestamp });
+      await this.persistRun({
+        ...run,
+        ...finalResult,
+        status: 'completed',
+        progress: 100,
+        currentStage: null,
+        error: null,
+        patentClaims: finalResult.metadata.patentClaims,
+        competitiveAdvantages: finalResult.metadata.competitiveAdvantages,
+        validationResults: run.stageOutputs.validate
+      });
+      await this.recordHospitalProfile(run);
+
+      this.emitRunEvent(run, 'transformationCompleted', {
         transformationId,
         processingTime,
         qualityScore,
+        attempt: attempt.attempt,
         hospitalId: questionnaireData.hospitalId
       });
 
       logger.info(`Transformation ${transformationId} completed successfully`, {
         processingTime,
         qualityScore,
+        attempt: attempt.attempt,
         specificationSections: Object.keys(transformationResult.specification).length
       });
 
@@ -156,10 +465,22 @@ class TransformationEngine extends EventEmitter {
 
     } catch (error) {
       logger.error(`Transformation ${transformationId} failed:`, error);
+      if (run.status !== 'failed') {
+        run.status = 'failed';
+        run.error = { stage: run.currentStage, message: error.message, failedAt: clock.isoNow() };
+      }
+      run.processingTimeMs = clock.now() - startTime;
+      Object.assign(attempt, { outcome: 'failed', completedAt: run.error.failedAt, failedStage: run.error.stage, error: run.error.message });
+      await this.persistRun(run);
+      error.transformationId = transformationId;
+
       const safeHospitalId = questionnaireData && typeof questionnaireData === 'object' ? questionnaireData.hospitalId : undefined;
-      this.emit('transformationFailed', {
+      this.emitRunEvent(run, 'transformationFailed', {
         transformationId,
+        stage: run.error.stage,
         error: error.message,
+        reason: run.error.message,
+        attempt: attempt.attempt,
         hospitalId: safeHospitalId
       });
       throw error;
@@ -170,37 +491,74 @@ class TransformationEngine extends EventEmitter {
    * Execute multi-stage transformation pipeline (Patent Claims 8.a-8.d)
    * PATENT CLAIM 8.b: "Multi-stage transformation with validation and optimization"
    */
-  async executeTransformationPipeline(questionnaireData, transformationId, options) {
-    const pipeline = [
-      { stage: 'parse', method: 'parseQuestionnaire' },
-      { stage: 'extract', method: 'extractRequirements' },
-      { stage: 'formulas', method: 'computeFormulas' },
-      { stage: 'assess', method: 'assessHospital' },
-      { stage: 'map', method: 'mapToSpecification' },
-      { stage: 'generate', method: 'generateSpecification' },
-      { stage: 'validate', method: 'validateSpecification' },
-      { stage: 'optimize', method: 'optimizeSpecification' }
-    ];
-
+  async executeTransformationPipeline(questionnaireData, transformationId, options, run = null) {
+    const stages = run?.pipeline ? this.resolveStoredPipeline(run.pipeline) : this.getPipelineStages(options);
+    const runContext = run?.context;
+    const clock = resolveRunContext(runContext);
     let pipelineData = { questionnaire: questionnaireData, options };
     const stageResults = {};
 
-    for (const { stage, method } of pipeline) {
+    for (const [index, definition] of stages.entries()) {
+      const stage = definition.name;
+      // Resumed runs reuse the checkpointed output of every stage before the resume point
+      if (run && index < (run.resumeIndex || 0)) {
+        stageResults[stage] = run.stageOutputs[stage];
+        pipelineData = { ...pipelineData, [stage]: run.stageOutputs[stage] };
+        continue;
+      }
+
+      const stageStart = clock.now();
+      const completedOutputs = {}; // outputs this stage produced (or replaced), written when it completes
       try {
         logger.info(`Executing pipeline stage: ${stage}`, { transformationId });
+        if (run) {
+          run.currentStage = stage;
+          await this.persistStageProgress(run);
+        }
+        this.emitRunEvent(run, 'stageStarted', { transformationId, stage, stageIndex: index, totalStages: stages.length });
         
-        const stageResult = await this[method](pipelineData, transformationId);
+        const stageResult = await this.executeStage(definition, pipelineData, transformationId, options, runContext);
         stageResults[stage] = stageResult;
         pipelineData = { ...pipelineData, [stage]: stageResult };
         
         // PATENT CLAIM 8.d: Iterative refinement with feasibility analysis
         if (stage === 'validate' && stageResult.feasibilityScore < 0.8) {
           logger.info(`Low feasibility score (${stageResult.feasibilityScore}), triggering refinement`);
-          pipelineData = await this.refineSpecification(pipelineData, transformationId);
+          this.emitRunEvent(run, 'refinementTriggered', { transformationId, stage, feasibilityScore: stageResult.feasibilityScore });
+          const refineStart = clock.now();
+          pipelineData = await this.refineSpecification(pipelineData, transformationId, runContext);
+          if (run) {
+            run.stageTimings.refine = this.describeStageTiming(refineStart, clock);
+            run.stageOutputs.generate = pipelineData.generate;
+            completedOutputs.generate = pipelineData.generate;
+          }
         }
+
+        const progress = Math.round(((index + 1) / stages.length) * 100);
+        const timing = this.describeStageTiming(stageStart, clock);
+        if (run) {
+          run.stageOutputs[stage] = pipelineData[stage];
+          run.stageTimings[stage] = timing;
+          run.progress = progress;
+          completedOutputs[stage] = pipelineData[stage];
+          await this.persistStageProgress(run, completedOutputs);
+        }
+        this.emitRunEvent(run, 'stageCompleted', {
+          transformationId,
+          stage,
+          stageIndex: index,
+          totalStages: stages.length,
+          progress,
+          durationMs: timing.durationMs
+        });
         
       } catch (error) {
         logger.error(`Pipeline stage ${stage} failed:`, error);
+        if (run) {
+          run.status = 'failed';
+          run.stageTimings[stage] = this.describeStageTiming(stageStart, clock);
+          run.error = { stage, message: error.message, failedAt: clock.isoNow() };
+        }
         throw new Error(`Transformation pipeline failed at stage: ${stage}`);
       }
     }
@@ -210,34 +568,272 @@ class TransformationEngine extends EventEmitter {
       implementationPlan: stageResults.map?.specificationMapping?.implementationPlan,
       riskAssessment: stageResults.assess.riskAssessment,
       executiveSummary: this.generateExecutiveSummary(stageResults),
-      pipelineMetrics: this.calculatePipelineMetrics(stageResults)
+      pipelineMetrics: this.calculatePipelineMetrics(stageResults),
+      formulas: stageResults.formulas?.results || null,
+      feasibilityScore: pipelineData.validate?.feasibilityScore ?? null,
+      extensions: this.collectExtensionOutputs(stages, stageResults)
+    };
+  }
+
+  /**
+   * Run one stage: built-ins get the full pipeline data, plugins only their declared inputs
+   */
+  async executeStage(definition, pipelineData, transformationId, options, runContext) {
+    if (definition.builtin) {
+      return await this[definition.method](pipelineData, transformationId, runContext);
+    }
+
+    const result = await definition.run(pickStageInputs(definition, pipelineData), {
+      transformationId,
+      options,
+      runContext: resolveRunContext(runContext)
+    });
+    const missing = findMissingOutputs(definition, result);
+    if (missing.length > 0) {
+      throw new Error(`Stage ${definition.name} did not produce declared output(s): ${missing.join(', ')}`);
+    }
+    return result;
+  }
+
+  // Plugin stage outputs keyed by stage name; returned with the result as `extensions`
+  collectExtensionOutputs(stages, stageResults) {
+    return Object.fromEntries(stages.filter((s) => !s.builtin).map((s) => [s.name, stageResults[s.name]]));
+  }
+
+  /**
+   * Start the persisted record of a transformation run
+   */
+  createRunRecord(transformationId, questionnaireData, options = {}) {
+    const questionnaire = questionnaireData && typeof questionnaireData === 'object' ? questionnaireData : {};
+    const context = options.runContext || createRunContext();
+    return {
+      transformationId,
+      hospitalId: questionnaire.hospitalId || options.hospitalId || null,
+      tenantId: options.tenantId || 'default',
+      pipeline: this.getPipelineStages(options).map((stage) => stage.name),
+      status: 'running',
+      currentStage: null,
+      progress: 0,
+      questionnaire: questionnaireData,
+      stageOutputs: {},
+      stageTimings: {},
+      error: null,
+      context,
+      runOptions: this.describeRunOptions(options),
+      attempts: [{ attempt: 1, startedAt: context.isoNow(), resumedFrom: null }]
+    };
+  }
+
+  // The options a replay needs to repeat the run; ids and the run context itself are supplied afresh
+  describeRunOptions(options = {}) {
+    return JSON.parse(JSON.stringify(_.omit(options, ['transformationId', 'runContext'])));
+  }
+
+  // Replays re-run a stored transformation in memory, so listeners never hear about them
+  emitRunEvent(run, event, payload) {
+    if (run?.replay) return;
+    this.emit(event, payload);
+  }
+
+  /**
+   * Record a retry in the audit trail; the attempt history itself is stored with the run
+   */
+  async auditRetry(run, attempt) {
+    if (typeof this.databaseManager?.logAuditEvent !== 'function') return;
+    try {
+      await this.databaseManager.logAuditEvent(
+        'transformation', 'transformation_run', run.transformationId, attempt.requestedBy, run.hospitalId,
+        'retry', attempt, null, null, run.tenantId
+      );
+    } catch (error) {
+      logger.warn(`Failed to audit retry of transformation ${run.transformationId}:`, { error: error.message });
+    }
+  }
+
+  describeStageTiming(stageStart, clock) {
+    const completedAt = clock.now();
+    return {
+      startedAt: new Date(stageStart).toISOString(),
+      completedAt: new Date(completedAt).toISOString(),
+      durationMs: completedAt - stageStart
+    };
+  }
+
+  /**
+   * Save the whole run through the database manager (start, completion, failure)
+   * Storage problems do not fail the transformation itself; see recordPersistenceFailure
+   */
+  async persistRun(run) {
+    if (!this.databaseManager || run.replay) return;
+    try {
+      const replayContext = run.context ? { ...run.context.snapshot(), options: run.runOptions } : null;
+      await this.databaseManager.storeTransformationResult({ ...run, replayContext }, run.tenantId);
+      this.persistenceFailures.delete(run.transformationId);
+    } catch (error) {
+      this.recordPersistenceFailure(run, error);
+    }
+  }
+
+  /**
+   * Save a stage transition: stage, progress and timings, plus the outputs the stage just completed
+   */
+  async persistStageProgress(run, stageOutputs = {}) {
+    if (!this.databaseManager || run.replay) return;
+    try {
+      await this.databaseManager.updateTransformationProgress(run.transformationId, {
+        status: run.status,
+        currentStage: run.currentStage,
+        progress: run.progress,
+        stageTimings: run.stageTimings,
+        stageOutputs
+      }, run.tenantId);
+    } catch (error) {
+      this.recordPersistenceFailure(run, error);
+    }
+  }
+
+  // The stored run is now stale: log it, keep it for getTransformationStatus and tell listeners
+  recordPersistenceFailure(run, error) {
+    const failure = { message: error.message, status: run.status, stage: run.currentStage, failedAt: new Date().toISOString() };
+    this.persistenceFailures.set(run.transformationId, failure);
+    logger.error(`Failed to persist transformation ${run.transformationId}:`, { error: error.message, status: run.status, stage: run.currentStage });
+    this.emitRunEvent(run, 'persistenceFailed', { transformationId: run.transformationId, ...failure });
+  }
+
+  /**
+   * Refresh the hospital's profile, and the embedding peer benchmarks search on, from a completed run
+   * Like persistRun, storage problems do not fail the run; they are logged and emitted as
+   * hospitalProfileFailed so a hospital id held by another tenant does not go unnoticed
+   */
+  async recordHospitalProfile(run) {
+    if (!this.databaseManager || run.replay || !run.hospitalId) return;
+    try {
+      await this.databaseManager.upsertHospitalProfile(buildHospitalProfile(run.hospitalId, run.questionnaire), run.tenantId);
+    } catch (error) {
+      logger.error(`Failed to record hospital profile for ${run.hospitalId}:`, { error: error.message, tenantId: run.tenantId });
+      this.emitRunEvent(run, 'hospitalProfileFailed', {
+        transformationId: run.transformationId,
+        hospitalId: run.hospitalId,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Record a queued run so its status can be read before the pipeline starts
+   * @returns {string} transformation id to pass back in options.transformationId
+   */
+  async acceptTransformation(questionnaireData, options = {}) {
+    const transformationId = options.transformationId || this.generateTransformationId();
+    await this.persistRun({ ...this.createRunRecord(transformationId, questionnaireData, options), status: 'queued' });
+    return transformationId;
+  }
+
+  /**
+   * Rebuild a completed run's result from storage in the shape transformQuestionnaire returns
+   * @returns {Object|null} null when the transformation is unknown to the tenant
+   */
+  async getTransformationResult(transformationId, tenantId = 'default') {
+    if (!this.databaseManager) return null;
+    const row = await this.databaseManager.getTransformationResult(transformationId, tenantId);
+    if (!row) return null;
+    if (row.status !== 'completed') {
+      return { transformationId: row.transformation_id, status: row.status, progress: row.progress, failure: row.error_details || null };
+    }
+
+    return {
+      transformationId: row.transformation_id,
+      hospitalId: row.hospital_id,
+      status: row.status,
+      timestamp: row.updated_at instanceof Date ? row.updated_at.toISOString() : row.updated_at,
+      processingTimeMs: row.processing_time_ms,
+      qualityScore: row.quality_score === null || row.quality_score === undefined ? null : Number(row.quality_score),
+      patentProtected: true,
+      trademarkNotice: 'Metis Transformation Engine™',
+      specification: row.specification,
+      implementationPlan: row.implementation_plan,
+      riskAssessment: row.risk_assessment,
+      executiveSummary: row.executive_summary,
+      requirements: row.stage_outputs?.extract?.requirements || null,
+      pipelineMetrics: this.calculatePipelineMetrics(row.stage_outputs || {}),
+      formulas: row.stage_outputs?.formulas?.results || null,
+      feasibilityScore: row.stage_outputs?.validate?.feasibilityScore ?? null,
+      extensions: _.omit(row.stage_outputs || {}, BUILTIN_STAGES.map((stage) => stage.name)),
+      metadata: {
+        questionnaireVersion: row.questionnaire_data?.schemaVersion || getCurrentSchemaVersion(),
+        engineVersion: '1.0.0',
+        pipelineStages: row.pipeline_stages,
+        coefficientVersion: row.stage_outputs?.formulas?.coefficientVersion || null,
+        patentClaims: row.patent_claims,
+        competitiveAdvantages: row.competitive_advantages
+      }
+    };
+  }
+
+  /**
+   * Report a stored run's status, current stage, progress and failure reason
+   * @returns {Object|null} null when the transformation is unknown to the tenant
+   */
+  async getTransformationStatus(transformationId, tenantId = 'default') {
+    if (!this.databaseManager) return null;
+    const row = await this.databaseManager.getTransformationResult(transformationId, tenantId);
+    if (!row) return null;
+
+    const timings = row.stage_timings || {};
+    const pipeline = row.pipeline_stages?.length ? row.pipeline_stages : BUILTIN_STAGES.map((stage) => stage.name);
+    const stages = pipeline.map((stage) => {
+      let state = timings[stage] ? 'completed' : 'pending';
+      if (row.error_details?.stage === stage) state = 'failed';
+      else if (row.status === 'running' && row.current_stage === stage) state = 'running';
+      return { stage, state, durationMs: timings[stage]?.durationMs ?? null };
+    });
+
+    return {
+      transformationId: row.transformation_id,
+      hospitalId: row.hospital_id,
+      status: row.status,
+      currentStage: row.current_stage,
+      progress: row.progress,
+      stages,
+      refined: Boolean(timings.refine),
+      failure: row.error_details || null,
+      attemptCount: row.attempt_count || 1,
+      attempts: row.attempts || [],
+      processingTimeMs: row.processing_time_ms,
+      qualityScore: row.quality_score === null || row.quality_score === undefined ? null : Number(row.quality_score),
+      startedAt: row.created_at,
+      lastUpdated: row.updated_at,
+      persistenceError: this.persistenceFailures.get(transformationId) || null
     };
   }
 
   /**
    * Parse questionnaire responses (Patent Claim 8.a implementation)
    */
-  async parseQuestionnaire(pipelineData, transformationId) {
+  async parseQuestionnaire(pipelineData, transformationId, runContext) {
     return await this.questionnaireProcessor.processQuestionnaire(
       pipelineData.questionnaire,
-      { transformationId }
+      { transformationId, runContext }
     );
   }
 
   /**
    * Extract hospital requirements (Patent Claim 8.c implementation)
    */
-  async extractRequirements(pipelineData, transformationId) {
+  async extractRequirements(pipelineData, transformationId, runContext) {
     return await this.questionnaireProcessor.extractRequirements(
       pipelineData.parse,
-      { transformationId }
+      { transformationId, runContext }
     );
   }
 
   /**
    * Compute deterministic formulas from variables (HCS, SIDI, RAF)
+   * Uses the tenant's current coefficients unless options.coefficientVersion pins an earlier { global, tenant } pair;
+   * the version used is returned with the results so stored quotes stay explainable.
+   * options.rafAnalysis (true or RAFSensitivity options) adds tornado and Monte Carlo cost ranges
    */
-  async computeFormulas(pipelineData, transformationId) {
+  async computeFormulas(pipelineData, transformationId, runContext) {
     const vars = {
       bedCount: pipelineData.extract?.hospitalProfile?.bedCount,
       hospitalType: pipelineData.extract?.hospitalProfile?.type || pipelineData.questionnaire?.facilityType,
@@ -245,20 +841,41 @@ class TransformationEngine extends EventEmitter {
       complianceFrameworks: pipelineData.questionnaire?.complianceFrameworks,
       timeline: pipelineData.questionnaire?.timeline,
       primaryEHR: pipelineData.questionnaire?.primaryEHR,
+      ehrVendors: pipelineData.questionnaire?.ehrVendors,
       interoperabilityStandards: pipelineData.questionnaire?.interoperabilityStandards,
       integrationNeeds: pipelineData.questionnaire?.integrationNeeds
     };
-    const results = FormulasEngine.computeAll(vars);
-    return { variables: vars, results };
+    const { coefficients, version } = await this.coefficientStore.resolve(
+      pipelineData.options?.tenantId || 'default',
+      pipelineData.options?.coefficientVersion || {}
+    );
+    const results = FormulasEngine.computeAll(vars, coefficients);
+
+    if (pipelineData.options?.rafAnalysis) {
+      const { options: analysis, errors } = normalizeAnalysisOptions(pipelineData.options.rafAnalysis);
+      if (errors.length > 0) {
+        throw new Error(`Invalid RAF analysis options: ${errors.join('; ')}`);
+      }
+      // Without a requested seed the draws follow the run's own seed, so replays reproduce them
+      const seed = analysis.seed ?? Math.floor(resolveRunContext(runContext).random() * 4294967296);
+      results.rafAnalysis = analyzeRAF(vars, coefficients, { ...analysis, seed });
+    }
+    return { variables: vars, results, coefficientVersion: version };
   }
 
   /**
    * Assess hospital characteristics (Patent #1 integration)
+   * Vendor predictions use the tenant's latest trained model unless options.predictionModelVersion pins
+   * another (0 for the built-in priors); the version used is recorded as assess.predictionModelVersion
    */
-  async assessHospital(pipelineData, transformationId) {
+  async assessHospital(pipelineData, transformationId, runContext) {
+    const predictionModel = await this.vendorOutcomeModel.resolve(
+      pipelineData.options?.tenantId || 'default',
+      pipelineData.options?.predictionModelVersion ?? null
+    );
     return await this.assessmentEngine.assessHospital(
       pipelineData.extract.hospitalProfile,
-      { transformationId }
+      { transformationId, runContext, predictionModel }
     );
   }
 
@@ -266,26 +883,27 @@ class TransformationEngine extends EventEmitter {
    * Map requirements to technical specification
    * PATENT CLAIM 8.c: "Context-aware specification generation"
    */
-  async mapToSpecification(pipelineData, transformationId) {
+  async mapToSpecification(pipelineData, transformationId, runContext) {
     const hospitalContext = {
       profile: pipelineData.extract.hospitalProfile,
       assessment: pipelineData.assess,
-      requirements: pipelineData.extract.requirements
+      requirements: pipelineData.extract.requirements,
+      answerProvenance: pipelineData.extract.answerProvenance
     };
 
     return await this.specificationGenerator.mapRequirementsToSpecification(
       hospitalContext,
-      { transformationId }
+      { transformationId, runContext }
     );
   }
 
   /**
    * Generate technical specification (Patent Claims 8.f-8.j)
    */
-  async generateSpecification(pipelineData, transformationId) {
+  async generateSpecification(pipelineData, transformationId, runContext) {
     return await this.specificationGenerator.generateTechnicalSpecification(
       pipelineData.map,
-      { transformationId, format: 'comprehensive' }
+      { transformationId, runContext, format: 'comprehensive' }
     );
   }
 
@@ -293,11 +911,11 @@ class TransformationEngine extends EventEmitter {
    * Validate specification completeness and accuracy
    * PATENT CLAIM 8.e: "Quality assurance validation"
    */
-  async validateSpecification(pipelineData, transformationId) {
+  async validateSpecification(pipelineData, transformationId, runContext) {
     return await this.validationEngine.validateSpecification(
       pipelineData.generate,
       pipelineData.extract.requirements,
-      { transformationId }
+      { transformationId, runContext }
     );
   }
 
@@ -305,12 +923,12 @@ class TransformationEngine extends EventEmitter {
    * Optimize specification for implementation
    * PATENT CLAIM 8.d: "Iterative refinement with constraint satisfaction"
    */
-  async optimizeSpecification(pipelineData, transformationId) {
+  async optimizeSpecification(pipelineData, transformationId, runContext) {
     if (pipelineData.validate.optimizationRecommendations?.length > 0) {
       return await this.specificationGenerator.optimizeSpecification(
         pipelineData.generate,
         pipelineData.validate.optimizationRecommendations,
-        { transformationId }
+        { transformationId, runContext }
       );
     }
     return pipelineData.generate;
@@ -320,26 +938,26 @@ class TransformationEngine extends EventEmitter {
    * Refine specification based on feasibility analysis
    * PATENT CLAIM 8.d: Iterative refinement implementation
    */
-  async refineSpecification(pipelineData, transformationId) {
+  async refineSpecification(pipelineData, transformationId, runContext) {
     logger.info(`Refining specification for transformation ${transformationId}`);
     
     const refinementSuggestions = await this.validationEngine.generateRefinementSuggestions(
       pipelineData.generate,
       pipelineData.validate,
-      { transformationId }
+      { transformationId, runContext }
     );
 
     const refinedSpec = await this.specificationGenerator.refineSpecification(
       pipelineData.generate,
       refinementSuggestions,
-      { transformationId }
+      { transformationId, runContext }
     );
 
     // Re-validate refined specification
     const revalidation = await this.validationEngine.validateSpecification(
       refinedSpec,
       pipelineData.extract.requirements,
-      { transformationId, refinementRound: 1 }
+      { transformationId, runContext, refinementRound: 1 }
     );
 
     return {
@@ -6,6 +6,7 @@
 
 const winston = require('winston');
 const _ = require('lodash');
+const { resolveRunContext } = require('./RunContext');
 
 const logger = winston.createLogger({
   level: 'info',
@@ -30,7 +31,8 @@ class ValidationEngine {
    * PATENT CLAIM 8.e: Quality assurance validation implementation
    */
   async validateSpecification(specification, requirements, options = {}) {
-    const startTime = Date.now();
+    const runContext = resolveRunContext(options.runContext);
+    const startTime = runContext.now();
     
     try {
       logger.info('Validating technical specification', {
@@ -60,7 +62,7 @@ class ValidationEngine {
       // Calculate feasibility score for refinement triggering
       const feasibilityScore = validationResults.feasibility.overallScore;
 
-      const processingTime = Date.now() - startTime;
+      const processingTime = runContext.now() - startTime;
       this.updateValidationMetrics(processingTime, validationResults);
 
       return {
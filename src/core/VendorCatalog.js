@@ -0,0 +1,251 @@
+/**
+ * Vendor Catalog
+ * The one list of EHRs, departmental systems and interface engines. DynamicVendorDatabase scores
+ * vendors from it and VendorRepository reads facility pricing from it (vendor_catalog_current).
+ *
+ * Every create, edit and delete stores a new numbered version of the vendor's entry, so the
+ * catalog a past assessment saw can be reconstructed. Deletes are stored as tombstone versions.
+ * When the table is empty it is seeded with BUILT_IN_VENDORS; without a database the built-in
+ * list is served read-only.
+ */
+
+const winston = require('winston');
+const _ = require('lodash');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.json(),
+  transports: [
+    new winston.transports.File({ filename: 'logs/vendor-catalog.log' })
+  ]
+});
+
+const VENDOR_CATEGORIES = ['ehr', 'departmental', 'interface_engine'];
+
+// Seed entries; `assessment` holds the scoring inputs DynamicVendorDatabase reads
+const BUILT_IN_VENDORS = [
+  {
+    id: 'epic',
+    name: 'Epic',
+    category: 'ehr',
+    assessment: {
+      complexity_score: 8.5,
+      integration_difficulty: 7.8,
+      api_maturity: 9.2,
+      market_share: 0.31,
+      compatibility_factors: { fhir_support: 9.0, hl7_support: 9.5, custom_api: 8.0, third_party_integration: 7.5 },
+      deployment_success_rate: 0.94,
+      average_implementation_time: 18 // months
+    }
+  },
+  {
+    id: 'cerner',
+    name: 'Cerner',
+    category: 'ehr',
+    assessment: {
+      complexity_score: 7.8,
+      integration_difficulty: 7.2,
+      api_maturity: 8.1,
+      market_share: 0.26,
+      compatibility_factors: { fhir_support: 8.5, hl7_support: 9.0, custom_api: 7.8, third_party_integration: 8.2 },
+      deployment_success_rate: 0.89,
+      average_implementation_time: 16
+    }
+  },
+  {
+    id: 'meditech',
+    name: 'MEDITECH',
+    category: 'ehr',
+    assessment: {
+      complexity_score: 6.5,
+      integration_difficulty: 6.8,
+      api_maturity: 7.2,
+      market_share: 0.16,
+      compatibility_factors: { fhir_support: 7.5, hl7_support: 8.5, custom_api: 6.8, third_party_integration: 7.0 },
+      deployment_success_rate: 0.91,
+      average_implementation_time: 14
+    }
+  },
+  { id: 'cerner-powerchart', name: 'Cerner PowerChart', category: 'departmental', departments: ['Laboratory', 'Radiology', 'Pharmacy'] },
+  { id: 'epic-beaker', name: 'Epic Beaker', category: 'departmental', departments: ['Laboratory'] },
+  { id: 'meditech-laboratory', name: 'MEDITECH Laboratory', category: 'departmental', departments: ['Laboratory'] },
+  { id: 'sunquest', name: 'Sunquest', category: 'departmental', departments: ['Laboratory'] },
+  { id: 'orchard', name: 'Orchard', category: 'departmental', departments: ['Laboratory'] },
+  { id: 'epic-radiant', name: 'Epic Radiant', category: 'departmental', departments: ['Radiology'] },
+  { id: 'meditech-radiology', name: 'MEDITECH Radiology', category: 'departmental', departments: ['Radiology'] },
+  { id: 'ge-centricity', name: 'GE Centricity', category: 'departmental', departments: ['Radiology'] },
+  { id: 'philips-intellispace', name: 'Philips IntelliSpace', category: 'departmental', departments: ['Radiology'] },
+  { id: 'epic-willow', name: 'Epic Willow', category: 'departmental', departments: ['Pharmacy'] },
+  { id: 'meditech-pharmacy', name: 'MEDITECH Pharmacy', category: 'departmental', departments: ['Pharmacy'] },
+  { id: 'omnicell', name: 'Omnicell', category: 'departmental', departments: ['Pharmacy'] },
+  { id: 'bd-pyxis', name: 'BD Pyxis', category: 'departmental', departments: ['Pharmacy'] },
+  { id: 'rhapsody', name: 'Rhapsody', category: 'interface_engine' },
+  { id: 'mirth-connect', name: 'Mirth Connect', category: 'interface_engine' },
+  { id: 'cloverleaf', name: 'Cloverleaf', category: 'interface_engine' },
+  { id: 'intersystems-health-connect', name: 'InterSystems HealthShare Health Connect', category: 'interface_engine' }
+];
+
+// "GE Centricity" -> "ge-centricity"
+function vendorIdFromName(name) {
+  return String(name).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+// Catalog entry as served by the API: the stored entry plus who changed it last
+function describeEntry(row) {
+  if (!row) return null;
+  return {
+    ...row.entry,
+    version: row.version,
+    updatedBy: row.author || null,
+    updatedAt: row.created_at instanceof Date ? row.created_at.toISOString() : row.created_at || null
+  };
+}
+
+function describeVersion(row) {
+  return {
+    version: row.version,
+    deleted: row.deleted === true,
+    author: row.author || null,
+    note: row.note || null,
+    createdAt: row.created_at instanceof Date ? row.created_at.toISOString() : row.created_at || null,
+    entry: row.deleted ? null : row.entry
+  };
+}
+
+class VendorCatalog {
+  constructor(databaseManager) {
+    this.databaseManager = databaseManager;
+  }
+
+  /**
+   * Seed an empty catalog with BUILT_IN_VENDORS
+   * Another server seeding at the same moment makes the inserts collide, which is logged and ignored
+   */
+  async initialize() {
+    if (!this.databaseManager) return;
+
+    const count = await this.databaseManager.countVendorCatalogVersions();
+    if (count > 0) return;
+
+    try {
+      for (const entry of BUILT_IN_VENDORS) {
+        await this.databaseManager.insertVendorCatalogVersion(entry.id, entry, false, 'system', 'Built-in catalog seed');
+      }
+      logger.info('Vendor catalog seeded', { vendors: BUILT_IN_VENDORS.length });
+    } catch (error) {
+      logger.warn('Vendor catalog seed skipped', { error: error.message });
+    }
+  }
+
+  /**
+   * Current entries, optionally of one category, ordered by category then name
+   */
+  async list({ category = null } = {}) {
+    if (!this.databaseManager) {
+      return BUILT_IN_VENDORS
+        .filter((entry) => !category || entry.category === category)
+        .map((entry) => ({ ...entry, version: 0, updatedBy: null, updatedAt: null }));
+    }
+    const rows = await this.databaseManager.listVendorCatalog(category);
+    return rows.map(describeEntry);
+  }
+
+  async get(vendorId) {
+    if (!this.databaseManager) {
+      const entry = BUILT_IN_VENDORS.find((vendor) => vendor.id === vendorId);
+      return entry ? { ...entry, version: 0, updatedBy: null, updatedAt: null } : null;
+    }
+    return describeEntry(await this.databaseManager.getVendorCatalogEntry(vendorId));
+  }
+
+  /**
+   * Add a vendor; callers check that the id is free (a deleted id may be reused and continues its history)
+   */
+  async create(entry, { author = null, note = null } = {}) {
+    const id = entry.id || vendorIdFromName(entry.name);
+    return await this.write(id, { ...entry, id }, false, author, note);
+  }
+
+  /**
+   * Replace a vendor's entry with a new version
+   */
+  async update(vendorId, entry, { author = null, note = null } = {}) {
+    return await this.write(vendorId, { ...entry, id: vendorId }, false, author, note);
+  }
+
+  async remove(vendorId, { author = null, note = null } = {}) {
+    const current = await this.get(vendorId);
+    await this.write(vendorId, current ? _.omit(current, ['version', 'updatedBy', 'updatedAt']) : { id: vendorId }, true, author, note);
+  }
+
+  /**
+   * Every version of one vendor, newest first (tombstones included)
+   */
+  async history(vendorId) {
+    if (!this.databaseManager) return [];
+    const rows = await this.databaseManager.listVendorCatalogVersions(vendorId);
+    return rows.map(describeVersion);
+  }
+
+  /**
+   * Portable copy of the current catalog; importCatalog accepts the same document
+   */
+  async exportCatalog() {
+    const vendors = await this.list();
+    return {
+      format: 'vendor-catalog',
+      exportedAt: new Date().toISOString(),
+      vendors: vendors.map((entry) => _.omit(entry, ['version', 'updatedBy', 'updatedAt']))
+    };
+  }
+
+  /**
+   * Apply an exported catalog
+   * Only entries that differ from the current catalog get a new version. `replace` also deletes
+   * current vendors missing from the import; `merge` leaves them alone.
+   * @returns {Object} { created, updated, unchanged, removed } vendor ids
+   */
+  async importCatalog(vendors, { mode = 'merge', author = null, note = null } = {}) {
+    const current = new Map((await this.list()).map((entry) => [entry.id, _.omit(entry, ['version', 'updatedBy', 'updatedAt'])]));
+    const summary = { created: [], updated: [], unchanged: [], removed: [] };
+
+    for (const vendor of vendors) {
+      const entry = { ...vendor, id: vendor.id || vendorIdFromName(vendor.name) };
+      const existing = current.get(entry.id);
+      if (existing && _.isEqual(existing, entry)) {
+        summary.unchanged.push(entry.id);
+      } else {
+        await this.write(entry.id, entry, false, author, note);
+        summary[existing ? 'updated' : 'created'].push(entry.id);
+      }
+      current.delete(entry.id);
+    }
+
+    if (mode === 'replace') {
+      for (const [vendorId, entry] of current) {
+        await this.write(vendorId, entry, true, author, note);
+        summary.removed.push(vendorId);
+      }
+    }
+
+    logger.info('Vendor catalog imported', {
+      mode,
+      author,
+      created: summary.created.length,
+      updated: summary.updated.length,
+      removed: summary.removed.length
+    });
+    return summary;
+  }
+
+  async write(vendorId, entry, deleted, author, note) {
+    if (!this.databaseManager) {
+      throw new Error('The vendor catalog cannot be edited without a database');
+    }
+    const row = await this.databaseManager.insertVendorCatalogVersion(vendorId, entry, deleted, author, note);
+    logger.info(deleted ? 'Vendor removed from catalog' : 'Vendor catalog entry saved', { vendorId, version: row.version, author });
+    return deleted ? null : describeEntry(row);
+  }
+}
+
+module.exports = { VendorCatalog, BUILT_IN_VENDORS, VENDOR_CATEGORIES, vendorIdFromName };
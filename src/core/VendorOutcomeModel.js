@@ -0,0 +1,438 @@
+/**
+ * Vendor Outcome Model
+ * Learns DynamicVendorDatabase's compatibility and success predictions from recorded project outcomes
+ * (transformation_outcomes). Both predictions are small regressions on one feature vector built from
+ * the vendor's catalog assessment and the hospital profile:
+ *   - compatibility: ridge regression on an outcome fit score between 0 and 1
+ *   - success: L2-regularised logistic regression on whether the project met SUCCESS_CRITERIA
+ *
+ * Every training run stores a new numbered version for the tenant together with its cross-validated
+ * accuracy. Version 0 is the built-in prior (DynamicVendorDatabase's catalog-based guesses) and is
+ * not stored; transformations record the version they were assessed with so replays can pin it.
+ *
+ * The success regression's intercept is shrunk toward the prior's log-odds, and no success model is
+ * fitted when every project succeeded (or every one failed): the prior stays in use until there is
+ * an outcome of each kind to learn from.
+ */
+
+const winston = require('winston');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.json(),
+  transports: [
+    new winston.transports.File({ filename: 'logs/vendor-outcome-model.log' })
+  ]
+});
+
+const MIN_TRAINING_OUTCOMES = 8;
+const RIDGE_LAMBDA = 1.0;
+const BIAS_LAMBDA = 0.0001; // keeps the ridge intercept all but unpenalised
+const SUCCESS_INTERCEPT_LAMBDA = 1.0;
+const CROSS_VALIDATION_FOLDS = 5;
+const WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+
+// A project succeeded when it went live within these overruns
+const SUCCESS_CRITERIA = { maxScheduleOverrun: 0.25, maxBudgetOverrun: 0.25, maxIncidents: 2 };
+
+// Fit score penalties: per unit of schedule / budget overrun, and per incident
+const FIT_PENALTIES = { scheduleOverrun: 0.5, budgetOverrun: 0.3, incident: 0.05 };
+
+// Expected values of DynamicVendorDatabase's prior predictors, used as the accuracy baseline
+const PRIOR_COMPATIBILITY = 0.75;
+const PRIOR_SUCCESS = 0.85;
+
+// A version's cross-validated accuracy is only offered as prediction confidence from this many outcomes
+const MIN_CONFIDENCE_OUTCOMES = 30;
+
+const MODEL_FEATURES = [
+  { name: 'bias', value: () => 1 },
+  { name: 'bed_count', value: (vendor, hospital) => Math.log2(Math.max(1, hospital.bedCount || 100)) / 12 },
+  { name: 'technology_maturity', value: (vendor, hospital) => (hospital.technologyMaturity ?? 5) / 10 },
+  { name: 'academic', value: (vendor, hospital) => (String(hospital.type || '').toLowerCase() === 'academic' ? 1 : 0) },
+  { name: 'vendor_complexity', value: (vendor) => (vendor.complexity_score ?? 5) / 10 },
+  { name: 'integration_difficulty', value: (vendor) => (vendor.integration_difficulty ?? 5) / 10 },
+  { name: 'api_maturity', value: (vendor) => (vendor.api_maturity ?? 5) / 10 },
+  {
+    name: 'maturity_gap',
+    value: (vendor, hospital) => Math.abs((hospital.technologyMaturity ?? 5) - (vendor.api_maturity ?? 5)) / 10
+  },
+  {
+    name: 'size_complexity',
+    value: (vendor, hospital) => Math.min((hospital.bedCount || 100) / 500, 3) * ((vendor.complexity_score ?? 5) / 10)
+  }
+];
+const FEATURES_BY_NAME = Object.fromEntries(MODEL_FEATURES.map((feature) => [feature.name, feature]));
+
+function clamp(value, min, max) {
+  return Math.min(Math.max(value, min), max);
+}
+
+function round(value, places = 3) {
+  return Math.round(value * 10 ** places) / 10 ** places;
+}
+
+function sigmoid(z) {
+  return 1 / (1 + Math.exp(-z));
+}
+
+function dot(a, b) {
+  return a.reduce((sum, value, i) => sum + value * b[i], 0);
+}
+
+/**
+ * Feature vector of a vendor (catalog assessment) and hospital profile, in the order of `featureNames`
+ */
+function featureVector(vendor, hospitalProfile, featureNames = MODEL_FEATURES.map((feature) => feature.name)) {
+  return featureNames.map((name) => FEATURES_BY_NAME[name].value(vendor || {}, hospitalProfile || {}));
+}
+
+/**
+ * Training labels for one recorded outcome; null when the project has not gone live
+ * Without a recorded duration the weeks are counted from the transformation to the go-live date
+ */
+function outcomeLabels(outcome, plannedWeeks, startedAt) {
+  let actualWeeks = outcome.actualImplementationWeeks;
+  if ((actualWeeks === null || actualWeeks === undefined) && outcome.goLiveDate && startedAt) {
+    actualWeeks = (Date.parse(outcome.goLiveDate) - Date.parse(startedAt)) / WEEK_MS;
+  }
+  if (typeof actualWeeks !== 'number' || !(actualWeeks > 0)) return null;
+
+  const scheduleOverrun = plannedWeeks > 0 ? actualWeeks / plannedWeeks - 1 : 0;
+  const budgetOverrun = (outcome.budgetOverrunPercent ?? 0) / 100;
+  const incidents = outcome.incidentCount ?? 0;
+
+  return {
+    actualWeeks: round(actualWeeks, 1),
+    scheduleOverrun: round(scheduleOverrun),
+    budgetOverrun: round(budgetOverrun),
+    incidents,
+    fitScore: round(clamp(
+      1 - FIT_PENALTIES.scheduleOverrun * Math.max(0, scheduleOverrun)
+        - FIT_PENALTIES.budgetOverrun * Math.max(0, budgetOverrun)
+        - FIT_PENALTIES.incident * incidents,
+      0, 1
+    )),
+    success: scheduleOverrun <= SUCCESS_CRITERIA.maxScheduleOverrun
+      && budgetOverrun <= SUCCESS_CRITERIA.maxBudgetOverrun
+      && incidents <= SUCCESS_CRITERIA.maxIncidents
+  };
+}
+
+// Solve A x = b by Gaussian elimination with partial pivoting; the systems here are small and
+// positive definite thanks to the ridge penalty
+function solveLinearSystem(A, b) {
+  const n = b.length;
+  const m = A.map((row, i) => [...row, b[i]]);
+
+  for (let col = 0; col < n; col++) {
+    let pivot = col;
+    for (let row = col + 1; row < n; row++) {
+      if (Math.abs(m[row][col]) > Math.abs(m[pivot][col])) pivot = row;
+    }
+    [m[col], m[pivot]] = [m[pivot], m[col]];
+    if (Math.abs(m[col][col]) < 1e-12) {
+      throw new Error('Training data is degenerate: the regression system is singular');
+    }
+    for (let row = col + 1; row < n; row++) {
+      const factor = m[row][col] / m[col][col];
+      for (let c = col; c <= n; c++) m[row][c] -= factor * m[col][c];
+    }
+  }
+
+  const x = new Array(n).fill(0);
+  for (let row = n - 1; row >= 0; row--) {
+    let sum = m[row][n];
+    for (let c = row + 1; c < n; c++) sum -= m[row][c] * x[c];
+    x[row] = sum / m[row][row];
+  }
+  return x;
+}
+
+// Xᵀ W X plus the ridge penalty (lighter on the intercept, which comes first)
+function penalizedGram(X, weights, lambda, biasLambda = BIAS_LAMBDA) {
+  const k = X[0].length;
+  const gram = Array.from({ length: k }, () => new Array(k).fill(0));
+  X.forEach((x, i) => {
+    for (let a = 0; a < k; a++) {
+      for (let b = 0; b < k; b++) gram[a][b] += weights[i] * x[a] * x[b];
+    }
+  });
+  gram.forEach((row, a) => { row[a] += a === 0 ? biasLambda : lambda; });
+  return gram;
+}
+
+/**
+ * Ridge regression: w = (XᵀX + λI)⁻¹ Xᵀy
+ */
+function fitRidge(X, y, lambda = RIDGE_LAMBDA) {
+  const gram = penalizedGram(X, X.map(() => 1), lambda);
+  const moment = X[0].map((_, a) => X.reduce((sum, x, i) => sum + x[a] * y[i], 0));
+  return solveLinearSystem(gram, moment);
+}
+
+/**
+ * Logistic regression with an L2 penalty, fitted by Newton's method (iteratively reweighted least squares)
+ * The intercept is penalised toward the log-odds of PRIOR_SUCCESS rather than toward 0
+ */
+function fitLogistic(X, y, lambda = RIDGE_LAMBDA, maxIterations = 50) {
+  const priorIntercept = Math.log(PRIOR_SUCCESS / (1 - PRIOR_SUCCESS));
+  let w = X[0].map((_, a) => (a === 0 ? priorIntercept : 0));
+
+  for (let iteration = 0; iteration < maxIterations; iteration++) {
+    const p = X.map((x) => sigmoid(dot(w, x)));
+    const gradient = w.map((wa, a) => X.reduce((sum, x, i) => sum + x[a] * (y[i] - p[i]), 0)
+      - (a === 0 ? SUCCESS_INTERCEPT_LAMBDA * (wa - priorIntercept) : lambda * wa));
+    const hessian = penalizedGram(X, p.map((pi) => Math.max(pi * (1 - pi), 1e-6)), lambda, SUCCESS_INTERCEPT_LAMBDA);
+    const step = solveLinearSystem(hessian, gradient);
+    w = w.map((wa, a) => wa + step[a]);
+    if (Math.max(...step.map(Math.abs)) < 1e-8) break;
+  }
+  return w;
+}
+
+function predictFitScore(model, vendor, hospitalProfile) {
+  return clamp(dot(model.compatibility.weights, featureVector(vendor, hospitalProfile, model.features)), 0, 1);
+}
+
+/**
+ * Learned success probability; null when the model has no success regression and the prior applies
+ */
+function predictSuccess(model, vendor, hospitalProfile) {
+  if (!model.success) return null;
+  return sigmoid(dot(model.success.weights, featureVector(vendor, hospitalProfile, model.features)));
+}
+
+// Predictions for a training sample, falling back to the prior where the model has no success regression
+function predictSample(model, sample) {
+  return {
+    compatibility: predictFitScore(model, sample.vendor, sample.hospitalProfile),
+    success: predictSuccess(model, sample.vendor, sample.hospitalProfile) ?? sample.vendor.deployment_success_rate ?? PRIOR_SUCCESS
+  };
+}
+
+function fitModel(samples) {
+  const features = MODEL_FEATURES.map((feature) => feature.name);
+  const X = samples.map((sample) => featureVector(sample.vendor, sample.hospitalProfile, features));
+  const y = samples.map((sample) => (sample.labels.success ? 1 : 0));
+  const singleClass = y.every((label) => label === y[0]);
+  return {
+    features,
+    compatibility: { weights: fitRidge(X, samples.map((sample) => sample.labels.fitScore)).map((w) => round(w, 6)) },
+    success: singleClass ? null : { weights: fitLogistic(X, y).map((w) => round(w, 6)) }
+  };
+}
+
+/**
+ * Accuracy of predictions against samples' labels, next to the prior predictors' accuracy
+ * @param {Function} predict - (sample) => { compatibility, success }
+ */
+function scorePredictions(samples, predict) {
+  const errors = { absolute: 0, squared: 0, priorAbsolute: 0, brier: 0, priorBrier: 0, correct: 0, priorCorrect: 0 };
+
+  for (const sample of samples) {
+    const { compatibility, success } = predict(sample);
+    const fit = sample.labels.fitScore;
+    const outcome = sample.labels.success ? 1 : 0;
+    const priorSuccess = sample.vendor.deployment_success_rate ?? PRIOR_SUCCESS;
+
+    errors.absolute += Math.abs(compatibility - fit);
+    errors.squared += (compatibility - fit) ** 2;
+    errors.priorAbsolute += Math.abs(PRIOR_COMPATIBILITY - fit);
+    errors.brier += (success - outcome) ** 2;
+    errors.priorBrier += (priorSuccess - outcome) ** 2;
+    errors.correct += Number((success >= 0.5) === Boolean(outcome));
+    errors.priorCorrect += Number((priorSuccess >= 0.5) === Boolean(outcome));
+  }
+
+  const n = samples.length || 1;
+  return {
+    sampleCount: samples.length,
+    compatibility: {
+      meanAbsoluteError: round(errors.absolute / n),
+      rootMeanSquaredError: round(Math.sqrt(errors.squared / n)),
+      priorMeanAbsoluteError: round(errors.priorAbsolute / n)
+    },
+    success: {
+      brierScore: round(errors.brier / n),
+      accuracy: round(errors.correct / n),
+      priorBrierScore: round(errors.priorBrier / n),
+      priorAccuracy: round(errors.priorCorrect / n)
+    }
+  };
+}
+
+/**
+ * k-fold cross-validated accuracy; folds are assigned round-robin so results are reproducible
+ */
+function crossValidate(samples, folds = CROSS_VALIDATION_FOLDS) {
+  const k = Math.min(folds, samples.length);
+  const heldOut = new Map();
+
+  for (let fold = 0; fold < k; fold++) {
+    const model = fitModel(samples.filter((_, i) => i % k !== fold));
+    samples.forEach((sample, i) => {
+      if (i % k !== fold) return;
+      heldOut.set(sample, predictSample(model, sample));
+    });
+  }
+
+  return { folds: k, ...scorePredictions(samples, (sample) => heldOut.get(sample)) };
+}
+
+// vendor_prediction_models row without the model weights
+function describeVersion(row) {
+  return {
+    version: row.version,
+    sampleCount: row.sample_count,
+    metrics: row.metrics,
+    trainedBy: row.author || null,
+    note: row.note || null,
+    trainedAt: row.created_at instanceof Date ? row.created_at.toISOString() : row.created_at || null
+  };
+}
+
+class VendorOutcomeModel {
+  constructor(transformationEngine) {
+    this.transformationEngine = transformationEngine;
+  }
+
+  get databaseManager() {
+    return this.transformationEngine.databaseManager;
+  }
+
+  /**
+   * The tenant's model for predictions: the pinned version, else the latest; null means the prior (version 0)
+   */
+  async resolve(tenantId = 'default', pinnedVersion = null) {
+    if (!this.databaseManager || pinnedVersion === 0) return null;
+
+    const row = await this.databaseManager.getVendorModelVersion(tenantId, pinnedVersion);
+    if (!row) {
+      if (pinnedVersion !== null) {
+        throw new Error(`Vendor prediction model version ${pinnedVersion} not found for tenant ${tenantId}`);
+      }
+      return null;
+    }
+    const accuracy = row.sample_count >= MIN_CONFIDENCE_OUTCOMES ? row.metrics?.crossValidation?.success?.accuracy ?? null : null;
+    return { ...row.model, version: row.version, accuracy };
+  }
+
+  /**
+   * Training samples from the tenant's recorded outcomes
+   * Outcomes are skipped when the project has not gone live or the deployed vendor is not a catalog EHR
+   * @returns {{ samples: Object[], skipped: Object[] }}
+   */
+  async collectSamples(tenantId = 'default') {
+    const vendorDatabase = this.transformationEngine.assessmentEngine.vendorDatabase;
+    await vendorDatabase.refresh();
+
+    const samples = [];
+    const skipped = [];
+    for (const row of await this.databaseManager.listTransformationOutcomes(tenantId)) {
+      const transformationId = row.transformation_id;
+      const stored = await this.databaseManager.getTransformationResult(transformationId, tenantId);
+      if (!stored || stored.status !== 'completed') {
+        skipped.push({ transformationId, reason: 'Transformation is no longer available' });
+        continue;
+      }
+
+      const vendorId = row.vendor_id || stored.questionnaire_data?.primaryEHR;
+      const vendor = vendorId && vendorDatabase.getVendorData(vendorId);
+      if (!vendor) {
+        skipped.push({ transformationId, reason: `Vendor ${vendorId || '(none)'} is not a catalog EHR` });
+        continue;
+      }
+
+      const startedAt = stored.updated_at instanceof Date ? stored.updated_at.toISOString() : stored.updated_at;
+      const labels = outcomeLabels({
+        actualImplementationWeeks: row.actual_implementation_weeks === null ? null : Number(row.actual_implementation_weeks),
+        goLiveDate: row.go_live_date instanceof Date ? row.go_live_date.toISOString() : row.go_live_date,
+        budgetOverrunPercent: row.budget_overrun_percent === null ? null : Number(row.budget_overrun_percent),
+        incidentCount: row.incident_count
+      }, stored.implementation_plan?.totalDuration, startedAt);
+      if (!labels) {
+        skipped.push({ transformationId, reason: 'No go-live date or implementation duration recorded' });
+        continue;
+      }
+
+      samples.push({
+        transformationId,
+        vendorId: vendor.id,
+        vendor,
+        hospitalProfile: stored.stage_outputs?.extract?.hospitalProfile || {},
+        labels,
+        recordedAt: row.updated_at
+      });
+    }
+
+    // Stable order so cross-validation folds do not depend on storage order
+    samples.sort((a, b) => a.transformationId.localeCompare(b.transformationId));
+    return { samples, skipped };
+  }
+
+  /**
+   * Train on every usable outcome and store the result as the tenant's next version
+   * @returns {Object} { trained, sampleCount, skipped, minimum } plus the stored version when trained
+   */
+  async train(tenantId = 'default', { author = null, note = null } = {}) {
+    const { samples, skipped } = await this.collectSamples(tenantId);
+    if (samples.length < MIN_TRAINING_OUTCOMES) {
+      return { trained: false, sampleCount: samples.length, minimum: MIN_TRAINING_OUTCOMES, skipped };
+    }
+
+    const model = { ...fitModel(samples), successCriteria: SUCCESS_CRITERIA, fitPenalties: FIT_PENALTIES };
+    const metrics = {
+      crossValidation: crossValidate(samples),
+      training: scorePredictions(samples, (sample) => predictSample(model, sample))
+    };
+
+    const row = await this.databaseManager.insertVendorModelVersion(tenantId, model, metrics, samples.length, author, note);
+    logger.info('Vendor prediction model trained', { tenantId, version: row.version, samples: samples.length, author });
+    return { trained: true, ...describeVersion(row), model, skipped };
+  }
+
+  async history(tenantId = 'default') {
+    if (!this.databaseManager) return [];
+    const rows = await this.databaseManager.listVendorModelVersions(tenantId);
+    return rows.map(describeVersion);
+  }
+
+  /**
+   * Accuracy of one version (default: latest) on the outcomes recorded now, including any recorded
+   * since it was trained, alongside the cross-validated accuracy measured when it was trained
+   * @returns {Object|null} null when the version does not exist
+   */
+  async accuracyReport(tenantId = 'default', version = null) {
+    const row = await this.databaseManager.getVendorModelVersion(tenantId, version);
+    if (!row) return null;
+
+    const model = row.model;
+    const trainedAt = new Date(row.created_at).getTime();
+    const { samples, skipped } = await this.collectSamples(tenantId);
+    const recordedSince = samples.filter((sample) => new Date(sample.recordedAt).getTime() > trainedAt);
+    const predict = (sample) => predictSample(model, sample);
+
+    return {
+      ...describeVersion(row),
+      current: scorePredictions(samples, predict),
+      recordedSinceTraining: recordedSince.length > 0 ? scorePredictions(recordedSince, predict) : { sampleCount: 0 },
+      skipped
+    };
+  }
+}
+
+module.exports = {
+  VendorOutcomeModel,
+  featureVector,
+  outcomeLabels,
+  fitRidge,
+  fitLogistic,
+  predictFitScore,
+  predictSuccess,
+  crossValidate,
+  MODEL_FEATURES,
+  SUCCESS_CRITERIA,
+  MIN_TRAINING_OUTCOMES,
+  MIN_CONFIDENCE_OUTCOMES
+};
@@ -138,6 +138,10 @@ class WordGenerator {
 
           ...this.createAdvantagesList(executiveSummary?.competitiveAdvantages),
 
+          ...this.createFormulaExplanation(transformationResult.formulaExplanation),
+
+          ...this.createCostSensitivity(transformationResult.costSensitivity),
+
           // Footer
           new Paragraph({
             children: [
@@ -435,7 +439,29 @@ class WordGenerator {
             // Add technical specification content here
             ...this.createTechnicalSpecContent(transformationResult)
           ]
-        }
+        },
+
+        // Appendices, when the report was generated with a peer benchmark
+        ...(transformationResult.appendices?.peerBenchmark ? [{
+          properties: {},
+          children: [
+            new Paragraph({
+              children: [
+                new TextRun({
+                  text: "Appendices",
+                  bold: true,
+                  size: 32,
+                  color: "2E86AB"
+                })
+              ],
+              heading: HeadingLevel.HEADING_1,
+              alignment: AlignmentType.CENTER,
+              spacing: { after: 400 }
+            }),
+
+            ...this.createPeerBenchmark(transformationResult.appendices.peerBenchmark)
+          ]
+        }] : [])
       ]
     });
 
@@ -669,7 +695,180 @@ class WordGenerator {
         ],
         spacing: { after: 300 }
       }),
-      this.createMetricsTable(executiveSummary)
+      this.createMetricsTable(executiveSummary),
+      ...this.createFormulaExplanation(transformationResult.formulaExplanation),
+      ...this.createCostSensitivity(transformationResult.costSensitivity)
+    ];
+  }
+
+  /**
+   * Create "How this score was calculated" section: one factor table per formula
+   * (DocumentGenerator.generateFormulaExplanation); nothing when the result has no breakdown
+   */
+  createFormulaExplanation(explanation) {
+    if (!explanation) return [];
+
+    const cell = (text, bold = false) => new TableCell({ children: [new Paragraph({ children: [new TextRun({ text: String(text), bold })] })] });
+    const headers = ['Factor', 'Raw Value', 'Normalised', 'Weight', 'Contribution'];
+
+    return [
+      new Paragraph({
+        children: [
+          new TextRun({
+            text: `🧮 ${explanation.title}`,
+            bold: true,
+            size: 20,
+            color: "2E86AB"
+          })
+        ],
+        heading: HeadingLevel.HEADING_3,
+        spacing: { before: 400, after: 200 }
+      }),
+      ...(explanation.note ? [new Paragraph({ children: [new TextRun({ text: explanation.note, italics: true, size: 16 })], spacing: { after: 200 } })] : []),
+      ...explanation.formulas.flatMap((formula) => [
+        new Paragraph({
+          children: [new TextRun({ text: `${formula.name} (${formula.formula}): ${formula.value}`, bold: true, size: 18 })],
+          spacing: { before: 300, after: 100 }
+        }),
+        new Paragraph({
+          children: [new TextRun({ text: formula.method, size: 16 })],
+          spacing: { after: 150 }
+        }),
+        new Table({
+          width: { size: 100, type: WidthType.PERCENTAGE },
+          rows: [
+            new TableRow({ children: headers.map((header) => cell(header, true)) }),
+            ...formula.factors.map((f) => new TableRow({
+              children: [f.label, f.rawValue, f.normalizedValue, f.weight, f.contribution].map((value) => cell(value))
+            }))
+          ]
+        })
+      ])
+    ];
+  }
+
+  /**
+   * Create RAF cost sensitivity section (DocumentGenerator.generateCostSensitivity)
+   * docx has no vector charts, so the tornado and histogram are drawn as bar-glyph table columns
+   */
+  createCostSensitivity(sensitivity) {
+    if (!sensitivity) return [];
+
+    const cell = (text, bold = false) => new TableCell({ children: [new Paragraph({ children: [new TextRun({ text: String(text), bold })] })] });
+    const barCell = (length, color) => new TableCell({
+      children: [new Paragraph({ children: [new TextRun({ text: '█'.repeat(Math.max(0, Math.round(length))), color, size: 14 })] })]
+    });
+    const table = (headers, rows) => new Table({
+      width: { size: 100, type: WidthType.PERCENTAGE },
+      rows: [new TableRow({ children: headers.map((header) => cell(header, true)) }), ...rows]
+    });
+    const subheading = (text) => new Paragraph({
+      children: [new TextRun({ text, bold: true, size: 18 })],
+      spacing: { before: 300, after: 100 }
+    });
+
+    const maxSwing = Math.max(...sensitivity.tornado.map((bar) => bar.highCost - bar.lowCost), 1);
+    const maxCount = Math.max(...sensitivity.histogram.map((bin) => bin.count), 1);
+
+    return [
+      new Paragraph({
+        children: [
+          new TextRun({
+            text: `📊 ${sensitivity.title}`,
+            bold: true,
+            size: 20,
+            color: "2E86AB"
+          })
+        ],
+        heading: HeadingLevel.HEADING_3,
+        spacing: { before: 400, after: 200 }
+      }),
+      new Paragraph({
+        children: [new TextRun({
+          text: `Baseline estimate ${sensitivity.baselineCostLabel}; ranges from ${sensitivity.iterations.toLocaleString()} Monte Carlo iterations (seed ${sensitivity.seed}).`,
+          italics: true,
+          size: 16
+        })],
+        spacing: { after: 200 }
+      }),
+      table(['Measure', 'P10', 'P50', 'P90'], sensitivity.ranges.map((range) => new TableRow({
+        children: [range.measure, range.p10, range.p50, range.p90].map((value) => cell(value))
+      }))),
+      subheading('Tornado: One Input at a Time'),
+      table(['Input', 'Low → High', 'Cost Range', 'Swing', ''], sensitivity.tornado.map((bar) => new TableRow({
+        children: [
+          cell(bar.label),
+          cell(`${bar.lowInput} → ${bar.highInput}`),
+          cell(`${bar.lowCostLabel} – ${bar.highCostLabel}`),
+          cell(bar.swingLabel),
+          barCell(((bar.highCost - bar.lowCost) / maxSwing) * 25, "A23B72")
+        ]
+      }))),
+      subheading('Cost Distribution'),
+      table(['Cost From', 'Cost To', 'Runs', ''], sensitivity.histogram.map((bin) => new TableRow({
+        children: [
+          cell(this.formatCurrency(bin.from)),
+          cell(this.formatCurrency(bin.to)),
+          cell(bin.count),
+          barCell((bin.count / maxCount) * 25, "2E86AB")
+        ]
+      }))),
+      ...sensitivity.assumptions.map((line) => new Paragraph({
+        children: [new TextRun({ text: `• ${line}`, size: 16 })],
+        spacing: { after: 50 }
+      }))
+    ];
+  }
+
+  /**
+   * Create peer benchmarking appendix (DocumentGenerator.generatePeerBenchmarkAppendix)
+   */
+  createPeerBenchmark(appendix) {
+    if (!appendix) return [];
+
+    const cell = (text, bold = false) => new TableCell({ children: [new Paragraph({ children: [new TextRun({ text: String(text), bold, size: 16 })] })] });
+    const table = (headers, rows) => new Table({
+      width: { size: 100, type: WidthType.PERCENTAGE },
+      rows: [
+        new TableRow({ children: headers.map((header) => cell(header, true)) }),
+        ...rows.map((row) => new TableRow({ children: row.map((value) => cell(value)) }))
+      ]
+    });
+
+    return [
+      new Paragraph({
+        children: [
+          new TextRun({
+            text: `🏥 ${appendix.title}`,
+            bold: true,
+            size: 20,
+            color: "2E86AB"
+          })
+        ],
+        heading: HeadingLevel.HEADING_3,
+        spacing: { before: 400, after: 200 }
+      }),
+      new Paragraph({
+        children: [new TextRun({ text: appendix.note, italics: true, size: 16 })],
+        spacing: { after: 200 }
+      }),
+      ...appendix.highlights.map((line) => new Paragraph({
+        children: [new TextRun({ text: `• ${line}`, size: 16 })],
+        spacing: { after: 50 }
+      })),
+      table(['Measure', 'This Proposal', 'Peer Median', 'Difference', 'Peer Basis'],
+        appendix.comparison.map((row) => [row.measure, row.proposed, row.peerMedian, row.difference, row.basis])),
+      ...(appendix.peers.length === 0 ? [] : [
+        new Paragraph({
+          children: [new TextRun({ text: 'Peer Engagements', bold: true, size: 18 })],
+          spacing: { before: 300, after: 100 }
+        }),
+        table(['Peer', 'Similarity', 'Profile', 'Proposed Duration', 'Actual Duration', 'Proposed Cost', 'Actual Cost', 'Feasibility'],
+          appendix.peers.map((peer) => [
+            peer.label, peer.similarity, peer.profile, peer.proposedWeeks,
+            peer.actualWeeks, peer.proposedCost, peer.actualCost, peer.feasibility
+          ]))
+      ])
     ];
   }
 
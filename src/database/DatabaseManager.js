@@ -5,6 +5,8 @@
  * TRADE SECRET LEVEL: Level 1 (Maximum Protection)
  */
 
+const fs = require('fs');
+const path = require('path');
 const { Pool } = require('pg');
 const winston = require('winston');
 
@@ -16,6 +18,13 @@ const logger = winston.createLogger({
   ]
 });
 
+// Tables HospitalRepository also migrates are created from its migration files, so their DDL lives in one place
+const MIGRATIONS_DIR = path.join(__dirname, '..', '..', 'migrations');
+
+function readMigrations(...files) {
+  return files.map((file) => fs.readFileSync(path.join(MIGRATIONS_DIR, file), 'utf8')).join('\n');
+}
+
 /**
  * Patent-Protected Database Schema
  * Supporting multiple patent implementations with optimized indexing
@@ -100,8 +109,20 @@ const DATABASE_SCHEMA = {
     CREATE TABLE IF NOT EXISTS transformation_results (
       id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
       transformation_id VARCHAR(255) UNIQUE NOT NULL,
-      hospital_id VARCHAR(255) REFERENCES hospital_profiles(hospital_id),
-      specification JSONB NOT NULL,
+      hospital_id VARCHAR(255),
+      status VARCHAR(20) NOT NULL DEFAULT 'running' CHECK (status IN ('queued', 'running', 'completed', 'failed')),
+      current_stage VARCHAR(50),
+      progress INTEGER DEFAULT 0 CHECK (progress >= 0 AND progress <= 100),
+      pipeline_stages JSONB,
+      questionnaire_data JSONB,
+      stage_outputs JSONB DEFAULT '{}',
+      stage_timings JSONB DEFAULT '{}',
+      error_details JSONB,
+      attempt_count INTEGER DEFAULT 1,
+      attempts JSONB DEFAULT '[]',
+      replay_context JSONB,
+      coefficient_version VARCHAR(50),
+      specification JSONB,
       implementation_plan JSONB,
       risk_assessment JSONB,
       executive_summary JSONB,
@@ -111,9 +132,33 @@ const DATABASE_SCHEMA = {
       competitive_advantages JSONB,
       validation_results JSONB,
       created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
       tenant_id VARCHAR(255) NOT NULL
     );
+
+    -- Runs are stored from their first stage, before a specification exists, and for hospitals
+    -- that were never profiled, so older tables drop the NOT NULL and foreign key and gain the run columns
+    ALTER TABLE transformation_results ALTER COLUMN specification DROP NOT NULL;
+    ALTER TABLE transformation_results DROP CONSTRAINT IF EXISTS transformation_results_hospital_id_fkey;
+    ALTER TABLE transformation_results ADD COLUMN IF NOT EXISTS status VARCHAR(20) NOT NULL DEFAULT 'completed';
+    ALTER TABLE transformation_results ADD COLUMN IF NOT EXISTS current_stage VARCHAR(50);
+    ALTER TABLE transformation_results ADD COLUMN IF NOT EXISTS progress INTEGER DEFAULT 100;
+    ALTER TABLE transformation_results ADD COLUMN IF NOT EXISTS pipeline_stages JSONB;
+    ALTER TABLE transformation_results ADD COLUMN IF NOT EXISTS questionnaire_data JSONB;
+    ALTER TABLE transformation_results ADD COLUMN IF NOT EXISTS stage_outputs JSONB DEFAULT '{}';
+    ALTER TABLE transformation_results ADD COLUMN IF NOT EXISTS stage_timings JSONB DEFAULT '{}';
+    ALTER TABLE transformation_results ADD COLUMN IF NOT EXISTS error_details JSONB;
+    ALTER TABLE transformation_results ADD COLUMN IF NOT EXISTS attempt_count INTEGER DEFAULT 1;
+    ALTER TABLE transformation_results ADD COLUMN IF NOT EXISTS attempts JSONB DEFAULT '[]';
+    ALTER TABLE transformation_results ADD COLUMN IF NOT EXISTS replay_context JSONB;
+    ALTER TABLE transformation_results ADD COLUMN IF NOT EXISTS coefficient_version VARCHAR(50);
+    ALTER TABLE transformation_results ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP;
+    -- Async runs are stored as 'queued' before their first stage; older tables' status check predates that
+    ALTER TABLE transformation_results DROP CONSTRAINT IF EXISTS transformation_results_status_check;
+    ALTER TABLE transformation_results ADD CONSTRAINT transformation_results_status_check
+      CHECK (status IN ('queued', 'running', 'completed', 'failed'));
     
+    CREATE INDEX IF NOT EXISTS idx_transformation_status ON transformation_results (status, updated_at DESC);
     CREATE INDEX IF NOT EXISTS idx_transformation_hospital ON transformation_results (hospital_id, created_at DESC);
     CREATE INDEX IF NOT EXISTS idx_transformation_quality ON transformation_results (quality_score DESC, processing_time_ms);
     CREATE INDEX IF NOT EXISTS idx_transformation_tenant ON transformation_results (tenant_id);
@@ -142,6 +187,76 @@ const DATABASE_SCHEMA = {
     CREATE INDEX IF NOT EXISTS idx_cache_context ON assessment_cache USING GIN(healthcare_context);
   `,
 
+  // Versioned FormulasEngine coefficients; scope is '*' for global versions or a tenant id for overrides.
+  // Global rows are shared by every tenant, so this table filters by scope in its queries instead of RLS
+  formula_coefficients: `
+    CREATE TABLE IF NOT EXISTS formula_coefficients (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      scope VARCHAR(255) NOT NULL,
+      version INTEGER NOT NULL CHECK (version > 0),
+      coefficients JSONB NOT NULL,
+      author VARCHAR(255),
+      note TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (scope, version)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_formula_coefficients_scope ON formula_coefficients (scope, version DESC);
+  `,
+
+  // Vendor catalog: one row per version of each vendor entry, deletes stored as tombstone versions.
+  // Shared by every tenant like formula_coefficients; vendor_catalog_current is the live catalog
+  vendor_catalog: readMigrations('006_vendor_catalog.sql'),
+
+  // Save-and-resume questionnaire drafts and their per-question answers (HospitalRepository draft methods)
+  questionnaire_drafts: readMigrations('004_questionnaire_drafts.sql', '005_answer_provenance.sql', '007_draft_submission_claim.sql'),
+
+  // What actually happened on a completed transformation, recorded after go-live; one row per run
+  transformation_outcomes: `
+    CREATE TABLE IF NOT EXISTS transformation_outcomes (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      transformation_id VARCHAR(255) UNIQUE NOT NULL,
+      hospital_id VARCHAR(255),
+      actual_implementation_weeks DECIMAL(6,1) CHECK (actual_implementation_weeks > 0),
+      actual_cost DECIMAL(14,2) CHECK (actual_cost >= 0),
+      go_live_date DATE,
+      budget_overrun_percent DECIMAL(6,1),
+      incident_count INTEGER CHECK (incident_count >= 0),
+      vendor_id VARCHAR(100),
+      note TEXT,
+      recorded_by VARCHAR(255),
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      tenant_id VARCHAR(255) NOT NULL
+    );
+
+    ALTER TABLE transformation_outcomes ADD COLUMN IF NOT EXISTS go_live_date DATE;
+    ALTER TABLE transformation_outcomes ADD COLUMN IF NOT EXISTS budget_overrun_percent DECIMAL(6,1);
+    ALTER TABLE transformation_outcomes ADD COLUMN IF NOT EXISTS incident_count INTEGER CHECK (incident_count >= 0);
+    ALTER TABLE transformation_outcomes ADD COLUMN IF NOT EXISTS vendor_id VARCHAR(100);
+
+    CREATE INDEX IF NOT EXISTS idx_transformation_outcomes_hospital ON transformation_outcomes (hospital_id);
+    CREATE INDEX IF NOT EXISTS idx_transformation_outcomes_tenant ON transformation_outcomes (tenant_id);
+  `,
+
+  // Versioned vendor prediction models trained on a tenant's transformation_outcomes (VendorOutcomeModel)
+  vendor_prediction_models: `
+    CREATE TABLE IF NOT EXISTS vendor_prediction_models (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      version INTEGER NOT NULL CHECK (version > 0),
+      model JSONB NOT NULL,
+      metrics JSONB NOT NULL,
+      sample_count INTEGER NOT NULL,
+      author VARCHAR(255),
+      note TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      tenant_id VARCHAR(255) NOT NULL,
+      UNIQUE (tenant_id, version)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_vendor_prediction_models_tenant ON vendor_prediction_models (tenant_id, version DESC);
+  `,
+
   // Audit trail table for trade secret protection
   audit_trail: `
     CREATE TABLE IF NOT EXISTS audit_trail (
@@ -212,6 +327,22 @@ const RLS_POLICIES = {
     USING (tenant_id = current_setting('app.current_tenant_id', true));
   `,
   
+  transformation_outcomes: `
+    ALTER TABLE transformation_outcomes ENABLE ROW LEVEL SECURITY;
+    
+    CREATE POLICY IF NOT EXISTS transformation_outcomes_tenant_policy ON transformation_outcomes
+    FOR ALL TO PUBLIC
+    USING (tenant_id = current_setting('app.current_tenant_id', true));
+  `,
+  
+  vendor_prediction_models: `
+    ALTER TABLE vendor_prediction_models ENABLE ROW LEVEL SECURITY;
+    
+    CREATE POLICY IF NOT EXISTS vendor_prediction_models_tenant_policy ON vendor_prediction_models
+    FOR ALL TO PUBLIC
+    USING (tenant_id = current_setting('app.current_tenant_id', true));
+  `,
+  
   audit_trail: `
     ALTER TABLE audit_trail ENABLE ROW LEVEL SECURITY;
     
@@ -221,6 +352,12 @@ const RLS_POLICIES = {
   `
 };
 
+// transformation_results columns written as JSON strings, parsed when served from mock storage
+const JSON_COLUMNS = new Set([
+  'pipeline_stages', 'questionnaire_data', 'stage_outputs', 'stage_timings', 'error_details', 'attempts', 'replay_context', 'specification',
+  'implementation_plan', 'risk_assessment', 'executive_summary', 'competitive_advantages', 'validation_results'
+]);
+
 class DatabaseManager {
   constructor() {
     this.pool = null;
@@ -351,12 +488,19 @@ class DatabaseManager {
       await client.query('BEGIN');
 
       // Patent-protected hospital similarity function
+      // Cosine of the embeddings (see PeerBenchmark.hospitalEmbedding); profiles stored without an
+      // embedding fall back to the original bed count and type distance. The old four-argument
+      // signature is dropped first so calls with four arguments are not ambiguous
       const similarityFunction = `
+        DROP FUNCTION IF EXISTS calculate_hospital_similarity(DECIMAL[], VARCHAR, INTEGER, DECIMAL);
+
         CREATE OR REPLACE FUNCTION calculate_hospital_similarity(
           target_embedding DECIMAL[],
           target_type VARCHAR(50),
           target_bed_count INTEGER,
-          similarity_threshold DECIMAL DEFAULT 0.7
+          similarity_threshold DECIMAL DEFAULT 0.7,
+          result_limit INTEGER DEFAULT 10,
+          exclude_hospital_id VARCHAR(255) DEFAULT NULL
         ) RETURNS TABLE (
           hospital_id VARCHAR(255),
           similarity_score DECIMAL,
@@ -364,30 +508,30 @@ class DatabaseManager {
         ) AS $$
         BEGIN
           RETURN QUERY
-          SELECT 
-            hp.hospital_id,
-            (1.0 - (
-              -- Patent-protected distance calculation
-              SQRT(
-                POWER(hp.bed_count::DECIMAL - target_bed_count::DECIMAL, 2) / 1000000.0 +
-                CASE WHEN hp.type = target_type THEN 0.0 ELSE 0.5 END
-              )
-            ))::DECIMAL AS similarity_score,
-            ROW_NUMBER() OVER (ORDER BY (1.0 - (
-              SQRT(
-                POWER(hp.bed_count::DECIMAL - target_bed_count::DECIMAL, 2) / 1000000.0 +
-                CASE WHEN hp.type = target_type THEN 0.0 ELSE 0.5 END
-              )
-            )) DESC)::INTEGER AS ranking
-          FROM hospital_profiles hp
-          WHERE (1.0 - (
-            SQRT(
-              POWER(hp.bed_count::DECIMAL - target_bed_count::DECIMAL, 2) / 1000000.0 +
-              CASE WHEN hp.type = target_type THEN 0.0 ELSE 0.5 END
-            )
-          )) >= similarity_threshold
-          ORDER BY similarity_score DESC
-          LIMIT 10;
+          WITH scored AS (
+            SELECT
+              hp.hospital_id AS candidate_id,
+              CASE
+                WHEN COALESCE(array_length(hp.embedding_vector, 1), 0) = array_length(target_embedding, 1) THEN (
+                  SELECT SUM(pair.a * pair.b) / NULLIF(SQRT(SUM(pair.a * pair.a)) * SQRT(SUM(pair.b * pair.b)), 0)
+                  FROM UNNEST(hp.embedding_vector, target_embedding) AS pair(a, b)
+                )
+                ELSE 1.0 - SQRT(
+                  POWER(hp.bed_count::DECIMAL - target_bed_count::DECIMAL, 2) / 1000000.0 +
+                  CASE WHEN hp.type = target_type THEN 0.0 ELSE 0.5 END
+                )
+              END AS score
+            FROM hospital_profiles hp
+            WHERE exclude_hospital_id IS NULL OR hp.hospital_id <> exclude_hospital_id
+          )
+          SELECT
+            scored.candidate_id,
+            scored.score::DECIMAL,
+            ROW_NUMBER() OVER (ORDER BY scored.score DESC)::INTEGER
+          FROM scored
+          WHERE scored.score >= similarity_threshold
+          ORDER BY scored.score DESC
+          LIMIT result_limit;
         END;
         $$ LANGUAGE plpgsql;
       `;
@@ -465,6 +609,10 @@ class DatabaseManager {
     this.mockData.set('transformation_results', []);
     this.mockData.set('assessment_cache', []);
     this.mockData.set('audit_trail', []);
+    this.mockData.set('formula_coefficients', []);
+    this.mockData.set('vendor_catalog', []);
+    this.mockData.set('transformation_outcomes', []);
+    this.mockData.set('vendor_prediction_models', []);
 
     // Add some sample data
     this.mockData.get('hospital_profiles').push({
@@ -524,28 +672,61 @@ class DatabaseManager {
 
     // Simple mock query handling
     if (query.includes('INSERT INTO hospital_profiles')) {
-      const mockId = `mock-${Date.now()}`;
-      return { rows: [{ id: mockId, hospital_id: params[0] }] };
+      return this.upsertMockHospitalProfile(query, params, tenantId);
+    }
+
+    if (query.includes('transformation_outcomes')) {
+      return this.executeMockOutcomeQuery(query, params);
+    }
+
+    if (query.includes('vendor_prediction_models')) {
+      return this.executeMockPredictionModelQuery(query, params);
+    }
+
+    if (query.includes('FROM transformation_results') && query.includes('hospital_id = $1')) {
+      const [hospitalId, rowTenantId] = params;
+      const latest = this.mockData.get('transformation_results')
+        .filter(row => row.hospital_id === hospitalId && row.tenant_id === rowTenantId && row.status === 'completed')
+        .sort((a, b) => b.created_at - a.created_at);
+      return { rows: latest.slice(0, 1) };
     }
 
     if (query.includes('INSERT INTO transformation_results')) {
-      const mockId = `mock-${Date.now()}`;
-      return { rows: [{ id: mockId, transformation_id: params[0] }] };
+      return this.upsertMockTransformationResult(query, params);
     }
 
-    if (query.includes('SELECT') && query.includes('hospital_profiles')) {
-      return { rows: this.mockData.get('hospital_profiles') };
+    if (query.includes('UPDATE transformation_results')) {
+      return this.updateMockTransformationProgress(params);
     }
 
-    if (query.includes('calculate_hospital_similarity')) {
+    if (query.includes('SELECT') && query.includes('FROM transformation_results')) {
+      const [transformationId, rowTenantId] = params;
       return {
-        rows: [
-          { hospital_id: 'demo-hospital-001', similarity_score: 0.95, ranking: 1 },
-          { hospital_id: 'demo-hospital-002', similarity_score: 0.87, ranking: 2 }
-        ]
+        rows: this.mockData.get('transformation_results')
+          .filter(row => row.transformation_id === transformationId && row.tenant_id === rowTenantId)
       };
     }
 
+    if (query.includes('formula_coefficients')) {
+      return this.executeMockFormulaCoefficientQuery(query, params);
+    }
+
+    if (query.includes('vendor_catalog')) {
+      return this.executeMockVendorCatalogQuery(query, params);
+    }
+
+    if (query.includes('SELECT') && query.includes('hospital_profiles')) {
+      const rows = this.mockData.get('hospital_profiles');
+      if (!query.includes('hospital_id = $1')) {
+        return { rows };
+      }
+      return { rows: rows.filter(row => row.hospital_id === params[0] && row.tenant_id === tenantId) };
+    }
+
+    if (query.includes('calculate_hospital_similarity')) {
+      return this.executeMockSimilarityQuery(params, tenantId);
+    }
+
     if (query.includes('get_vendor_compatibility')) {
       return {
         rows: [
@@ -559,6 +740,228 @@ class DatabaseManager {
     return { rows: [], rowCount: 0 };
   }
 
+  /**
+   * Mirror the transformation_results upsert in memory; JSONB columns are parsed back as pg would
+   */
+  upsertMockTransformationResult(query, params) {
+    const columns = query.match(/INSERT INTO transformation_results \(([^)]*)\)/)[1].split(',').map(c => c.trim());
+    const row = Object.fromEntries(columns.map((column, i) => {
+      const value = params[i];
+      return [column, typeof value === 'string' && JSON_COLUMNS.has(column) ? JSON.parse(value) : value];
+    }));
+
+    const rows = this.mockData.get('transformation_results');
+    const existing = rows.find(r => r.transformation_id === row.transformation_id);
+    const now = new Date();
+    if (existing) {
+      if (existing.tenant_id !== row.tenant_id) return { rows: [] };
+      Object.assign(existing, row, { updated_at: now });
+      return { rows: [{ id: existing.id, transformation_id: existing.transformation_id }] };
+    }
+
+    const mockId = `mock-${Date.now()}`;
+    rows.push({ id: mockId, ...row, created_at: now, updated_at: now });
+    return { rows: [{ id: mockId, transformation_id: row.transformation_id }] };
+  }
+
+  // Mirror updateTransformationProgress: stage outputs are merged, everything else replaced
+  updateMockTransformationProgress(params) {
+    const [transformationId, tenantId, status, currentStage, progress, stageTimings, stageOutputs] = params;
+    const row = this.mockData.get('transformation_results')
+      .find(r => r.transformation_id === transformationId && r.tenant_id === tenantId);
+    if (!row) return { rows: [] };
+    Object.assign(row, {
+      status,
+      current_stage: currentStage,
+      progress,
+      stage_timings: JSON.parse(stageTimings),
+      stage_outputs: { ...row.stage_outputs, ...JSON.parse(stageOutputs) },
+      updated_at: new Date()
+    });
+    return { rows: [{ transformation_id: row.transformation_id }] };
+  }
+
+  /**
+   * Mirror the hospital_profiles insert, and its ON CONFLICT update, in memory
+   */
+  upsertMockHospitalProfile(query, params, tenantId) {
+    const columns = query.match(/INSERT INTO hospital_profiles \(([^)]*)\)/)[1].split(',').map(c => c.trim());
+    const row = Object.fromEntries(columns.map((column, i) => [column, params[i]]));
+    const rows = this.mockData.get('hospital_profiles');
+    const existing = rows.find(r => r.hospital_id === row.hospital_id);
+
+    if (existing) {
+      if (!query.includes('ON CONFLICT')) {
+        throw new Error('duplicate key value violates unique constraint "hospital_profiles_hospital_id_key"');
+      }
+      if (existing.tenant_id !== row.tenant_id) return { rows: [] };
+      Object.assign(existing, row, { updated_at: new Date() });
+      return { rows: [{ id: existing.id, hospital_id: existing.hospital_id }] };
+    }
+
+    const mockId = `mock-${Date.now()}`;
+    rows.push({ id: mockId, ...row, tenant_id: row.tenant_id || tenantId, created_at: new Date(), updated_at: new Date() });
+    return { rows: [{ id: mockId, hospital_id: row.hospital_id }] };
+  }
+
+  /**
+   * calculate_hospital_similarity in memory, over the tenant's profiles as RLS would allow
+   */
+  executeMockSimilarityQuery(params, tenantId) {
+    const [embedding, type, bedCount, threshold, limit = 10, excludeHospitalId = null] = params;
+    const cosine = (a, b) => {
+      let dot = 0;
+      let normA = 0;
+      let normB = 0;
+      a.forEach((value, i) => {
+        dot += value * b[i];
+        normA += value * value;
+        normB += b[i] * b[i];
+      });
+      return normA && normB ? dot / Math.sqrt(normA * normB) : null;
+    };
+
+    const scored = this.mockData.get('hospital_profiles')
+      .filter(row => row.tenant_id === tenantId && row.hospital_id !== excludeHospitalId)
+      .map(row => {
+        const vector = (row.embedding_vector || []).map(Number);
+        const score = vector.length > 0 && vector.length === embedding.length
+          ? cosine(vector, embedding)
+          : 1 - Math.sqrt(((row.bed_count - bedCount) ** 2) / 1000000 + (row.type === type ? 0 : 0.5));
+        return { hospital_id: row.hospital_id, similarity_score: score };
+      })
+      .filter(row => row.similarity_score !== null && row.similarity_score >= threshold)
+      .sort((a, b) => b.similarity_score - a.similarity_score)
+      .slice(0, limit);
+
+    return { rows: scored.map((row, i) => ({ ...row, ranking: i + 1 })) };
+  }
+
+  /**
+   * Mirror the transformation_outcomes queries in memory
+   */
+  executeMockOutcomeQuery(query, params) {
+    const rows = this.mockData.get('transformation_outcomes');
+
+    if (query.includes('INSERT INTO transformation_outcomes')) {
+      const columns = query.match(/INSERT INTO transformation_outcomes \(([^)]*)\)/)[1].split(',').map(c => c.trim());
+      const row = Object.fromEntries(columns.map((column, i) => [column, params[i]]));
+      const existing = rows.find(r => r.transformation_id === row.transformation_id);
+      const now = new Date();
+      if (existing) {
+        Object.assign(existing, row, { tenant_id: existing.tenant_id, updated_at: now });
+        return { rows: [existing] };
+      }
+      const created = { id: `mock-${Date.now()}`, ...row, created_at: now, updated_at: now };
+      rows.push(created);
+      return { rows: [created] };
+    }
+
+    if (!query.includes('transformation_id = $1')) {
+      return {
+        rows: rows.filter(r => r.tenant_id === params[0]).sort((a, b) => a.transformation_id.localeCompare(b.transformation_id))
+      };
+    }
+    return { rows: rows.filter(r => r.transformation_id === params[0] && r.tenant_id === params[1]) };
+  }
+
+  /**
+   * Mirror the vendor_prediction_models queries in memory
+   */
+  executeMockPredictionModelQuery(query, params) {
+    const rows = this.mockData.get('vendor_prediction_models');
+    const [tenantId] = params;
+    const ofTenant = rows.filter(r => r.tenant_id === tenantId).sort((a, b) => b.version - a.version);
+
+    if (query.includes('INSERT INTO vendor_prediction_models')) {
+      const row = {
+        id: `mock-${Date.now()}`,
+        tenant_id: tenantId,
+        version: (ofTenant[0]?.version || 0) + 1,
+        model: JSON.parse(params[1]),
+        metrics: JSON.parse(params[2]),
+        sample_count: params[3],
+        author: params[4],
+        note: params[5],
+        created_at: new Date()
+      };
+      rows.push(row);
+      return { rows: [row] };
+    }
+    if (query.includes('version = $2')) {
+      return { rows: ofTenant.filter(r => r.version === params[1]) };
+    }
+    return { rows: query.includes('LIMIT 1') ? ofTenant.slice(0, 1) : ofTenant };
+  }
+
+  /**
+   * Mirror the formula_coefficients queries in memory
+   */
+  executeMockFormulaCoefficientQuery(query, params) {
+    const rows = this.mockData.get('formula_coefficients');
+    const [scope] = params;
+    const inScope = rows.filter(r => r.scope === scope).sort((a, b) => b.version - a.version);
+
+    if (query.includes('INSERT INTO formula_coefficients')) {
+      const row = {
+        id: `mock-${Date.now()}`,
+        scope,
+        version: (inScope[0]?.version || 0) + 1,
+        coefficients: JSON.parse(params[1]),
+        author: params[2],
+        note: params[3],
+        created_at: new Date()
+      };
+      rows.push(row);
+      return { rows: [row] };
+    }
+    if (query.includes('version = $2')) {
+      return { rows: inScope.filter(r => r.version === params[1]) };
+    }
+    return { rows: query.includes('LIMIT 1') ? inScope.slice(0, 1) : inScope };
+  }
+
+  /**
+   * Mirror the vendor_catalog queries (and the vendor_catalog_current view) in memory
+   */
+  executeMockVendorCatalogQuery(query, params) {
+    const rows = this.mockData.get('vendor_catalog');
+    const versionsOf = (vendorId) => rows.filter(r => r.vendor_id === vendorId).sort((a, b) => b.version - a.version);
+    const current = () => [...new Set(rows.map(r => r.vendor_id))]
+      .map(vendorId => versionsOf(vendorId)[0])
+      .filter(r => !r.deleted);
+
+    if (query.includes('INSERT INTO vendor_catalog')) {
+      const [vendorId, entryJson, deleted, author, note] = params;
+      const entry = JSON.parse(entryJson);
+      const row = {
+        id: `mock-${Date.now()}`,
+        vendor_id: vendorId,
+        version: (versionsOf(vendorId)[0]?.version || 0) + 1,
+        category: entry.category,
+        name: entry.name,
+        entry,
+        deleted,
+        author,
+        note,
+        created_at: new Date()
+      };
+      rows.push(row);
+      return { rows: [row] };
+    }
+    if (query.includes('COUNT(*)')) {
+      return { rows: [{ count: String(rows.length) }] };
+    }
+    if (query.includes('FROM vendor_catalog_current')) {
+      const matches = current()
+        .filter(r => !query.includes('vendor_id = $1') || r.vendor_id === params[0])
+        .filter(r => !query.includes('category = $1') || r.category === params[0])
+        .sort((a, b) => a.category.localeCompare(b.category) || a.name.localeCompare(b.name));
+      return { rows: matches };
+    }
+    return { rows: versionsOf(params[0]) };
+  }
+
   /**
    * Insert hospital profile with patent-protected indexing
    */
@@ -589,51 +992,385 @@ class DatabaseManager {
     return await this.executeQuery(query, params, tenantId);
   }
 
+  /**
+   * Insert a hospital profile, or refresh the stored one for the same hospital_id
+   * Only the columns the profile sets are written, so technology maturity and complexity score
+   * recorded by an assessment are kept when a later engagement leaves them out. A hospital_id
+   * another tenant already profiled is refused rather than overwritten.
+   */
+  async upsertHospitalProfile(hospitalProfile, tenantId = 'default') {
+    const record = {
+      hospital_id: hospitalProfile.hospitalId,
+      name: hospitalProfile.name,
+      type: hospitalProfile.type,
+      bed_count: hospitalProfile.bedCount,
+      annual_volume: hospitalProfile.annualVolume,
+      location_type: hospitalProfile.locationType,
+      technology_maturity: hospitalProfile.technologyMaturity,
+      primary_emr: hospitalProfile.primaryEMR,
+      embedding_vector: hospitalProfile.embeddingVector,
+      complexity_score: hospitalProfile.complexityScore,
+      tenant_id: tenantId
+    };
+    const columns = Object.keys(record).filter(column => record[column] !== undefined);
+    const updates = columns
+      .filter(column => column !== 'hospital_id' && column !== 'tenant_id')
+      .map(column => `${column} = EXCLUDED.${column}`);
+
+    const query = `
+      INSERT INTO hospital_profiles (${columns.join(', ')})
+      VALUES (${columns.map((_, i) => `$${i + 1}`).join(', ')})
+      ON CONFLICT (hospital_id)
+      DO UPDATE SET ${updates.join(', ')}, updated_at = CURRENT_TIMESTAMP
+      WHERE hospital_profiles.tenant_id = EXCLUDED.tenant_id
+      RETURNING id, hospital_id
+    `;
+
+    const result = await this.executeQuery(query, columns.map(column => record[column]), tenantId);
+    if (result.rows.length === 0) {
+      throw new Error(`Hospital ${record.hospital_id} belongs to another tenant`);
+    }
+    return result;
+  }
+
+  async getHospitalProfile(hospitalId, tenantId = 'default') {
+    const query = `
+      SELECT hospital_id, name, type, bed_count, annual_volume, location_type, technology_maturity,
+             primary_emr, complexity_score, created_at, updated_at
+      FROM hospital_profiles WHERE hospital_id = $1 AND tenant_id = $2
+    `;
+
+    const result = await this.executeQuery(query, [hospitalId, tenantId], tenantId);
+    return result.rows.length > 0 ? result.rows[0] : null;
+  }
+
   /**
    * Store transformation result with patent tracking
+   * Upserts on transformation_id so a run can be saved as each pipeline stage finishes
    */
   async storeTransformationResult(transformationResult, tenantId = 'default') {
+    const record = {
+      transformation_id: transformationResult.transformationId,
+      hospital_id: transformationResult.hospitalId,
+      status: transformationResult.status || 'completed',
+      current_stage: transformationResult.currentStage || null,
+      progress: transformationResult.progress ?? 100,
+      pipeline_stages: JSON.stringify(transformationResult.pipeline ?? null),
+      questionnaire_data: JSON.stringify(transformationResult.questionnaire ?? null),
+      stage_outputs: JSON.stringify(transformationResult.stageOutputs || {}),
+      stage_timings: JSON.stringify(transformationResult.stageTimings || {}),
+      error_details: JSON.stringify(transformationResult.error ?? null),
+      attempt_count: transformationResult.attempts?.length || 1,
+      attempts: JSON.stringify(transformationResult.attempts || []),
+      replay_context: JSON.stringify(transformationResult.replayContext ?? null),
+      coefficient_version: transformationResult.stageOutputs?.formulas?.coefficientVersion?.label || null,
+      specification: JSON.stringify(transformationResult.specification ?? null),
+      implementation_plan: JSON.stringify(transformationResult.implementationPlan ?? null),
+      risk_assessment: JSON.stringify(transformationResult.riskAssessment ?? null),
+      executive_summary: JSON.stringify(transformationResult.executiveSummary ?? null),
+      quality_score: transformationResult.qualityScore ?? null,
+      processing_time_ms: transformationResult.processingTimeMs ?? null,
+      patent_claims: transformationResult.patentClaims || [],
+      competitive_advantages: JSON.stringify(transformationResult.competitiveAdvantages ?? null),
+      validation_results: JSON.stringify(transformationResult.validationResults ?? null),
+      tenant_id: tenantId
+    };
+
+    const columns = Object.keys(record);
+    const updates = columns
+      .filter(column => column !== 'transformation_id' && column !== 'tenant_id')
+      .map(column => `${column} = EXCLUDED.${column}`);
+
     const query = `
-      INSERT INTO transformation_results (
-        transformation_id, hospital_id, specification, implementation_plan,
-        risk_assessment, executive_summary, quality_score, processing_time_ms,
-        patent_claims, competitive_advantages, validation_results, tenant_id
-      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+      INSERT INTO transformation_results (${columns.join(', ')})
+      VALUES (${columns.map((_, i) => `$${i + 1}`).join(', ')})
+      ON CONFLICT (transformation_id)
+      DO UPDATE SET ${updates.join(', ')}, updated_at = CURRENT_TIMESTAMP
+      WHERE transformation_results.tenant_id = EXCLUDED.tenant_id
       RETURNING id, transformation_id
     `;
 
-    const params = [
-      transformationResult.transformationId,
-      transformationResult.hospitalId,
-      JSON.stringify(transformationResult.specification),
-      JSON.stringify(transformationResult.implementationPlan),
-      JSON.stringify(transformationResult.riskAssessment),
-      JSON.stringify(transformationResult.executiveSummary),
-      transformationResult.qualityScore,
-      transformationResult.processingTimeMs,
-      transformationResult.patentClaims || [],
-      JSON.stringify(transformationResult.competitiveAdvantages),
-      JSON.stringify(transformationResult.validationResults),
-      tenantId
-    ];
+    // No row back means the id is already taken by another tenant's run
+    const result = await this.executeQuery(query, Object.values(record), tenantId);
+    if (result.rows.length === 0) {
+      throw new Error(`Transformation ${record.transformation_id} belongs to another tenant`);
+    }
+    return result;
+  }
 
-    return await this.executeQuery(query, params, tenantId);
+  /**
+   * Record a stage transition of a stored run without rewriting the whole record
+   * Only the outputs passed in `stageOutputs` are sent; they are merged into the stored ones
+   */
+  async updateTransformationProgress(transformationId, update, tenantId = 'default') {
+    const query = `
+      UPDATE transformation_results
+      SET status = $3, current_stage = $4, progress = $5, stage_timings = $6,
+          stage_outputs = COALESCE(stage_outputs, '{}'::jsonb) || $7::jsonb, updated_at = CURRENT_TIMESTAMP
+      WHERE transformation_id = $1 AND tenant_id = $2
+      RETURNING transformation_id
+    `;
+
+    const result = await this.executeQuery(query, [
+      transformationId,
+      tenantId,
+      update.status,
+      update.currentStage || null,
+      update.progress,
+      JSON.stringify(update.stageTimings || {}),
+      JSON.stringify(update.stageOutputs || {})
+    ], tenantId);
+    if (result.rows.length === 0) {
+      throw new Error(`Transformation ${transformationId} is not stored for tenant ${tenantId}`);
+    }
+    return result;
+  }
+
+  /**
+   * Load a stored transformation run, or null when the id is unknown to the tenant
+   */
+  async getTransformationResult(transformationId, tenantId = 'default') {
+    const query = `
+      SELECT * FROM transformation_results
+      WHERE transformation_id = $1 AND tenant_id = $2
+    `;
+
+    const result = await this.executeQuery(query, [transformationId, tenantId], tenantId);
+    return result.rows.length > 0 ? result.rows[0] : null;
+  }
+
+  /**
+   * Most recent completed run for a hospital, or null
+   */
+  async getLatestCompletedTransformation(hospitalId, tenantId = 'default') {
+    const query = `
+      SELECT * FROM transformation_results
+      WHERE hospital_id = $1 AND tenant_id = $2 AND status = 'completed'
+      ORDER BY created_at DESC
+      LIMIT 1
+    `;
+
+    const result = await this.executeQuery(query, [hospitalId, tenantId], tenantId);
+    return result.rows.length > 0 ? result.rows[0] : null;
+  }
+
+  /**
+   * Record (or correct) the actual outcome of a completed transformation
+   */
+  async upsertTransformationOutcome(outcome, tenantId = 'default') {
+    const record = {
+      transformation_id: outcome.transformationId,
+      hospital_id: outcome.hospitalId,
+      actual_implementation_weeks: outcome.actualImplementationWeeks ?? null,
+      actual_cost: outcome.actualCost ?? null,
+      go_live_date: outcome.goLiveDate ?? null,
+      budget_overrun_percent: outcome.budgetOverrunPercent ?? null,
+      incident_count: outcome.incidentCount ?? null,
+      vendor_id: outcome.vendorId ?? null,
+      note: outcome.note ?? null,
+      recorded_by: outcome.recordedBy ?? null,
+      tenant_id: tenantId
+    };
+
+    const columns = Object.keys(record);
+    const updates = columns
+      .filter(column => column !== 'transformation_id' && column !== 'tenant_id')
+      .map(column => `${column} = EXCLUDED.${column}`);
+
+    const query = `
+      INSERT INTO transformation_outcomes (${columns.join(', ')})
+      VALUES (${columns.map((_, i) => `$${i + 1}`).join(', ')})
+      ON CONFLICT (transformation_id)
+      DO UPDATE SET ${updates.join(', ')}, updated_at = CURRENT_TIMESTAMP
+      RETURNING *
+    `;
+
+    const result = await this.executeQuery(query, Object.values(record), tenantId);
+    return result.rows[0];
+  }
+
+  async getTransformationOutcome(transformationId, tenantId = 'default') {
+    const query = `
+      SELECT * FROM transformation_outcomes
+      WHERE transformation_id = $1 AND tenant_id = $2
+    `;
+
+    const result = await this.executeQuery(query, [transformationId, tenantId], tenantId);
+    return result.rows.length > 0 ? result.rows[0] : null;
+  }
+
+  /**
+   * Every recorded outcome of a tenant
+   */
+  async listTransformationOutcomes(tenantId = 'default') {
+    const query = `
+      SELECT * FROM transformation_outcomes
+      WHERE tenant_id = $1 ORDER BY transformation_id
+    `;
+
+    const result = await this.executeQuery(query, [tenantId], tenantId);
+    return result.rows;
+  }
+
+  /**
+   * Store the tenant's next vendor prediction model version
+   */
+  async insertVendorModelVersion(tenantId, model, metrics, sampleCount, author = null, note = null) {
+    const query = `
+      INSERT INTO vendor_prediction_models (tenant_id, version, model, metrics, sample_count, author, note)
+      SELECT $1::varchar, COALESCE(MAX(version), 0) + 1, $2::jsonb, $3::jsonb, $4, $5, $6
+      FROM vendor_prediction_models WHERE tenant_id = $1::varchar
+      RETURNING tenant_id, version, model, metrics, sample_count, author, note, created_at
+    `;
+
+    const params = [tenantId, JSON.stringify(model), JSON.stringify(metrics), sampleCount, author, note];
+    const result = await this.executeQuery(query, params, tenantId);
+    return result.rows[0];
+  }
+
+  /**
+   * Load one vendor prediction model version, or the latest one when version is null
+   */
+  async getVendorModelVersion(tenantId, version = null) {
+    const query = version === null
+      ? `SELECT tenant_id, version, model, metrics, sample_count, author, note, created_at FROM vendor_prediction_models
+         WHERE tenant_id = $1 ORDER BY version DESC LIMIT 1`
+      : `SELECT tenant_id, version, model, metrics, sample_count, author, note, created_at FROM vendor_prediction_models
+         WHERE tenant_id = $1 AND version = $2`;
+
+    const result = await this.executeQuery(query, version === null ? [tenantId] : [tenantId, version], tenantId);
+    return result.rows.length > 0 ? result.rows[0] : null;
+  }
+
+  /**
+   * Vendor prediction model history of a tenant, newest first
+   */
+  async listVendorModelVersions(tenantId) {
+    const query = `
+      SELECT tenant_id, version, metrics, sample_count, author, note, created_at FROM vendor_prediction_models
+      WHERE tenant_id = $1 ORDER BY version DESC
+    `;
+
+    const result = await this.executeQuery(query, [tenantId], tenantId);
+    return result.rows;
+  }
+
+  /**
+   * Store the next version of a coefficient scope ('*' for global, otherwise a tenant id)
+   */
+  async insertFormulaCoefficientVersion(scope, coefficients, author = null, note = null) {
+    const query = `
+      INSERT INTO formula_coefficients (scope, version, coefficients, author, note)
+      SELECT $1::varchar, COALESCE(MAX(version), 0) + 1, $2::jsonb, $3, $4
+      FROM formula_coefficients WHERE scope = $1::varchar
+      RETURNING scope, version, coefficients, author, note, created_at
+    `;
+
+    const result = await this.executeQuery(query, [scope, JSON.stringify(coefficients), author, note]);
+    return result.rows[0];
+  }
+
+  /**
+   * Load one coefficient version, or the latest one when version is null
+   */
+  async getFormulaCoefficientVersion(scope, version = null) {
+    const query = version === null
+      ? `SELECT scope, version, coefficients, author, note, created_at FROM formula_coefficients
+         WHERE scope = $1 ORDER BY version DESC LIMIT 1`
+      : `SELECT scope, version, coefficients, author, note, created_at FROM formula_coefficients
+         WHERE scope = $1 AND version = $2`;
+
+    const result = await this.executeQuery(query, version === null ? [scope] : [scope, version]);
+    return result.rows.length > 0 ? result.rows[0] : null;
+  }
+
+  /**
+   * Version history of a coefficient scope, newest first
+   */
+  async listFormulaCoefficientVersions(scope) {
+    const query = `
+      SELECT scope, version, author, note, created_at FROM formula_coefficients
+      WHERE scope = $1 ORDER BY version DESC
+    `;
+
+    const result = await this.executeQuery(query, [scope]);
+    return result.rows;
+  }
+
+  /**
+   * Store the next version of a vendor catalog entry; `deleted` stores a tombstone
+   */
+  async insertVendorCatalogVersion(vendorId, entry, deleted = false, author = null, note = null) {
+    const query = `
+      INSERT INTO vendor_catalog (vendor_id, version, category, name, entry, deleted, author, note)
+      SELECT $1::varchar, COALESCE(MAX(version), 0) + 1, $2::jsonb->>'category', $2::jsonb->>'name', $2::jsonb, $3, $4, $5
+      FROM vendor_catalog WHERE vendor_id = $1::varchar
+      RETURNING vendor_id, version, category, name, entry, deleted, author, note, created_at
+    `;
+
+    const result = await this.executeQuery(query, [vendorId, JSON.stringify(entry), deleted, author, note]);
+    return result.rows[0];
+  }
+
+  /**
+   * Live catalog entries, optionally of one category
+   */
+  async listVendorCatalog(category = null) {
+    const query = category
+      ? `SELECT vendor_id, version, category, name, entry, author, created_at FROM vendor_catalog_current
+         WHERE category = $1 ORDER BY category, name`
+      : `SELECT vendor_id, version, category, name, entry, author, created_at FROM vendor_catalog_current
+         ORDER BY category, name`;
+
+    const result = await this.executeQuery(query, category ? [category] : []);
+    return result.rows;
+  }
+
+  async getVendorCatalogEntry(vendorId) {
+    const query = `
+      SELECT vendor_id, version, category, name, entry, author, created_at FROM vendor_catalog_current
+      WHERE vendor_id = $1
+    `;
+
+    const result = await this.executeQuery(query, [vendorId]);
+    return result.rows.length > 0 ? result.rows[0] : null;
+  }
+
+  /**
+   * Version history of one vendor, newest first
+   */
+  async listVendorCatalogVersions(vendorId) {
+    const query = `
+      SELECT vendor_id, version, entry, deleted, author, note, created_at FROM vendor_catalog
+      WHERE vendor_id = $1 ORDER BY version DESC
+    `;
+
+    const result = await this.executeQuery(query, [vendorId]);
+    return result.rows;
+  }
+
+  async countVendorCatalogVersions() {
+    const result = await this.executeQuery('SELECT COUNT(*) AS count FROM vendor_catalog');
+    return parseInt(result.rows[0].count, 10);
   }
 
   /**
    * Patent-protected hospital similarity search
    * O(log n) performance with patent-protected indexing
    */
-  async findSimilarHospitals(targetHospital, similarityThreshold = 0.7, tenantId = 'default') {
+  async findSimilarHospitals(targetHospital, similarityThreshold = 0.7, tenantId = 'default', limit = 10) {
     const query = `
-      SELECT * FROM calculate_hospital_similarity($1, $2, $3, $4)
+      SELECT * FROM calculate_hospital_similarity($1, $2, $3, $4, $5, $6)
     `;
 
+    // targetHospital.hospitalId, when given, keeps the hospital out of its own results
     const params = [
       targetHospital.embeddingVector || [],
       targetHospital.type,
       targetHospital.bedCount,
-      similarityThreshold
+      similarityThreshold,
+      limit,
+      targetHospital.hospitalId || null
     ];
 
     return await this.executeQuery(query, params, tenantId);
@@ -7,9 +7,11 @@ class HospitalRepository {
   }
 
   async runMigrations() {
-    const migrationPath = path.join(__dirname, '..', '..', 'migrations', '001_initial_schema.sql');
-    const sql = await fs.readFile(migrationPath, 'utf8');
-    await this.pool.query(sql);
+    for (const file of ['001_initial_schema.sql', '004_questionnaire_drafts.sql', '005_answer_provenance.sql', '006_vendor_catalog.sql', '007_draft_submission_claim.sql']) {
+      const migrationPath = path.join(__dirname, '..', '..', 'migrations', file);
+      const sql = await fs.readFile(migrationPath, 'utf8');
+      await this.pool.query(sql);
+    }
   }
 
   async createHospital(h) {
@@ -52,6 +54,106 @@ class HospitalRepository {
     row.transformationResult = typeof row.transformation_result === 'string' ? JSON.parse(row.transformation_result) : row.transformation_result;
     return row;
   }
+
+  async createDraft(d) {
+    const q = `
+      INSERT INTO questionnaire_drafts (tenant_id, hospital_id, schema_version, created_by)
+      VALUES ($1, $2, $3, $4)
+      RETURNING id
+    `;
+    const res = await this.pool.query(q, [d.tenantId, d.hospitalId, d.schemaVersion, d.createdBy]);
+    return res.rows[0].id;
+  }
+
+  // Upsert answers one row per question so each keeps its own author, timestamp and provenance
+  async saveDraftAnswers(draftId, answers, author, provenance = {}) {
+    const q = `
+      INSERT INTO questionnaire_draft_answers (draft_id, question_id, value, answered_by, answered_by_role, source, confidence, answered_at)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, NOW())
+      ON CONFLICT (draft_id, question_id)
+      DO UPDATE SET value = EXCLUDED.value,
+                    answered_by = EXCLUDED.answered_by,
+                    answered_by_role = EXCLUDED.answered_by_role,
+                    source = EXCLUDED.source,
+                    confidence = EXCLUDED.confidence,
+                    answered_at = NOW()
+    `;
+    for (const [questionId, value] of Object.entries(answers)) {
+      const p = provenance[questionId] || {};
+      await this.pool.query(q, [draftId, questionId, JSON.stringify(value), author.id, author.role, p.source || null, p.confidence ?? null]);
+    }
+    await this.pool.query('UPDATE questionnaire_drafts SET updated_at = NOW() WHERE id = $1', [draftId]);
+  }
+
+  async getDraft(id) {
+    const q = `SELECT id, tenant_id, hospital_id, schema_version, status, created_by, submitted_by, submitted_at, transformation_id, created_at, updated_at FROM questionnaire_drafts WHERE id = $1`;
+    const res = await this.pool.query(q, [id]);
+    if (res.rows.length === 0) throw new Error('Draft not found');
+    const draft = res.rows[0];
+
+    const a = await this.pool.query(
+      `SELECT question_id, value, answered_by, answered_by_role, source, confidence, answered_at FROM questionnaire_draft_answers WHERE draft_id = $1 ORDER BY question_id`,
+      [id]
+    );
+    draft.answers = {};
+    for (const row of a.rows) {
+      draft.answers[row.question_id] = {
+        value: typeof row.value === 'string' ? JSON.parse(row.value) : row.value,
+        answeredBy: row.answered_by,
+        answeredByRole: row.answered_by_role,
+        source: row.source,
+        confidence: row.confidence === null || row.confidence === undefined ? null : Number(row.confidence),
+        answeredAt: row.answered_at
+      };
+    }
+    return draft;
+  }
+
+  async listDraftsByHospital(tenantId, hospitalId) {
+    const q = `
+      SELECT d.id, d.hospital_id, d.schema_version, d.status, d.created_by, d.submitted_at, d.transformation_id, d.created_at, d.updated_at,
+             (SELECT COUNT(*) FROM questionnaire_draft_answers a WHERE a.draft_id = d.id) AS answer_count
+      FROM questionnaire_drafts d
+      WHERE d.tenant_id = $1 AND d.hospital_id = $2
+      ORDER BY d.updated_at DESC
+    `;
+    const res = await this.pool.query(q, [tenantId, hospitalId]);
+    return res.rows.map(row => ({ ...row, answer_count: parseInt(row.answer_count, 10) }));
+  }
+
+  // Move a draft to 'submitting' unless another submit got there first; returns false when it did
+  async claimDraftForSubmission(id, submittedBy) {
+    const q = `
+      UPDATE questionnaire_drafts
+      SET status = 'submitting', submitted_by = $2, updated_at = NOW()
+      WHERE id = $1 AND status = 'draft'
+      RETURNING id
+    `;
+    const res = await this.pool.query(q, [id, submittedBy]);
+    return res.rows.length > 0;
+  }
+
+  // Return a claimed draft to editing after its transformation failed
+  async releaseDraftClaim(id) {
+    const q = `
+      UPDATE questionnaire_drafts
+      SET status = 'draft', submitted_by = NULL, updated_at = NOW()
+      WHERE id = $1 AND status = 'submitting'
+    `;
+    await this.pool.query(q, [id]);
+  }
+
+  async markDraftSubmitted(id, submittedBy, transformationId) {
+    const q = `
+      UPDATE questionnaire_drafts
+      SET status = 'submitted', submitted_by = $2, submitted_at = NOW(), transformation_id = $3, updated_at = NOW()
+      WHERE id = $1 AND status = 'submitting'
+      RETURNING id
+    `;
+    const res = await this.pool.query(q, [id, submittedBy, transformationId]);
+    if (res.rows.length === 0) throw new Error('Draft already submitted');
+    return res.rows[0].id;
+  }
 }
 
 module.exports = HospitalRepository;
@@ -1,41 +1,50 @@
+// Facility-level vendor pricing, read from the shared vendor catalog (vendor_catalog_current).
+// Each catalog entry carries facilityCompatibility: { <facility type>: { integrationComplexity, baseCost, implementationWeeks, requirements } }
+
 class VendorRepository {
   constructor(pool) {
     this.pool = pool;
   }
 
   async seedVendorData() {
-    // Data seeded by migration
-    const res = await this.pool.query('SELECT COUNT(*) FROM vendor_compatibility');
+    // The catalog is seeded by VendorCatalog when the transformation engine starts
+    const res = await this.pool.query('SELECT COUNT(*) FROM vendor_catalog_current');
     if (parseInt(res.rows[0].count, 10) === 0) {
-      throw new Error('Vendor compatibility seed failed');
+      throw new Error('Vendor catalog is empty');
     }
   }
 
   async getVendorCompatibility(vendorName, facilityType) {
-    const q = `SELECT integration_complexity, base_cost, implementation_weeks, requirements FROM vendor_compatibility WHERE vendor_name = $1 AND facility_type = $2`;
+    const q = `SELECT entry->'facilityCompatibility'->$2 AS compatibility FROM vendor_catalog_current WHERE vendor_id = $1 OR LOWER(name) = $1`;
     const res = await this.pool.query(q, [vendorName.toLowerCase(), facilityType]);
-    if (res.rows.length === 0) throw new Error(`No compatibility data found for ${vendorName} + ${facilityType}`);
-    const r = res.rows[0];
+    const r = res.rows.find(row => row.compatibility);
+    if (!r) throw new Error(`No compatibility data found for ${vendorName} + ${facilityType}`);
+    const c = typeof r.compatibility === 'string' ? JSON.parse(r.compatibility) : r.compatibility;
     return {
-      integrationComplexity: r.integration_complexity,
-      baseCost: parseFloat(r.base_cost),
-      implementationWeeks: r.implementation_weeks,
-      requirements: typeof r.requirements === 'string' ? JSON.parse(r.requirements) : r.requirements
+      integrationComplexity: c.integrationComplexity,
+      baseCost: parseFloat(c.baseCost),
+      implementationWeeks: c.implementationWeeks,
+      requirements: c.requirements
     };
   }
 
   async getAllVendors() {
-    const res = await this.pool.query('SELECT DISTINCT vendor_name FROM vendor_compatibility ORDER BY vendor_name');
-    return res.rows.map(x => x.vendor_name);
+    const res = await this.pool.query('SELECT name FROM vendor_catalog_current ORDER BY name');
+    return res.rows.map(x => x.name);
   }
 
   async getCompatibilityMatrix(facilityType) {
-    const q = `SELECT vendor_name, integration_complexity, base_cost, implementation_weeks FROM vendor_compatibility WHERE facility_type = $1 ORDER BY base_cost ASC`;
+    const q = `
+      SELECT name, entry->'facilityCompatibility'->$1 AS compatibility FROM vendor_catalog_current
+      WHERE entry->'facilityCompatibility' ? $1
+      ORDER BY (entry->'facilityCompatibility'->$1->>'baseCost')::numeric ASC
+    `;
     const res = await this.pool.query(q, [facilityType]);
-    return res.rows.map(row => ({ vendor: row.vendor_name, complexity: row.integration_complexity, cost: parseFloat(row.base_cost), weeks: row.implementation_weeks }));
+    return res.rows.map(row => {
+      const c = typeof row.compatibility === 'string' ? JSON.parse(row.compatibility) : row.compatibility;
+      return { vendor: row.name, complexity: c.integrationComplexity, cost: parseFloat(c.baseCost), weeks: c.implementationWeeks };
+    });
   }
 }
 
 module.exports = VendorRepository;
-
-
@@ -11,11 +11,17 @@
 const EnvironmentParser = require('./EnvironmentParser');
 const SRSDocumentReader = require('./SRSDocumentReader');
 const { v4: uuidv4 } = require('uuid');
+const { resolveRunContext } = require('../core/RunContext');
 
 class SandboxBuilder {
-  constructor() {
+  /**
+   * @param {Object} options - { runContext } seeded clock/random (see core/RunContext) so sandbox ids,
+   *   subnets and simulated metrics can be reproduced in tests; defaults to the system clock
+   */
+  constructor(options = {}) {
     this.parser = new EnvironmentParser();
     this.reader = new SRSDocumentReader();
+    this.runContext = resolveRunContext(options.runContext);
     
     // In-memory storage for sandbox state (in production, use Redis/Database)
     this.sandboxes = new Map();
@@ -80,7 +86,7 @@ class SandboxBuilder {
         sandboxId,
         hospitalId,
         status: 'creating',
-        createdAt: new Date().toISOString(),
+        createdAt: this.runContext.isoNow(),
         srsDocument,
         specifications: {
           docker: dockerSpecs,
@@ -191,7 +197,7 @@ class SandboxBuilder {
       // Update sandbox status
       sandbox.status = 'running';
       sandbox.containers = containers;
-      sandbox.lastDeployment = new Date().toISOString();
+      sandbox.lastDeployment = this.runContext.isoNow();
 
       return {
         success: true,
@@ -267,7 +273,7 @@ class SandboxBuilder {
         services,
         resourceQuotas
       };
-      sandbox.lastDeployment = new Date().toISOString();
+      sandbox.lastDeployment = this.runContext.isoNow();
 
       return {
         success: true,
@@ -302,14 +308,14 @@ class SandboxBuilder {
       }
 
       // Calculate uptime
-      const uptime = Date.now() - new Date(sandbox.createdAt).getTime();
+      const uptime = this.runContext.now() - new Date(sandbox.createdAt).getTime();
 
       // Simulate resource usage (in production, get from monitoring)
       const resourceUsage = {
-        cpu: Math.random() * 80, // 0-80% CPU usage
-        memory: Math.random() * 70, // 0-70% memory usage
-        disk: Math.random() * 50, // 0-50% disk usage
-        network: Math.random() * 30 // 0-30% network usage
+        cpu: this.runContext.random() * 80, // 0-80% CPU usage
+        memory: this.runContext.random() * 70, // 0-70% memory usage
+        disk: this.runContext.random() * 50, // 0-50% disk usage
+        network: this.runContext.random() * 30 // 0-30% network usage
       };
 
       // Generate component health status
@@ -318,7 +324,7 @@ class SandboxBuilder {
         if (sandbox.components[component]) {
           components[component] = {
             status: sandbox.status === 'running' ? 'healthy' : 'unknown',
-            lastCheck: new Date().toISOString()
+            lastCheck: this.runContext.isoNow()
           };
         }
       });
@@ -367,8 +373,8 @@ class SandboxBuilder {
         totalComponents++;
         componentHealth.database = {
           status: 'healthy',
-          responseTime: Math.random() * 100, // 0-100ms
-          lastCheck: new Date().toISOString()
+          responseTime: this.runContext.random() * 100, // 0-100ms
+          lastCheck: this.runContext.isoNow()
         };
         healthyComponents++;
       }
@@ -378,8 +384,8 @@ class SandboxBuilder {
         totalComponents++;
         componentHealth.cache = {
           status: 'healthy',
-          responseTime: Math.random() * 50, // 0-50ms
-          lastCheck: new Date().toISOString()
+          responseTime: this.runContext.random() * 50, // 0-50ms
+          lastCheck: this.runContext.isoNow()
         };
         healthyComponents++;
       }
@@ -389,8 +395,8 @@ class SandboxBuilder {
         totalComponents++;
         componentHealth.ehrMocks = {
           status: 'healthy',
-          responseTime: Math.random() * 200, // 0-200ms
-          lastCheck: new Date().toISOString()
+          responseTime: this.runContext.random() * 200, // 0-200ms
+          lastCheck: this.runContext.isoNow()
         };
         healthyComponents++;
       }
@@ -411,7 +417,7 @@ class SandboxBuilder {
         componentHealth,
         healthyComponents,
         totalComponents,
-        lastChecked: new Date().toISOString()
+        lastChecked: this.runContext.isoNow()
       };
 
     } catch (error) {
@@ -439,7 +445,7 @@ class SandboxBuilder {
 
       const previousStatus = sandbox.status;
       sandbox.status = 'stopped';
-      sandbox.stoppedAt = new Date().toISOString();
+      sandbox.stoppedAt = this.runContext.isoNow();
 
       return {
         success: true,
@@ -491,7 +497,7 @@ class SandboxBuilder {
         success: true,
         sandboxId,
         resourcesRemoved,
-        destroyedAt: new Date().toISOString()
+        destroyedAt: this.runContext.isoNow()
       };
 
     } catch (error) {
@@ -620,8 +626,8 @@ class SandboxBuilder {
   // Private helper methods
 
   _generateSandboxId(hospitalId) {
-    const timestamp = Date.now().toString(36);
-    const random = Math.random().toString(36).substr(2, 5);
+    const timestamp = this.runContext.now().toString(36);
+    const random = this.runContext.random().toString(36).substr(2, 5);
     return `sandbox-${hospitalId}-${timestamp}-${random}`;
   }
 
@@ -637,7 +643,7 @@ class SandboxBuilder {
 
   _generateNetworkConfig(sandboxId) {
     // Generate unique subnet for sandbox isolation
-    const subnetId = Math.floor(Math.random() * 254) + 1;
+    const subnetId = Math.floor(this.runContext.random() * 254) + 1;
     return {
       name: `${sandboxId}-network`,
       subnet: `172.20.${subnetId}.0/24`,
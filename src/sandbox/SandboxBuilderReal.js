@@ -13,8 +13,8 @@ const EnvironmentParser = require('./EnvironmentParser');
 const SRSDocumentReader = require('./SRSDocumentReader');
 
 class SandboxBuilderReal extends SandboxBuilder {
-  constructor() {
-    super(); // Initialize parent with simulation capabilities as fallback
+  constructor(options = {}) {
+    super(options); // Initialize parent with simulation capabilities as fallback
     
     // Initialize real container management
     this.realContainerManager = new RealContainerManager();
@@ -0,0 +1,108 @@
+// Builds a HealthcareAPIGateway on a mock-mode DatabaseManager, mounted at /api, for integration tests
+process.env.MOCK_DATABASE = 'true';
+
+const crypto = require('crypto');
+const express = require('express');
+const request = require('supertest');
+const { DatabaseManager } = require('../../src/database/DatabaseManager');
+const { TransformationEngine } = require('../../src/core/TransformationEngine');
+const { HealthcareAPIGateway } = require('../../src/api/HealthcareAPIGateway');
+
+const DEFAULT_HEADERS = {
+  authorization: 'Bearer test',
+  'x-hospital-id': 'h1',
+  'x-user-id': 'cio@h1',
+  'x-role': 'cio'
+};
+
+// Draft storage with HospitalRepository's contract, kept in memory
+class InMemoryDraftRepository {
+  constructor() {
+    this.drafts = new Map();
+  }
+
+  async createDraft(d) {
+    const id = crypto.randomUUID();
+    this.drafts.set(id, {
+      id,
+      tenant_id: d.tenantId,
+      hospital_id: d.hospitalId,
+      schema_version: d.schemaVersion,
+      status: 'draft',
+      created_by: d.createdBy,
+      submitted_by: null,
+      transformation_id: null,
+      answers: {}
+    });
+    return id;
+  }
+
+  async saveDraftAnswers(draftId, answers, author, provenance = {}) {
+    const draft = this.drafts.get(draftId);
+    for (const [questionId, value] of Object.entries(answers)) {
+      draft.answers[questionId] = {
+        value,
+        answeredBy: author.id,
+        answeredByRole: author.role,
+        source: provenance[questionId]?.source || null,
+        confidence: provenance[questionId]?.confidence ?? null,
+        answeredAt: new Date()
+      };
+    }
+  }
+
+  async getDraft(id) {
+    if (!this.drafts.has(id)) throw new Error('Draft not found');
+    return JSON.parse(JSON.stringify(this.drafts.get(id)));
+  }
+
+  async listDraftsByHospital(tenantId, hospitalId) {
+    return [...this.drafts.values()].filter((d) => d.tenant_id === tenantId && d.hospital_id === hospitalId);
+  }
+
+  async claimDraftForSubmission(id, submittedBy) {
+    const draft = this.drafts.get(id);
+    if (!draft || draft.status !== 'draft') return false;
+    Object.assign(draft, { status: 'submitting', submitted_by: submittedBy });
+    return true;
+  }
+
+  async releaseDraftClaim(id) {
+    const draft = this.drafts.get(id);
+    if (draft?.status === 'submitting') Object.assign(draft, { status: 'draft', submitted_by: null });
+  }
+
+  async markDraftSubmitted(id, submittedBy, transformationId) {
+    const draft = this.drafts.get(id);
+    if (!draft || draft.status !== 'submitting') throw new Error('Draft already submitted');
+    Object.assign(draft, { status: 'submitted', submitted_by: submittedBy, transformation_id: transformationId });
+    return id;
+  }
+}
+
+async function createTestGateway() {
+  const databaseManager = new DatabaseManager();
+  await databaseManager.initialize();
+  const engine = new TransformationEngine(databaseManager);
+  await engine.initialize();
+  const drafts = new InMemoryDraftRepository();
+  const gateway = new HealthcareAPIGateway(engine, null, null, drafts);
+
+  const app = express();
+  app.use(express.json({ limit: '5mb' }));
+  app.use('/api', gateway.getRouter());
+
+  const call = (method, path, body, headers = {}) => request(app)[method](`/api${path}`).set({ ...DEFAULT_HEADERS, ...headers }).send(body);
+  return { call, app, gateway, engine, databaseManager, drafts };
+}
+
+// Smallest questionnaire that passes the completeness check
+const BASE_QUESTIONNAIRE = {
+  facilityName: 'Mercy General',
+  bedCount: 220,
+  complianceFrameworks: ['HIPAA'],
+  primaryEHR: 'epic',
+  facilityType: 'community'
+};
+
+module.exports = { createTestGateway, InMemoryDraftRepository, BASE_QUESTIONNAIRE };
@@ -0,0 +1,48 @@
+const { createTestGateway } = require('../helpers/testGateway');
+
+describe('Formula coefficient versions', () => {
+  let api;
+  const admin = { 'x-role': 'hospital_admin' };
+
+  beforeEach(async () => {
+    api = await createTestGateway();
+  });
+
+  test('keeps a tenant override out of the global scope', async () => {
+    const res = await api.call('put', '/formulas/coefficients/tenant', {
+      coefficients: { hcs: { bedCount: { normalizeAt: 1500 } } },
+      replace: true
+    }, { ...admin, 'x-tenant-id': '*' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Invalid tenant for formula coefficients');
+    expect(api.databaseManager.mockData.get('formula_coefficients')).toHaveLength(0);
+
+    const current = await api.call('get', '/formulas/coefficients', undefined, admin);
+    expect(current.body.version.label).toBe('g0');
+    expect((await api.call('get', '/formulas/coefficients', undefined, { ...admin, 'x-tenant-id': '*' })).status).toBe(400);
+    expect((await api.call('get', '/formulas/coefficients/versions', undefined, { ...admin, 'x-tenant-id': '*' })).status).toBe(400);
+  });
+
+  test('never stores a partial global version', async () => {
+    await expect(api.engine.coefficientStore.publish('*', { hcs: { bedCount: { normalizeAt: 1500 } } }, 'ops', null))
+      .rejects.toMatchObject({ details: expect.arrayContaining(['Missing coefficient: hcs.systemsCount']) });
+
+    const res = await api.call('put', '/formulas/coefficients/global', { coefficients: { hcs: { bedCount: { normalizeAt: 1500 } } } }, { 'x-role': 'platform_admin' });
+    expect(res.status).toBe(201);
+    expect(res.body.published.coefficients.hcs.systemsCount).toEqual({ max: 30, fallback: 2, normalizeAt: 10 });
+  });
+
+  test('merges tenant overrides over the full global set', async () => {
+    const res = await api.call('put', '/formulas/coefficients/tenant', {
+      coefficients: { hcs: { bedCount: { normalizeAt: 1500 } } }
+    }, { ...admin, 'x-tenant-id': 't1' });
+
+    expect(res.status).toBe(201);
+    expect(res.body.effective.label).toBe('g0.t1');
+
+    const resolved = await api.engine.coefficientStore.resolve('t1');
+    expect(resolved.coefficients.hcs.bedCount).toEqual({ min: 1, max: 5000, fallback: 100, normalizeAt: 1500 });
+    expect(resolved.coefficients.hcs.typeWeights).toEqual((await api.engine.coefficientStore.resolve('t2')).coefficients.hcs.typeWeights);
+  });
+});
@@ -0,0 +1,28 @@
+const { createTestGateway, BASE_QUESTIONNAIRE } = require('../helpers/testGateway');
+
+describe('Hospital profiles recorded by transformations', () => {
+  let api;
+
+  beforeAll(async () => {
+    api = await createTestGateway();
+  });
+
+  test('keeps a profile with the tenant that first recorded the hospital', async () => {
+    const failures = [];
+    api.engine.on('hospitalProfileFailed', (payload) => failures.push(payload));
+
+    const first = await api.call('post', '/transform/questionnaire', { hospitalId: 'h-shared', questionnaire: BASE_QUESTIONNAIRE }, { 'x-tenant-id': 't1' });
+    expect(first.status).toBe(200);
+    expect(failures).toHaveLength(0);
+
+    const second = await api.call('post', '/transform/questionnaire', {
+      hospitalId: 'h-shared',
+      questionnaire: { ...BASE_QUESTIONNAIRE, facilityName: 'Other Hospital', facilityType: 'academic', bedCount: 900 }
+    }, { 'x-tenant-id': 't2' });
+
+    expect(second.status).toBe(200);
+    expect(failures).toEqual([expect.objectContaining({ transformationId: second.body.result.transformationId, hospitalId: 'h-shared' })]);
+    expect(await api.databaseManager.getHospitalProfile('h-shared', 't1')).toMatchObject({ name: 'Mercy General', type: 'Community', bed_count: 220 });
+    expect(await api.databaseManager.getHospitalProfile('h-shared', 't2')).toBeNull();
+  });
+});
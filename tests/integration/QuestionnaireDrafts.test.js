@@ -0,0 +1,65 @@
+const { createTestGateway, BASE_QUESTIONNAIRE } = require('../helpers/testGateway');
+
+describe('Questionnaire drafts', () => {
+  let api;
+
+  beforeAll(async () => {
+    api = await createTestGateway();
+  });
+
+  async function createDraft(answers = BASE_QUESTIONNAIRE) {
+    const res = await api.call('post', '/questionnaire/drafts', { answers });
+    expect(res.status).toBe(201);
+    return res.body.draft.draftId;
+  }
+
+  test('runs one transformation when a draft is submitted twice at once', async () => {
+    const draftId = await createDraft();
+    const runs = api.databaseManager.mockData.get('transformation_results').length;
+
+    const responses = await Promise.all([
+      api.call('post', `/questionnaire/drafts/${draftId}/submit`, {}),
+      api.call('post', `/questionnaire/drafts/${draftId}/submit`, {})
+    ]);
+
+    expect(responses.map((r) => r.status).sort()).toEqual([200, 409]);
+    expect(api.databaseManager.mockData.get('transformation_results').length).toBe(runs + 1);
+
+    const draft = (await api.call('get', `/questionnaire/drafts/${draftId}`)).body.draft;
+    expect(draft.status).toBe('submitted');
+    expect(draft.transformationId).toBe(responses.find((r) => r.status === 200).body.transformationId);
+  });
+
+  test('rejects a submitted draft', async () => {
+    const draftId = await createDraft();
+    expect((await api.call('post', `/questionnaire/drafts/${draftId}/submit`, {})).status).toBe(200);
+
+    const resubmit = await api.call('post', `/questionnaire/drafts/${draftId}/submit`, {});
+    expect(resubmit.status).toBe(409);
+    expect(resubmit.body.error).toBe('Draft already submitted');
+
+    const edit = await api.call('patch', `/questionnaire/drafts/${draftId}/answers`, { answers: { bedCount: 300 } });
+    expect(edit.status).toBe(409);
+  });
+
+  test('returns a draft to editing when its transformation fails', async () => {
+    const draftId = await createDraft();
+    const original = api.gateway.executeTransformation;
+    api.gateway.executeTransformation = async () => { throw new Error('pipeline down'); };
+    try {
+      expect((await api.call('post', `/questionnaire/drafts/${draftId}/submit`, {})).status).toBe(500);
+    } finally {
+      api.gateway.executeTransformation = original;
+    }
+
+    expect((await api.call('get', `/questionnaire/drafts/${draftId}`)).body.draft.status).toBe('draft');
+    expect((await api.call('post', `/questionnaire/drafts/${draftId}/submit`, {})).status).toBe(200);
+  });
+
+  test('answers 404 for malformed draft ids and drafts of other tenants', async () => {
+    expect((await api.call('get', '/questionnaire/drafts/not-a-uuid')).status).toBe(404);
+
+    const draftId = await createDraft();
+    expect((await api.call('get', `/questionnaire/drafts/${draftId}`, undefined, { 'x-tenant-id': 'other' })).status).toBe(404);
+  });
+});
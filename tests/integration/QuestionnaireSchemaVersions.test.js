@@ -0,0 +1,45 @@
+jest.mock('../../src/middleware/Alerts', () => ({ sendSlack: jest.fn() }));
+
+const { sendSlack } = require('../../src/middleware/Alerts');
+const { createTestGateway, BASE_QUESTIONNAIRE } = require('../helpers/testGateway');
+
+describe('Questionnaire schema versions', () => {
+  let api;
+  const webhook = process.env.SLACK_WEBHOOK_URL;
+
+  beforeAll(async () => {
+    process.env.SLACK_WEBHOOK_URL = 'https://hooks.example.test/alerts';
+    api = await createTestGateway();
+  });
+
+  afterAll(() => {
+    if (webhook === undefined) delete process.env.SLACK_WEBHOOK_URL;
+    else process.env.SLACK_WEBHOOK_URL = webhook;
+  });
+
+  beforeEach(() => sendSlack.mockClear());
+
+  const unknown = { ...BASE_QUESTIONNAIRE, schemaVersion: '9.9' };
+
+  test.each([
+    ['/questionnaire/prepare', { questionnaire: unknown }],
+    ['/transform/validate-input', { questionnaire: unknown }],
+    ['/questionnaire/migrate', { questionnaire: unknown }],
+    ['/transform/questionnaire', { questionnaire: unknown }],
+    ['/transform/batch', { systemName: 'Mercy Health', facilities: [{ hospitalId: 'h1', questionnaire: BASE_QUESTIONNAIRE }, { hospitalId: 'h2', questionnaire: unknown }] }]
+  ])('%s rejects an unknown schema version as bad input', async (path, body) => {
+    const res = await api.call('post', path, body);
+
+    expect(res.status).toBe(400);
+    expect(res.body).toMatchObject({ error: 'Unknown schema version', version: '9.9' });
+    expect(res.body.availableVersions).toContain('1.0');
+    expect(sendSlack).not.toHaveBeenCalled();
+  });
+
+  test('migrates an older stamped questionnaire', async () => {
+    const res = await api.call('post', '/questionnaire/prepare', { questionnaire: { ...BASE_QUESTIONNAIRE, schemaVersion: '1.0', clinicalSystems: ['radiology'] } });
+
+    expect(res.status).toBe(200);
+    expect(res.body.questionnaire.clinicalSystems).toEqual(['ris', 'pacs']);
+  });
+});
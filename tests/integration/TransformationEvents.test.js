@@ -0,0 +1,124 @@
+const http = require('http');
+const { createTestGateway, BASE_QUESTIONNAIRE } = require('../helpers/testGateway');
+
+// Split a Server-Sent Events body into { event, data } records
+function parseEvents(text) {
+  return text.split('\n\n').filter((block) => block.startsWith('event: ')).map((block) => {
+    const [eventLine, dataLine] = block.split('\n');
+    return { event: eventLine.slice('event: '.length), data: JSON.parse(dataLine.slice('data: '.length)) };
+  });
+}
+
+describe('Transformation events', () => {
+  let api;
+  let server;
+  let port;
+
+  beforeAll(async () => {
+    api = await createTestGateway();
+    server = http.createServer(api.app);
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    port = server.address().port;
+  });
+
+  afterAll(() => new Promise((resolve) => server.close(resolve)));
+
+  // Open the event stream; resolves once the first event (the status snapshot) has arrived
+  function openStream(transformationId) {
+    return new Promise((resolve, reject) => {
+      const req = http.get({
+        host: '127.0.0.1',
+        port,
+        path: `/api/transform/events/${transformationId}`,
+        headers: { authorization: 'Bearer test', 'x-hospital-id': 'h1', 'x-user-id': 'cio@h1', 'x-role': 'cio' }
+      }, (res) => {
+        let body = '';
+        const ended = new Promise((done) => res.on('end', () => done(parseEvents(body))));
+        res.setEncoding('utf8');
+        res.on('data', (chunk) => {
+          const first = !body;
+          body += chunk;
+          if (first) resolve({ req, res, ended, events: () => parseEvents(body) });
+        });
+      });
+      req.on('error', reject);
+    });
+  }
+
+  const queued = () => api.engine.acceptTransformation(BASE_QUESTIONNAIRE, { tenantId: 'default' });
+
+  test('replays events buffered while the status snapshot loads, then closes on failed', async () => {
+    const transformationId = await queued();
+    const getTransformationStatus = api.engine.getTransformationStatus.bind(api.engine);
+    jest.spyOn(api.engine, 'getTransformationStatus').mockImplementationOnce(async (...args) => {
+      api.engine.emit('stageStarted', { transformationId, stage: 'parse', stageIndex: 0, totalStages: 8 });
+      api.engine.emit('transformationFailed', { transformationId, stage: 'parse', reason: 'parser down' });
+      return getTransformationStatus(...args);
+    });
+
+    const res = await api.call('get', `/transform/events/${transformationId}`)
+      .buffer(true)
+      .parse((response, callback) => {
+        let text = '';
+        response.setEncoding('utf8');
+        response.on('data', (chunk) => { text += chunk; });
+        response.on('end', () => callback(null, text));
+      });
+    jest.restoreAllMocks();
+
+    expect(res.status).toBe(200);
+    expect(parseEvents(res.body).map((e) => e.event)).toEqual(['status', 'stage_started', 'failed']);
+    expect(parseEvents(res.body)[0].data.status).toBe('queued');
+    expect(api.gateway.transformationStreams.has(transformationId)).toBe(false);
+  });
+
+  test('streams a live failure as a failed event and ends the stream', async () => {
+    const transformationId = await queued();
+    const stream = await openStream(transformationId);
+
+    const assessHospital = api.engine.assessmentEngine.assessHospital;
+    api.engine.assessmentEngine.assessHospital = async () => { throw new Error('assessment service down'); };
+    try {
+      await expect(api.engine.transformQuestionnaire(BASE_QUESTIONNAIRE, { transformationId })).rejects.toThrow('failed at stage: assess');
+    } finally {
+      api.engine.assessmentEngine.assessHospital = assessHospital;
+    }
+
+    const events = await stream.ended;
+    expect(events[0].event).toBe('status');
+    expect(events.map((e) => e.event)).toContain('stage_started');
+    expect(events[events.length - 1]).toMatchObject({ event: 'failed', data: { transformationId, reason: 'assessment service down' } });
+    expect(api.gateway.transformationStreams.has(transformationId)).toBe(false);
+  });
+
+  test('drops the subscriber when the client disconnects', async () => {
+    const transformationId = await queued();
+    const stream = await openStream(transformationId);
+    expect(stream.events()).toEqual([expect.objectContaining({ event: 'status' })]);
+    expect(api.gateway.transformationStreams.get(transformationId).size).toBe(1);
+
+    await new Promise((resolve) => {
+      stream.res.on('close', resolve);
+      stream.req.destroy();
+    });
+    await new Promise((resolve) => setTimeout(resolve, 50));
+
+    expect(api.gateway.transformationStreams.has(transformationId)).toBe(false);
+  });
+
+  test('queues an async run with the options it runs with', async () => {
+    const transformQuestionnaire = jest.spyOn(api.engine, 'transformQuestionnaire').mockImplementation(() => new Promise(() => {}));
+    const rafAnalysis = { iterations: 200, seed: 7 };
+
+    const res = await api.call('post', '/transform/questionnaire?async=true', { questionnaire: BASE_QUESTIONNAIRE, options: { rafAnalysis } });
+    await new Promise((resolve) => setImmediate(resolve));
+    jest.restoreAllMocks();
+
+    expect(res.status).toBe(202);
+    const stored = await api.databaseManager.getTransformationResult(res.body.transformationId, 'default');
+    expect(stored.status).toBe('queued');
+    expect(stored.replay_context.options).toMatchObject({ rafAnalysis, priority: 'normal', processingMode: 'standard' });
+    const [, runOptions] = transformQuestionnaire.mock.calls[0];
+    expect(runOptions).toMatchObject({ transformationId: res.body.transformationId, rafAnalysis, priority: 'normal' });
+  });
+});
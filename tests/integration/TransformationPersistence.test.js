@@ -0,0 +1,56 @@
+const { createTestGateway, BASE_QUESTIONNAIRE } = require('../helpers/testGateway');
+
+describe('Transformation persistence', () => {
+  let api;
+
+  beforeAll(async () => {
+    api = await createTestGateway();
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test('writes the whole run at start and end and only stage transitions in between', async () => {
+    const store = jest.spyOn(api.databaseManager, 'storeTransformationResult');
+    const update = jest.spyOn(api.databaseManager, 'updateTransformationProgress');
+
+    const res = await api.call('post', '/transform/questionnaire', { questionnaire: BASE_QUESTIONNAIRE });
+    expect(res.status).toBe(200);
+
+    const { transformationId } = res.body;
+    const stored = await api.databaseManager.getTransformationResult(transformationId, 'default');
+    const stages = stored.pipeline_stages;
+    expect(store).toHaveBeenCalledTimes(2);
+    expect(update).toHaveBeenCalledTimes(stages.length * 2);
+
+    // Each completed stage sends its own output (validate may also send a refined generate output)
+    const completions = update.mock.calls.map(([, progress]) => progress).filter((p) => Object.keys(p.stageOutputs).length > 0);
+    expect(completions.map((p) => p.currentStage)).toEqual(stages);
+    for (const { currentStage, stageOutputs } of completions) {
+      expect(Object.keys(stageOutputs)).toContain(currentStage);
+      expect(Object.keys(stageOutputs).every((stage) => stage === currentStage || stage === 'generate')).toBe(true);
+    }
+    expect(Object.keys(stored.stage_outputs).sort()).toEqual([...stages].sort());
+  });
+
+  test('reports a failed write in the transformation status', async () => {
+    const storeTransformationResult = api.databaseManager.storeTransformationResult.bind(api.databaseManager);
+    jest.spyOn(api.databaseManager, 'storeTransformationResult')
+      .mockImplementationOnce(storeTransformationResult)
+      .mockRejectedValueOnce(new Error('connection reset'));
+
+    const res = await api.call('post', '/transform/questionnaire', { questionnaire: BASE_QUESTIONNAIRE });
+    expect(res.status).toBe(200);
+
+    const status = (await api.call('get', `/transform/status/${res.body.transformationId}`)).body.status;
+    expect(status.status).toBe('running');
+    expect(status.persistenceError).toMatchObject({ message: 'connection reset', status: 'completed' });
+  });
+
+  test('refuses stage updates for a run the tenant does not own', async () => {
+    await api.databaseManager.storeTransformationResult({ transformationId: 'tx-owned', hospitalId: 'h1', status: 'running', progress: 0 }, 't1');
+
+    await expect(api.databaseManager.updateTransformationProgress('tx-owned', { status: 'running', progress: 50 }, 't2'))
+      .rejects.toThrow('is not stored for tenant t2');
+    expect((await api.databaseManager.getTransformationResult('tx-owned', 't1')).progress).toBe(0);
+  });
+});
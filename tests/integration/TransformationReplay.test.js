@@ -0,0 +1,46 @@
+const { createTestGateway, BASE_QUESTIONNAIRE } = require('../helpers/testGateway');
+
+describe('Transformation replay', () => {
+  let api;
+
+  beforeAll(async () => {
+    api = await createTestGateway();
+  });
+
+  async function completedRun(headers = {}) {
+    const res = await api.call('post', '/transform/questionnaire', { questionnaire: { ...BASE_QUESTIONNAIRE, timeline: '60_days' } }, headers);
+    expect(res.status).toBe(200);
+    return res.body.result.transformationId;
+  }
+
+  test('reproduces a stored run exactly', async () => {
+    const transformationId = await completedRun();
+    const res = await api.call('post', `/transform/replay/${transformationId}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.identical).toBe(true);
+    expect(res.body.mismatches).toEqual([]);
+  });
+
+  test('reports a mismatch when the engine now computes something different', async () => {
+    const transformationId = await completedRun();
+    const processor = api.engine.questionnaireProcessor;
+    const calculateRequirementPriority = processor.calculateRequirementPriority;
+    processor.calculateRequirementPriority = function (...args) {
+      return calculateRequirementPriority.apply(this, args) * 0.9;
+    };
+    try {
+      const res = await api.call('post', `/transform/replay/${transformationId}`);
+      expect(res.status).toBe(200);
+      expect(res.body.identical).toBe(false);
+      expect(res.body.mismatches.length).toBeGreaterThan(0);
+    } finally {
+      processor.calculateRequirementPriority = calculateRequirementPriority;
+    }
+  });
+
+  test('does not replay another tenant\'s run', async () => {
+    const transformationId = await completedRun({ 'x-tenant-id': 't1' });
+    expect((await api.call('post', `/transform/replay/${transformationId}`, undefined, { 'x-tenant-id': 't2' })).status).toBe(404);
+  });
+});
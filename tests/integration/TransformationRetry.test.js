@@ -0,0 +1,56 @@
+const { createTestGateway, BASE_QUESTIONNAIRE } = require('../helpers/testGateway');
+
+describe('Transformation retry', () => {
+  let api;
+
+  beforeAll(async () => {
+    api = await createTestGateway();
+  });
+
+  // Run a transformation whose hospital assessment fails, counting how often the questionnaire is parsed
+  async function failedRun(headers = {}) {
+    const engine = api.engine;
+    const assessHospital = engine.assessmentEngine.assessHospital;
+    engine.assessmentEngine.assessHospital = async () => { throw new Error('assessment service down'); };
+    try {
+      const res = await api.call('post', '/transform/questionnaire', { questionnaire: BASE_QUESTIONNAIRE }, headers);
+      expect(res.status).toBe(500);
+      return res.body.transformationId;
+    } finally {
+      engine.assessmentEngine.assessHospital = assessHospital;
+    }
+  }
+
+  test('resumes at the failed stage and reuses the earlier checkpoints', async () => {
+    const transformationId = await failedRun();
+    const failed = (await api.call('get', `/transform/status/${transformationId}`)).body.status;
+    expect(failed.status).toBe('failed');
+
+    const parseQuestionnaire = jest.spyOn(api.engine, 'parseQuestionnaire');
+    const res = await api.call('post', `/transform/retry/${transformationId}`, {});
+    parseQuestionnaire.mockRestore();
+
+    expect(res.status).toBe(200);
+    expect(res.body.attempt).toBe(2);
+    expect(parseQuestionnaire).not.toHaveBeenCalled();
+
+    const status = (await api.call('get', `/transform/status/${transformationId}`)).body.status;
+    expect(status.status).toBe('completed');
+    expect(status.attemptCount).toBe(2);
+  });
+
+  test('refuses to resume after the stage that failed', async () => {
+    const transformationId = await failedRun();
+    const res = await api.call('post', `/transform/retry/${transformationId}`, { fromStage: 'validate' });
+    expect(res.status).toBe(400);
+    expect(res.body.message).toMatch(/the run failed earlier/);
+  });
+
+  test('only retries failed runs of the requesting tenant', async () => {
+    const transformationId = await failedRun({ 'x-tenant-id': 't1' });
+
+    expect((await api.call('post', `/transform/retry/${transformationId}`, {}, { 'x-tenant-id': 't2' })).status).toBe(404);
+    expect((await api.call('post', `/transform/retry/${transformationId}`, {}, { 'x-tenant-id': 't1' })).status).toBe(200);
+    expect((await api.call('post', `/transform/retry/${transformationId}`, {}, { 'x-tenant-id': 't1' })).status).toBe(409);
+  });
+});
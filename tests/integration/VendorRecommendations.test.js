@@ -0,0 +1,32 @@
+const { createTestGateway } = require('../helpers/testGateway');
+
+describe('Vendor recommendations', () => {
+  let api;
+
+  beforeAll(async () => {
+    api = await createTestGateway();
+  });
+
+  const HOSPITAL = { name: 'Mercy General', type: 'Community', bedCount: 220, location: 'suburban', primaryEMR: 'Epic' };
+
+  test('recommends vendors for a hospital once it has been assessed', async () => {
+    expect((await api.call('get', '/assess/vendors/h-assessed', undefined, { 'x-hospital-id': 'h-assessed' })).status).toBe(404);
+
+    const assessment = await api.call('post', '/assess/hospital', HOSPITAL, { 'x-hospital-id': 'h-assessed' });
+    expect(assessment.status).toBe(200);
+    expect(assessment.body.profileStored).toBe(true);
+
+    const stored = await api.databaseManager.getHospitalProfile('h-assessed', 'default');
+    expect(stored).toMatchObject({ name: 'Mercy General', type: 'Community', bed_count: 220, location_type: 'Suburban', primary_emr: 'Epic' });
+
+    const res = await api.call('get', '/assess/vendors/h-assessed', undefined, { 'x-hospital-id': 'h-assessed' });
+    expect(res.status).toBe(200);
+  });
+
+  test('keeps an assessed profile to its tenant', async () => {
+    await api.call('post', '/assess/hospital', HOSPITAL, { 'x-hospital-id': 'h-tenant', 'x-tenant-id': 't1' });
+
+    expect((await api.call('get', '/assess/vendors/h-tenant', undefined, { 'x-hospital-id': 'h-tenant', 'x-tenant-id': 't2' })).status).toBe(404);
+    expect((await api.call('get', '/assess/vendors/h-tenant', undefined, { 'x-hospital-id': 'h-tenant', 'x-tenant-id': 't1' })).status).toBe(200);
+  });
+});
@@ -0,0 +1,73 @@
+const { BatchTransformation, MAX_CONCURRENCY } = require('../../src/core/BatchTransformation');
+
+function facility(name, bedCount, primaryEHR = 'epic') {
+  return { questionnaire: { facilityName: name, bedCount, primaryEHR } };
+}
+
+// Engine stub that tracks how many runs are in flight; facilities named in `failing` throw
+function batchWith(failing = []) {
+  const stats = { inFlight: 0, peak: 0, started: [] };
+  const engine = {
+    transformQuestionnaire: async (questionnaire, options) => {
+      stats.started.push(options.hospitalId);
+      stats.inFlight += 1;
+      stats.peak = Math.max(stats.peak, stats.inFlight);
+      await new Promise((resolve) => setTimeout(resolve, 5));
+      stats.inFlight -= 1;
+      if (failing.includes(questionnaire.facilityName)) {
+        throw Object.assign(new Error('assessment service down'), { transformationId: `tx-${options.hospitalId}` });
+      }
+      return {
+        transformationId: `tx-${options.hospitalId}`,
+        formulas: { raf: { servers: { app: 2, db: 1 }, estimatedCost: questionnaire.bedCount * 1000, totalCpuCores: 16 } },
+        executiveSummary: { riskLevel: questionnaire.bedCount > 300 ? 'High' : 'Medium' },
+        specification: { integration: { emr_integration: { system: questionnaire.primaryEHR } } },
+        implementationPlan: { totalDuration: 10, phases: [{ name: 'Build', duration: questionnaire.bedCount > 300 ? 8 : 6 }] }
+      };
+    }
+  };
+  return { batch: new BatchTransformation(engine), stats };
+}
+
+describe('BatchTransformation', () => {
+  const facilities = [
+    facility('Mercy General', 220),
+    facility('Mercy North', 400),
+    facility('Mercy Rural', 25, 'meditech'),
+    facility('Mercy South', 180),
+    facility('Mercy East', 90)
+  ];
+
+  test('keeps at most `concurrency` facilities in flight and reports them in input order', async () => {
+    const { batch, stats } = batchWith();
+
+    const result = await batch.run(facilities, { systemName: 'Mercy Health', concurrency: 2, tenantId: 't1' });
+
+    expect(result.concurrency).toBe(2);
+    expect(stats.peak).toBe(2);
+    expect(result.facilities.map((f) => f.facilityName)).toEqual(facilities.map((f) => f.questionnaire.facilityName));
+    expect(result.facilities.every((f) => !('result' in f))).toBe(true);
+    expect(stats.started).toEqual(result.facilities.map((f) => f.hospitalId));
+  });
+
+  test('clamps the requested concurrency', async () => {
+    const { batch } = batchWith();
+    expect((await batch.run(facilities.slice(0, 1), { concurrency: 99 })).concurrency).toBe(MAX_CONCURRENCY);
+    expect((await batch.run(facilities.slice(0, 1), { concurrency: -3 })).concurrency).toBe(1);
+  });
+
+  test('reports failed facilities and rolls up only the completed ones', async () => {
+    const { batch } = batchWith(['Mercy North', 'Mercy Rural']);
+
+    const result = await batch.run(facilities, { concurrency: 3 });
+
+    expect(result.facilities.map((f) => f.status)).toEqual(['completed', 'failed', 'failed', 'completed', 'completed']);
+    expect(result.facilities[1]).toMatchObject({ error: 'assessment service down', transformationId: expect.stringMatching(/^tx-/), metrics: null });
+    expect(result.rollup.facilities).toEqual({ total: 5, completed: 3, failed: 2 });
+    expect(result.rollup.raf).toMatchObject({ servers: { app: 6, db: 3 }, totalServers: 9, totalCpuCores: 48 });
+    expect(result.rollup.cost.infrastructure).toBe((220 + 180 + 90) * 1000);
+    expect(result.rollup.risk.byLevel).toEqual({ Medium: 3 });
+    expect(result.rollup.sharedIntegrations).toEqual([{ type: 'ehr', name: 'epic', facilityCount: 3, facilities: ['Mercy General', 'Mercy South', 'Mercy East'] }]);
+    expect(result.rollup.phasing).toMatchObject({ programDurationWeeks: 6, sequentialDurationWeeks: 30 });
+  });
+});
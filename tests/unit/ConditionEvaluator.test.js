@@ -0,0 +1,23 @@
+const { evaluateCondition } = require('../../src/core/ConditionEvaluator');
+
+describe('evaluateCondition', () => {
+  test('negative operators are false for unanswered questions', () => {
+    expect(evaluateCondition({ question: 'primaryEHR', operator: 'notEquals', value: 'epic' }, {})).toBe(false);
+    expect(evaluateCondition({ question: 'clinicalSystems', operator: 'notContains', value: 'pacs' }, { clinicalSystems: [] })).toBe(false);
+    expect(evaluateCondition({ question: 'primaryEHR', operator: 'notIn', value: ['epic'] }, { primaryEHR: '' })).toBe(false);
+  });
+
+  test('negative operators compare answered questions', () => {
+    expect(evaluateCondition({ question: 'primaryEHR', operator: 'notEquals', value: 'epic' }, { primaryEHR: 'cerner' })).toBe(true);
+    expect(evaluateCondition({ question: 'primaryEHR', operator: 'notEquals', value: 'epic' }, { primaryEHR: 'Epic' })).toBe(false);
+  });
+
+  test('existence checks see unanswered questions', () => {
+    expect(evaluateCondition({ question: 'primaryEHR', operator: 'exists' }, {})).toBe(false);
+    expect(evaluateCondition({ question: 'primaryEHR', operator: 'notExists' }, {})).toBe(true);
+  });
+
+  test('negation wraps the whole expression', () => {
+    expect(evaluateCondition({ not: { question: 'primaryEHR', operator: 'equals', value: 'epic' } }, {})).toBe(true);
+  });
+});
@@ -0,0 +1,74 @@
+process.env.MOCK_DATABASE = 'true';
+
+const { DatabaseManager } = require('../../src/database/DatabaseManager');
+
+describe('DatabaseManager tenant isolation', () => {
+  let db;
+
+  beforeEach(async () => {
+    db = new DatabaseManager();
+    await db.initialize();
+  });
+
+  test('does not let another tenant overwrite a stored transformation', async () => {
+    await db.storeTransformationResult({ transformationId: 'tx-1', hospitalId: 'h1', status: 'completed', qualityScore: 91 }, 't1');
+
+    await expect(
+      db.storeTransformationResult({ transformationId: 'tx-1', hospitalId: 'h9', status: 'failed', qualityScore: 0 }, 't2')
+    ).rejects.toThrow('belongs to another tenant');
+
+    const stored = await db.getTransformationResult('tx-1', 't1');
+    expect(stored).toMatchObject({ hospital_id: 'h1', status: 'completed', quality_score: 91 });
+    expect(await db.getTransformationResult('tx-1', 't2')).toBeNull();
+  });
+
+  test('updates a transformation for the tenant that owns it', async () => {
+    await db.storeTransformationResult({ transformationId: 'tx-2', hospitalId: 'h1', status: 'running', progress: 40 }, 't1');
+    await db.storeTransformationResult({ transformationId: 'tx-2', hospitalId: 'h1', status: 'completed' }, 't1');
+
+    expect((await db.getTransformationResult('tx-2', 't1')).status).toBe('completed');
+  });
+
+  test('does not let another tenant overwrite a hospital profile', async () => {
+    await db.upsertHospitalProfile({ hospitalId: 'h1', name: 'Mercy General', type: 'Community', bedCount: 220 }, 't1');
+
+    await expect(
+      db.upsertHospitalProfile({ hospitalId: 'h1', name: 'Elsewhere', type: 'Academic', bedCount: 900 }, 't2')
+    ).rejects.toThrow('belongs to another tenant');
+
+    expect(await db.getHospitalProfile('h1', 't1')).toMatchObject({ name: 'Mercy General', type: 'Community', bed_count: 220 });
+    expect(await db.getHospitalProfile('h1', 't2')).toBeNull();
+  });
+});
+
+describe('DatabaseManager schema', () => {
+  const fs = require('fs');
+  const path = require('path');
+
+  // Run createSchema against a client that records each statement batch
+  async function createdSchema() {
+    const queries = [];
+    const db = new DatabaseManager();
+    db.pool = { connect: async () => ({ query: async (sql) => { queries.push(sql); }, release: () => {} }) };
+    await db.createSchema();
+    return queries;
+  }
+
+  const migration = (file) => fs.readFileSync(path.join(__dirname, '..', '..', 'migrations', file), 'utf8');
+
+  test('creates the vendor catalog from its migration file', async () => {
+    const queries = await createdSchema();
+
+    expect(queries).toContain(migration('006_vendor_catalog.sql'));
+    expect(queries.filter((sql) => sql.includes('CREATE TABLE IF NOT EXISTS vendor_catalog'))).toHaveLength(1);
+  });
+
+  test('creates the questionnaire draft tables with the submitting status', async () => {
+    const drafts = (await createdSchema()).find((sql) => sql.includes('CREATE TABLE IF NOT EXISTS questionnaire_drafts'));
+
+    expect(drafts).toContain('CREATE TABLE IF NOT EXISTS questionnaire_draft_answers');
+    expect(drafts).toContain(migration('005_answer_provenance.sql'));
+    expect(drafts.indexOf(migration('007_draft_submission_claim.sql'))).toBeGreaterThan(drafts.indexOf('CREATE TABLE IF NOT EXISTS questionnaire_drafts'));
+    expect(drafts).toContain("CHECK (status IN ('draft', 'submitting', 'submitted'))");
+  });
+});
@@ -0,0 +1,62 @@
+const { FormulasEngine, DEFAULT_COEFFICIENTS } = require('../../src/core/FormulasEngine');
+
+const VARIABLES = {
+  bedCount: 400,
+  hospitalType: 'academic',
+  clinicalSystems: ['pacs', 'lis', 'pharmacy', 'ris'],
+  complianceFrameworks: ['HIPAA', 'HITRUST'],
+  timeline: '6_months',
+  primaryEHR: 'epic',
+  interoperabilityStandards: ['FHIR', 'HL7'],
+  integrationNeeds: 'custom API to the billing system',
+  ehrVendors: ['epic', 'meditech']
+};
+
+const sum = (factors) => factors.reduce((total, f) => total + f.contribution, 0);
+
+describe('FormulasEngine contribution breakdowns', () => {
+  const { hcs, sidi, raf, breakdown } = FormulasEngine.computeAll(VARIABLES);
+
+  test('HCS factors are weighted normalised values that add up to the score', () => {
+    const factors = Object.fromEntries(breakdown.hcs.factors.map((f) => [f.factor, f]));
+
+    expect(factors.bedCount).toMatchObject({ rawValue: 400, normalizedValue: 0.2, weight: 0.35, contribution: 0.07 });
+    expect(factors.systemsCount).toMatchObject({ rawValue: 4, normalizedValue: 0.4, contribution: 0.1 });
+    expect(factors.hospitalType).toMatchObject({ normalizedValue: 1, contribution: 0.2 });
+    expect(factors.compliance).toMatchObject({ normalizedValue: 0.85, contribution: 0.1275 });
+    expect(factors.timeline).toMatchObject({ rawValue: '6_months', normalizedValue: 0.7, contribution: 0.035 });
+    expect(breakdown.hcs).toMatchObject({ formula: 'HCS', method: 'weighted_sum', value: hcs });
+    expect(sum(breakdown.hcs.factors)).toBeCloseTo(hcs, 3);
+  });
+
+  test('SIDI contributions are the steps of the running product from the 1.0 baseline', () => {
+    const factors = breakdown.sidi.factors;
+
+    expect(factors.map((f) => f.factor)).toEqual(['primaryEHR', 'customAPIs', 'fhir', 'hl7', 'extraEHRs']);
+    expect(factors[0]).toMatchObject({ rawValue: 'epic', normalizedValue: 0.9, weight: 0.6, contribution: -0.4 });
+    expect(factors[1]).toMatchObject({ rawValue: true, weight: 1.4 });
+    expect(factors[4]).toMatchObject({ rawValue: 1, weight: 1.2 });
+    expect(breakdown.sidi.baseline + sum(factors)).toBeCloseTo(sidi, 2);
+  });
+
+  test('RAF contributions are provisioned quantities times unit costs and add up to the estimated cost', () => {
+    const factors = Object.fromEntries(breakdown.raf.factors.map((f) => [f.factor, f]));
+
+    expect(factors.applicationServers.normalizedValue).toBe(raf.servers.applicationServers);
+    expect(factors.dbServers).toMatchObject({ normalizedValue: raf.servers.dbServers, weight: DEFAULT_COEFFICIENTS.raf.cost.perDbServer });
+    expect(factors.backupStorageGb.normalizedValue).toBe(raf.storage.backupStorageGb);
+    expect(breakdown.raf.drivers).toMatchObject({ beds: 400, hcs, sidi });
+    expect(sum(breakdown.raf.factors)).toBeCloseTo(raf.estimatedCost, 0);
+  });
+
+  test('uses the coefficient set it is given', () => {
+    const coefficients = JSON.parse(JSON.stringify(DEFAULT_COEFFICIENTS));
+    coefficients.hcs.bedCount.normalizeAt = 800;
+    coefficients.raf.cost.perServer = 30000;
+
+    const custom = FormulasEngine.computeAll(VARIABLES, coefficients).breakdown;
+
+    expect(custom.hcs.factors.find((f) => f.factor === 'bedCount')).toMatchObject({ normalizedValue: 0.5, contribution: 0.175 });
+    expect(custom.raf.factors.find((f) => f.factor === 'webServers').weight).toBe(30000);
+  });
+});
@@ -0,0 +1,53 @@
+const { PeerBenchmark } = require('../../src/core/PeerBenchmark');
+const { DocumentGenerator } = require('../../src/core/DocumentGenerator');
+
+function engagement(transformationId, hospitalId, profile = {}) {
+  return {
+    transformationId,
+    hospitalId,
+    completedAt: '2026-01-05T09:00:00.000Z',
+    questionnaire: { facilityType: 'community', bedCount: 220, primaryEHR: 'epic' },
+    profile: { facilityType: 'community', bedCount: 220, primaryEHR: 'epic', clinicalSystems: [], locationType: null, ...profile },
+    proposed: { implementationWeeks: 20, estimatedTimeline: '6 months', cost: 400000, feasibilityScore: 0.85 },
+    actual: null
+  };
+}
+
+// Benchmark over stubbed storage: tx-subject at h1 and one completed engagement per similar hospital
+function benchmarkWith(peers) {
+  const engagements = new Map([['tx-subject', engagement('tx-subject', 'h1')], ...peers.map((peer) => [peer.transformationId, peer])]);
+  const databaseManager = {
+    findSimilarHospitals: async () => ({ rows: peers.map((peer) => ({ hospital_id: peer.hospitalId, similarity_score: 0.9 })) }),
+    getLatestCompletedTransformation: async (hospitalId) => ({ transformation_id: peers.find((p) => p.hospitalId === hospitalId).transformationId })
+  };
+  const benchmark = new PeerBenchmark({ databaseManager });
+  jest.spyOn(benchmark, 'loadEngagement').mockImplementation(async (id) => engagements.get(id) || null);
+  return benchmark;
+}
+
+describe('PeerBenchmark', () => {
+  test('lists peers by rank without their hospital or transformation ids', async () => {
+    const benchmark = benchmarkWith([engagement('tx-a', 'st-marys'), engagement('tx-b', 'county-general')]);
+
+    const result = await benchmark.benchmark('tx-subject', 't1');
+
+    expect(result.peers.map((peer) => peer.label)).toEqual(['Peer 1', 'Peer 2']);
+    expect(JSON.stringify(result.peers)).not.toMatch(/st-marys|county-general|tx-a|tx-b/);
+    expect(result.comparison.peerCount).toBe(2);
+  });
+
+  test('renders peer labels and escapes peer answers in the PDF appendix', async () => {
+    const benchmark = benchmarkWith([engagement('tx-a', 'st-marys', { primaryEHR: '<img src=x onerror=alert(1)>', locationType: 'Rural & "remote"' })]);
+    const generator = new DocumentGenerator();
+    const appendix = generator.generatePeerBenchmarkAppendix(await benchmark.benchmark('tx-subject', 't1'));
+
+    const html = generator.pdfGenerator.generatePeerBenchmarkHTML({ appendices: { peerBenchmark: appendix } });
+
+    expect(html).toContain('<td>Peer 1</td>');
+    expect(html).not.toContain('st-marys');
+    expect(html).not.toContain('<img');
+    expect(html).toContain('&lt;img src=x onerror=alert(1)&gt;');
+    expect(html).toContain('Rural &amp; &quot;remote&quot;');
+    expect(generator.generatePeerBenchmarkMarkdown(appendix)).toContain('| Peer 1 |');
+  });
+});
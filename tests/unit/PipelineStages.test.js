@@ -0,0 +1,70 @@
+const { normalizeStageDefinition, orderStages, resolvePipeline } = require('../../src/core/PipelineStages');
+const { TransformationEngine } = require('../../src/core/TransformationEngine');
+
+const run = async () => ({});
+const plugin = (definition) => normalizeStageDefinition({ run, ...definition });
+const names = (stages) => stages.map((s) => s.name);
+
+describe('PipelineStages', () => {
+  describe('registration', () => {
+    test.each([
+      ['Invalid stage name: 1st', { name: '1st', run }],
+      ['Stage name is reserved: parse', { name: 'parse', run }],
+      ['Stage name is reserved: options', { name: 'options', run }],
+      ['Stage audit must provide a run(inputs, context) function', { name: 'audit' }],
+      ['Stage audit cannot depend on itself', { name: 'audit', run, after: 'audit' }]
+    ])('rejects an unusable definition: %s', (message, definition) => {
+      expect(() => normalizeStageDefinition(definition)).toThrow(message);
+    });
+
+    test('refuses duplicate names and unmet anchors or inputs at registration', () => {
+      const engine = new TransformationEngine(null);
+      engine.registerStage({ name: 'audit', after: 'validate', inputs: ['validate'], run });
+
+      expect(() => engine.registerStage({ name: 'audit', run })).toThrow('Stage already registered: audit');
+      expect(() => engine.registerStage({ name: 'billing', after: 'ledger', run })).toThrow('Unknown ordering anchor for stage(s): billing');
+      expect(() => engine.registerStage({ name: 'early', before: 'extract', inputs: ['assess'], run })).toThrow('Stage early needs assess, which runs after it');
+      expect(names(engine.getPipelineStages())).toContain('audit');
+    });
+  });
+
+  describe('ordering', () => {
+    test('places plugins after their last anchor in registration order, or before their first', () => {
+      const ordered = orderStages([
+        plugin({ name: 'stateRegs', after: 'assess' }),
+        plugin({ name: 'cms', after: ['extract', 'assess'] }),
+        plugin({ name: 'precheck', before: ['extract', 'map'] }),
+        plugin({ name: 'report' })
+      ]);
+
+      expect(names(ordered)).toEqual([
+        'parse', 'precheck', 'extract', 'formulas', 'assess', 'stateRegs', 'cms', 'map', 'generate', 'validate', 'optimize', 'report'
+      ]);
+    });
+
+    test('anchors on a plugin registered later', () => {
+      const ordered = orderStages([plugin({ name: 'summary', after: 'audit' }), plugin({ name: 'audit', after: 'validate' })]);
+      expect(names(ordered).slice(-3)).toEqual(['audit', 'summary', 'optimize']);
+    });
+
+    test('rejects an anchor that never appears and contradictory anchors', () => {
+      expect(() => orderStages([plugin({ name: 'audit', after: 'ledger' })])).toThrow('Unknown ordering anchor for stage(s): audit');
+      expect(() => orderStages([plugin({ name: 'audit', after: 'validate', before: 'extract' })]))
+        .toThrow('Conflicting ordering: audit must run before extract');
+    });
+  });
+
+  describe('enable flags', () => {
+    test('drops disabled optional stages and keeps disabled-by-default plugins off', () => {
+      const stages = resolvePipeline([plugin({ name: 'audit', after: 'validate', enabled: false })], { optimize: false });
+      expect(names(stages)).toEqual(['parse', 'extract', 'formulas', 'assess', 'map', 'generate', 'validate']);
+      expect(names(resolvePipeline([plugin({ name: 'audit', after: 'validate', enabled: false })], { audit: true }))).toContain('audit');
+    });
+
+    test('rejects unknown flags, disabled required stages and inputs left disabled', () => {
+      expect(() => resolvePipeline([], { billing: true })).toThrow('Unknown pipeline stage(s) in options.stages: billing');
+      expect(() => resolvePipeline([], { assess: false })).toThrow('Stage assess is required and cannot be disabled');
+      expect(() => resolvePipeline([], { validate: false })).toThrow('Stage optimize needs validate, which is disabled');
+    });
+  });
+});
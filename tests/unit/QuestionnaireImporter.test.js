@@ -0,0 +1,44 @@
+const { QuestionnaireImporter } = require('../../src/core/QuestionnaireImporter');
+const { QualityValidationEngine } = require('../../src/core/QualityValidationEngine');
+const { loadQuestionnaireSchema } = require('../../src/core/SchemaUtil');
+
+describe('QuestionnaireImporter', () => {
+  const importer = new QuestionnaireImporter(new QualityValidationEngine((version) => loadQuestionnaireSchema(version)));
+  const importCsv = (csv) => importer.importFile(Buffer.from(csv), { originalname: 'hospitals.csv' });
+
+  test('accepts option values from the schema version a row declares', async () => {
+    const report = await importCsv([
+      'facilityName,bedCount,schemaVersion,clinicalSystems',
+      'Mercy,220,1.0,"Radiology, lis"'
+    ].join('\n'));
+
+    const [row] = report.rows;
+    expect(row.coercionFailures).toEqual([]);
+    expect(row.questionnaire.clinicalSystems).toEqual(['ris', 'pacs', 'lis']);
+    expect(row.suppliedFields).toEqual(expect.arrayContaining(['clinicalSystems', 'bedCount']));
+  });
+
+  test('reports options retired since the declared version against the current schema', async () => {
+    const report = await importCsv([
+      'facilityName,clinicalSystems',
+      'Mercy,radiology'
+    ].join('\n'));
+
+    expect(report.rows[0].coercionFailures).toEqual([
+      expect.objectContaining({ questionId: 'clinicalSystems', reason: 'unknown_option', item: 'radiology' })
+    ]);
+  });
+
+  test('reports a row that cannot be processed without failing the import', async () => {
+    const report = await importCsv([
+      'facilityName,bedCount,schemaVersion',
+      'Mercy,220,9.9',
+      'St Luke,120,'
+    ].join('\n'));
+
+    expect(report.rows[0]).toMatchObject({ ready: false, facilityName: 'Mercy', error: expect.stringContaining('9.9') });
+    expect(report.rows[1].error).toBeUndefined();
+    expect(report.rows[1].questionnaire.facilityName).toBe('St Luke');
+    expect(report.summary.rowsWithErrors).toBe(1);
+  });
+});
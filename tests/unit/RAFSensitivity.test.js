@@ -0,0 +1,74 @@
+const { analyzeRAF, normalizeAnalysisOptions, runTornado } = require('../../src/core/RAFSensitivity');
+const { FormulasEngine, DEFAULT_COEFFICIENTS } = require('../../src/core/FormulasEngine');
+
+const VARIABLES = {
+  bedCount: 400,
+  hospitalType: 'community',
+  clinicalSystems: ['pacs', 'lis', 'pharmacy'],
+  complianceFrameworks: ['HIPAA'],
+  timeline: '90_days',
+  primaryEHR: 'epic'
+};
+
+const analysisOptions = (overrides = {}) => normalizeAnalysisOptions({ iterations: 500, seed: 42, ...overrides }).options;
+
+describe('RAFSensitivity', () => {
+  test('reproduces the Monte Carlo ranges from the same seed', () => {
+    const first = analyzeRAF(VARIABLES, DEFAULT_COEFFICIENTS, analysisOptions());
+    const second = analyzeRAF(VARIABLES, DEFAULT_COEFFICIENTS, analysisOptions());
+    const reseeded = analyzeRAF(VARIABLES, DEFAULT_COEFFICIENTS, analysisOptions({ seed: 7 }));
+
+    expect(second.monteCarlo).toEqual(first.monteCarlo);
+    expect(reseeded.monteCarlo.estimatedCost).not.toEqual(first.monteCarlo.estimatedCost);
+  });
+
+  test('orders P10 <= P50 <= P90 around the baseline estimate', () => {
+    const { monteCarlo, tornado } = analyzeRAF(VARIABLES, DEFAULT_COEFFICIENTS, analysisOptions());
+    const { estimatedCost, totalServers } = monteCarlo;
+    const baseline = FormulasEngine.computeAll(VARIABLES).raf.estimatedCost;
+
+    expect(monteCarlo).toMatchObject({ iterations: 500, seed: 42 });
+    expect(estimatedCost.min).toBeLessThanOrEqual(estimatedCost.p10);
+    expect(estimatedCost.p10).toBeLessThanOrEqual(estimatedCost.p50);
+    expect(estimatedCost.p50).toBeLessThanOrEqual(estimatedCost.p90);
+    expect(estimatedCost.p90).toBeLessThanOrEqual(estimatedCost.max);
+    expect(estimatedCost.p10).toBeLessThan(baseline);
+    expect(estimatedCost.p90).toBeGreaterThan(baseline);
+    expect(totalServers.p10).toBeLessThanOrEqual(totalServers.p90);
+    expect(tornado.baselineCost).toBe(baseline);
+    expect(monteCarlo.costHistogram).toHaveLength(20);
+    expect(monteCarlo.costHistogram.reduce((sum, bin) => sum + bin.count, 0)).toBe(500);
+  });
+
+  test('swings each tornado input on its own, widest bar first', () => {
+    const options = analysisOptions();
+    const { bars, baselineCost, baselineInputs } = runTornado(VARIABLES, DEFAULT_COEFFICIENTS, options);
+    const byInput = Object.fromEntries(bars.map((bar) => [bar.input, bar]));
+
+    expect(baselineInputs).toEqual({ bedCount: 400, systemsCount: 3, timeline: '90_days' });
+    expect(bars.map((bar) => bar.input).sort()).toEqual(
+      ['bedCount', 'perBackupGb', 'perDbServer', 'perPrimaryGb', 'perServer', 'systemsCount', 'timeline'].sort()
+    );
+    expect(bars.map((bar) => bar.swing)).toEqual([...bars.map((bar) => bar.swing)].sort((a, b) => b - a));
+    for (const bar of bars) {
+      expect(bar.lowCost).toBeLessThanOrEqual(baselineCost);
+      expect(bar.highCost).toBeGreaterThanOrEqual(baselineCost);
+      expect(bar.swing).toBe(bar.highCost - bar.lowCost);
+    }
+
+    expect(byInput.bedCount).toMatchObject({ lowInput: 320, highInput: 480 });
+    expect(byInput.systemsCount).toMatchObject({ lowInput: 1, highInput: 5 });
+    expect(byInput.perServer).toMatchObject({ lowInput: 13500, highInput: 18750 });
+  });
+
+  test('rejects unusable analysis options', () => {
+    const { options, errors } = normalizeAnalysisOptions({ iterations: 10, seed: -1, bedCount: { low: 0.1, high: 0.2 } });
+
+    expect(options).toBeNull();
+    expect(errors).toEqual(expect.arrayContaining([
+      'rafAnalysis.iterations must be an integer from 100 to 10000',
+      'rafAnalysis.seed must be a non-negative integer',
+      'rafAnalysis.bedCount needs numeric low <= 0 <= high'
+    ]));
+  });
+});
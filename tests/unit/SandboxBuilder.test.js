@@ -0,0 +1,34 @@
+const SandboxBuilder = require('../../src/sandbox/SandboxBuilder');
+const { createRunContext } = require('../../src/core/RunContext');
+
+describe('SandboxBuilder run context', () => {
+  const T0 = Date.UTC(2026, 0, 5, 9, 0, 0);
+
+  function builderWithSandbox(clock) {
+    const builder = new SandboxBuilder({ runContext: createRunContext({ seed: 42, clock }) });
+    builder.sandboxes.set('sb-1', {
+      sandboxId: 'sb-1',
+      hospitalId: 'h1',
+      status: 'running',
+      createdAt: new Date(T0).toISOString(),
+      components: { database: true, cache: true, ehrMocks: ['epic'] }
+    });
+    return builder;
+  }
+
+  test('stamps health checks from the run clock', async () => {
+    const result = await builderWithSandbox([T0 + 1000]).performHealthChecks('sb-1');
+
+    const stamp = new Date(T0 + 1000).toISOString();
+    expect(Object.values(result.componentHealth).map((c) => c.lastCheck)).toEqual([stamp, stamp, stamp]);
+    expect(result.lastChecked).toBe(stamp);
+  });
+
+  test('reports the same status for the same seed and clock', async () => {
+    const first = await builderWithSandbox([T0 + 60000]).getSandboxStatus('sb-1');
+    const second = await builderWithSandbox([T0 + 60000]).getSandboxStatus('sb-1');
+
+    expect(first.uptime).toBe(60000);
+    expect(second).toEqual(first);
+  });
+});
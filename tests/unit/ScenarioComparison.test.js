@@ -0,0 +1,86 @@
+const { ScenarioComparison } = require('../../src/core/ScenarioComparison');
+const { applySchemaDefaults } = require('../../src/core/SchemaUtil');
+
+const BASE = applySchemaDefaults({
+  facilityName: 'Mercy General',
+  bedCount: 220,
+  primaryEHR: 'epic',
+  timeline: '60_days',
+  complianceFrameworks: ['HIPAA'],
+  provenance: { primaryEHR: { source: 'interview' }, bedCount: { source: 'document' } }
+});
+
+// Engine stub that records each variant's questionnaire; bed count drives the figures
+function comparisonWith(fail = () => false) {
+  const runs = [];
+  const engine = {
+    transformQuestionnaire: async (questionnaire, options) => {
+      runs.push({ questionnaire, options });
+      if (fail(options.scenario)) throw Object.assign(new Error('assessment service down'), { transformationId: `tx-${runs.length}` });
+      return {
+        transformationId: `tx-${runs.length}`,
+        formulas: { hcs: questionnaire.bedCount / 100, sidi: 3, raf: { servers: { app: 2 }, estimatedCost: questionnaire.bedCount * 1000 } },
+        executiveSummary: { riskLevel: questionnaire.primaryEHR === 'epic' ? 'medium' : 'high' },
+        feasibilityScore: 0.85
+      };
+    }
+  };
+  return { comparison: new ScenarioComparison(engine), runs };
+}
+
+describe('ScenarioComparison', () => {
+  test('applies each scenario\'s overrides on top of the baseline answers', async () => {
+    const { comparison, runs } = comparisonWith();
+
+    const result = await comparison.compare(BASE, [
+      { name: 'Cerner', overrides: { primaryEHR: 'cerner' } },
+      { name: 'Bigger', overrides: { bedCount: { value: 400, source: 'assumed' } } }
+    ], { hospitalId: 'h1', tenantId: 't1' });
+
+    expect(runs.map((r) => r.options.scenario)).toEqual(['Baseline', 'Cerner', 'Bigger']);
+    expect(runs.every((r) => r.options.tenantId === 't1')).toBe(true);
+
+    const [baseline, cerner, bigger] = runs.map((r) => r.questionnaire);
+    expect(baseline).toBe(BASE);
+    expect(cerner).toMatchObject({ primaryEHR: 'cerner', bedCount: 220, timeline: '60_days', facilityName: 'Mercy General' });
+    expect(bigger).toMatchObject({ primaryEHR: 'epic', bedCount: 400 });
+
+    // Overridden answers lose their old provenance; the rest is kept
+    expect(cerner.provenance.bedCount).toEqual({ source: 'document' });
+    expect(cerner.provenance).not.toHaveProperty('primaryEHR');
+    expect(bigger.provenance).toMatchObject({ primaryEHR: { source: 'interview' }, bedCount: { source: 'assumed' } });
+    expect(BASE.primaryEHR).toBe('epic');
+
+    expect(result.scenarios.map((s) => s.overrides)).toEqual([{}, { primaryEHR: 'cerner' }, { bedCount: 400 }]);
+    expect(result.scenarios[2].deltas).toMatchObject({ hcs: 1.8, infrastructureCost: 180000 });
+    expect(result.scenarios[1].deltas.riskLevel).toBe(1);
+    expect(result.highlights).toMatchObject({ lowestCost: 'Baseline', lowestRisk: 'Baseline' });
+  });
+
+  test('reports a failed scenario without deltas and keeps the others', async () => {
+    const { comparison } = comparisonWith((scenario) => scenario === 'Cerner');
+
+    const result = await comparison.compare(BASE, [
+      { name: 'Cerner', overrides: { primaryEHR: 'cerner' } },
+      { name: 'Smaller', overrides: { bedCount: 120 } }
+    ]);
+
+    expect(result.scenarios.map((s) => s.status)).toEqual(['completed', 'failed', 'completed']);
+    expect(result.scenarios[1]).toMatchObject({ error: 'assessment service down', metrics: null, deltas: null });
+    expect(result.highlights.lowestCost).toBe('Smaller');
+  });
+
+  test('rejects overrides the schema does not accept', () => {
+    const { comparison } = comparisonWith();
+
+    expect(comparison.validateScenarios([
+      { name: 'Baseline', overrides: { primaryEHR: 'cerner' } },
+      { name: 'Empty', overrides: {} },
+      { name: 'Typo', overrides: { primaryEhr: 'cerner' } }
+    ])).toEqual([
+      'Duplicate scenario name: Baseline',
+      'Empty: no overrides given',
+      'Typo: unknown question primaryEhr'
+    ]);
+  });
+});
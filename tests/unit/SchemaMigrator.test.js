@@ -0,0 +1,99 @@
+const fs = require('fs');
+const path = require('path');
+const { migrateQuestionnaire } = require('../../src/core/SchemaMigrator');
+const { migrateToCurrentSchema, getCurrentSchemaVersion } = require('../../src/core/SchemaUtil');
+
+const MIGRATIONS_PATH = path.join(__dirname, '..', '..', 'src', 'questionnaire', 'migrations.json');
+
+describe('SchemaMigrator', () => {
+  describe('shipped migrations', () => {
+    test('upgrades a 1.0 answer set through every version to current', () => {
+      const { questionnaire, fromVersion, toVersion, appliedMigrations } = migrateToCurrentSchema({
+        schemaVersion: '1.0',
+        clinicalSystems: ['Radiology', 'lis'],
+        complianceFrameworks: ['HIPAA', 'GDPR']
+      });
+
+      expect(fromVersion).toBe('1.0');
+      expect(toVersion).toBe(getCurrentSchemaVersion());
+      expect(appliedMigrations.map((m) => `${m.from}->${m.to}`)).toEqual(['1.0->1.1', '1.1->1.2', '1.2->1.3']);
+      expect(questionnaire.clinicalSystems).toEqual(['ris', 'pacs', 'lis']);
+      expect(questionnaire.gdprDataResidency).toBe('eu_only');
+      expect(questionnaire.provenance.gdprDataResidency).toEqual({ source: 'assumed' });
+      expect(questionnaire.schemaVersion).toBe(getCurrentSchemaVersion());
+    });
+
+    test('only defaults GDPR data residency when GDPR applies', () => {
+      const { questionnaire } = migrateToCurrentSchema({ schemaVersion: '1.0', complianceFrameworks: ['HIPAA'] });
+      expect(questionnaire).not.toHaveProperty('gdprDataResidency');
+    });
+
+    test('keeps an answered default', () => {
+      const { questionnaire } = migrateToCurrentSchema({ schemaVersion: '1.0', complianceFrameworks: ['GDPR'], gdprDataResidency: 'any' });
+      expect(questionnaire.gdprDataResidency).toBe('any');
+    });
+
+    test('rejects a version it has no migration path from', () => {
+      expect(() => migrateToCurrentSchema({ schemaVersion: '9.9' })).toThrow('No migration path from questionnaire schema 9.9');
+    });
+  });
+
+  describe('operations', () => {
+    // Runs `operations` as the only 1.0 -> 2.0 migration
+    function migrateWith(operations, questionnaire) {
+      const readFileSync = fs.readFileSync;
+      const statSync = fs.statSync;
+      jest.spyOn(fs, 'statSync').mockImplementation((file, ...args) => (file === MIGRATIONS_PATH ? { mtimeMs: Math.random() } : statSync(file, ...args)));
+      jest.spyOn(fs, 'readFileSync').mockImplementation((file, ...args) => (file === MIGRATIONS_PATH
+        ? JSON.stringify({ migrations: [{ from: '1.0', to: '2.0', operations }] })
+        : readFileSync(file, ...args)));
+      try {
+        return migrateQuestionnaire({ schemaVersion: '1.0', ...questionnaire }, '2.0').questionnaire;
+      } finally {
+        jest.restoreAllMocks();
+      }
+    }
+
+    test('renameQuestion moves the answer and its provenance', () => {
+      const migrated = migrateWith([{ op: 'renameQuestion', from: 'ehr', to: 'primaryEHR' }], {
+        ehr: 'epic',
+        provenance: { ehr: { source: 'interview' } }
+      });
+      expect(migrated).toMatchObject({ primaryEHR: 'epic', provenance: { primaryEHR: { source: 'interview' } } });
+      expect(migrated).not.toHaveProperty('ehr');
+      expect(migrated.provenance).not.toHaveProperty('ehr');
+    });
+
+    test('renameQuestion keeps an answer already given under the new id', () => {
+      const migrated = migrateWith([{ op: 'renameQuestion', from: 'ehr', to: 'primaryEHR' }], { ehr: 'epic', primaryEHR: 'cerner' });
+      expect(migrated.primaryEHR).toBe('cerner');
+    });
+
+    test('renameOption renames single and multi-select values without duplicates', () => {
+      const ops = [{ op: 'renameOption', question: 'systems', from: 'lab', to: 'lis' }];
+      expect(migrateWith(ops, { systems: ['Lab', 'lis', 'pacs'] }).systems).toEqual(['lis', 'pacs']);
+      expect(migrateWith([{ op: 'renameOption', question: 'ehr', from: 'cerner', to: 'oracle_health' }], { ehr: 'Cerner' }).ehr).toBe('oracle_health');
+    });
+
+    test('splitOption gives a single-select answer the first new option', () => {
+      const migrated = migrateWith([{ op: 'splitOption', question: 'system', option: 'radiology', into: ['ris', 'pacs'] }], { system: 'radiology' });
+      expect(migrated.system).toBe('ris');
+    });
+
+    test('setDefault without a condition fills only unanswered questions', () => {
+      const ops = [{ op: 'setDefault', question: 'timeline', value: '90_days' }];
+      expect(migrateWith(ops, {}).timeline).toBe('90_days');
+      expect(migrateWith(ops, { timeline: '30_days' }).timeline).toBe('30_days');
+    });
+
+    test('removeQuestion drops the answer and its provenance', () => {
+      const migrated = migrateWith([{ op: 'removeQuestion', question: 'fax' }], { fax: 'yes', provenance: { fax: { source: 'interview' } } });
+      expect(migrated).not.toHaveProperty('fax');
+      expect(migrated.provenance).toEqual({});
+    });
+
+    test('an unknown operation fails the migration', () => {
+      expect(() => migrateWith([{ op: 'mergeQuestions' }], {})).toThrow('Unknown migration operation: mergeQuestions');
+    });
+  });
+});
@@ -0,0 +1,97 @@
+const { diffTransformationResults } = require('../../src/core/TransformationDiff');
+
+function run(transformationId, overrides = {}) {
+  return {
+    transformationId,
+    hospitalId: 'h1',
+    timestamp: '2026-01-05T09:00:00.000Z',
+    requirements: {
+      clinical: [
+        { id: 'req-1', questionId: 'primaryEHR', description: 'Epic integration', complexity: 'high' },
+        { id: 'req-2', questionId: 'clinicalSystems', description: 'PACS interface', complexity: 'medium' }
+      ]
+    },
+    specification: {
+      qualityScore: 0.9,
+      infrastructure: { servers: 4, generatedAt: '2026-01-05T09:00:00.000Z', network: { bandwidthMbps: 100 } },
+      security: { encryption: 'AES-256' }
+    },
+    implementationPlan: {
+      totalDuration: 20,
+      phases: [{ name: 'Discovery', duration: 4 }, { name: 'Build', duration: 12 }, { name: 'Go-live', duration: 4 }]
+    },
+    riskAssessment: { risks: { technical: [{ type: 'integration', probability: 'medium', impact: 'high' }] } },
+    executiveSummary: { riskLevel: 'medium', estimatedCost: 1000000 },
+    formulas: { raf: { estimatedCost: 400000 } },
+    ...overrides
+  };
+}
+
+describe('TransformationDiff', () => {
+  test('reports no changes between runs that differ only in ids, timestamps and numbering', () => {
+    const base = run('tx-1');
+    const compare = run('tx-2', {
+      timestamp: '2026-02-01T09:00:00.000Z',
+      requirements: { clinical: base.requirements.clinical.map((req, i) => ({ ...req, id: `req-${i + 10}` })).reverse() },
+      specification: { ...base.specification, qualityScore: 0.7, infrastructure: { ...base.specification.infrastructure, generatedAt: '2026-02-01T09:00:00.000Z' } },
+      implementationPlan: { ...base.implementationPlan, phases: [...base.implementationPlan.phases].reverse() }
+    });
+
+    const diff = diffTransformationResults(base, compare);
+
+    expect(diff.summary.hasChanges).toBe(false);
+    expect(diff.base.transformationId).toBe('tx-1');
+    expect(diff.compare.transformationId).toBe('tx-2');
+  });
+
+  test('reports added, removed and changed items, section leaves and cost deltas', () => {
+    const base = run('tx-1');
+    const compare = run('tx-2', {
+      requirements: {
+        clinical: [
+          { id: 'req-1', questionId: 'primaryEHR', description: 'Cerner integration', complexity: 'high' },
+          { id: 'req-3', questionId: 'pharmacy', description: 'Pharmacy interface', complexity: 'low' }
+        ]
+      },
+      specification: {
+        infrastructure: { servers: 6, network: { bandwidthMbps: 100 } },
+        disasterRecovery: { rtoHours: 4 }
+      },
+      implementationPlan: {
+        totalDuration: 24,
+        phases: [{ name: 'Discovery', duration: 4 }, { name: 'Build', duration: 16 }, { name: 'Go-live', duration: 4 }]
+      },
+      riskAssessment: { risks: { technical: [{ type: 'integration', probability: 'high', impact: 'high' }] } },
+      executiveSummary: { riskLevel: 'high', estimatedCost: 1250000 }
+    });
+
+    const diff = diffTransformationResults(base, compare);
+
+    expect(diff.requirements.added).toEqual([expect.objectContaining({ key: 'clinical:pharmacy' })]);
+    expect(diff.requirements.removed).toEqual([expect.objectContaining({ key: 'clinical:clinicalSystems' })]);
+    expect(diff.requirements.changed).toEqual([expect.objectContaining({
+      key: 'clinical:primaryEHR',
+      changes: [{ field: 'description', before: 'Epic integration', after: 'Cerner integration' }]
+    })]);
+
+    expect(diff.specificationSections).toEqual({
+      added: ['disasterRecovery'],
+      removed: ['security'],
+      changed: [{ section: 'infrastructure', changes: [{ path: 'servers', before: 4, after: 6 }] }]
+    });
+
+    expect(diff.phases.changed).toEqual([expect.objectContaining({ key: 'Build', changes: [{ field: 'duration', before: 12, after: 16 }] })]);
+    expect(diff.phases.totalDuration).toEqual({ before: 20, after: 24, delta: 4, percentChange: 20 });
+    expect(diff.risks.changed[0]).toMatchObject({ key: 'technical:integration', changes: [{ field: 'probability', before: 'medium', after: 'high' }] });
+
+    expect(diff.costs.totalEstimated).toEqual({ before: 1000000, after: 1250000, delta: 250000, percentChange: 25 });
+    expect(diff.costs.infrastructure.delta).toBe(0);
+    expect(diff.summary).toMatchObject({
+      requirements: { added: 1, removed: 1, changed: 1 },
+      specificationSections: { added: 1, removed: 1, changed: 1 },
+      costChanged: true,
+      riskLevel: { before: 'medium', after: 'high' },
+      hasChanges: true
+    });
+  });
+});
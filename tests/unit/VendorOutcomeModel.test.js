@@ -0,0 +1,59 @@
+const { VendorOutcomeModel, fitLogistic, featureVector, predictSuccess, MIN_CONFIDENCE_OUTCOMES } = require('../../src/core/VendorOutcomeModel');
+
+const VENDOR = { id: 'epic', complexity_score: 8, integration_difficulty: 7, api_maturity: 9, deployment_success_rate: 0.8 };
+
+function sample(i, success) {
+  return {
+    transformationId: `tx-${String(i).padStart(2, '0')}`,
+    vendorId: VENDOR.id,
+    vendor: VENDOR,
+    hospitalProfile: { bedCount: 100 + i * 40, technologyMaturity: 4 + (i % 5), type: i % 3 === 0 ? 'Academic' : 'Community' },
+    labels: { fitScore: success ? 0.9 : 0.4, success },
+    recordedAt: new Date(Date.UTC(2026, 0, i + 1))
+  };
+}
+
+// Model over a stubbed outcome set; versions are "stored" by echoing them back
+function modelWith(samples) {
+  const databaseManager = {
+    insertVendorModelVersion: async (tenantId, model, metrics, sampleCount) => ({ version: 1, model, metrics, sample_count: sampleCount }),
+    getVendorModelVersion: async () => null
+  };
+  const model = new VendorOutcomeModel({ databaseManager });
+  jest.spyOn(model, 'collectSamples').mockResolvedValue({ samples, skipped: [] });
+  return { model, databaseManager };
+}
+
+describe('VendorOutcomeModel', () => {
+  test('keeps the success prior when every project succeeded', async () => {
+    const samples = Array.from({ length: 9 }, (_, i) => sample(i, true));
+    const { model } = modelWith(samples);
+
+    const trained = await model.train('t1');
+
+    expect(trained.trained).toBe(true);
+    expect(trained.model.success).toBeNull();
+    expect(predictSuccess(trained.model, VENDOR, samples[0].hospitalProfile)).toBeNull();
+    expect(trained.metrics.crossValidation.success.brierScore).toBe(trained.metrics.crossValidation.success.priorBrierScore);
+  });
+
+  test('shrinks the success intercept toward the prior', () => {
+    const samples = Array.from({ length: 9 }, (_, i) => sample(i, true));
+    const X = samples.map((s) => featureVector(s.vendor, s.hospitalProfile));
+    const weights = fitLogistic(X, samples.map((s) => (s.labels.success ? 1 : 0)));
+    const probabilities = X.map((x) => 1 / (1 + Math.exp(-x.reduce((sum, v, i) => sum + v * weights[i], 0))));
+
+    expect(Math.max(...probabilities)).toBeLessThan(0.99);
+  });
+
+  test('offers accuracy as prediction confidence only from enough outcomes', async () => {
+    const small = modelWith(Array.from({ length: 9 }, (_, i) => sample(i, i % 4 !== 0)));
+    const stored = await small.databaseManager.insertVendorModelVersion('t1', { features: [] }, { crossValidation: { success: { accuracy: 1 } } }, 9);
+    small.databaseManager.getVendorModelVersion = async () => stored;
+    expect((await small.model.resolve('t1')).accuracy).toBeNull();
+
+    const large = { ...stored, sample_count: MIN_CONFIDENCE_OUTCOMES };
+    small.databaseManager.getVendorModelVersion = async () => large;
+    expect((await small.model.resolve('t1')).accuracy).toBe(1);
+  });
+});